@@ -1,36 +1,516 @@
 import "dotenv/config";
 import express from "express";
 import cors from "cors";
-import { createClient } from "@supabase/supabase-js";
-import OpenAI from "openai";
+import { createLlmProvider } from "./lib/llm-providers.js";
+import { computeFormFingerprint, getCachedTriage, setCachedTriage, getTriageCacheStats } from "./lib/triage-cache.js";
+import { reconcileClassifications } from "./lib/triage-schema.js";
+import { createAuthMiddleware } from "./lib/auth.js";
+import { createRateLimiter } from "./lib/rate-limit.js";
+import { buildClaimPacket, settlementKeyFor } from "./lib/claim-packets.js";
+import { buildTransition, newClaimRow, normalizeFillSummary } from "./lib/claims.js";
+import { evaluateEligibility } from "./lib/eligibility.js";
+import { createStorage, DuplicateClaimError } from "./lib/storage.js";
+import { aggregateMappings, normalizeFeedback, normalizeOrigin } from "./lib/field-mappings.js";
+import { normalizeSavedAnswers } from "./lib/saved-answers.js";
+import { derivePacketKey, PACKET_KEY_VERSION } from "./lib/packet-keys.js";
+import { createPacketSigner, normalizeHandoffRequest, signHandoff, HANDOFF_SIGNATURE_ALGORITHM } from "./lib/packet-signing.js";
 
 const app = express();
-app.use(cors());
+
+if (process.env.TRUST_PROXY === "true") {
+  app.set("trust proxy", 1);
+}
+
+// Only the dashboard and the extension may call the API from a browser
+const corsOrigins = (process.env.CORS_ORIGINS || "http://localhost:3000,http://localhost:3001,https://claimi.app")
+  .split(",")
+  .map(o => o.trim())
+  .filter(Boolean);
+
+app.use(cors({
+  origin(origin, callback) {
+    const allowed = !origin ||
+      corsOrigins.includes(origin) ||
+      origin.startsWith("chrome-extension://") ||
+      /^https:\/\/[a-z0-9-]+\.claimi\.app$/.test(origin);
+    callback(null, allowed);
+  }
+}));
 app.use(express.json());
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+// Supabase, or the local store when STORAGE_DRIVER=local (see lib/storage.js); throws when misconfigured
+const storage = createStorage();
+console.log(`Storage driver "${storage.name}" initialized`);
 
-if (!supabaseUrl || !serviceRoleKey) {
-  console.error("Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY");
-  process.exit(1);
-}
+// ============================================================================
+// AUTH AND RATE LIMITS - Supabase JWTs, per-user and per-IP limits
+// ============================================================================
+
+const requireAuth = createAuthMiddleware(storage);
+const rateLimitWindowMs = Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
 
-const supabase = createClient(supabaseUrl, serviceRoleKey);
+const ipRateLimit = createRateLimiter({
+  scope: "ip",
+  windowMs: rateLimitWindowMs,
+  max: Number(process.env.RATE_LIMIT_PER_IP) || 120,
+  keyFn: req => req.ip
+});
+
+const userRateLimit = createRateLimiter({
+  scope: "user",
+  windowMs: rateLimitWindowMs,
+  max: Number(process.env.RATE_LIMIT_PER_USER) || 60,
+  keyFn: req => req.user?.id
+});
+
+// Every autofill route burns LLM quota, so all of them require a signed-in user
+app.use("/api/autofill", ipRateLimit, requireAuth, userRateLimit);
+app.use("/api/claim-packets", ipRateLimit, requireAuth, userRateLimit);
+app.use("/api/claims", ipRateLimit, requireAuth, userRateLimit);
+app.use("/api/eligibility", ipRateLimit, requireAuth, userRateLimit);
+app.use("/api/packet-key", ipRateLimit, requireAuth, userRateLimit);
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token (used by the extension)
+ */
+app.post("/api/auth/refresh", ipRateLimit, async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (!refreshToken || typeof refreshToken !== "string") {
+    return res.status(400).json({ error: "refreshToken is required" });
+  }
+
+  try {
+    const { session, error } = await storage.refreshSession(refreshToken);
+    if (error) {
+      return res.status(401).json({ error, code: "invalid_refresh_token" });
+    }
+    res.json(session);
+  } catch (error) {
+    console.error("[Auth] Refresh failed:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * The user behind a bearer token; the extension checks a dashboard session here before storing it
+ */
+app.get("/api/auth/me", ipRateLimit, requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+/**
+ * GET /api/packet-key
+ * The signed-in user's account key for encrypting claim packets stored by the extension
+ */
+app.get("/api/packet-key", (req, res) => {
+  const secret = process.env.PACKET_KEY_SECRET;
+  if (!secret) {
+    return res.status(503).json({ error: "Packet keys are not configured", code: "packet_key_unavailable" });
+  }
+  res.json({ key: derivePacketKey(secret, req.user.id), version: PACKET_KEY_VERSION });
+});
 
-// Initialize OpenAI client (optional - only needed for autofill triage)
-let openai = null;
-if (process.env.OPENAI_API_KEY) {
-  openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  console.log("OpenAI client initialized for autofill triage");
+// Initialize LLM provider (optional - only needed for autofill triage)
+const llm = createLlmProvider();
+if (llm) {
+  console.log(`LLM provider "${llm.name}" (${llm.model}) initialized for autofill triage`);
 } else {
-  console.warn("OPENAI_API_KEY not set - autofill triage will use fallback heuristics");
+  console.warn("No LLM provider configured - autofill triage will use fallback heuristics");
 }
 
 app.get("/health", async (_req, res) => {
-  const { error } = await supabase.storage.listBuckets();
-  if (error) return res.status(500).json({ ok: false, error: error.message });
-  res.json({ ok: true, openaiEnabled: !!openai });
+  const storageHealth = await storage.health().catch(error => ({ ok: false, error: error.message }));
+  if (!storageHealth.ok) return res.status(500).json({ ok: false, storage: storage.name, error: storageHealth.error });
+  res.json({
+    ok: true,
+    storage: { driver: storage.name, ...storageHealth },
+    llm: llm ? { provider: llm.name, model: llm.model } : null,
+    triageCache: getTriageCacheStats()
+  });
+});
+
+// ============================================================================
+// CLAIM PACKETS - canonical packet for the dashboard and extension
+// ============================================================================
+
+const packetSigner = createPacketSigner(process.env.PACKET_SIGNING_KEY);
+if (packetSigner.ephemeral) {
+  console.warn("PACKET_SIGNING_KEY not set - signing packet handoffs with a key generated for this process");
+}
+
+// The signed-in user's packet for a settlement, or { status, error } when it can't be built
+async function loadClaimPacket(req) {
+  const userId = req.user.id;
+  const settlement = await storage.findParsedSettlement(req.params.settlementId);
+  if (!settlement) {
+    return { status: 404, error: "Settlement not found" };
+  }
+
+  const [profile, response, discovery] = await Promise.all([
+    storage.getProfile(userId),
+    storage.getSettlementResponse(userId, settlementKeyFor(settlement)),
+    // The discovery bot's row carries the claim deadline
+    settlement.settlement_id ? storage.findDiscoverySettlement(settlement.settlement_id) : null
+  ]);
+
+  if (!profile) {
+    return { status: 404, error: "Profile not found - complete onboarding first" };
+  }
+
+  const packet = buildClaimPacket({
+    profile,
+    settlement,
+    discovery,
+    response,
+    userId,
+    userEmail: req.user.email
+  });
+
+  console.log(`[ClaimPackets] Built packet for settlement ${settlement.id} (${packet.answerItems.length} answers)`);
+  return { packet };
+}
+
+/**
+ * GET /api/packet-signing-key
+ * Public key the extension verifies packet handoff signatures with
+ */
+app.get("/api/packet-signing-key", ipRateLimit, (_req, res) => {
+  res.json({
+    keyId: packetSigner.keyId,
+    algorithm: HANDOFF_SIGNATURE_ALGORITHM,
+    publicKey: packetSigner.publicKey
+  });
+});
+
+/**
+ * GET /api/claim-packets/:settlementId
+ * Build the signed-in user's claim packet for a settlement
+ */
+app.get("/api/claim-packets/:settlementId", async (req, res) => {
+  try {
+    const { packet, status, error } = await loadClaimPacket(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.json(packet);
+  } catch (error) {
+    console.error("[ClaimPackets] Error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/claim-packets/:settlementId/handoff
+ * Sign the user's packet for the extension, bound to the nonce the extension issued.
+ * Body: { nonce, claimId? }
+ */
+app.post("/api/claim-packets/:settlementId/handoff", async (req, res) => {
+  try {
+    const { nonce, claimId, error: invalid } = normalizeHandoffRequest(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid, code: "invalid_handoff" });
+    }
+
+    if (claimId && !(await storage.findClaim(req.user.id, claimId))) {
+      return res.status(404).json({ error: "Claim not found" });
+    }
+
+    const { packet, status, error } = await loadClaimPacket(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json(signHandoff(packetSigner, { packet: { ...packet, claimId }, nonce, userId: req.user.id }));
+  } catch (error) {
+    console.error("[ClaimPackets] Handoff error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/claim-packets/:settlementId/answers
+ * Save answers typed into the extension's question modal to settlement_responses.
+ * Body: { answers: [{ question, answer }] }
+ */
+app.post("/api/claim-packets/:settlementId/answers", async (req, res) => {
+  try {
+    const { answers, error } = normalizeSavedAnswers(req.body);
+    if (error) {
+      return res.status(400).json({ error, code: "invalid_answers" });
+    }
+
+    const settlement = await storage.findParsedSettlement(req.params.settlementId);
+    if (!settlement) {
+      return res.status(404).json({ error: "Settlement not found" });
+    }
+
+    await storage.saveSettlementAnswers(req.user.id, settlementKeyFor(settlement), answers);
+    console.log(`[ClaimPackets] Saved ${answers.length} extension answers for settlement ${settlement.id}`);
+    res.status(201).json({ saved: answers.length, fingerprints: answers.map(a => a.fingerprint) });
+  } catch (error) {
+    console.error("[ClaimPackets] Save answers error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// CLAIMS - lifecycle tracking (prepared -> filled -> submitted -> confirmed -> paid)
+// ============================================================================
+
+/**
+ * Move a claim to a new status, answering 404/409 when that isn't possible
+ */
+async function transitionClaim(req, res, status, changes) {
+  const claim = await storage.findClaim(req.user.id, req.params.claimId);
+  if (!claim) {
+    return res.status(404).json({ error: "Claim not found" });
+  }
+
+  const { update, error, code } = buildTransition(claim, status, changes);
+  if (error) {
+    const httpStatus = code === "invalid_status" ? 400 : 409;
+    return res.status(httpStatus).json({ error, code, from: claim.status, to: status });
+  }
+
+  // Guard on the status we read so two concurrent reports can't both apply
+  const updated = await storage.updateClaim(claim.id, claim.status, update);
+  if (!updated) {
+    return res.status(409).json({
+      error: "Claim was updated by another request - reload and try again",
+      code: "stale_claim"
+    });
+  }
+
+  console.log(`[Claims] Claim ${claim.id}: ${claim.status} -> ${status}`);
+  res.json(updated);
+}
+
+/**
+ * GET /api/claims
+ * List the signed-in user's claims, most recently updated first
+ */
+app.get("/api/claims", async (req, res) => {
+  try {
+    res.json({ claims: await storage.listClaims(req.user.id) });
+  } catch (error) {
+    console.error("[Claims] List error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/claims
+ * Start tracking a claim for a settlement. One claim per user per settlement:
+ * a second attempt gets 409 with the existing claim's id.
+ */
+app.post("/api/claims", async (req, res) => {
+  try {
+    const { settlementId, packetId, formUrl } = req.body || {};
+    if (!settlementId) {
+      return res.status(400).json({ error: "settlementId is required" });
+    }
+
+    const settlement = await storage.findParsedSettlement(String(settlementId));
+    if (!settlement) {
+      return res.status(404).json({ error: "Settlement not found" });
+    }
+    const settlementKey = settlementKeyFor(settlement);
+
+    const existing = await storage.findClaimForSettlement(req.user.id, settlementKey);
+    if (existing) {
+      return res.status(409).json({
+        error: "A claim for this settlement already exists",
+        code: "duplicate_claim",
+        claimId: existing.id,
+        status: existing.status
+      });
+    }
+
+    const row = newClaimRow({
+      userId: req.user.id,
+      settlementId: settlementKey,
+      settlementName: settlement.settlement_title,
+      packetId,
+      formUrl: formUrl || settlement.claim_form_url
+    });
+
+    const claim = await storage.insertClaim(row);
+    console.log(`[Claims] Prepared claim ${claim.id} for settlement ${settlementKey}`);
+    res.status(201).json(claim);
+  } catch (error) {
+    // A concurrent request created the claim between the lookup and the insert
+    if (error instanceof DuplicateClaimError) {
+      return res.status(409).json({ error: "A claim for this settlement already exists", code: "duplicate_claim" });
+    }
+    console.error("[Claims] Create error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/claims/:claimId
+ */
+app.get("/api/claims/:claimId", async (req, res) => {
+  try {
+    const claim = await storage.findClaim(req.user.id, req.params.claimId);
+    if (!claim) {
+      return res.status(404).json({ error: "Claim not found" });
+    }
+    res.json(claim);
+  } catch (error) {
+    console.error("[Claims] Fetch error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/claims/:claimId/fill-report
+ * Extension reports the result of filling the claim form
+ */
+app.post("/api/claims/:claimId/fill-report", async (req, res) => {
+  try {
+    const { formUrl, fieldSummary } = req.body || {};
+    const fillSummary = normalizeFillSummary(fieldSummary);
+    if (!fillSummary) {
+      return res.status(400).json({ error: "fieldSummary is required" });
+    }
+    await transitionClaim(req, res, "filled", { formUrl, fillSummary });
+  } catch (error) {
+    console.error("[Claims] Fill report error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/claims/:claimId/submission
+ * Extension reports that the claim form was submitted
+ */
+app.post("/api/claims/:claimId/submission", async (req, res) => {
+  try {
+    const { formUrl, confirmationNumber } = req.body || {};
+    await transitionClaim(req, res, "submitted", {
+      formUrl,
+      confirmationNumber: confirmationNumber ? String(confirmationNumber).slice(0, 200) : null
+    });
+  } catch (error) {
+    console.error("[Claims] Submission error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/claims/:claimId/status
+ * Dashboard records later milestones (confirmed, paid)
+ */
+app.post("/api/claims/:claimId/status", async (req, res) => {
+  try {
+    const { status, confirmationNumber, payoutAmount } = req.body || {};
+    if (!["confirmed", "paid"].includes(status)) {
+      return res.status(400).json({
+        error: "status must be \"confirmed\" or \"paid\" - fill and submission are reported by the extension",
+        code: "invalid_status"
+      });
+    }
+
+    const amount = payoutAmount === undefined || payoutAmount === null || payoutAmount === ""
+      ? null
+      : Number(payoutAmount);
+    if (amount !== null && !Number.isFinite(amount)) {
+      return res.status(400).json({ error: "payoutAmount must be a number" });
+    }
+
+    await transitionClaim(req, res, status, { confirmationNumber, payoutAmount: amount });
+  } catch (error) {
+    console.error("[Claims] Status update error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// ELIGIBILITY - explainable per-requirement evaluation
+// ============================================================================
+
+/**
+ * POST /api/eligibility/:settlementId
+ * Evaluate the signed-in user against a settlement's requirements.
+ * Body: { answers? } - unsaved answers ([{ key, answer }] or { key: answer });
+ * the user's stored settlement_responses answers are used when omitted.
+ */
+app.post("/api/eligibility/:settlementId", async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const settlement = await storage.findParsedSettlement(req.params.settlementId);
+    if (!settlement) {
+      return res.status(404).json({ error: "Settlement not found" });
+    }
+
+    const providedAnswers = req.body?.answers;
+    const [profile, response, discovery] = await Promise.all([
+      storage.getProfile(userId),
+      providedAnswers ? null : storage.getSettlementResponse(userId, settlementKeyFor(settlement)),
+      // The discovery bot's row carries eligibility_rules, citations and deadline
+      settlement.settlement_id ? storage.findDiscoverySettlement(settlement.settlement_id) : null
+    ]);
+
+    const evaluation = evaluateEligibility({
+      settlement,
+      discovery,
+      profile: profile || {},
+      answers: providedAnswers || response?.answers || []
+    });
+
+    console.log(`[Eligibility] Settlement ${settlement.id}: ${evaluation.status} (${evaluation.results.length} checks)`);
+    res.json({ settlementId: settlement.id, ...evaluation });
+  } catch (error) {
+    console.error("[Eligibility] Error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// AUTOFILL FEEDBACK - learned per-domain field mappings
+// ============================================================================
+
+/**
+ * POST /api/autofill/feedback
+ * Record how the user treated an autofilled field.
+ * Body: { origin, field: { type, name, id, label }, key, keySource, accepted, signal? }
+ */
+app.post("/api/autofill/feedback", async (req, res) => {
+  try {
+    const { event, error } = normalizeFeedback(req.body, req.user.id);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await storage.recordFieldFeedback(event);
+    console.log(`[Feedback] ${event.signal} ${event.key_source}.${event.key} on ${event.origin} (${event.fingerprint})`);
+    res.status(201).json({ ok: true, fingerprint: event.fingerprint });
+  } catch (error) {
+    console.error("[Feedback] Error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/autofill/mappings?origin=https://claims.example.com
+ * Learned field mappings for a claim form origin
+ */
+app.get("/api/autofill/mappings", async (req, res) => {
+  try {
+    const origin = normalizeOrigin(req.query.origin);
+    if (!origin) {
+      return res.status(400).json({ error: "origin query parameter must be an http(s) origin" });
+    }
+
+    const mappings = aggregateMappings(await storage.listFieldFeedback(origin));
+    res.json({ origin, mappings });
+  } catch (error) {
+    console.error("[Feedback] Mappings error:", error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // ============================================================================
@@ -103,17 +583,24 @@ Respond with a JSON object containing a "classifications" array.`;
  */
 app.post("/api/autofill/triage-fields", async (req, res) => {
   try {
-    const { fields, availableUserDataKeys, availableCaseAnswerKeys, caseAnswerMeta } = req.body;
+    const { fields, availableUserDataKeys, availableCaseAnswerKeys, caseAnswerMeta, origin, formPath } = req.body;
 
     if (!fields || !Array.isArray(fields)) {
       return res.status(400).json({ error: "fields array is required" });
     }
 
-    // If OpenAI is not configured, use fallback heuristics
-    if (!openai) {
-      console.log("[Triage] Using fallback heuristics (no OpenAI key)");
-      const classifications = fields.map(field => classifyFieldHeuristic(field, availableUserDataKeys, availableCaseAnswerKeys));
-      return res.json({ classifications, method: "heuristic" });
+    // Same form (same origin + field set) triaged before? Serve from cache
+    const fingerprint = computeFormFingerprint({ origin, fields, availableUserDataKeys, availableCaseAnswerKeys });
+    const cached = getCachedTriage(fingerprint);
+    if (cached) {
+      console.log(`[Triage] Cache hit for ${origin || "unknown origin"} (${fields.length} fields)`);
+      return res.json({ ...cached, cached: true, fingerprint });
+    }
+
+    // If no LLM provider is configured, use fallback heuristics
+    if (!llm) {
+      console.log("[Triage] Using fallback heuristics (no LLM provider)");
+      return res.json(heuristicTriage(fields, availableUserDataKeys, availableCaseAnswerKeys, "heuristic"));
     }
 
     // Build the prompt with field information
@@ -123,7 +610,8 @@ app.post("/api/autofill/triage-fields", async (req, res) => {
    Type: "${f.type || 'text'}"
    Required: ${f.required ? 'yes' : 'no'}
    Context: "${f.context || ''}"
-   Placeholder: "${f.placeholder || ''}"`
+   Placeholder: "${f.placeholder || ''}"${Array.isArray(f.options) ? `
+   Options: ${JSON.stringify(f.options)}` : ""}`
     ).join("\n\n");
 
     const userPrompt = `Classify these form fields:
@@ -141,41 +629,44 @@ Respond with a JSON array like:
   { "fieldId": "field3", "category": "USER_QUESTION", "promptForUser": "Please describe the issue you experienced", "confidence": 0.85 }
 ]`;
 
-    console.log(`[Triage] Classifying ${fields.length} fields with OpenAI`);
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        { role: "system", content: TRIAGE_SYSTEM_PROMPT },
-        { role: "user", content: userPrompt }
-      ],
-      temperature: 0.1, // Low temperature for consistent classification
-      max_tokens: 2000,
-      response_format: { type: "json_object" }
-    });
+    console.log(`[Triage] Classifying ${fields.length} fields with ${llm.name}`);
 
-    const responseText = completion.choices[0]?.message?.content;
-    
-    if (!responseText) {
-      throw new Error("Empty response from OpenAI");
-    }
+    const responseText = await llm.completeJson({
+      kind: "triage",
+      system: TRIAGE_SYSTEM_PROMPT,
+      user: userPrompt,
+      input: { fields, availableUserDataKeys, availableCaseAnswerKeys, caseAnswerMeta },
+      maxTokens: 2000
+    });
 
     // Parse the JSON response
     let parsed;
     try {
       parsed = JSON.parse(responseText);
       // Handle both array and object with classifications key
-      const classifications = Array.isArray(parsed) ? parsed : (parsed.classifications || []);
-      
-      console.log(`[Triage] Successfully classified ${classifications.length} fields`);
-      return res.json({ classifications, method: "llm" });
+      const rawItems = Array.isArray(parsed) ? parsed : (parsed.classifications || []);
+
+      // Validate item by item; invalid or missing fields get a heuristic classification
+      const result = reconcileClassifications(rawItems, {
+        fields,
+        availableUserDataKeys,
+        availableCaseAnswerKeys,
+        classifyHeuristic: classifyFieldHeuristic
+      });
+
+      if (result.rejected.length > 0) {
+        console.warn(`[Triage] Rejected ${result.rejected.length} invalid LLM items:`, result.rejected);
+      }
+      console.log(`[Triage] Successfully classified ${result.classifications.length} fields (${result.method})`);
+
+      setCachedTriage(fingerprint, result, origin ? `${origin}${formPath || ""}` : null);
+      return res.json({ ...result, cached: false, fingerprint });
     } catch (parseError) {
       console.error("[Triage] Failed to parse LLM response:", parseError);
       console.error("[Triage] Raw response:", responseText);
       
       // Fall back to heuristics
-      const classifications = fields.map(field => classifyFieldHeuristic(field, availableUserDataKeys, availableCaseAnswerKeys));
-      return res.json({ classifications, method: "heuristic-fallback" });
+      return res.json(heuristicTriage(fields, availableUserDataKeys, availableCaseAnswerKeys, "heuristic-fallback"));
     }
 
   } catch (error) {
@@ -184,14 +675,175 @@ Respond with a JSON array like:
     // Fall back to heuristics on any error
     const { fields, availableUserDataKeys, availableCaseAnswerKeys } = req.body;
     if (fields && Array.isArray(fields)) {
-      const classifications = fields.map(field => classifyFieldHeuristic(field, availableUserDataKeys, availableCaseAnswerKeys));
-      return res.json({ classifications, method: "heuristic-error-fallback", error: error.message });
+      return res.json({
+        ...heuristicTriage(fields, availableUserDataKeys, availableCaseAnswerKeys, "heuristic-error-fallback"),
+        error: error.message
+      });
     }
     
     return res.status(500).json({ error: error.message });
   }
 });
 
+// ============================================================================
+// AUTOFILL MAP-FIELD ENDPOINT - Tier 3 single-field mapping
+// ============================================================================
+
+const MAP_FIELD_SYSTEM_PROMPT = `You map a single claim form field to the data key that should fill it.
+
+You are given the field's accessible name, surrounding context, input type and the list of available packet keys.
+Keys from userData describe the claimant (name, contact info, address, date of birth).
+Keys from caseAnswers describe the specific claim (purchases, amounts, yes/no eligibility answers).
+
+RULES:
+1. Only return keys that appear EXACTLY in the available keys list.
+2. Rank candidates from most to least likely. Return at most 3.
+3. Never map money, dates or third-party fields (spouse, employer, previous address) to the claimant's profile keys.
+4. If no key fits, return an empty candidates array.
+5. confidence is a number between 0 and 1. rationale is one short sentence.
+
+Respond with a JSON object like:
+{ "candidates": [ { "key": "purchaseAmount", "confidence": 0.9, "rationale": "Label asks for the amount paid for the product" } ] }`;
+
+/**
+ * POST /api/autofill/map-field
+ * Rank available packet keys for a single field (Tier 3)
+ */
+app.post("/api/autofill/map-field", async (req, res) => {
+  const { field, availableKeys, caseAnswerMeta } = req.body || {};
+
+  if (!field || typeof field !== "object") {
+    return res.status(400).json({ error: "field object is required" });
+  }
+  if (!Array.isArray(availableKeys)) {
+    return res.status(400).json({ error: "availableKeys array is required" });
+  }
+
+  const respond = (candidates, method, extra = {}) =>
+    res.json({ candidates, mappedKey: candidates[0]?.key ?? null, method, ...extra });
+
+  if (availableKeys.length === 0) {
+    return respond([], "no-keys");
+  }
+
+  if (!llm) {
+    console.log("[MapField] Using fallback heuristics (no LLM provider)");
+    return respond(rankKeysHeuristic(field, availableKeys), "heuristic");
+  }
+
+  try {
+    const userPrompt = `Field:
+   ID: "${field.id || 'unnamed'}"
+   Accessible name: "${field.label || field.accessibleName || 'no label'}"
+   Type: "${field.type || 'text'}"
+   Context: "${field.context || ''}"
+   Placeholder: "${field.placeholder || ''}"${Array.isArray(field.options) ? `
+   Options: ${JSON.stringify(field.options)}` : ""}
+
+Available keys: ${JSON.stringify(availableKeys)}
+Key descriptions: ${JSON.stringify(caseAnswerMeta || {})}`;
+
+    console.log(`[MapField] Mapping "${field.label || field.id}" with ${llm.name}`);
+
+    const responseText = await llm.completeJson({
+      kind: "map-field",
+      system: MAP_FIELD_SYSTEM_PROMPT,
+      user: userPrompt,
+      input: { field, availableKeys, caseAnswerMeta },
+      maxTokens: 400
+    });
+
+    const parsed = JSON.parse(responseText);
+    const candidates = normalizeCandidates(parsed.candidates, availableKeys);
+    return respond(candidates, "llm");
+  } catch (error) {
+    console.error("[MapField] Error:", error);
+    return respond(rankKeysHeuristic(field, availableKeys), "heuristic-error-fallback", { error: error.message });
+  }
+});
+
+/**
+ * Keep only well-formed candidates whose key is in availableKeys, best first (at most 3)
+ */
+function normalizeCandidates(candidates, availableKeys) {
+  if (!Array.isArray(candidates)) return [];
+  const allowed = new Set(availableKeys);
+  const byKey = new Map();
+
+  for (const c of candidates) {
+    if (!c || typeof c.key !== "string" || !allowed.has(c.key) || byKey.has(c.key)) continue;
+    byKey.set(c.key, {
+      key: c.key,
+      confidence: Math.max(0, Math.min(1, Number(c.confidence) || 0)),
+      rationale: typeof c.rationale === "string" ? c.rationale : ""
+    });
+  }
+
+  return [...byKey.values()].sort((a, b) => b.confidence - a.confidence).slice(0, 3);
+}
+
+/**
+ * Split labels and keys like "address.zip" or "purchasedInUS" into lowercase tokens
+ */
+function tokenize(text) {
+  return String(text || "")
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(t => t.length > 1 && !["the", "of", "your", "you", "did", "do", "a", "an", "in", "is"].includes(t));
+}
+
+/**
+ * Heuristic fallback for Tier 3 mapping: rank keys by token overlap with the
+ * field's label and context, boosted by the triage heuristic's suggestedKey
+ */
+function rankKeysHeuristic(field, availableKeys = []) {
+  const labelTokens = new Set(tokenize(`${field.label || field.accessibleName || ""} ${field.id || ""}`));
+  const contextTokens = new Set(tokenize(field.context));
+  const classification = classifyFieldHeuristic(field, availableKeys, availableKeys);
+  const candidates = [];
+
+  for (const key of availableKeys) {
+    if (classification.category === "STANDARD_PROFILE" && classification.suggestedKey === key) {
+      candidates.push({
+        key,
+        confidence: classification.confidence,
+        rationale: `Label matches the standard profile field "${key}"`
+      });
+      continue;
+    }
+
+    const keyTokens = tokenize(key);
+    if (keyTokens.length === 0) continue;
+
+    const labelHits = keyTokens.filter(t => labelTokens.has(t)).length;
+    const contextHits = keyTokens.filter(t => !labelTokens.has(t) && contextTokens.has(t)).length;
+    const score = (labelHits + contextHits * 0.5) / keyTokens.length;
+
+    if (score > 0) {
+      candidates.push({
+        key,
+        confidence: Math.round(Math.min(score, 1) * 0.8 * 100) / 100,
+        rationale: `${labelHits + contextHits} of ${keyTokens.length} key terms appear in the field label or context`
+      });
+    }
+  }
+
+  return candidates.sort((a, b) => b.confidence - a.confidence).slice(0, 3);
+}
+
+/**
+ * Classify every field with heuristics, in the same response shape as a reconciled LLM result
+ */
+function heuristicTriage(fields, availableUserDataKeys, availableCaseAnswerKeys, method) {
+  const classifications = fields.map(field => ({
+    ...classifyFieldHeuristic(field, availableUserDataKeys, availableCaseAnswerKeys),
+    source: "heuristic"
+  }));
+  const fieldSources = Object.fromEntries(classifications.map(c => [c.fieldId, "heuristic"]));
+  return { classifications, fieldSources, rejected: [], method };
+}
+
 /**
  * Heuristic fallback for field classification when LLM is not available
  */
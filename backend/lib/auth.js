@@ -0,0 +1,61 @@
+/**
+ * Supabase JWT authentication for API routes.
+ *
+ * Clients (dashboard, extension service worker) send the user's Supabase
+ * access token as `Authorization: Bearer <token>`. The token is verified by the
+ * storage driver (Supabase auth, or the local demo user's token) and the user
+ * is attached as `req.user`.
+ */
+
+// Verified tokens are reused briefly so a burst of triage/map-field calls
+// doesn't hit Supabase auth once per request
+const VERIFIED_TOKEN_TTL_MS = 60 * 1000;
+
+export function getBearerToken(req) {
+  const header = req.get("authorization") || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+export function createAuthMiddleware(storage) {
+  // token -> { user, expiresAt }
+  const verified = new Map();
+
+  return async function requireAuth(req, res, next) {
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json({ error: "Missing bearer token", code: "auth_required" });
+    }
+
+    const cached = verified.get(token);
+    if (cached && cached.expiresAt > Date.now()) {
+      req.user = cached.user;
+      return next();
+    }
+    verified.delete(token);
+
+    try {
+      const { user, error, retryable } = await storage.verifyAccessToken(token);
+      if (retryable) {
+        console.error("[Auth] Auth service unreachable:", error);
+        return res.status(503).json({ error: "Auth service unavailable", code: "auth_unavailable" });
+      }
+      if (error || !user) {
+        return res.status(401).json({
+          error: error || "Invalid or expired token",
+          code: "invalid_token"
+        });
+      }
+
+      req.user = user;
+      verified.set(token, { user: req.user, expiresAt: Date.now() + VERIFIED_TOKEN_TTL_MS });
+      if (verified.size > 1000) {
+        verified.delete(verified.keys().next().value);
+      }
+      next();
+    } catch (error) {
+      console.error("[Auth] Token verification failed:", error);
+      res.status(401).json({ error: "Token verification failed", code: "invalid_token" });
+    }
+  };
+}
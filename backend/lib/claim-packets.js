@@ -0,0 +1,214 @@
+/**
+ * Canonical claim packet builder.
+ *
+ * Builds the packet the extension fills forms from, out of the user's
+ * `profiles` row, their `settlement_responses` answers and the
+ * `parsed_settlements` record. Dashboard and extension both fetch it from
+ * GET /api/claim-packets/:settlementId so there is one definition of the shape.
+ *
+ * Schema history:
+ *   1 - built in the dashboard (no dateOfBirth, every answer a boolean)
+ *   2 - built here: typed case answers, answer types, dateOfBirth, eligibility
+ */
+
+import { savedAnswersFrom } from "./saved-answers.js";
+
+export const PACKET_SCHEMA_VERSION = 2;
+
+export const PARSED_SETTLEMENT_COLUMNS = [
+  "id",
+  "settlement_id",
+  "settlement_title",
+  "source_url",
+  "claim_form_url",
+  "general_requirements",
+  "specific_requirements",
+  "onboarding_questions",
+  "proof_checklist",
+  "updated_at",
+].join(",");
+
+export const PROFILE_COLUMNS = [
+  "id",
+  "legal_first_name",
+  "legal_last_name",
+  "email",
+  "phone_number",
+  "street_address",
+  "city",
+  "state",
+  "zip_code",
+  "country",
+  "date_of_birth",
+].join(",");
+
+export function parseJsonField(value) {
+  if (!value) return null;
+  if (typeof value === "string") {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  return value;
+}
+
+function asList(value) {
+  const parsed = parseJsonField(value);
+  return Array.isArray(parsed) ? parsed : [];
+}
+
+/**
+ * The key the dashboard stores responses under for a settlement
+ */
+export function settlementKeyFor(settlement) {
+  return String(settlement.id || settlement.settlement_id || "settlement");
+}
+
+/**
+ * Describe every question the dashboard asks for a settlement, with its
+ * response key (same `${settlementKey}-${section}-${id}` scheme) and answer type
+ */
+export function listSettlementQuestions(settlement) {
+  const settlementKey = settlementKeyFor(settlement);
+  const questions = [];
+
+  const push = (items, section, keySegment, getText, getType) => {
+    items.forEach((item, index) => {
+      questions.push({
+        key: `${settlementKey}-${keySegment}-${item?.id ?? index}`,
+        section,
+        question: getText(item) || "Question",
+        answerType: getType(item),
+        options: Array.isArray(item?.options) ? item.options : null,
+        item,
+      });
+    });
+  };
+
+  push(asList(settlement.onboarding_questions), "onboarding", "question",
+    item => item?.question, item => item?.answer_type || "yes_no");
+  push(asList(settlement.general_requirements), "general", "general",
+    item => item?.description || item?.original_text, () => "yes_no");
+  push(asList(settlement.specific_requirements), "specific", "specific",
+    item => item?.description || item?.original_text, () => "yes_no");
+  push(asList(settlement.proof_checklist), "proof", "proof",
+    item => item?.description, () => "yes_no");
+
+  return questions;
+}
+
+/**
+ * Convert a stored answer to the type its question asks for.
+ * Returns null when the answer is empty or can't be read as that type.
+ */
+export function coerceAnswer(answer, answerType, options) {
+  if (answer === null || answer === undefined || answer === "") return null;
+  const text = String(answer).trim();
+
+  switch (answerType) {
+    case "yes_no": {
+      if (typeof answer === "boolean") return answer;
+      const lower = text.toLowerCase();
+      if (["yes", "y", "true"].includes(lower)) return true;
+      if (["no", "n", "false"].includes(lower)) return false;
+      return null;
+    }
+    case "number": {
+      const number = Number(text.replace(/[$,\s]/g, ""));
+      return Number.isFinite(number) ? number : null;
+    }
+    case "date": {
+      const date = new Date(text);
+      return Number.isNaN(date.getTime()) ? null : date.toISOString().split("T")[0];
+    }
+    case "select": {
+      if (!options) return text;
+      const match = options.find(o => String(o).toLowerCase() === text.toLowerCase());
+      return match ?? null;
+    }
+    default:
+      return text;
+  }
+}
+
+/**
+ * caseAnswers key for a response key: drop the settlement prefix, use underscores
+ * (same keys the dashboard produced for schema version 1)
+ */
+function caseAnswerKey(responseKey, settlementKey) {
+  return responseKey.replace(`${settlementKey}-`, "").replace(/-/g, "_");
+}
+
+/**
+ * Build a claim packet from database rows
+ */
+export function buildClaimPacket({ profile, settlement, discovery, response, userId, userEmail }) {
+  const settlementKey = settlementKeyFor(settlement);
+  const storedAnswers = new Map(
+    (Array.isArray(response?.answers) ? response.answers : [])
+      .filter(a => a && a.key)
+      .map(a => [a.key, a.answer])
+  );
+
+  const answerItems = [];
+  const caseAnswers = {};
+  const caseAnswerMeta = {};
+
+  for (const question of listSettlementQuestions(settlement)) {
+    const rawAnswer = storedAnswers.get(question.key) ?? null;
+    const value = coerceAnswer(rawAnswer, question.answerType, question.options);
+
+    answerItems.push({
+      key: question.key,
+      section: question.section,
+      question: question.question,
+      answerType: question.answerType,
+      options: question.options,
+      answer: rawAnswer,
+      value,
+    });
+
+    if (value !== null) {
+      const key = caseAnswerKey(question.key, settlementKey);
+      caseAnswers[key] = value;
+      caseAnswerMeta[key] = question.question;
+    }
+  }
+
+  const claimFormUrl = typeof settlement.claim_form_url === "string" ? settlement.claim_form_url.trim() : "";
+
+  return {
+    schemaVersion: PACKET_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    id: settlement.id || settlement.settlement_id,
+    settlementName: settlement.settlement_title || "Unknown Settlement",
+    settlementId: settlement.settlement_id,
+    claimFormUrl,
+    sourceUrl: settlement.source_url || "",
+    deadline: discovery?.deadline || null,
+    userId,
+    eligibilityStatus: response?.eligibility_status || null,
+    answersSubmittedAt: response?.submitted_at || null,
+    userData: {
+      firstName: profile.legal_first_name || "",
+      lastName: profile.legal_last_name || "",
+      fullName: [profile.legal_first_name, profile.legal_last_name].filter(Boolean).join(" "),
+      email: profile.email || userEmail || "",
+      phone: profile.phone_number || "",
+      dateOfBirth: profile.date_of_birth || "",
+      address: {
+        street: profile.street_address || "",
+        city: profile.city || "",
+        state: profile.state || "",
+        zip: profile.zip_code || "",
+        country: profile.country || "",
+      },
+    },
+    caseAnswers,
+    caseAnswerMeta,
+    answerItems,
+    userAnswers: savedAnswersFrom(response?.answers),
+  };
+}
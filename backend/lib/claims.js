@@ -0,0 +1,133 @@
+/**
+ * Claim lifecycle tracking.
+ *
+ * A claim is one user's attempt at one settlement's claim form. It moves
+ * forward through CLAIM_STATUSES; every move stamps `${status}_at` and appends
+ * to `status_history` so the dashboard can show when each step happened.
+ *
+ *   prepared  - packet built and sent to the extension
+ *   filled    - extension filled the form (may be reported again per page/retry)
+ *   submitted - the user submitted the claim form
+ *   confirmed - the administrator acknowledged the claim
+ *   paid      - payout received
+ */
+
+export const CLAIM_STATUSES = ["prepared", "filled", "submitted", "confirmed", "paid"];
+
+export const CLAIM_COLUMNS = [
+  "id",
+  "user_id",
+  "settlement_id",
+  "settlement_name",
+  "packet_id",
+  "status",
+  "form_url",
+  "confirmation_number",
+  "fill_summary",
+  "status_history",
+  "payout_amount",
+  "prepared_at",
+  "filled_at",
+  "submitted_at",
+  "confirmed_at",
+  "paid_at",
+  "created_at",
+  "updated_at",
+].join(",");
+
+// status -> statuses it may move to
+const TRANSITIONS = {
+  prepared: ["filled", "submitted"],
+  filled: ["filled", "submitted"],
+  submitted: ["confirmed"],
+  confirmed: ["paid"],
+  paid: [],
+};
+
+export function isClaimStatus(status) {
+  return CLAIM_STATUSES.includes(status);
+}
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Row for a freshly prepared claim
+ */
+export function newClaimRow({ userId, settlementId, settlementName, packetId, formUrl }) {
+  const now = new Date().toISOString();
+  return {
+    user_id: userId,
+    settlement_id: settlementId,
+    settlement_name: settlementName || null,
+    packet_id: packetId || null,
+    status: "prepared",
+    form_url: formUrl || null,
+    confirmation_number: null,
+    fill_summary: null,
+    status_history: [{ status: "prepared", at: now }],
+    prepared_at: now,
+    created_at: now,
+    updated_at: now,
+  };
+}
+
+/**
+ * Build the update that moves `claim` to `status`.
+ * Returns { error, code } instead when the move isn't allowed.
+ */
+export function buildTransition(claim, status, changes = {}) {
+  if (!isClaimStatus(status)) {
+    return { error: `Unknown claim status "${status}"`, code: "invalid_status" };
+  }
+  if (!canTransition(claim.status, status)) {
+    return {
+      error: `Cannot move claim from "${claim.status}" to "${status}"`,
+      code: "invalid_transition",
+    };
+  }
+
+  const now = new Date().toISOString();
+  const history = Array.isArray(claim.status_history) ? claim.status_history : [];
+  const update = {
+    status,
+    [`${status}_at`]: now,
+    updated_at: now,
+    status_history: [...history, { status, at: now }],
+  };
+
+  if (changes.formUrl) update.form_url = changes.formUrl;
+  if (changes.confirmationNumber) update.confirmation_number = changes.confirmationNumber;
+  if (changes.fillSummary) update.fill_summary = changes.fillSummary;
+  if (changes.payoutAmount !== undefined && changes.payoutAmount !== null) {
+    update.payout_amount = changes.payoutAmount;
+  }
+
+  return { update };
+}
+
+/**
+ * Keep only the parts of an extension fill report worth storing
+ */
+export function normalizeFillSummary(summary) {
+  if (!summary || typeof summary !== "object") return null;
+  const count = value => (Number.isFinite(Number(value)) ? Number(value) : 0);
+  const fields = Array.isArray(summary.fields) ? summary.fields : [];
+
+  return {
+    filled: count(summary.filled),
+    pending: count(summary.pending),
+    lowConfidence: count(summary.lowConfidence),
+    userQuestions: count(summary.userQuestions),
+    fileUploads: count(summary.fileUploads),
+    fields: fields.slice(0, 200).map(field => ({
+      fieldId: String(field?.fieldId ?? ""),
+      key: field?.key ? String(field.key) : null,
+      category: field?.category ? String(field.category) : null,
+      source: field?.source ? String(field.source) : null,
+      confidence: Number.isFinite(field?.confidence) ? field.confidence : null,
+    })),
+    reportedAt: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,524 @@
+import { coerceAnswer, listSettlementQuestions, parseJsonField } from "./claim-packets.js";
+
+/**
+ * Eligibility evaluation engine.
+ *
+ * Checks a user's profile and settlement answers against a parsed settlement
+ * (general/specific requirements, onboarding questions, proof checklist) and,
+ * when available, the discovery bot's `eligibility_rules`, `citations` and
+ * `deadline` from the `settlements` row.
+ *
+ * Every check produces a result with a verdict and the requirement text and
+ * citation behind it, so the dashboard can explain the overall status:
+ *
+ *   qualifies        - every required check passed
+ *   does_not_qualify - at least one required check failed
+ *   needs_info       - nothing failed, but some required check can't be decided yet
+ */
+
+export const VERDICTS = {
+  qualifies: "qualifies",
+  doesNotQualify: "does_not_qualify",
+  needsInfo: "needs_info",
+};
+
+// Labels the dashboard stores in settlement_responses.eligibility_status
+export const VERDICT_LABELS = {
+  qualifies: "Qualifies",
+  does_not_qualify: "Does not qualify",
+  needs_info: "Not enough info",
+};
+
+const US_STATES = {
+  AL: "alabama", AK: "alaska", AZ: "arizona", AR: "arkansas", CA: "california",
+  CO: "colorado", CT: "connecticut", DE: "delaware", DC: "district of columbia",
+  FL: "florida", GA: "georgia", HI: "hawaii", ID: "idaho", IL: "illinois",
+  IN: "indiana", IA: "iowa", KS: "kansas", KY: "kentucky", LA: "louisiana",
+  ME: "maine", MD: "maryland", MA: "massachusetts", MI: "michigan", MN: "minnesota",
+  MS: "mississippi", MO: "missouri", MT: "montana", NE: "nebraska", NV: "nevada",
+  NH: "new hampshire", NJ: "new jersey", NM: "new mexico", NY: "new york",
+  NC: "north carolina", ND: "north dakota", OH: "ohio", OK: "oklahoma", OR: "oregon",
+  PA: "pennsylvania", RI: "rhode island", SC: "south carolina", SD: "south dakota",
+  TN: "tennessee", TX: "texas", UT: "utah", VT: "vermont", VA: "virginia",
+  WA: "washington", WV: "west virginia", WI: "wisconsin", WY: "wyoming",
+  PR: "puerto rico", GU: "guam", VI: "us virgin islands", AS: "american samoa",
+  MP: "northern mariana islands",
+};
+
+const US_ALIASES = ["united states", "united states of america", "usa", "us", "u s", "u s a", "america"];
+const EVERYWHERE = ["nationwide", "worldwide", "all states", "all 50 states", "anywhere"];
+
+const TEXT_STOP_WORDS = new Set([
+  "a", "an", "the", "of", "to", "in", "on", "or", "and", "for", "by", "with",
+  "you", "your", "must", "have", "has", "be", "been", "are", "is", "who", "that",
+]);
+
+function normalize(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function containsPhrase(text, phrase) {
+  return ` ${text} `.includes(` ${phrase} `);
+}
+
+function tokens(text) {
+  return normalize(text).split(" ").filter(t => t.length > 2 && !TEXT_STOP_WORDS.has(t));
+}
+
+// ============================================================================
+// CITATIONS
+// ============================================================================
+
+/**
+ * Pick the settlement citation whose quote best overlaps the requirement text.
+ * Falls back to the requirement's own original text on the settlement page.
+ */
+function findCitation(requirementText, originalText, context) {
+  const wanted = new Set(tokens(`${requirementText} ${originalText || ""}`));
+  let best = null;
+  let bestScore = 0;
+
+  for (const citation of context.citations) {
+    const quoteTokens = new Set(tokens(citation?.quote));
+    let shared = 0;
+    for (const token of wanted) {
+      if (quoteTokens.has(token)) shared++;
+    }
+    const score = wanted.size ? shared / wanted.size : 0;
+    if (shared >= 2 && score > bestScore) {
+      best = citation;
+      bestScore = score;
+    }
+  }
+
+  if (best && bestScore >= 0.3) {
+    return {
+      quote: best.quote,
+      sourceUrl: best.source_url || context.sourceUrl,
+      section: best.section || null,
+    };
+  }
+  if (originalText) {
+    return { quote: originalText, sourceUrl: context.sourceUrl, section: null };
+  }
+  return null;
+}
+
+// ============================================================================
+// LOCATION
+// ============================================================================
+
+/**
+ * Every way the user's location could be written in a rule
+ */
+function profileLocationNames(profile) {
+  const names = new Set();
+  const state = normalize(profile?.state);
+  const country = normalize(profile?.country);
+
+  if (state) {
+    const abbreviation = Object.keys(US_STATES).find(code => normalize(code) === state);
+    const stateName = abbreviation ? US_STATES[abbreviation] : state;
+    names.add(stateName);
+    const code = abbreviation || Object.keys(US_STATES).find(c => US_STATES[c] === stateName);
+    if (code) {
+      names.add(normalize(code));
+      US_ALIASES.forEach(alias => names.add(alias));
+    }
+  }
+  if (country) {
+    names.add(country);
+    if (US_ALIASES.includes(country)) US_ALIASES.forEach(alias => names.add(alias));
+  }
+  return names;
+}
+
+// Two-letter state codes only count as a whole rule ("CA"), not inside prose ("in" / "or")
+function ruleMatchesLocation(rule, names) {
+  const text = normalize(rule);
+  if (!text) return false;
+  if (EVERYWHERE.some(phrase => containsPhrase(text, phrase))) return true;
+  for (const name of names) {
+    if (name.length <= 3 ? text === name : containsPhrase(text, name)) return true;
+  }
+  return false;
+}
+
+function isRecognizedLocation(rule) {
+  const text = normalize(rule);
+  if (EVERYWHERE.some(phrase => containsPhrase(text, phrase))) return true;
+  if (US_ALIASES.some(alias => (alias.length <= 3 ? text === alias : containsPhrase(text, alias)))) return true;
+  return Object.entries(US_STATES).some(([code, name]) => text === normalize(code) || containsPhrase(text, name));
+}
+
+/**
+ * Judge a location (the profile's, or a location answer) against include/exclude rules
+ */
+function judgeLocation(names, locations) {
+  const include = Array.isArray(locations?.include) ? locations.include.filter(Boolean) : [];
+  const exclude = Array.isArray(locations?.exclude) ? locations.exclude.filter(Boolean) : [];
+
+  if (names.size === 0) {
+    return { verdict: VERDICTS.needsInfo, reason: "Your state and country are missing from your profile" };
+  }
+
+  const excludedBy = exclude.find(rule => ruleMatchesLocation(rule, names));
+  if (excludedBy) {
+    return { verdict: VERDICTS.doesNotQualify, reason: `Residents of ${excludedBy} are excluded`, rule: excludedBy };
+  }
+  if (include.length === 0) {
+    return { verdict: VERDICTS.qualifies, reason: "Your location is not excluded" };
+  }
+
+  const includedBy = include.find(rule => ruleMatchesLocation(rule, names));
+  if (includedBy) {
+    return { verdict: VERDICTS.qualifies, reason: `Covers ${includedBy}`, rule: includedBy };
+  }
+  // A rule we can't read as a place ("purchasers in participating stores") isn't a "no"
+  if (include.some(rule => !isRecognizedLocation(rule))) {
+    return { verdict: VERDICTS.needsInfo, reason: `Could not confirm your location against: ${include.join("; ")}` };
+  }
+  return { verdict: VERDICTS.doesNotQualify, reason: `Only open to ${include.join(", ")}` };
+}
+
+// ============================================================================
+// DATES AND AGE
+// ============================================================================
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function formatDay(date) {
+  return date.toISOString().split("T")[0];
+}
+
+function judgeDateInRange(date, range) {
+  const start = parseDate(range?.start);
+  const end = parseDate(range?.end);
+  if (start && date < start) {
+    return { verdict: VERDICTS.doesNotQualify, reason: `${formatDay(date)} is before the class period starts (${formatDay(start)})` };
+  }
+  if (end && date > end) {
+    return { verdict: VERDICTS.doesNotQualify, reason: `${formatDay(date)} is after the class period ends (${formatDay(end)})` };
+  }
+  return { verdict: VERDICTS.qualifies, reason: `${formatDay(date)} is within the class period` };
+}
+
+/**
+ * Minimum age stated in a requirement ("18 years or older", "at least 21", "18+")
+ */
+export function parseMinimumAge(text) {
+  const value = String(text ?? "").toLowerCase();
+  if (!/\b(age|old|older|adult|years)\b|\d+\s*\+/.test(value)) return null;
+  const match =
+    value.match(/(?:at least|minimum(?: age)?(?: of)?|over(?: the age of)?|aged?)\s*(\d{1,2})/) ||
+    value.match(/(\d{1,2})\s*(?:\+|years?(?: of age| old)?\s*(?:or|and)\s*(?:older|over|up))/);
+  return match ? Number(match[1]) : null;
+}
+
+function ageOn(dateOfBirth, asOf) {
+  let age = asOf.getUTCFullYear() - dateOfBirth.getUTCFullYear();
+  const beforeBirthday =
+    asOf.getUTCMonth() < dateOfBirth.getUTCMonth() ||
+    (asOf.getUTCMonth() === dateOfBirth.getUTCMonth() && asOf.getUTCDate() < dateOfBirth.getUTCDate());
+  return beforeBirthday ? age - 1 : age;
+}
+
+// ============================================================================
+// TYPED ANSWERS
+// ============================================================================
+
+/**
+ * Does a typed answer hit a question's disqualifying_answer?
+ * Numbers accept comparisons ("< 1"), dates accept "before/after <date>".
+ * Returns null when the disqualifying answer can't be compared to this type.
+ */
+function isDisqualifyingAnswer(value, disqualifying, answerType, options) {
+  if (disqualifying === null || disqualifying === undefined || disqualifying === "") return false;
+  const text = String(disqualifying).trim();
+
+  switch (answerType) {
+    case "yes_no": {
+      const expected = coerceAnswer(text, "yes_no");
+      return expected === null ? null : value === expected;
+    }
+    case "number": {
+      const match = text.match(/^(<=|>=|<|>|=)?\s*(-?[\d.,]+)$/);
+      if (!match) return null;
+      const limit = Number(match[2].replace(/,/g, ""));
+      switch (match[1]) {
+        case "<": return value < limit;
+        case "<=": return value <= limit;
+        case ">": return value > limit;
+        case ">=": return value >= limit;
+        default: return value === limit;
+      }
+    }
+    case "date": {
+      const match = text.match(/^(before|after|on or before|on or after)?\s*(.+)$/i);
+      const limit = parseDate(match?.[2]);
+      if (!limit) return null;
+      const date = parseDate(value);
+      switch ((match[1] || "").toLowerCase()) {
+        case "before": return date < limit;
+        case "after": return date > limit;
+        case "on or before": return date <= limit;
+        case "on or after": return date >= limit;
+        default: return formatDay(date) === formatDay(limit);
+      }
+    }
+    case "select": {
+      const expected = coerceAnswer(text, "select", options);
+      return normalize(value) === normalize(expected ?? text);
+    }
+    default:
+      return normalize(value) === normalize(text);
+  }
+}
+
+// ============================================================================
+// CHECKS
+// ============================================================================
+
+function result({ id, kind, section, requirement, originalText, verdict, reason, answer, required = true }, context) {
+  return {
+    id,
+    kind,
+    section,
+    requirement,
+    verdict,
+    reason,
+    answer: answer ?? null,
+    required,
+    citation: findCitation(requirement, originalText, context),
+  };
+}
+
+// A "no" to a requirement (or proof item) means the user doesn't meet it
+function judgeYesNo(value, required) {
+  if (value === null) {
+    return { verdict: VERDICTS.needsInfo, reason: "Not answered yet" };
+  }
+  if (value) {
+    return { verdict: VERDICTS.qualifies, reason: "You said you meet this requirement" };
+  }
+  return required
+    ? { verdict: VERDICTS.doesNotQualify, reason: "You said you don't meet this requirement" }
+    : { verdict: VERDICTS.qualifies, reason: "Optional - not required to qualify" };
+}
+
+function checkDeadline(context) {
+  const deadline = parseDate(context.deadline);
+  if (!deadline) return null;
+  const passed = deadline < context.asOf;
+  return result({
+    id: "deadline",
+    kind: "deadline",
+    section: "rules",
+    requirement: `Claims must be filed by ${formatDay(deadline)}`,
+    verdict: passed ? VERDICTS.doesNotQualify : VERDICTS.qualifies,
+    reason: passed ? "The claim deadline has passed" : "The claim deadline has not passed",
+  }, context);
+}
+
+function checkLocationRule(profile, context) {
+  const locations = context.rules?.locations;
+  const hasRules = (locations?.include?.length || 0) + (locations?.exclude?.length || 0) > 0;
+  if (!hasRules) return null;
+
+  const judged = judgeLocation(profileLocationNames(profile), locations);
+  const parts = [];
+  if (locations.include?.length) parts.push(`Open to: ${locations.include.join(", ")}`);
+  if (locations.exclude?.length) parts.push(`Excludes: ${locations.exclude.join(", ")}`);
+
+  return result({
+    id: "locations",
+    kind: "location",
+    section: "rules",
+    requirement: parts.join(". "),
+    originalText: judged.rule,
+    verdict: judged.verdict,
+    reason: judged.reason,
+    answer: [profile?.state, profile?.country].filter(Boolean).join(", ") || null,
+  }, context);
+}
+
+/**
+ * General requirements: age requirements are decided from the profile's date of
+ * birth and location requirements from the location rules when possible; the
+ * user's yes/no answer decides everything else.
+ */
+function checkGeneralRequirement(question, value, profile, locationResult, context) {
+  const { item } = question;
+  const base = {
+    id: question.key,
+    kind: "requirement",
+    section: question.section,
+    requirement: question.question,
+    originalText: item?.original_text,
+  };
+
+  const minimumAge = parseMinimumAge(`${item?.description || ""} ${item?.original_text || ""}`);
+  const dateOfBirth = parseDate(profile?.date_of_birth);
+  if (minimumAge !== null && dateOfBirth) {
+    const age = ageOn(dateOfBirth, context.asOf);
+    return result({
+      ...base,
+      kind: "age",
+      verdict: age >= minimumAge ? VERDICTS.qualifies : VERDICTS.doesNotQualify,
+      reason: `You are ${age}; the minimum age is ${minimumAge}`,
+      answer: profile.date_of_birth,
+    }, context);
+  }
+
+  if (item?.category === "location" && value === null && locationResult && locationResult.verdict !== VERDICTS.needsInfo) {
+    return result({ ...base, kind: "location", verdict: locationResult.verdict, reason: locationResult.reason }, context);
+  }
+
+  return result({ ...base, ...judgeYesNo(value, true), answer: value }, context);
+}
+
+function checkOnboardingQuestion(question, value, context) {
+  const { item, answerType, options } = question;
+  const base = {
+    id: question.key,
+    kind: "question",
+    section: question.section,
+    requirement: question.question,
+    originalText: item?.maps_to_requirement,
+    answer: value,
+  };
+
+  if (value === null) {
+    return result({ ...base, verdict: VERDICTS.needsInfo, reason: "Not answered yet" }, context);
+  }
+
+  const disqualified = isDisqualifyingAnswer(value, item?.disqualifying_answer, answerType, options);
+  if (disqualified) {
+    return result({
+      ...base,
+      verdict: VERDICTS.doesNotQualify,
+      reason: `The answer "${item.disqualifying_answer}" disqualifies this claim`,
+    }, context);
+  }
+
+  if (answerType === "location" && context.rules?.locations) {
+    const judged = judgeLocation(new Set([normalize(value)]), context.rules.locations);
+    if (judged.verdict !== VERDICTS.needsInfo) {
+      return result({ ...base, kind: "location", verdict: judged.verdict, reason: judged.reason }, context);
+    }
+  }
+
+  if (answerType === "date" && context.rules?.date_range) {
+    const date = parseDate(value);
+    const range = context.rules.date_range;
+    if (date && (range.start || range.end)) {
+      return result({ ...base, kind: "date_range", ...judgeDateInRange(date, range) }, context);
+    }
+  }
+
+  return result({
+    ...base,
+    verdict: VERDICTS.qualifies,
+    reason: disqualified === null ? "Answered (disqualifying answer could not be compared)" : "Answered",
+  }, context);
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Answers as a key -> raw answer map; accepts the stored answerItems array
+ * ([{ key, answer }]) or a plain { key: answer } object
+ */
+export function answersByKey(answers) {
+  const parsed = parseJsonField(answers);
+  if (Array.isArray(parsed)) {
+    return new Map(parsed.filter(a => a && a.key).map(a => [a.key, a.answer]));
+  }
+  if (parsed && typeof parsed === "object") {
+    return new Map(Object.entries(parsed));
+  }
+  return new Map();
+}
+
+/**
+ * Evaluate eligibility.
+ *
+ * `discovery` is the optional `settlements` row (eligibility_rules, citations, deadline).
+ * Returns { status, label, results, counts, evaluatedAt }.
+ */
+export function evaluateEligibility({ settlement, discovery, profile, answers, asOf = new Date() }) {
+  const context = {
+    asOf,
+    rules: parseJsonField(discovery?.eligibility_rules) || null,
+    citations: (parseJsonField(discovery?.citations) || []).filter(c => c && c.quote),
+    deadline: discovery?.deadline || null,
+    sourceUrl: settlement.source_url || null,
+  };
+  const answerMap = answersByKey(answers);
+  const results = [];
+
+  const deadlineResult = checkDeadline(context);
+  if (deadlineResult) results.push(deadlineResult);
+
+  const locationResult = checkLocationRule(profile, context);
+  if (locationResult) results.push(locationResult);
+
+  for (const question of listSettlementQuestions(settlement)) {
+    const value = coerceAnswer(answerMap.get(question.key) ?? null, question.answerType, question.options);
+    const { item } = question;
+
+    switch (question.section) {
+      case "onboarding":
+        results.push(checkOnboardingQuestion(question, value, context));
+        break;
+      case "general":
+        results.push(checkGeneralRequirement(question, value, profile, locationResult, context));
+        break;
+      case "specific":
+      case "proof": {
+        const required = question.section === "specific" ? !item?.is_optional : item?.is_required !== false;
+        results.push(result({
+          id: question.key,
+          kind: question.section === "proof" ? "proof" : "requirement",
+          section: question.section,
+          requirement: question.question,
+          originalText: item?.original_text,
+          required,
+          answer: value,
+          ...judgeYesNo(value, required),
+        }, context));
+        break;
+      }
+    }
+  }
+
+  const required = results.filter(r => r.required);
+  const counts = {
+    total: results.length,
+    qualifies: required.filter(r => r.verdict === VERDICTS.qualifies).length,
+    doesNotQualify: required.filter(r => r.verdict === VERDICTS.doesNotQualify).length,
+    needsInfo: required.filter(r => r.verdict === VERDICTS.needsInfo).length,
+  };
+
+  let status = VERDICTS.qualifies;
+  if (counts.doesNotQualify > 0) status = VERDICTS.doesNotQualify;
+  else if (counts.needsInfo > 0 || required.length === 0) status = VERDICTS.needsInfo;
+
+  return {
+    status,
+    label: VERDICT_LABELS[status],
+    results,
+    counts,
+    evaluatedAt: asOf.toISOString(),
+  };
+}
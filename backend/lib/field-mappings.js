@@ -0,0 +1,122 @@
+/**
+ * Learned per-domain field mappings.
+ *
+ * The extension reports how users treat each autofilled field: Accept or Clear
+ * in the confidence tooltip, or an answer typed into the "We need your input"
+ * modal that matches a packet value. Signals are stored per origin and field
+ * fingerprint, and aggregated into mappings the extension applies before its
+ * own matching tiers, so a claim administrator's form gets better with use.
+ *
+ * Only the latest signal per user counts, so one user can't outvote everyone
+ * by clicking Accept repeatedly.
+ */
+
+const KEY_SOURCES = ["userData", "caseAnswers"];
+const SIGNALS = ["accept", "clear", "user_answer"];
+
+// Mappings are shared by everyone on an origin, so one user's Accept never makes one
+const MIN_ACCEPTING_USERS = 2;
+
+function normalizePart(text, maxLength = 120) {
+  return String(text ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .slice(0, maxLength);
+}
+
+/**
+ * Stable identity for a form field across page loads and users:
+ * type | name (or id) | label, normalized. The extension builds the same string.
+ */
+export function fieldFingerprint({ type, name, id, label }) {
+  return [normalizePart(type || "text", 20), normalizePart(name || id, 80), normalizePart(label)].join("|");
+}
+
+export function normalizeOrigin(origin) {
+  try {
+    const url = new URL(String(origin));
+    return url.protocol === "http:" || url.protocol === "https:" ? url.origin : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate a POST /api/autofill/feedback body.
+ * Returns { event } ready to store, or { error }.
+ */
+export function normalizeFeedback(body, userId) {
+  const { origin, field, key, keySource, accepted, signal } = body || {};
+
+  const normalizedOrigin = normalizeOrigin(origin);
+  if (!normalizedOrigin) return { error: "origin must be an http(s) origin" };
+  if (!field || typeof field !== "object") return { error: "field is required" };
+  if (typeof key !== "string" || !key.trim() || key.length > 100) {
+    return { error: "key must be a non-empty string of at most 100 characters" };
+  }
+  if (!KEY_SOURCES.includes(keySource)) return { error: `keySource must be one of: ${KEY_SOURCES.join(", ")}` };
+  if (typeof accepted !== "boolean") return { error: "accepted must be a boolean" };
+  if (signal !== undefined && !SIGNALS.includes(signal)) return { error: `signal must be one of: ${SIGNALS.join(", ")}` };
+
+  const fingerprint = fieldFingerprint(field);
+  if (fingerprint === "text||") return { error: "field needs a name, id or label" };
+
+  return {
+    event: {
+      user_id: userId,
+      origin: normalizedOrigin,
+      fingerprint,
+      key: key.trim(),
+      key_source: keySource,
+      accepted,
+      signal: signal || (accepted ? "accept" : "clear"),
+      created_at: new Date().toISOString(),
+    }
+  };
+}
+
+/**
+ * Turn stored feedback events for one origin into mappings:
+ *   [{ fingerprint, key, keySource, confidence, accepted, rejected, rejectedKeys }]
+ * `key` is null when a field only has rejections or fewer than MIN_ACCEPTING_USERS
+ * users accepted the winning key. Confidence is the smoothed acceptance rate
+ * (accepted + 1) / (accepted + rejected + 2): two Accepts and no Clears give 0.75.
+ */
+export function aggregateMappings(events) {
+  // Latest signal per user, field and key
+  const latest = new Map();
+  const chronological = [...events].sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+  for (const event of chronological) {
+    latest.set(`${event.user_id}|${event.fingerprint}|${event.key_source}|${event.key}`, event);
+  }
+
+  // fingerprint -> "keySource:key" -> { key, keySource, accepted, rejected }
+  const byField = new Map();
+  for (const event of latest.values()) {
+    if (!byField.has(event.fingerprint)) byField.set(event.fingerprint, new Map());
+    const keys = byField.get(event.fingerprint);
+    const id = `${event.key_source}:${event.key}`;
+    if (!keys.has(id)) keys.set(id, { key: event.key, keySource: event.key_source, accepted: 0, rejected: 0 });
+    keys.get(id)[event.accepted ? "accepted" : "rejected"]++;
+  }
+
+  const mappings = [];
+  for (const [fingerprint, keys] of byField) {
+    const tallies = [...keys.values()];
+    const best = tallies
+      .filter(t => t.accepted > t.rejected && t.accepted >= MIN_ACCEPTING_USERS)
+      .sort((a, b) => (b.accepted - b.rejected) - (a.accepted - a.rejected))[0];
+
+    mappings.push({
+      fingerprint,
+      key: best?.key ?? null,
+      keySource: best?.keySource ?? null,
+      confidence: best ? Number(((best.accepted + 1) / (best.accepted + best.rejected + 2)).toFixed(2)) : 0,
+      accepted: best?.accepted ?? 0,
+      rejected: best?.rejected ?? 0,
+      rejectedKeys: tallies.filter(t => t.rejected > t.accepted).map(t => t.key),
+    });
+  }
+  return mappings;
+}
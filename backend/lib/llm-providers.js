@@ -0,0 +1,199 @@
+import { createHash } from "node:crypto";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import OpenAI from "openai";
+
+/**
+ * LLM provider layer for the autofill endpoints.
+ *
+ * Every provider exposes the same shape:
+ *   { name, model, completeJson({ kind, system, user, input, maxTokens }) -> Promise<string> }
+ *
+ * `kind` names the calling endpoint ("triage", "map-field") and `input` is the
+ * structured payload the prompt was built from. The replay provider keys its
+ * fixtures on those two, so recorded responses survive prompt wording changes.
+ *
+ * Selected with env config:
+ *   LLM_PROVIDER     openai | openai-compatible | replay | none
+ *                    (default: openai when OPENAI_API_KEY is set, otherwise none)
+ *   LLM_MODEL        model name (default gpt-3.5-turbo)
+ *   LLM_TEMPERATURE  sampling temperature, 0-2 (default 0.1; invalid values fall back to it)
+ *   LLM_TIMEOUT_MS   request timeout (default 20000)
+ *   LLM_BASE_URL     base URL for openai-compatible (e.g. http://localhost:11434/v1)
+ *   LLM_API_KEY      API key for openai-compatible (falls back to OPENAI_API_KEY)
+ *   LLM_REPLAY_FILE  fixture file for replay, and for recording with LLM_RECORD=true
+ */
+
+export class ReplayMissError extends Error {
+  constructor(kind, key) {
+    super(`No recorded ${kind} response for input ${key.slice(0, 12)}`);
+    this.name = "ReplayMissError";
+    this.kind = kind;
+    this.key = key;
+  }
+}
+
+/**
+ * JSON.stringify with sorted object keys so equal inputs always hash the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function fixtureKey(kind, input) {
+  return createHash("sha256").update(`${kind}:${stableStringify(input)}`).digest("hex");
+}
+
+function readFixtures(file) {
+  if (!file || !existsSync(file)) {
+    return { version: 1, entries: {} };
+  }
+  const parsed = JSON.parse(readFileSync(file, "utf8"));
+  return { version: 1, entries: {}, ...parsed };
+}
+
+/**
+ * Adapter for any endpoint speaking the OpenAI chat completions API
+ */
+function createChatCompletionsProvider(name, { apiKey, baseURL, model, temperature, timeoutMs }) {
+  const client = new OpenAI({ apiKey, baseURL, timeout: timeoutMs, maxRetries: 1 });
+
+  return {
+    name,
+    model,
+    temperature,
+    async completeJson({ system, user, maxTokens = 2000 }) {
+      const completion = await client.chat.completions.create({
+        model,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: user }
+        ],
+        temperature,
+        max_tokens: maxTokens,
+        response_format: { type: "json_object" }
+      });
+
+      const content = completion.choices[0]?.message?.content;
+      if (!content) {
+        throw new Error(`Empty response from ${name}`);
+      }
+      return content;
+    }
+  };
+}
+
+/**
+ * Deterministic provider that answers from recorded fixtures only.
+ * Unknown inputs throw ReplayMissError so callers fall back to heuristics.
+ */
+function createReplayProvider({ file, model }) {
+  const fixtures = readFixtures(file);
+  console.log(`[LLM] Replay provider loaded ${Object.keys(fixtures.entries).length} fixtures from ${file || "(none)"}`);
+
+  return {
+    name: "replay",
+    model,
+    async completeJson({ kind, input }) {
+      const key = fixtureKey(kind, input);
+      const entry = fixtures.entries[key];
+      if (!entry) {
+        throw new ReplayMissError(kind, key);
+      }
+      return typeof entry.response === "string" ? entry.response : JSON.stringify(entry.response);
+    }
+  };
+}
+
+/**
+ * Wrap a live provider so every response is written to the fixture file
+ */
+function withRecording(provider, file) {
+  return {
+    ...provider,
+    async completeJson(request) {
+      const response = await provider.completeJson(request);
+      const fixtures = readFixtures(file);
+      fixtures.entries[fixtureKey(request.kind, request.input)] = {
+        kind: request.kind,
+        input: request.input,
+        provider: provider.name,
+        model: provider.model,
+        recordedAt: new Date().toISOString(),
+        response: JSON.parse(response)
+      };
+      writeFileSync(file, `${JSON.stringify(fixtures, null, 2)}\n`);
+      return response;
+    }
+  };
+}
+
+// The chat completions API rejects a temperature outside 0-2 on every call
+function parseTemperature(value) {
+  if (value === undefined || value === "") return 0.1;
+  const temperature = Number(value);
+  if (Number.isFinite(temperature) && temperature >= 0 && temperature <= 2) return temperature;
+  console.warn(`[LLM] Ignoring LLM_TEMPERATURE="${value}" - use a number from 0 to 2; falling back to 0.1`);
+  return 0.1;
+}
+
+/**
+ * Build the provider selected by env config, or null when LLM calls are disabled
+ */
+export function createLlmProvider(env = process.env) {
+  const providerName = env.LLM_PROVIDER || (env.OPENAI_API_KEY ? "openai" : "none");
+  const options = {
+    model: env.LLM_MODEL || "gpt-3.5-turbo",
+    temperature: parseTemperature(env.LLM_TEMPERATURE),
+    timeoutMs: Number(env.LLM_TIMEOUT_MS) || 20000,
+  };
+
+  let provider;
+  switch (providerName) {
+    case "openai":
+      if (!env.OPENAI_API_KEY) {
+        console.warn("[LLM] LLM_PROVIDER=openai but OPENAI_API_KEY is not set");
+        return null;
+      }
+      provider = createChatCompletionsProvider("openai", { ...options, apiKey: env.OPENAI_API_KEY });
+      break;
+
+    case "openai-compatible":
+      if (!env.LLM_BASE_URL) {
+        console.warn("[LLM] LLM_PROVIDER=openai-compatible but LLM_BASE_URL is not set");
+        return null;
+      }
+      provider = createChatCompletionsProvider("openai-compatible", {
+        ...options,
+        baseURL: env.LLM_BASE_URL,
+        // Most self-hosted servers ignore the key, but the SDK requires one
+        apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || "not-needed",
+      });
+      break;
+
+    case "replay":
+      return createReplayProvider({ file: env.LLM_REPLAY_FILE, model: "replay" });
+
+    case "none":
+      return null;
+
+    default:
+      console.warn(`[LLM] Unknown LLM_PROVIDER "${providerName}" - LLM calls disabled`);
+      return null;
+  }
+
+  if (env.LLM_RECORD === "true" && env.LLM_REPLAY_FILE) {
+    console.log(`[LLM] Recording ${provider.name} responses to ${env.LLM_REPLAY_FILE}`);
+    return withRecording(provider, env.LLM_REPLAY_FILE);
+  }
+  return provider;
+}
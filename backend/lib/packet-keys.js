@@ -0,0 +1,21 @@
+import { createHmac } from "node:crypto";
+
+/**
+ * Account keys the extension encrypts stored claim packets with.
+ *
+ * Each key is derived from PACKET_KEY_SECRET and the user id, so the backend
+ * stores nothing and a user gets the same key on every sign-in. Rotating the
+ * secret makes packets stored under the old key unreadable; the extension
+ * then drops them and the packets are fetched again.
+ */
+
+export const PACKET_KEY_VERSION = 1;
+
+/**
+ * 256-bit AES key for a user, base64 encoded
+ */
+export function derivePacketKey(secret, userId) {
+  return createHmac("sha256", secret)
+    .update(`claimi-packet-key:v${PACKET_KEY_VERSION}:${userId}`)
+    .digest("base64");
+}
@@ -0,0 +1,80 @@
+import { createHash, createPrivateKey, createPublicKey, generateKeyPairSync, sign } from "node:crypto";
+
+/**
+ * Signed claim packet handoff from the dashboard to the extension.
+ *
+ * Any script on a dashboard page can dispatch the bridge's events, so the
+ * extension only stores packets this backend signed. The signature is ECDSA
+ * P-256 over the exact payload string. The payload binds the packet to the
+ * signed-in user and to a single-use nonce the extension issued for the
+ * handoff. The extension verifies it with the public key from
+ * GET /api/packet-signing-key.
+ */
+
+export const HANDOFF_PROTOCOL_VERSION = 1;
+export const HANDOFF_TTL_MS = 2 * 60 * 1000;
+export const HANDOFF_SIGNATURE_ALGORITHM = "ECDSA-P256-SHA256";
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+/**
+ * Signing key from a PKCS#8 PEM (PACKET_SIGNING_KEY; "\n" escapes allowed).
+ * Without one, a key is generated per process: fine for local development,
+ * but packets signed before a restart no longer verify.
+ */
+export function createPacketSigner(privateKeyPem) {
+  const privateKey = privateKeyPem
+    ? createPrivateKey(privateKeyPem.replace(/\\n/g, "\n"))
+    : generateKeyPairSync("ec", { namedCurve: "P-256" }).privateKey;
+
+  if (privateKey.asymmetricKeyType !== "ec" || privateKey.asymmetricKeyDetails?.namedCurve !== "prime256v1") {
+    throw new Error("PACKET_SIGNING_KEY must be an EC P-256 private key");
+  }
+
+  const publicKey = createPublicKey(privateKey).export({ type: "spki", format: "der" });
+  return {
+    ephemeral: !privateKeyPem,
+    keyId: createHash("sha256").update(publicKey).digest("hex").slice(0, 16),
+    publicKey: publicKey.toString("base64"),
+    privateKey,
+  };
+}
+
+/**
+ * Validate a POST /api/claim-packets/:settlementId/handoff body.
+ * Returns { nonce, claimId } or { error }.
+ */
+export function normalizeHandoffRequest(body) {
+  const { nonce, claimId } = body || {};
+  if (typeof nonce !== "string" || !NONCE_PATTERN.test(nonce)) {
+    return { error: "nonce must be 16-128 URL-safe characters" };
+  }
+  if (claimId != null && typeof claimId !== "string") {
+    return { error: "claimId must be a string" };
+  }
+  return { nonce, claimId: claimId || null };
+}
+
+/**
+ * Sign a packet for one handoff.
+ * Returns { payload, signature, keyId, algorithm }; payload is the JSON string that was signed.
+ */
+export function signHandoff(signer, { packet, nonce, userId }) {
+  const issuedAt = Date.now();
+  const payload = JSON.stringify({
+    protocolVersion: HANDOFF_PROTOCOL_VERSION,
+    nonce,
+    userId,
+    issuedAt: new Date(issuedAt).toISOString(),
+    expiresAt: new Date(issuedAt + HANDOFF_TTL_MS).toISOString(),
+    packet,
+  });
+
+  const signature = sign("sha256", Buffer.from(payload), { key: signer.privateKey, dsaEncoding: "ieee-p1363" });
+  return {
+    payload,
+    signature: signature.toString("base64"),
+    keyId: signer.keyId,
+    algorithm: HANDOFF_SIGNATURE_ALGORITHM,
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ * Fixed-window in-memory rate limiter middleware.
+ *
+ * Each limiter counts requests per key (user id, client IP, ...) within
+ * `windowMs` and answers 429 with a Retry-After header once `max` is hit.
+ */
+export function createRateLimiter({ scope, windowMs, max, keyFn }) {
+  // key -> { count, resetAt }
+  const windows = new Map();
+
+  // Drop expired windows so the map doesn't grow with every client ever seen
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return function rateLimit(req, res, next) {
+    const key = keyFn(req);
+    if (!key) return next();
+
+    const now = Date.now();
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(key, entry);
+    }
+    entry.count++;
+
+    res.set("X-RateLimit-Limit", String(max));
+    res.set("X-RateLimit-Remaining", String(Math.max(0, max - entry.count)));
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      console.warn(`[RateLimit] ${scope} limit exceeded for ${key}`);
+      return res.status(429).json({
+        error: `Too many requests - ${scope} limit is ${max} per ${Math.round(windowMs / 1000)}s`,
+        code: "rate_limited",
+        scope,
+        retryAfter
+      });
+    }
+
+    next();
+  };
+}
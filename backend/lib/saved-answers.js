@@ -0,0 +1,98 @@
+/**
+ * Answers the user typed into the extension's "We need your input" modal.
+ *
+ * Claim forms ask questions the dashboard never did ("Describe the issue").
+ * The extension saves each answer against the packet and, when signed in,
+ * pushes it here so it lands in the user's `settlement_responses` row under
+ * the "extension" section. The next packet built for that settlement carries
+ * them as `userAnswers`, keyed by question fingerprint, so the question is
+ * answered once per claim.
+ */
+
+export const SAVED_ANSWER_SECTION = "extension";
+
+const MAX_ANSWERS = 50;
+const MAX_ANSWER_LENGTH = 2000;
+
+/**
+ * Normalized question text; the extension builds the same string
+ */
+export function questionFingerprint(question) {
+  return String(question ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .slice(0, 120);
+}
+
+/**
+ * Validate a POST /api/claim-packets/:settlementId/answers body.
+ * Returns { answers: [{ fingerprint, question, answer }] } or { error }.
+ */
+export function normalizeSavedAnswers(body) {
+  const { answers } = body || {};
+  if (!Array.isArray(answers) || answers.length === 0) {
+    return { error: "answers must be a non-empty array" };
+  }
+  if (answers.length > MAX_ANSWERS) {
+    return { error: `at most ${MAX_ANSWERS} answers per request` };
+  }
+
+  const normalized = [];
+  for (const item of answers) {
+    const question = typeof item?.question === "string" ? item.question.trim() : "";
+    const fingerprint = questionFingerprint(question);
+    if (!fingerprint) return { error: "every answer needs a question" };
+
+    const answer = item.answer;
+    if (!["string", "number", "boolean"].includes(typeof answer) || String(answer).trim() === "") {
+      return { error: `answer to "${question.slice(0, 60)}" must be a non-empty string, number or boolean` };
+    }
+    if (String(answer).length > MAX_ANSWER_LENGTH) {
+      return { error: `answer to "${question.slice(0, 60)}" is longer than ${MAX_ANSWER_LENGTH} characters` };
+    }
+
+    normalized.push({ fingerprint, question: question.slice(0, 500), answer });
+  }
+  return { answers: normalized };
+}
+
+/**
+ * The settlement_responses `answers` array with saved answers added; a new
+ * answer to the same question replaces the old one. Dashboard answers are kept.
+ */
+export function mergeSavedAnswers(existing, answers, settlementKey) {
+  const items = Array.isArray(existing) ? existing : [];
+  const fingerprints = new Set(answers.map(a => a.fingerprint));
+  const answeredAt = new Date().toISOString();
+
+  return [
+    ...items.filter(item => item?.section !== SAVED_ANSWER_SECTION || !fingerprints.has(item.fingerprint)),
+    ...answers.map(({ fingerprint, question, answer }) => ({
+      key: `${settlementKey}-${SAVED_ANSWER_SECTION}-${fingerprint.replace(/ /g, "-")}`,
+      section: SAVED_ANSWER_SECTION,
+      question,
+      answer,
+      fingerprint,
+      answered_at: answeredAt,
+    })),
+  ];
+}
+
+/**
+ * Saved answers of a settlement_responses `answers` array, as the packet's
+ * `userAnswers`: { [fingerprint]: { question, answer, answeredAt, source } }
+ */
+export function savedAnswersFrom(items) {
+  const userAnswers = {};
+  for (const item of Array.isArray(items) ? items : []) {
+    if (item?.section !== SAVED_ANSWER_SECTION || !item.fingerprint) continue;
+    userAnswers[item.fingerprint] = {
+      question: item.question,
+      answer: item.answer,
+      answeredAt: item.answered_at || null,
+      source: "settlement_responses",
+    };
+  }
+  return userAnswers;
+}
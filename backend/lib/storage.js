@@ -0,0 +1,504 @@
+import { randomUUID } from "node:crypto";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { createClient } from "@supabase/supabase-js";
+import { CLAIM_COLUMNS } from "./claims.js";
+import { PARSED_SETTLEMENT_COLUMNS, PROFILE_COLUMNS } from "./claim-packets.js";
+import { mergeSavedAnswers } from "./saved-answers.js";
+
+/**
+ * Data-access layer for the API routes.
+ *
+ * Every driver exposes the same async shape:
+ *   name
+ *   health()                                  -> { ok, error?, ... }
+ *   verifyAccessToken(token)                  -> { user } | { error, retryable? }
+ *   refreshSession(refreshToken)              -> { session } | { error }
+ *   findParsedSettlement(settlementId)        -> row | null (by id, then settlement_id)
+ *   findDiscoverySettlement(settlementId)     -> `settlements` row | null
+ *   getProfile(userId)                        -> row | null
+ *   getSettlementResponse(userId, key)        -> row | null
+ *   listClaims(userId)                        -> rows, most recently updated first
+ *   findClaim(userId, claimId)                -> row | null
+ *   findClaimForSettlement(userId, settlementId) -> row | null
+ *   insertClaim(row)                          -> row (throws DuplicateClaimError)
+ *   updateClaim(claimId, expectedStatus, update) -> row | null when the status moved on
+ *   recordFieldFeedback(event)                -> void
+ *   listFieldFeedback(origin)                 -> autofill_feedback rows for an origin
+ *
+ * Query errors are thrown. Selected with env config:
+ *   STORAGE_DRIVER    supabase | local (default: supabase; local must be chosen explicitly)
+ *   LOCAL_STORE_FILE  JSON file the local driver loads and saves (default: in-memory only)
+ *   LOCAL_SEED_FILE   sample-packets.json-style file used to seed an empty local store
+ *                     (default: ../extension/data/sample-packets.json)
+ *   LOCAL_AUTH_TOKEN  bearer token accepted for the local demo user (required for local)
+ */
+
+export class DuplicateClaimError extends Error {
+  constructor(settlementId) {
+    super(`A claim for settlement ${settlementId} already exists`);
+    this.name = "DuplicateClaimError";
+    this.settlementId = settlementId;
+  }
+}
+
+// ============================================================================
+// SUPABASE
+// ============================================================================
+
+function createSupabaseStorage({ url, serviceRoleKey }) {
+  const supabase = createClient(url, serviceRoleKey);
+
+  async function findParsedSettlementBy(column, value) {
+    const { data, error } = await supabase
+      .from("parsed_settlements")
+      .select(PARSED_SETTLEMENT_COLUMNS)
+      .eq(column, value)
+      .maybeSingle();
+
+    // 22P02: value is not valid for the column's type (e.g. a slug against a uuid id)
+    if (error && error.code !== "22P02") throw error;
+    return data || null;
+  }
+
+  return {
+    name: "supabase",
+
+    async health() {
+      const { error } = await supabase.storage.listBuckets();
+      return error ? { ok: false, error: error.message } : { ok: true };
+    },
+
+    async verifyAccessToken(token) {
+      const { data, error } = await supabase.auth.getUser(token);
+      if (error?.name === "AuthRetryableFetchError") {
+        return { error: error.message, retryable: true };
+      }
+      if (error || !data?.user) {
+        return { error: error?.message || "Invalid or expired token" };
+      }
+      return { user: { id: data.user.id, email: data.user.email || null } };
+    },
+
+    // Uses a throwaway client: refreshing on the shared service-role client would
+    // store the user's session on it and downgrade every later query to that user
+    async refreshSession(refreshToken) {
+      const client = createClient(url, serviceRoleKey, {
+        auth: { persistSession: false, autoRefreshToken: false }
+      });
+
+      const { data, error } = await client.auth.refreshSession({ refresh_token: refreshToken });
+      if (error || !data?.session) {
+        return { error: error?.message || "Unable to refresh session" };
+      }
+
+      const { session } = data;
+      return {
+        session: {
+          accessToken: session.access_token,
+          refreshToken: session.refresh_token,
+          expiresAt: session.expires_at,
+          user: { id: session.user.id, email: session.user.email || null }
+        }
+      };
+    },
+
+    async findParsedSettlement(settlementId) {
+      return (await findParsedSettlementBy("id", settlementId)) ||
+        findParsedSettlementBy("settlement_id", settlementId);
+    },
+
+    // The discovery table is optional - a missing table or row just means no rules
+    async findDiscoverySettlement(settlementId) {
+      const { data, error } = await supabase
+        .from("settlements")
+        .select("id,deadline,eligibility_rules,citations")
+        .eq("id", settlementId)
+        .maybeSingle();
+
+      if (error) {
+        console.warn(`[Storage] No discovery settlement ${settlementId}:`, error.message);
+        return null;
+      }
+      return data;
+    },
+
+    async getProfile(userId) {
+      const { data, error } = await supabase.from("profiles").select(PROFILE_COLUMNS).eq("id", userId).maybeSingle();
+      if (error) throw error;
+      return data;
+    },
+
+    async getSettlementResponse(userId, settlementKey) {
+      const { data, error } = await supabase
+        .from("settlement_responses")
+        .select("answers,eligibility_status,submitted_at")
+        .eq("user_id", userId)
+        .eq("settlement_key", settlementKey)
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    },
+
+    // Merge answers saved from the extension into the user's response row (created if missing)
+    async saveSettlementAnswers(userId, settlementKey, answers) {
+      const { data: existing, error: readError } = await supabase
+        .from("settlement_responses")
+        .select("answers")
+        .eq("user_id", userId)
+        .eq("settlement_key", settlementKey)
+        .maybeSingle();
+      if (readError) throw readError;
+
+      const { error } = await supabase
+        .from("settlement_responses")
+        .upsert(
+          { user_id: userId, settlement_key: settlementKey, answers: mergeSavedAnswers(existing?.answers, answers, settlementKey) },
+          { onConflict: "user_id,settlement_key" }
+        );
+      if (error) throw error;
+    },
+
+    async listClaims(userId) {
+      const { data, error } = await supabase
+        .from("claims")
+        .select(CLAIM_COLUMNS)
+        .eq("user_id", userId)
+        .order("updated_at", { ascending: false });
+      if (error) throw error;
+      return data || [];
+    },
+
+    async findClaim(userId, claimId) {
+      const { data, error } = await supabase
+        .from("claims")
+        .select(CLAIM_COLUMNS)
+        .eq("id", claimId)
+        .eq("user_id", userId)
+        .maybeSingle();
+
+      // 22P02: claimId is not a valid uuid
+      if (error && error.code !== "22P02") throw error;
+      return data || null;
+    },
+
+    async findClaimForSettlement(userId, settlementId) {
+      const { data, error } = await supabase
+        .from("claims")
+        .select(CLAIM_COLUMNS)
+        .eq("user_id", userId)
+        .eq("settlement_id", settlementId)
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    },
+
+    async insertClaim(row) {
+      const { data, error } = await supabase.from("claims").insert(row).select(CLAIM_COLUMNS).single();
+      // 23505: the (user_id, settlement_id) unique index caught a concurrent insert
+      if (error?.code === "23505") throw new DuplicateClaimError(row.settlement_id);
+      if (error) throw error;
+      return data;
+    },
+
+    async updateClaim(claimId, expectedStatus, update) {
+      const { data, error } = await supabase
+        .from("claims")
+        .update(update)
+        .eq("id", claimId)
+        .eq("status", expectedStatus)
+        .select(CLAIM_COLUMNS)
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    },
+
+    async recordFieldFeedback(event) {
+      const { error } = await supabase.from("autofill_feedback").insert(event);
+      if (error) throw error;
+    },
+
+    // Newest first, capped - mappings only need recent signals
+    async listFieldFeedback(origin) {
+      const { data, error } = await supabase
+        .from("autofill_feedback")
+        .select("user_id,fingerprint,key,key_source,accepted,created_at")
+        .eq("origin", origin)
+        .order("created_at", { ascending: false })
+        .limit(5000);
+      if (error) throw error;
+      return data || [];
+    },
+  };
+}
+
+// ============================================================================
+// LOCAL - in-memory tables, optionally persisted to a JSON file
+// ============================================================================
+
+const LOCAL_USER_ID = "00000000-0000-4000-8000-000000000001";
+
+function answerTypeFor(value) {
+  if (typeof value === "boolean") return "yes_no";
+  if (typeof value === "number") return "number";
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return "date";
+  if (/^-?\d+(\.\d+)?$/.test(String(value))) return "number";
+  return "text";
+}
+
+function storedAnswer(value) {
+  if (typeof value === "boolean") return value ? "yes" : "no";
+  return value;
+}
+
+/**
+ * Build local tables from sample-packets.json-style packets: one demo user whose
+ * profile comes from the first packet, one parsed settlement per packet with an
+ * onboarding question per case answer, and the user's answers to those questions
+ */
+export function seedTablesFromPackets(packets, { userId = LOCAL_USER_ID, accessToken } = {}) {
+  const now = new Date().toISOString();
+  const first = packets[0]?.userData || {};
+  const tables = {
+    users: [{
+      id: userId,
+      email: first.email || "demo@claimi.local",
+      accessToken,
+      refreshToken: `${accessToken}-refresh`,
+    }],
+    profiles: [{
+      id: userId,
+      legal_first_name: first.firstName || "",
+      legal_last_name: first.lastName || "",
+      email: first.email || "",
+      phone_number: first.phone || "",
+      street_address: first.address?.street || "",
+      city: first.address?.city || "",
+      state: first.address?.state || "",
+      zip_code: first.address?.zip || "",
+      country: first.address?.country || "",
+      date_of_birth: first.dateOfBirth || null,
+      onboarded: true,
+    }],
+    parsed_settlements: [],
+    settlements: [],
+    settlement_responses: [],
+    claims: [],
+    autofill_feedback: [],
+  };
+
+  for (const packet of packets) {
+    if (!packet?.id) continue;
+    const caseAnswers = packet.caseAnswers || {};
+    const meta = packet.caseAnswerMeta || {};
+
+    tables.parsed_settlements.push({
+      id: packet.id,
+      settlement_id: packet.id,
+      settlement_title: packet.settlementName || packet.id,
+      source_url: packet.settlementUrl || "",
+      claim_form_url: packet.claimFormUrl || packet.settlementUrl || "",
+      general_requirements: [],
+      specific_requirements: [],
+      onboarding_questions: Object.entries(caseAnswers).map(([key, value]) => ({
+        id: key,
+        question: meta[key] || key,
+        answer_type: answerTypeFor(value),
+        maps_to_requirement: meta[key] || key,
+      })),
+      proof_checklist: [],
+      created_at: now,
+      updated_at: now,
+    });
+
+    tables.settlements.push({
+      id: packet.id,
+      deadline: packet.deadline || null,
+      eligibility_rules: packet.eligibilityRules || null,
+      citations: packet.citations || [],
+    });
+
+    tables.settlement_responses.push({
+      user_id: userId,
+      settlement_key: packet.id,
+      answers: Object.entries(caseAnswers).map(([key, value]) => ({
+        key: `${packet.id}-question-${key}`,
+        section: "onboarding",
+        question: meta[key] || key,
+        answer: storedAnswer(value),
+      })),
+      eligibility_status: null,
+      submitted_at: now,
+    });
+  }
+
+  return tables;
+}
+
+function pick(row, columns) {
+  if (!row) return null;
+  return Object.fromEntries(columns.split(",").map(column => [column, row[column] ?? null]));
+}
+
+// Rows handed out are copies so callers can't mutate the store by accident
+const clone = value => (value == null ? value : structuredClone(value));
+
+function createLocalStorage({ file, seedFile, accessToken }) {
+  let tables;
+  if (file && existsSync(file)) {
+    tables = JSON.parse(readFileSync(file, "utf8"));
+    console.log(`[Storage] Local store loaded from ${file}`);
+    tables.autofill_feedback ||= [];
+  } else {
+    const packets = seedFile && existsSync(seedFile)
+      ? JSON.parse(readFileSync(seedFile, "utf8")).packets || []
+      : [];
+    tables = seedTablesFromPackets(packets, { accessToken });
+    console.log(`[Storage] Local store seeded with ${packets.length} packets from ${seedFile || "(none)"}`);
+  }
+
+  const save = () => {
+    if (file) writeFileSync(file, `${JSON.stringify(tables, null, 2)}\n`);
+  };
+  save();
+
+  const findUser = predicate => tables.users.find(predicate) || null;
+
+  return {
+    name: "local",
+
+    async health() {
+      return {
+        ok: true,
+        settlements: tables.parsed_settlements.length,
+        claims: tables.claims.length,
+        persisted: Boolean(file),
+      };
+    },
+
+    // LOCAL_AUTH_TOKEN always signs in the demo user, even against an older store file
+    async verifyAccessToken(token) {
+      const user = findUser(u => u.accessToken === token) || (token === accessToken ? tables.users[0] : null);
+      return user
+        ? { user: { id: user.id, email: user.email || null } }
+        : { error: "Unknown local access token" };
+    },
+
+    // Local tokens don't expire; hand the same one back
+    async refreshSession(refreshToken) {
+      const user = findUser(u => u.refreshToken === refreshToken);
+      if (!user) return { error: "Unknown local refresh token" };
+      return {
+        session: {
+          accessToken: user.accessToken,
+          refreshToken: user.refreshToken,
+          expiresAt: Math.floor(Date.now() / 1000) + 24 * 60 * 60,
+          user: { id: user.id, email: user.email || null }
+        }
+      };
+    },
+
+    async findParsedSettlement(settlementId) {
+      const row = tables.parsed_settlements.find(s => String(s.id) === String(settlementId)) ||
+        tables.parsed_settlements.find(s => String(s.settlement_id) === String(settlementId));
+      return clone(pick(row, PARSED_SETTLEMENT_COLUMNS));
+    },
+
+    async findDiscoverySettlement(settlementId) {
+      return clone(tables.settlements.find(s => String(s.id) === String(settlementId)) || null);
+    },
+
+    async getProfile(userId) {
+      return clone(pick(tables.profiles.find(p => p.id === userId), PROFILE_COLUMNS));
+    },
+
+    async getSettlementResponse(userId, settlementKey) {
+      const row = tables.settlement_responses.find(r => r.user_id === userId && r.settlement_key === settlementKey);
+      return clone(pick(row, "answers,eligibility_status,submitted_at"));
+    },
+
+    async saveSettlementAnswers(userId, settlementKey, answers) {
+      let row = tables.settlement_responses.find(r => r.user_id === userId && r.settlement_key === settlementKey);
+      if (!row) {
+        row = { user_id: userId, settlement_key: settlementKey, answers: [], eligibility_status: null, submitted_at: null };
+        tables.settlement_responses.push(row);
+      }
+      row.answers = mergeSavedAnswers(row.answers, answers, settlementKey);
+      save();
+    },
+
+    async listClaims(userId) {
+      return clone(tables.claims
+        .filter(c => c.user_id === userId)
+        .sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at))));
+    },
+
+    async findClaim(userId, claimId) {
+      return clone(tables.claims.find(c => c.id === claimId && c.user_id === userId) || null);
+    },
+
+    async findClaimForSettlement(userId, settlementId) {
+      return clone(tables.claims.find(c => c.user_id === userId && c.settlement_id === settlementId) || null);
+    },
+
+    async insertClaim(row) {
+      if (tables.claims.some(c => c.user_id === row.user_id && c.settlement_id === row.settlement_id)) {
+        throw new DuplicateClaimError(row.settlement_id);
+      }
+      const claim = pick({ id: randomUUID(), ...row }, CLAIM_COLUMNS);
+      tables.claims.push(claim);
+      save();
+      return clone(claim);
+    },
+
+    async updateClaim(claimId, expectedStatus, update) {
+      const claim = tables.claims.find(c => c.id === claimId && c.status === expectedStatus);
+      if (!claim) return null;
+      Object.assign(claim, update);
+      save();
+      return clone(claim);
+    },
+
+    async recordFieldFeedback(event) {
+      tables.autofill_feedback.push({ ...event });
+      save();
+    },
+
+    async listFieldFeedback(origin) {
+      return clone(tables.autofill_feedback.filter(e => e.origin === origin));
+    },
+  };
+}
+
+// ============================================================================
+// SELECTION
+// ============================================================================
+
+/**
+ * Build the storage driver selected by env config
+ */
+export function createStorage(env = process.env) {
+  const hasSupabase = Boolean(env.SUPABASE_URL && env.SUPABASE_SERVICE_ROLE_KEY);
+  const driver = env.STORAGE_DRIVER || "supabase";
+
+  switch (driver) {
+    case "supabase":
+      if (!hasSupabase) {
+        throw new Error("Storage needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY, or STORAGE_DRIVER=local for the local store");
+      }
+      return createSupabaseStorage({ url: env.SUPABASE_URL, serviceRoleKey: env.SUPABASE_SERVICE_ROLE_KEY });
+
+    case "local":
+      // No default token - a well-known one would sign anyone in as the demo user
+      if (!env.LOCAL_AUTH_TOKEN) {
+        throw new Error("STORAGE_DRIVER=local needs LOCAL_AUTH_TOKEN");
+      }
+      return createLocalStorage({
+        file: env.LOCAL_STORE_FILE || null,
+        seedFile: env.LOCAL_SEED_FILE || new URL("../../extension/data/sample-packets.json", import.meta.url).pathname,
+        accessToken: env.LOCAL_AUTH_TOKEN,
+      });
+
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" - use supabase or local`);
+  }
+}
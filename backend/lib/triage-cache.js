@@ -0,0 +1,133 @@
+import { createHash } from "node:crypto";
+
+/**
+ * Form-fingerprint cache for triage results.
+ *
+ * Claim forms are shared by every claimant of a settlement, so the LLM
+ * classification of a form only needs to happen once per field set.
+ * Entries are keyed by a hash of the origin plus the normalized fields and
+ * expire after TRIAGE_CACHE_TTL_MS. When a form location (origin + path)
+ * reports a different fingerprint, the previous entry is invalidated.
+ */
+
+const TTL_MS = Number(process.env.TRIAGE_CACHE_TTL_MS) || 6 * 60 * 60 * 1000;
+const MAX_ENTRIES = Number(process.env.TRIAGE_CACHE_MAX_ENTRIES) || 500;
+
+// fingerprint -> { result, formLocation, createdAt, expiresAt }
+const entries = new Map();
+// formLocation -> latest fingerprint seen for that form
+const fingerprintsByLocation = new Map();
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  expirations: 0,
+  invalidations: 0,
+  evictions: 0,
+};
+
+/**
+ * Normalize label text so cosmetic differences (case, spacing, asterisks)
+ * don't change the fingerprint
+ */
+function normalizeLabel(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[*:]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function sha256(value) {
+  return createHash("sha256").update(value).digest("hex");
+}
+
+/**
+ * Hash the origin plus the normalized field ids, labels and types.
+ * The available packet keys are included too, since suggestedKey values
+ * are only valid for the key set they were chosen from.
+ */
+export function computeFormFingerprint({ origin, fields, availableUserDataKeys, availableCaseAnswerKeys }) {
+  const normalizedFields = (fields || [])
+    .map(f => [String(f.id || ""), normalizeLabel(f.label), String(f.type || "text").toLowerCase()].join("|"))
+    .sort();
+
+  const keys = [...(availableUserDataKeys || []), ...(availableCaseAnswerKeys || [])].sort();
+
+  return sha256(JSON.stringify({
+    origin: String(origin || "").toLowerCase(),
+    fields: normalizedFields,
+    keys,
+  }));
+}
+
+/**
+ * Look up a cached triage result. Returns the stored result or null.
+ */
+export function getCachedTriage(fingerprint) {
+  const entry = entries.get(fingerprint);
+
+  if (!entry) {
+    stats.misses++;
+    return null;
+  }
+
+  if (entry.expiresAt <= Date.now()) {
+    entries.delete(fingerprint);
+    stats.expirations++;
+    stats.misses++;
+    return null;
+  }
+
+  // Refresh recency for LRU eviction
+  entries.delete(fingerprint);
+  entries.set(fingerprint, entry);
+  stats.hits++;
+  return entry.result;
+}
+
+/**
+ * Store a triage result. formLocation (origin + path) is used to drop the
+ * previous entry when the same form comes back with a different field set.
+ */
+export function setCachedTriage(fingerprint, result, formLocation) {
+  if (formLocation) {
+    const previous = fingerprintsByLocation.get(formLocation);
+    if (previous && previous !== fingerprint && entries.delete(previous)) {
+      stats.invalidations++;
+      console.log(`[TriageCache] Field set changed for ${formLocation}, invalidated previous entry`);
+    }
+    fingerprintsByLocation.set(formLocation, fingerprint);
+  }
+
+  entries.delete(fingerprint);
+  entries.set(fingerprint, {
+    result,
+    formLocation: formLocation || null,
+    createdAt: Date.now(),
+    expiresAt: Date.now() + TTL_MS,
+  });
+
+  while (entries.size > MAX_ENTRIES) {
+    const [oldest, evicted] = entries.entries().next().value;
+    entries.delete(oldest);
+    if (fingerprintsByLocation.get(evicted.formLocation) === oldest) {
+      fingerprintsByLocation.delete(evicted.formLocation);
+    }
+    stats.evictions++;
+  }
+}
+
+/**
+ * Hit/miss counters for /health
+ */
+export function getTriageCacheStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    ...stats,
+    size: entries.size,
+    maxEntries: MAX_ENTRIES,
+    ttlMs: TTL_MS,
+    hitRate: lookups ? Number((stats.hits / lookups).toFixed(3)) : 0,
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * Schema validation and per-field reconciliation of LLM triage output.
+ *
+ * The LLM response is checked item by item against the submitted fields and
+ * the available packet keys. Invalid items, and fields the LLM skipped, are
+ * re-classified individually with the heuristic classifier so one bad item
+ * never forces a wholesale fallback.
+ */
+
+export const TRIAGE_CATEGORIES = [
+  "STANDARD_PROFILE",
+  "CASE_ANSWER",
+  "CONTEXTUAL_DATA",
+  "FILE_UPLOAD",
+  "USER_QUESTION",
+  "SKIP",
+];
+
+// Categories whose suggestedKey must come from a specific key list
+const KEYED_CATEGORIES = {
+  STANDARD_PROFILE: "availableUserDataKeys",
+  CASE_ANSWER: "availableCaseAnswerKeys",
+  CONTEXTUAL_DATA: "availableCaseAnswerKeys",
+};
+
+/**
+ * Validate one classification item.
+ * Returns { ok: true, value } with a normalized item, or { ok: false, errors }.
+ */
+export function validateClassification(item, { fieldIds, availableUserDataKeys = [], availableCaseAnswerKeys = [] }) {
+  const errors = [];
+
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    return { ok: false, errors: ["item is not an object"] };
+  }
+
+  const fieldId = item.fieldId == null ? null : String(item.fieldId);
+  if (!fieldId) {
+    errors.push("fieldId is missing");
+  } else if (!fieldIds.has(fieldId)) {
+    errors.push(`fieldId "${fieldId}" does not match a submitted field`);
+  }
+
+  if (!TRIAGE_CATEGORIES.includes(item.category)) {
+    errors.push(`category "${item.category}" is not one of ${TRIAGE_CATEGORIES.join(", ")}`);
+  }
+
+  const confidence = Number(item.confidence);
+  if (item.confidence == null || !Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+    errors.push(`confidence "${item.confidence}" is not a number between 0 and 1`);
+  }
+
+  const keyList = KEYED_CATEGORIES[item.category];
+  const hasKey = item.suggestedKey != null && item.suggestedKey !== "";
+  if (hasKey && keyList) {
+    const allowed = keyList === "availableUserDataKeys" ? availableUserDataKeys : availableCaseAnswerKeys;
+    if (!allowed.includes(item.suggestedKey)) {
+      errors.push(`suggestedKey "${item.suggestedKey}" is not in ${keyList}`);
+    }
+  }
+
+  if (item.promptForUser != null && typeof item.promptForUser !== "string") {
+    errors.push("promptForUser is not a string");
+  }
+
+  if (errors.length > 0) {
+    return { ok: false, errors };
+  }
+
+  const value = { fieldId, category: item.category, confidence };
+  if (hasKey && keyList) value.suggestedKey = item.suggestedKey;
+  if (item.promptForUser) value.promptForUser = item.promptForUser;
+  return { ok: true, value };
+}
+
+/**
+ * Reconcile raw LLM items against the submitted fields.
+ *
+ * Returns {
+ *   classifications: one item per submitted field, each with `source`,
+ *   fieldSources: { [fieldId]: "llm" | "heuristic" },
+ *   rejected: [{ fieldId, errors }],
+ *   method: "llm" when every field came from the LLM, otherwise "llm-partial"
+ * }
+ */
+export function reconcileClassifications(rawItems, { fields, availableUserDataKeys = [], availableCaseAnswerKeys = [], classifyHeuristic }) {
+  const fieldIds = new Set(fields.map(f => String(f.id)));
+  const accepted = new Map();
+  const rejected = [];
+
+  for (const item of Array.isArray(rawItems) ? rawItems : []) {
+    const result = validateClassification(item, { fieldIds, availableUserDataKeys, availableCaseAnswerKeys });
+    const fieldId = item?.fieldId == null ? null : String(item.fieldId);
+
+    if (!result.ok) {
+      rejected.push({ fieldId, errors: result.errors });
+    } else if (accepted.has(result.value.fieldId)) {
+      rejected.push({ fieldId, errors: ["duplicate classification for fieldId"] });
+    } else {
+      accepted.set(result.value.fieldId, result.value);
+    }
+  }
+
+  const classifications = [];
+  const fieldSources = {};
+  const seen = new Set();
+
+  for (const field of fields) {
+    const fieldId = String(field.id);
+    // Fields sharing an id (e.g. radio groups by name) share one classification
+    if (seen.has(fieldId)) continue;
+    seen.add(fieldId);
+
+    if (accepted.has(fieldId)) {
+      classifications.push({ ...accepted.get(fieldId), source: "llm" });
+      fieldSources[fieldId] = "llm";
+    } else {
+      const fallback = classifyHeuristic(field, availableUserDataKeys, availableCaseAnswerKeys);
+      classifications.push({ ...fallback, fieldId, source: "heuristic" });
+      fieldSources[fieldId] = "heuristic";
+    }
+  }
+
+  const heuristicCount = Object.values(fieldSources).filter(s => s === "heuristic").length;
+
+  return {
+    classifications,
+    fieldSources,
+    rejected,
+    method: heuristicCount === 0 ? "llm" : "llm-partial",
+  };
+}
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildTransition, canTransition, newClaimRow, normalizeFillSummary } from "../lib/claims.js";
+
+const prepared = () => newClaimRow({ userId: "u1", settlementId: "s1", settlementName: "Acme" });
+
+test("claims move forward through the lifecycle", () => {
+  assert.ok(canTransition("prepared", "filled"));
+  assert.ok(canTransition("prepared", "submitted"));
+  assert.ok(canTransition("filled", "filled"));
+  assert.ok(canTransition("filled", "submitted"));
+  assert.ok(canTransition("submitted", "confirmed"));
+  assert.ok(canTransition("confirmed", "paid"));
+});
+
+test("claims never move backwards or skip confirmation", () => {
+  assert.equal(canTransition("submitted", "filled"), false);
+  assert.equal(canTransition("submitted", "paid"), false);
+  assert.equal(canTransition("paid", "confirmed"), false);
+  assert.equal(canTransition("prepared", "confirmed"), false);
+  assert.equal(canTransition("unknown", "filled"), false);
+});
+
+test("an allowed transition stamps its time and appends to the history", () => {
+  const { update, error } = buildTransition(prepared(), "submitted", { confirmationNumber: "ABC-123" });
+  assert.equal(error, undefined);
+  assert.equal(update.status, "submitted");
+  assert.equal(update.confirmation_number, "ABC-123");
+  assert.equal(update.submitted_at, update.updated_at);
+  assert.deepEqual(update.status_history.map(entry => entry.status), ["prepared", "submitted"]);
+});
+
+test("a forbidden transition is refused with a code", () => {
+  const claim = { ...prepared(), status: "paid" };
+  assert.deepEqual(buildTransition(claim, "submitted"), {
+    error: 'Cannot move claim from "paid" to "submitted"',
+    code: "invalid_transition",
+  });
+  assert.equal(buildTransition(prepared(), "lost").code, "invalid_status");
+});
+
+test("payout amounts of zero are kept", () => {
+  const claim = { ...prepared(), status: "confirmed" };
+  assert.equal(buildTransition(claim, "paid", { payoutAmount: 0 }).update.payout_amount, 0);
+  assert.equal("payout_amount" in buildTransition(claim, "paid").update, false);
+});
+
+test("fill summaries keep counts and trimmed field entries only", () => {
+  const summary = normalizeFillSummary({
+    filled: "3",
+    pending: "x",
+    fields: [{ fieldId: 7, key: "email", confidence: 0.9, value: "jane@example.com" }],
+  });
+  assert.equal(summary.filled, 3);
+  assert.equal(summary.pending, 0);
+  assert.deepEqual(summary.fields, [{ fieldId: "7", key: "email", category: null, source: null, confidence: 0.9 }]);
+  assert.equal(normalizeFillSummary("nope"), null);
+});
@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateEligibility, parseMinimumAge, VERDICTS } from "../lib/eligibility.js";
+
+const asOf = new Date("2026-06-15T12:00:00Z");
+
+// One onboarding question, answered with `answer`
+function evaluateAnswer(question, answer) {
+  const settlement = { id: "s1", onboarding_questions: [{ id: 1, ...question }] };
+  const { results } = evaluateEligibility({ settlement, profile: {}, answers: { "s1-question-1": answer }, asOf });
+  return results[0].verdict;
+}
+
+test("parses minimum ages from requirement text", () => {
+  assert.equal(parseMinimumAge("You must be 18 years or older"), 18);
+  assert.equal(parseMinimumAge("Claimants must be at least 21 years old"), 21);
+  assert.equal(parseMinimumAge("Open to adults 18+"), 18);
+  assert.equal(parseMinimumAge("Purchased 2 or more products"), null);
+});
+
+test("a passed deadline disqualifies", () => {
+  const settlement = { id: "s1" };
+  const passed = evaluateEligibility({ settlement, discovery: { deadline: "2026-06-01" }, profile: {}, answers: {}, asOf });
+  assert.equal(passed.status, VERDICTS.doesNotQualify);
+  assert.equal(passed.results[0].reason, "The claim deadline has passed");
+
+  const open = evaluateEligibility({ settlement, discovery: { deadline: "2026-07-01" }, profile: {}, answers: {}, asOf });
+  assert.equal(open.status, VERDICTS.qualifies);
+});
+
+test("age requirements are decided from the date of birth", () => {
+  const settlement = { id: "s1", general_requirements: [{ id: 1, description: "Must be 18 years or older" }] };
+  const evaluate = dateOfBirth => evaluateEligibility({ settlement, profile: { date_of_birth: dateOfBirth }, answers: {}, asOf });
+
+  const adult = evaluate("2008-06-15");
+  assert.equal(adult.status, VERDICTS.qualifies);
+  assert.equal(adult.results[0].kind, "age");
+  assert.equal(adult.results[0].reason, "You are 18; the minimum age is 18");
+
+  // Turns 18 the day after
+  assert.equal(evaluate("2008-06-16").status, VERDICTS.doesNotQualify);
+});
+
+test("without a date of birth an age requirement needs an answer", () => {
+  const settlement = { id: "s1", general_requirements: [{ id: 1, description: "Must be 18 years or older" }] };
+  const { status } = evaluateEligibility({ settlement, profile: {}, answers: {}, asOf });
+  assert.equal(status, VERDICTS.needsInfo);
+});
+
+test("a disqualifying yes/no answer disqualifies", () => {
+  const question = { question: "Are you an employee of Acme?", disqualifying_answer: "yes" };
+  assert.equal(evaluateAnswer(question, "yes"), VERDICTS.doesNotQualify);
+  assert.equal(evaluateAnswer(question, "no"), VERDICTS.qualifies);
+  assert.equal(evaluateAnswer(question, ""), VERDICTS.needsInfo);
+});
+
+test("number answers compare against the disqualifying operator", () => {
+  const below = { question: "How many did you buy?", answer_type: "number", disqualifying_answer: "< 1" };
+  assert.equal(evaluateAnswer(below, "0"), VERDICTS.doesNotQualify);
+  assert.equal(evaluateAnswer(below, "1"), VERDICTS.qualifies);
+
+  const atLeast = { ...below, disqualifying_answer: ">= 1,000" };
+  assert.equal(evaluateAnswer(atLeast, "1000"), VERDICTS.doesNotQualify);
+  assert.equal(evaluateAnswer(atLeast, "999"), VERDICTS.qualifies);
+
+  const exactly = { ...below, disqualifying_answer: "3" };
+  assert.equal(evaluateAnswer(exactly, "3"), VERDICTS.doesNotQualify);
+  assert.equal(evaluateAnswer(exactly, "4"), VERDICTS.qualifies);
+});
+
+test("date answers compare against before/after limits", () => {
+  const before = { question: "When did you buy it?", answer_type: "date", disqualifying_answer: "before 2020-01-01" };
+  assert.equal(evaluateAnswer(before, "2019-12-31"), VERDICTS.doesNotQualify);
+  assert.equal(evaluateAnswer(before, "2020-01-01"), VERDICTS.qualifies);
+
+  const onOrAfter = { ...before, disqualifying_answer: "on or after 2024-03-01" };
+  assert.equal(evaluateAnswer(onOrAfter, "2024-03-01"), VERDICTS.doesNotQualify);
+  assert.equal(evaluateAnswer(onOrAfter, "2024-02-29"), VERDICTS.qualifies);
+});
+
+test("a disqualifying answer that can't be compared doesn't disqualify", () => {
+  const question = { question: "How many?", answer_type: "number", disqualifying_answer: "a few" };
+  assert.equal(evaluateAnswer(question, "2"), VERDICTS.qualifies);
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { aggregateMappings } from "../lib/field-mappings.js";
+
+let clock = 0;
+function event(userId, key, accepted) {
+  clock++;
+  return {
+    user_id: userId,
+    fingerprint: "text|ssn|social security number",
+    key,
+    key_source: "userData",
+    accepted,
+    created_at: new Date(Date.UTC(2026, 0, 1, 0, 0, clock)).toISOString(),
+  };
+}
+
+test("one user's Accept does not produce a mapping", () => {
+  const [mapping] = aggregateMappings([event("u1", "ssn", true)]);
+  assert.equal(mapping.key, null);
+  assert.equal(mapping.confidence, 0);
+});
+
+test("repeated Accepts from one user count once", () => {
+  const [mapping] = aggregateMappings([event("u1", "ssn", true), event("u1", "ssn", true), event("u1", "ssn", true)]);
+  assert.equal(mapping.key, null);
+});
+
+test("Accepts from two users reach the default threshold", () => {
+  const [mapping] = aggregateMappings([event("u1", "ssn", true), event("u2", "ssn", true)]);
+  assert.equal(mapping.key, "ssn");
+  assert.equal(mapping.confidence, 0.75);
+});
+
+test("a later Clear replaces that user's Accept", () => {
+  const [mapping] = aggregateMappings([event("u1", "ssn", true), event("u2", "ssn", true), event("u2", "ssn", false)]);
+  assert.equal(mapping.key, null);
+});
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createLlmProvider, fixtureKey, ReplayMissError } from "../lib/llm-providers.js";
+import { reconcileClassifications } from "../lib/triage-schema.js";
+
+const FIXTURES = new URL("../fixtures/llm-replay.json", import.meta.url).pathname;
+const fixtures = JSON.parse(readFileSync(FIXTURES, "utf8"));
+
+test("no provider without configuration", () => {
+  assert.equal(createLlmProvider({}), null);
+  assert.equal(createLlmProvider({ LLM_PROVIDER: "none", OPENAI_API_KEY: "sk-test" }), null);
+});
+
+test("defaults to openai when OPENAI_API_KEY is set", () => {
+  const provider = createLlmProvider({ OPENAI_API_KEY: "sk-test", LLM_MODEL: "gpt-test" });
+  assert.equal(provider.name, "openai");
+  assert.equal(provider.model, "gpt-test");
+});
+
+test("providers missing their required settings are disabled", () => {
+  assert.equal(createLlmProvider({ LLM_PROVIDER: "openai" }), null);
+  assert.equal(createLlmProvider({ LLM_PROVIDER: "openai-compatible" }), null);
+  assert.equal(createLlmProvider({ LLM_PROVIDER: "no-such-provider" }), null);
+});
+
+test("openai-compatible only needs a base URL", () => {
+  const provider = createLlmProvider({ LLM_PROVIDER: "openai-compatible", LLM_BASE_URL: "http://localhost:11434/v1" });
+  assert.equal(provider.name, "openai-compatible");
+});
+
+test("LLM_TEMPERATURE falls back to 0.1 unless it is a number from 0 to 2", () => {
+  const temperature = value => createLlmProvider({ OPENAI_API_KEY: "sk-test", LLM_TEMPERATURE: value }).temperature;
+  assert.equal(temperature(undefined), 0.1);
+  assert.equal(temperature("0"), 0);
+  assert.equal(temperature("0.7"), 0.7);
+  assert.equal(temperature("warm"), 0.1);
+  assert.equal(temperature("5"), 0.1);
+});
+
+test("fixture keys ignore object key order", () => {
+  assert.equal(fixtureKey("triage", { a: 1, b: [{ c: 2, d: 3 }] }), fixtureKey("triage", { b: [{ d: 3, c: 2 }], a: 1 }));
+  assert.notEqual(fixtureKey("triage", { a: 1 }), fixtureKey("map-field", { a: 1 }));
+});
+
+test("every recorded fixture is stored under the key of its input", () => {
+  for (const [key, entry] of Object.entries(fixtures.entries)) {
+    assert.equal(fixtureKey(entry.kind, entry.input), key, `${entry.kind} fixture ${key.slice(0, 12)}`);
+  }
+});
+
+test("replay answers recorded inputs and misses unknown ones", async () => {
+  const provider = createLlmProvider({ LLM_PROVIDER: "replay", LLM_REPLAY_FILE: FIXTURES });
+  assert.equal(provider.name, "replay");
+
+  for (const entry of Object.values(fixtures.entries)) {
+    const response = await provider.completeJson({ kind: entry.kind, system: "", user: "", input: entry.input });
+    assert.deepEqual(JSON.parse(response), entry.response);
+  }
+
+  await assert.rejects(
+    provider.completeJson({ kind: "triage", input: { fields: [] } }),
+    ReplayMissError
+  );
+});
+
+test("replay without a fixture file misses everything", async () => {
+  const provider = createLlmProvider({ LLM_PROVIDER: "replay" });
+  await assert.rejects(provider.completeJson({ kind: "map-field", input: {} }), ReplayMissError);
+});
+
+test("recording wraps the live provider", () => {
+  const file = join(mkdtempSync(join(tmpdir(), "claimi-llm-")), "replay.json");
+  const provider = createLlmProvider({ OPENAI_API_KEY: "sk-test", LLM_RECORD: "true", LLM_REPLAY_FILE: file });
+  assert.equal(provider.name, "openai");
+  assert.equal(typeof provider.completeJson, "function");
+});
+
+test("recorded triage replays into a fully LLM-classified form", async () => {
+  const { input } = Object.values(fixtures.entries).find(entry => entry.kind === "triage");
+
+  const provider = createLlmProvider({ LLM_PROVIDER: "replay", LLM_REPLAY_FILE: FIXTURES });
+  const parsed = JSON.parse(await provider.completeJson({ kind: "triage", input }));
+  const classifyHeuristic = () => ({ category: "SKIP", confidence: 0.3 });
+  const result = reconcileClassifications(parsed.classifications, { ...input, classifyHeuristic });
+
+  assert.equal(result.method, "llm");
+  assert.deepEqual(result.rejected, []);
+  assert.equal(result.classifications.length, input.fields.length);
+});
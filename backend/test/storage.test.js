@@ -0,0 +1,19 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createStorage } from "../lib/storage.js";
+
+test("refuses to fall back to the local store without STORAGE_DRIVER=local", () => {
+  assert.throws(() => createStorage({}), /STORAGE_DRIVER=local/);
+  assert.throws(() => createStorage({ LOCAL_AUTH_TOKEN: "secret" }), /SUPABASE_URL/);
+});
+
+test("the local driver needs LOCAL_AUTH_TOKEN", () => {
+  assert.throws(() => createStorage({ STORAGE_DRIVER: "local" }), /LOCAL_AUTH_TOKEN/);
+});
+
+test("the local driver signs in the demo user with LOCAL_AUTH_TOKEN only", async () => {
+  const storage = createStorage({ STORAGE_DRIVER: "local", LOCAL_AUTH_TOKEN: "secret" });
+  assert.equal(storage.name, "local");
+  assert.ok((await storage.verifyAccessToken("secret")).user);
+  assert.ok(!(await storage.verifyAccessToken("local-dev-token")).user);
+});
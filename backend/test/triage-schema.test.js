@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { reconcileClassifications, validateClassification } from "../lib/triage-schema.js";
+
+const context = {
+  fieldIds: new Set(["first_name", "purchased_product"]),
+  availableUserDataKeys: ["firstName", "email"],
+  availableCaseAnswerKeys: ["purchasedProduct"],
+};
+
+const classifyHeuristic = () => ({ category: "SKIP", confidence: 0.3 });
+
+test("accepts a well-formed classification", () => {
+  const result = validateClassification(
+    { fieldId: "first_name", category: "STANDARD_PROFILE", suggestedKey: "firstName", confidence: "0.9" },
+    context
+  );
+  assert.deepEqual(result, { ok: true, value: { fieldId: "first_name", category: "STANDARD_PROFILE", confidence: 0.9, suggestedKey: "firstName" } });
+});
+
+test("rejects unknown fields, categories and out-of-range confidence", () => {
+  const result = validateClassification({ fieldId: "nope", category: "GUESS", confidence: 1.5 }, context);
+  assert.equal(result.ok, false);
+  assert.equal(result.errors.length, 3);
+});
+
+test("rejects a suggestedKey from the wrong key list", () => {
+  const result = validateClassification(
+    { fieldId: "purchased_product", category: "CASE_ANSWER", suggestedKey: "firstName", confidence: 0.8 },
+    context
+  );
+  assert.equal(result.ok, false);
+  assert.match(result.errors[0], /availableCaseAnswerKeys/);
+});
+
+test("rejects non-objects and a non-string promptForUser", () => {
+  assert.equal(validateClassification(null, context).ok, false);
+  assert.equal(validateClassification(["x"], context).ok, false);
+  assert.equal(validateClassification({ fieldId: "first_name", category: "USER_QUESTION", confidence: 0.5, promptForUser: 3 }, context).ok, false);
+});
+
+test("invalid, duplicate and missing items fall back to the heuristic per field", () => {
+  const fields = [{ id: "first_name" }, { id: "purchased_product" }, { id: "purchased_product" }];
+  const result = reconcileClassifications([
+    { fieldId: "first_name", category: "STANDARD_PROFILE", suggestedKey: "firstName", confidence: 0.9 },
+    { fieldId: "first_name", category: "SKIP", confidence: 0.9 },
+    { fieldId: "purchased_product", category: "CASE_ANSWER", suggestedKey: "unknownKey", confidence: 0.9 },
+  ], { ...context, fields, classifyHeuristic });
+
+  assert.equal(result.method, "llm-partial");
+  assert.equal(result.classifications.length, 2);
+  assert.deepEqual(result.fieldSources, { first_name: "llm", purchased_product: "heuristic" });
+  assert.equal(result.rejected.length, 2);
+});
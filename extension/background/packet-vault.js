@@ -0,0 +1,78 @@
+/**
+ * Claimi Packet Vault - Service Worker
+ *
+ * WebCrypto helpers for claim packets at rest. Packets are stored as AES-GCM
+ * envelopes ({ iv, data }, base64) under a 256-bit key that is one of:
+ * - derived from the user's passphrase (PBKDF2-SHA256, per-vault salt)
+ * - the account key the backend issues to the signed-in user
+ * - a random key kept only in chrome.storage.session (the default), so the
+ *   packets become unreadable when the browser closes
+ *
+ * Key handling and storage live in the PACKET VAULT section of
+ * service-worker.js. Loaded with importScripts before it.
+ */
+
+const VAULT_PBKDF2_ITERATIONS = 310000;
+const VAULT_CHECK_TEXT = 'claimi-vault';
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (const byte of new Uint8Array(bytes)) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+function randomVaultSalt() {
+  return bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+function importVaultKey(rawBase64) {
+  return crypto.subtle.importKey('raw', base64ToBytes(rawBase64), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+async function exportVaultKey(key) {
+  return bytesToBase64(await crypto.subtle.exportKey('raw', key));
+}
+
+async function generateVaultKey() {
+  return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+}
+
+async function deriveVaultKey(passphrase, saltBase64) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: base64ToBytes(saltBase64), iterations: VAULT_PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptJson(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return { iv: bytesToBase64(iv), data: bytesToBase64(data) };
+}
+
+// Throws when the key is wrong or the envelope was tampered with
+async function decryptJson(key, envelope) {
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(envelope.iv) }, key, base64ToBytes(envelope.data));
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+// A known value encrypted under the vault key, to tell a wrong passphrase from a good one
+function createVaultCheck(key) {
+  return encryptJson(key, VAULT_CHECK_TEXT);
+}
+
+async function verifyVaultKey(key, check) {
+  try {
+    return (await decryptJson(key, check)) === VAULT_CHECK_TEXT;
+  } catch {
+    return false;
+  }
+}
@@ -1,32 +1,92 @@
 
-// Default API configuration
+importScripts('packet-vault.js');
+
+// Default API configuration; apiUrl follows the backendUrl setting (see SETTINGS)
 const CONFIG = {
   apiUrl: 'http://localhost:5171',
   llmEndpoint: '/api/autofill/map-field',
   triageEndpoint: '/api/autofill/triage-fields',
+  refreshEndpoint: '/api/auth/refresh',
+  whoamiEndpoint: '/api/auth/me',
+  claimPacketsEndpoint: '/api/claim-packets',
+  claimsEndpoint: '/api/claims',
+  feedbackEndpoint: '/api/autofill/feedback',
+  mappingsEndpoint: '/api/autofill/mappings',
+  packetKeyEndpoint: '/api/packet-key',
+  signingKeyEndpoint: '/api/packet-signing-key',
 };
 
 // Storage keys
 const STORAGE_KEYS = {
-  claimPackets: 'claimly_packets',
-  activePacket: 'claimly_active_packet',
+  claimPackets: 'claimly_packets', // encrypted packet records
+  activePacket: 'claimly_active_packet', // id of the active packet
   settings: 'claimly_settings',
+  vault: 'claimly_vault', // { keySource, salt, check } of the packet encryption key
+  vaultKey: 'claimly_vault_key', // chrome.storage.session - the unlocked packet key
+  authSession: 'claimly_auth_session',
+  claimSessions: 'claimly_claim_sessions', // chrome.storage.session - gone when the browser closes
+  pendingSubmissions: 'claimly_pending_submissions', // chrome.storage.session, by tab
+  handoffNonces: 'claimly_handoff_nonces', // chrome.storage.session - nonces issued to the dashboard
+  armedTabs: 'claimly_armed_tabs', // chrome.storage.session - tabs opened from the packet library, by tab
+  tabPackets: 'claimly_tab_packets', // chrome.storage.session - packet matched to each tab's page
+};
+
+// Refresh the access token when it expires within this window
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+// Learned mappings are refetched per origin after this long (or after new feedback)
+const LEARNED_MAPPINGS_TTL_MS = 5 * 60 * 1000;
+const learnedMappingsCache = new Map(); // origin -> { mappings, fetchedAt }
+
+// A submit that shows no confirmation within this long is dropped
+const SUBMISSION_PENDING_TTL_MS = 30 * 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+  backendUrl: 'http://localhost:5171',
+  llmTriage: true,          // classify a form's fields with the backend before filling
+  tier3Enabled: true,       // ask the backend to map fields the local tiers leave unresolved
+  localOnly: false,         // never send field labels or answers to the backend
+  confidenceThreshold: 0.75, // matches below this are filled but flagged for review
+  autoDetect: true,         // offer a stored packet on its claim form
+  showBadge: true,          // toolbar badge and the in-page status badge
+  debugLogging: false,
+  retentionDays: 30,       // purge packets received this many days ago (0 keeps them)
+  purgeAfterSubmit: true,  // purge a packet once its claim was submitted
+  settingsVersion: 2,
 };
 
+const CONFIDENCE_THRESHOLD_RANGE = [0.5, 0.95];
+const RETENTION_DAY_CHOICES = [0, 7, 30, 90];
+
+// A submitted packet stays this long so the popup can still show its confirmation
+const SUBMITTED_PACKET_GRACE_MS = 60 * 60 * 1000;
+const RETENTION_ALARM = 'claimly-retention';
+
+// Dashboard packet handoff (see the DASHBOARD HANDOFF section)
+const HANDOFF_PROTOCOL_VERSION = 1;
+const SUPPORTED_PACKET_SCHEMA_VERSIONS = [2];
+const HANDOFF_NONCE_TTL_MS = 2 * 60 * 1000;
+const DASHBOARD_ORIGINS = ['http://localhost:3000', 'http://localhost:3001', 'https://claimi.app'];
+
+// A claim form opened from the packet library is filled if it renders within this long
+const ARMED_AUTOFILL_TTL_MS = 10 * 60 * 1000;
+
+// Frames that find a new claim step within this window share one tab-wide run
+const TAB_AUTOFILL_DEBOUNCE_MS = 800;
+const tabAutofillRuns = new Map();       // tabId -> promise of the run in progress
+const scheduledTabAutofills = new Map(); // tabId -> debounce timer
+
 // Initialize on install
-chrome.runtime.onInstalled.addListener(() => {
-  console.log('[Claimi] Extension installed');
-  
-  // Set default storage
-  chrome.storage.local.set({
-    [STORAGE_KEYS.claimPackets]: [],
-    [STORAGE_KEYS.activePacket]: null,
-    [STORAGE_KEYS.settings]: {
-      autoDetect: true,
-      showBadge: true,
-      tier3Enabled: false,
-    },
-  });
+chrome.runtime.onInstalled.addListener((details) => {
+  debugLog('[Claimi] Extension installed');
+  
+  // Set default storage; an update keeps stored packets (retention purges them)
+  if (details.reason === 'install') {
+    chrome.storage.local.set({
+      [STORAGE_KEYS.claimPackets]: [],
+      [STORAGE_KEYS.settings]: DEFAULT_SETTINGS,
+    });
+  }
   
   // Create context menu
   chrome.contextMenus.removeAll(() => {
@@ -41,17 +101,43 @@ chrome.runtime.onInstalled.addListener(() => {
 // Message handler
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.action) {
+    // With a tabId: the packet for that tab (its claim session's or the one matched to its page)
     case 'getActivePacket':
-      getActivePacket().then(sendResponse);
+      (message.tabId != null ? getPacketForTab(message.tabId) : getActivePacket()).then(sendResponse);
       return true;
       
     case 'setActivePacket':
       setActivePacket(message.packet).then(sendResponse);
       return true;
     
-    // Handle claim packet from dashboard bridge
-    case 'setClaimPacket':
-      setClaimPacketFromDashboard(message.packet, sender).then(sendResponse);
+    // Signed packet handoff from the dashboard bridge
+    case 'createHandoffChallenge':
+      createHandoffChallenge(sender).then(sendResponse);
+      return true;
+      
+    case 'receiveHandoff':
+      receiveHandoff(message.handoff, sender).then(sendResponse);
+      return true;
+    
+    // Fetch the canonical claim packet for a settlement from the backend
+    case 'fetchClaimPacket':
+      fetchClaimPacket(message.settlementId).then(sendResponse);
+      return true;
+    
+    // Handle Supabase session from dashboard bridge
+    case 'setAuthSession': {
+      // Only the dashboard may sign the extension in or out
+      const origin = senderOrigin(sender);
+      if (!isDashboardOrigin(origin)) {
+        sendResponse({ success: false, code: 'invalid_origin', error: `Sessions are not accepted from ${origin}` });
+        return false;
+      }
+      acceptDashboardSession(message.session).then(sendResponse);
+      return true;
+    }
+      
+    case 'getAuthStatus':
+      getAuthStatus().then(sendResponse);
       return true;
       
     case 'getAllPackets':
@@ -66,38 +152,210 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       deletePacket(message.packetId).then(sendResponse);
       return true;
       
+    // Packet library (popup)
+    case 'listPackets':
+      listPackets().then(sendResponse);
+      return true;
+      
+    case 'getPacket':
+      loadLibraryPacket(message.packetId).then(sendResponse);
+      return true;
+      
+    case 'activatePacket':
+      activatePacket(message.packetId).then(sendResponse);
+      return true;
+      
+    case 'openClaimForm':
+      openClaimForm(message.packetId).then(sendResponse);
+      return true;
+      
+    // Packet encryption and retention (popup)
+    case 'getVaultStatus':
+      getVaultStatus().then(sendResponse);
+      return true;
+      
+    case 'unlockVault':
+      unlockVault(message.passphrase).then(sendResponse);
+      return true;
+      
+    case 'lockVault':
+      lockVault().then(sendResponse);
+      return true;
+      
+    case 'changeVaultKey':
+      changeVaultKey(message.keySource, message.passphrase).then(sendResponse);
+      return true;
+      
+    // Settings (options page, popup and content scripts)
+    case 'getSettings':
+      getSettings().then(sendResponse);
+      return true;
+      
+    case 'updateSettings':
+      updateSettings(message.settings).then(sendResponse);
+      return true;
+      
+    case 'wipeAllData':
+      wipeAllData().then(sendResponse);
+      return true;
+      
+    // Claim lifecycle reports from the content script
+    case 'reportFillResult':
+      reportFillResult(message.claimId, message.summary, message.formUrl).then(sendResponse);
+      return true;
+      
+    case 'reportClaimSubmission':
+      reportClaimSubmission(message.claimId, message.submission).then(sendResponse);
+      return true;
+      
+    // Submission detection: snapshot on submit, completed by the confirmation page
+    case 'recordSubmissionAttempt':
+      recordSubmissionAttempt(sender.tab?.id, message).then(sendResponse);
+      return true;
+      
+    case 'getPendingSubmission':
+      getPendingSubmission(sender.tab?.id).then(sendResponse);
+      return true;
+      
+    case 'completeSubmission':
+      completeSubmission(sender.tab?.id, message.confirmation).then(sendResponse);
+      return true;
+      
+    // Answers typed into the "We need your input" modal
+    case 'saveUserAnswers':
+      saveUserAnswers(message.packetId, message.answers, message.origin).then(sendResponse);
+      return true;
+      
+    // Learned per-domain mappings from user corrections
+    case 'getLearnedMappings':
+      getLearnedMappings(message.origin).then(sendResponse);
+      return true;
+      
+    case 'sendFieldFeedback':
+      sendFieldFeedback(message.feedback).then(sendResponse);
+      return true;
+      
+    // Multi-step claim sessions (keyed by tab + packet)
+    case 'startClaimSession':
+      startClaimSession(sender.tab?.id, message.packet, message.origin).then(sendResponse);
+      return true;
+      
+    case 'getClaimSession':
+      getClaimSessionForTab(sender.tab?.id, sender.tab?.url).then(sendResponse);
+      return true;
+      
+    case 'recordSessionStep':
+      recordSessionStep(sender.tab?.id, message.step).then(sendResponse);
+      return true;
+      
+    case 'saveSessionAnswers':
+      saveSessionAnswers(sender.tab?.id, message.answers).then(sendResponse);
+      return true;
+      
+    case 'endClaimSession':
+      endClaimSession(sender.tab?.id).then(sendResponse);
+      return true;
+      
+    case 'dismissPacketPrompt':
+      dismissPacketPrompt(sender.tab?.id).then(sendResponse);
+      return true;
+      
     case 'tier3MapField':
-      tier3MapField(message.fieldInfo, message.packetKeys).then(sendResponse);
+      tier3MapField(message.fieldInfo, message.packetKeys, message.caseAnswerMeta).then(sendResponse);
       return true;
       
     case 'triageFields':
-      triageFields(message.fields, message.availableUserDataKeys, message.availableCaseAnswerKeys, message.caseAnswerMeta).then(sendResponse);
+      triageFields(message.fields, message.availableUserDataKeys, message.availableCaseAnswerKeys, message.caseAnswerMeta, message.form).then(sendResponse);
       return true;
       
     case 'triggerAutofill':
       triggerAutofillOnActiveTab(message.packet).then(sendResponse);
       return true;
+      
+    // Tab-wide autofill across the top frame and embedded claim form iframes
+    case 'scheduleTabAutofill':
+      sendResponse(scheduleTabAutofill(sender.tab?.id, message.packet));
+      return false;
+      
+    case 'frameStatusChanged':
+      sendToFrame(sender.tab?.id, 0, { action: 'updateFrameStatus', frameId: sender.frameId, counts: message.counts }).then(sendResponse);
+      return true;
+      
+    case 'relayToFrame':
+      sendToFrame(sender.tab?.id, message.frameId, { action: 'frameCommand', command: message.command }).then(sendResponse);
+      return true;
+      
+    case 'clearTab':
+      clearTab(sender.tab?.id).then(sendResponse);
+      return true;
+      
+    case 'detectTabFields':
+      detectTabFields(message.tabId).then(sendResponse);
+      return true;
+      
+    // Pre-submit review side panel
+    case 'openReviewPanel':
+      openReviewPanel(sender.tab?.id).then(sendResponse);
+      return true;
+      
+    case 'getReviewState':
+      getReviewState(message.tabId).then(sendResponse);
+      return true;
+      
+    case 'reviewFieldCommand':
+      sendToFrame(message.tabId, message.frameId, {
+        action: 'reviewFieldCommand',
+        command: message.command,
+        ref: message.ref,
+        value: message.value,
+      }).then(response => sendResponse(response || { success: false, error: 'Frame is gone - refresh the list' }));
+      return true;
   }
 });
 
-// Get active claim packet
+// Get active claim packet (decrypted)
 async function getActivePacket() {
   const result = await chrome.storage.local.get(STORAGE_KEYS.activePacket);
-  return result[STORAGE_KEYS.activePacket];
+  const packetId = result[STORAGE_KEYS.activePacket];
+  return packetId ? getPacket(packetId) : null;
 }
 
-// Set active claim packet
+// Set active claim packet (null deactivates it; the packet stays stored)
 async function setActivePacket(packet) {
-  await chrome.storage.local.set({ [STORAGE_KEYS.activePacket]: packet });
+  if (!packet) {
+    await chrome.storage.local.remove(STORAGE_KEYS.activePacket);
+    return { success: true };
+  }
+  
+  const saved = await savePacket(packet);
+  if (!saved.success) return saved;
+  await chrome.storage.local.set({ [STORAGE_KEYS.activePacket]: saved.packetId });
   return { success: true };
 }
 
-// Handle claim packet received from dashboard bridge
-async function setClaimPacketFromDashboard(packet, sender) {
-  console.log('[Claimi] Received claim packet from dashboard');
-  
+
+// Fetch the signed-in user's packet for a settlement and make it active
+async function fetchClaimPacket(settlementId) {
+  try {
+    const response = await apiFetch(`${CONFIG.claimPacketsEndpoint}/${encodeURIComponent(settlementId)}`);
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || `API request failed: ${response.status}`);
+    }
+    
+    const claimId = await prepareClaim(result);
+    return storeClaimPacket({ ...result, claimId }, 'backend', await backendUrl(CONFIG.claimPacketsEndpoint));
+  } catch (error) {
+    console.error('[Claimi] Claim packet fetch error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Validate, annotate and store a packet as the active packet
+async function storeClaimPacket(packet, source, sourceUrl) {
   if (!packet || !packet.userData) {
-    console.error('[Claimi] Invalid packet from dashboard:', packet);
+    console.error(`[Claimi] Invalid packet from ${source}:`, packet);
     return { success: false, error: 'Invalid packet: missing userData' };
   }
 
@@ -105,9 +363,9 @@ async function setClaimPacketFromDashboard(packet, sender) {
   const enrichedPacket = {
     ...packet,
     _meta: {
-      source: 'dashboard',
+      source,
       receivedAt: new Date().toISOString(),
-      sourceUrl: sender?.tab?.url || sender?.url || 'unknown',
+      sourceUrl,
       userFullName: packet.userData?.fullName || 
         `${packet.userData?.firstName || ''} ${packet.userData?.lastName || ''}`.trim() ||
         'Unknown User',
@@ -118,13 +376,22 @@ async function setClaimPacketFromDashboard(packet, sender) {
     }
   };
 
-  // Set as active packet
-  await chrome.storage.local.set({ [STORAGE_KEYS.activePacket]: enrichedPacket });
-  
-  // Also save to packets list for history
-  await savePacket(enrichedPacket);
+  // A refetched packet keeps what was saved locally: modal answers the
+  // backend hasn't seen yet and the submission record
+  const previous = enrichedPacket.id ? await getPacket(enrichedPacket.id) : null;
+  if (previous) {
+    enrichedPacket.userAnswers = { ...previous.userAnswers, ...enrichedPacket.userAnswers };
+    if (previous.submission && !enrichedPacket.submission) enrichedPacket.submission = previous.submission;
+  }
+
+  // Encrypt into the packet list and make it the active packet
+  const stored = await setActivePacket(enrichedPacket);
+  if (!stored.success) {
+    console.warn(`[Claimi] Packet from ${source} not stored:`, stored.error);
+    return stored;
+  }
 
-  console.log('[Claimi] Claim packet stored successfully:', {
+  debugLog('[Claimi] Claim packet stored successfully:', {
     id: enrichedPacket.id,
     settlement: enrichedPacket.settlementName,
     user: enrichedPacket._meta.userFullName,
@@ -140,125 +407,1769 @@ async function setClaimPacketFromDashboard(packet, sender) {
   };
 }
 
-// Get all saved packets
-async function getAllPackets() {
+// Encrypted packet records:
+// { id, settlementName, deadline, claimFormUrl, settlementUrl, claimId, receivedAt, submittedAt, sealed }
+async function getPacketRecords() {
   const result = await chrome.storage.local.get(STORAGE_KEYS.claimPackets);
   return result[STORAGE_KEYS.claimPackets] || [];
 }
 
-// Save a new packet
+async function setPacketRecords(records) {
+  await chrome.storage.local.set({ [STORAGE_KEYS.claimPackets]: records });
+}
+
+// Get all saved packets, decrypted (empty while the vault is locked)
+async function getAllPackets() {
+  const key = await getVaultKey();
+  if (!key) return [];
+  
+  const packets = [];
+  for (const record of await getPacketRecords()) {
+    const packet = await openPacketRecord(key, record);
+    if (packet) packets.push(packet);
+  }
+  return packets;
+}
+
+async function getPacket(packetId) {
+  const record = (await getPacketRecords()).find(r => r.id === packetId);
+  const key = record ? await getVaultKey() : null;
+  return key ? openPacketRecord(key, record) : null;
+}
+
+async function openPacketRecord(key, record) {
+  try {
+    return await decryptJson(key, record.sealed);
+  } catch {
+    console.warn(`[Claimi] Packet ${record.id} does not open with the current key`);
+    return null;
+  }
+}
+
+// Only the packet id, name, links, claim id and dates stay readable without the key
+async function sealPacketRecord(key, packet, previous = null) {
+  return {
+    id: packet.id,
+    settlementName: packet.settlementName || null,
+    deadline: packet.deadline || null,
+    claimFormUrl: packet.claimFormUrl || packet._meta?.claimFormUrl || null,
+    settlementUrl: packet.settlementUrl || packet.sourceUrl || null,
+    claimId: packet.claimId || null,
+    receivedAt: packet._meta?.receivedAt || previous?.receivedAt || new Date().toISOString(),
+    submittedAt: packet.submission?.confirmedAt || null,
+    sealed: await encryptJson(key, packet),
+  };
+}
+
+// Save a new packet (or replace the stored one with the same id)
 async function savePacket(packet) {
-  const packets = await getAllPackets();
-  const existingIndex = packets.findIndex(p => p.id === packet.id);
+  const key = await getVaultKey();
+  if (!key) return { success: false, error: 'Claim packets are locked - unlock them in the popup first', code: 'vault_locked' };
+  
+  const records = await getPacketRecords();
+  const existingIndex = records.findIndex(r => r.id === packet.id);
   
   if (existingIndex >= 0) {
-    packets[existingIndex] = packet;
+    records[existingIndex] = await sealPacketRecord(key, packet, records[existingIndex]);
   } else {
-    packets.push({
-      ...packet,
-      id: packet.id || crypto.randomUUID(),
-      createdAt: new Date().toISOString(),
-    });
+    const id = packet.id || crypto.randomUUID();
+    records.push(await sealPacketRecord(key, { ...packet, id, createdAt: new Date().toISOString() }));
   }
   
-  await chrome.storage.local.set({ [STORAGE_KEYS.claimPackets]: packets });
-  return { success: true, packets };
+  await setPacketRecords(records);
+  return { success: true, packetId: packet.id || records[records.length - 1].id };
+}
+
+// Merge update(packet) into a stored packet
+async function updateStoredPacket(packetId, update) {
+  const key = await getVaultKey();
+  if (!key) return;
+  
+  const records = await getPacketRecords();
+  const index = records.findIndex(r => r.id === packetId);
+  const packet = index >= 0 ? await openPacketRecord(key, records[index]) : null;
+  if (!packet) return;
+  
+  records[index] = await sealPacketRecord(key, { ...packet, ...update(packet) }, records[index]);
+  await setPacketRecords(records);
 }
 
 // Delete a packet
 async function deletePacket(packetId) {
-  const packets = await getAllPackets();
-  const filtered = packets.filter(p => p.id !== packetId);
-  await chrome.storage.local.set({ [STORAGE_KEYS.claimPackets]: filtered });
+  const records = await getPacketRecords();
+  await setPacketRecords(records.filter(r => r.id !== packetId));
+  
+  const result = await chrome.storage.local.get(STORAGE_KEYS.activePacket);
+  if (result[STORAGE_KEYS.activePacket] === packetId) {
+    await chrome.storage.local.remove(STORAGE_KEYS.activePacket);
+  }
   return { success: true };
 }
 
-// Tier 3: Call LLM API to map a field (legacy)
-async function tier3MapField(fieldInfo, packetKeys) {
+// ============================================================================
+// PACKET LIBRARY - stored packets in the popup, opening their claim forms
+// ============================================================================
+
+// Packet summaries, newest first. Built from the readable record fields, so
+// the library lists packets while the vault is locked.
+async function listPackets() {
+  const [records, active] = await Promise.all([
+    getPacketRecords(),
+    chrome.storage.local.get(STORAGE_KEYS.activePacket),
+  ]);
+  const activeId = active[STORAGE_KEYS.activePacket] || null;
+  const claimStatuses = records.some(r => r.claimId) ? await getClaimStatuses() : {};
+  
+  return records
+    .map(record => ({
+      id: record.id,
+      settlementName: record.settlementName,
+      deadline: record.deadline || null,
+      claimFormUrl: record.claimFormUrl,
+      receivedAt: record.receivedAt,
+      submittedAt: record.submittedAt,
+      claimStatus: claimStatuses[record.claimId] || (record.submittedAt ? 'submitted' : null),
+      active: record.id === activeId,
+    }))
+    .sort((a, b) => (b.receivedAt || '').localeCompare(a.receivedAt || ''));
+}
+
+// Claim status by claim id; empty when signed out or the backend is unreachable
+async function getClaimStatuses() {
+  if (!(await getAuthStatus()).signedIn) return {};
+  
   try {
-    const response = await fetch(`${CONFIG.apiUrl}${CONFIG.llmEndpoint}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        field: fieldInfo,
-        availableKeys: packetKeys,
-      }),
-    });
-    
-    if (!response.ok) {
-      throw new Error('API request failed');
-    }
-    
+    const response = await apiFetch(CONFIG.claimsEndpoint);
     const result = await response.json();
-    return result.mappedKey || null;
+    if (!response.ok) throw new Error(result.error || `API request failed: ${response.status}`);
+    return Object.fromEntries(result.claims.map(claim => [claim.id, claim.status]));
   } catch (error) {
-    console.error('[Claimi] Tier 3 API error:', error);
-    return null;
+    console.warn('[Claimi] Could not load claim statuses:', error.message);
+    return {};
   }
 }
 
-// LLM Triage: Batch classify all fields before autofill
-async function triageFields(fields, availableUserDataKeys, availableCaseAnswerKeys, caseAnswerMeta) {
+// Decrypt one packet, with the reason when it can't be
+async function loadLibraryPacket(packetId) {
+  const record = (await getPacketRecords()).find(r => r.id === packetId);
+  if (!record) return { success: false, error: 'Packet not found - it may have expired', code: 'not_found' };
+  
+  const key = await getVaultKey();
+  if (!key) return { success: false, error: 'Claim packets are locked - unlock them first', code: 'vault_locked' };
+  
+  const packet = await openPacketRecord(key, record);
+  if (!packet) return { success: false, error: 'Packet does not open with the current key', code: 'unreadable' };
+  return { success: true, packet };
+}
+
+async function activatePacket(packetId) {
+  const loaded = await loadLibraryPacket(packetId);
+  if (loaded.success) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.activePacket]: packetId });
+  }
+  return loaded;
+}
+
+// Make the packet active and open its claim form in a new tab armed to autofill
+async function openClaimForm(packetId) {
+  const loaded = await activatePacket(packetId);
+  if (!loaded.success) return loaded;
+  
+  const url = loaded.packet.claimFormUrl || loaded.packet._meta?.claimFormUrl;
+  if (!/^https?:\/\//i.test(url || '')) {
+    return { success: false, error: 'This packet has no claim form link', code: 'no_claim_form' };
+  }
+  
+  // Arm the tab before it navigates, so the form's first load already finds the arm
+  const tab = await chrome.tabs.create({ url: 'about:blank' });
+  await armTabAutofill(tab.id, packetId, url);
+  await chrome.tabs.update(tab.id, { url });
+  return { success: true, tabId: tab.id };
+}
+
+// { [tabId]: { packetId, origin, expiresAt } }
+async function getArmedTabs() {
+  const result = await chrome.storage.session.get(STORAGE_KEYS.armedTabs);
+  return result[STORAGE_KEYS.armedTabs] || {};
+}
+
+async function armTabAutofill(tabId, packetId, url) {
+  const armed = await getArmedTabs();
+  armed[tabId] = { packetId, origin: new URL(url).origin, expiresAt: Date.now() + ARMED_AUTOFILL_TTL_MS };
+  await chrome.storage.session.set({ [STORAGE_KEYS.armedTabs]: armed });
+}
+
+async function disarmTabAutofill(tabId) {
+  const armed = await getArmedTabs();
+  if (!armed[tabId]) return;
+  delete armed[tabId];
+  await chrome.storage.session.set({ [STORAGE_KEYS.armedTabs]: armed });
+}
+
+// The armed packet, while the tab is still on the claim form's site
+async function getArmedAutofill(tabId, tabUrl) {
+  const arm = (await getArmedTabs())[tabId];
+  if (!arm) return null;
+  if (arm.expiresAt < Date.now()) {
+    await disarmTabAutofill(tabId);
+    return null;
+  }
+  
+  let origin = null;
   try {
-    console.log(`[Claimi] Triaging ${fields.length} fields via LLM`);
-    
-    const response = await fetch(`${CONFIG.apiUrl}${CONFIG.triageEndpoint}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        fields,
-        availableUserDataKeys,
-        availableCaseAnswerKeys,
-        caseAnswerMeta,
-      }),
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`API request failed: ${response.status} - ${errorText}`);
+    origin = new URL(tabUrl).origin;
+  } catch {
+    return null;
+  }
+  if (origin !== arm.origin) return null;
+  
+  const packet = await getPacket(arm.packetId);
+  return packet ? { session: null, packet, armed: true } : null;
+}
+
+// A claim form link that redirects (say, to the administrator's site) keeps its arm
+chrome.webNavigation.onCommitted.addListener((details) => {
+  if (details.frameId !== 0 || !details.transitionQualifiers?.some(q => q.endsWith('_redirect'))) return;
+  
+  getArmedTabs().then(armed => {
+    const arm = armed[details.tabId];
+    if (!arm || !/^https?:/.test(details.url)) return;
+    arm.origin = new URL(details.url).origin;
+    return chrome.storage.session.set({ [STORAGE_KEYS.armedTabs]: armed });
+  });
+});
+
+// ============================================================================
+// SETTINGS - claimly_settings, edited on the options page and the popup
+// ============================================================================
+
+let debugLogging = DEFAULT_SETTINGS.debugLogging;
+
+async function getSettings() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.settings);
+  return { ...DEFAULT_SETTINGS, ...result[STORAGE_KEYS.settings] };
+}
+
+// Validate changed settings: { changes } with normalized values, or { error, code }
+function normalizeSettings(changes = {}) {
+  const normalized = {};
+  for (const [name, value] of Object.entries(changes)) {
+    if (!(name in DEFAULT_SETTINGS) || name === 'settingsVersion') {
+      return { error: `Unknown setting: ${name}`, code: 'invalid_settings' };
     }
     
-    const result = await response.json();
-    console.log(`[Claimi] Triage complete. Method: ${result.method}, Fields: ${result.classifications?.length}`);
-    return result;
-  } catch (error) {
-    console.error('[Claimi] Triage API error:', error);
-    // Return empty classifications on error - content script will use local fallback
-    return { classifications: [], method: 'error', error: error.message };
+    if (name === 'backendUrl') {
+      const url = normalizeBackendUrl(value);
+      if (!url) {
+        return { error: 'Backend URL must be an https:// URL (http:// only for localhost)', code: 'invalid_settings' };
+      }
+      normalized.backendUrl = url;
+    } else if (name === 'confidenceThreshold') {
+      const [min, max] = CONFIDENCE_THRESHOLD_RANGE;
+      if (typeof value !== 'number' || !(value >= min && value <= max)) {
+        return { error: `Confidence threshold must be between ${min} and ${max}`, code: 'invalid_settings' };
+      }
+      normalized.confidenceThreshold = value;
+    } else if (name === 'retentionDays') {
+      if (!RETENTION_DAY_CHOICES.includes(value)) {
+        return { error: `Retention must be one of ${RETENTION_DAY_CHOICES.join(', ')} days`, code: 'invalid_settings' };
+      }
+      normalized.retentionDays = value;
+    } else {
+      if (typeof value !== 'boolean') return { error: `${name} must be true or false`, code: 'invalid_settings' };
+      normalized[name] = value;
+    }
   }
+  return { changes: normalized };
 }
 
-// Trigger autofill on the active tab
-async function triggerAutofillOnActiveTab(packet) {
-  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+// The backend's origin plus any path prefix, without a trailing slash; null when unusable
+function normalizeBackendUrl(value) {
+  let url = null;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch {
+    return null;
+  }
   
-  if (!tab?.id) {
-    return { error: 'No active tab found' };
+  const local = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && local)) return null;
+  if (url.username || url.password) return null;
+  return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+}
+
+async function updateSettings(changes = {}) {
+  const { changes: normalized, error, code } = normalizeSettings(changes);
+  if (error) return { success: false, error, code };
+  
+  const settings = { ...(await getSettings()), ...normalized };
+  await chrome.storage.local.set({ [STORAGE_KEYS.settings]: settings });
+  applySettings(settings);
+  await purgeExpiredPackets();
+  return { success: true, settings };
+}
+
+// Settings the worker keeps in memory; every call to the backend waits for them
+function applySettings(settings) {
+  if (settings.backendUrl !== CONFIG.apiUrl) {
+    CONFIG.apiUrl = settings.backendUrl;
+    learnedMappingsCache.clear();
+    signingKeyCache = null;
+  }
+  debugLogging = settings.debugLogging;
+}
+
+const settingsApplied = migrateSettings()
+  .then(getSettings)
+  .then(applySettings)
+  .catch(error => console.error('[Claimi] Settings error:', error));
+
+async function backendUrl(path) {
+  await settingsApplied;
+  return `${CONFIG.apiUrl}${path}`;
+}
+
+// Settings saved from another context (the options page writes through updateSettings too)
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[STORAGE_KEYS.settings]?.newValue) {
+    applySettings({ ...DEFAULT_SETTINGS, ...changes[STORAGE_KEYS.settings].newValue });
   }
+});
+
+// Before version 2, tier3Enabled was written on install but never read (Tier 3
+// always ran), so a stored false is dropped rather than turning Tier 3 off
+async function migrateSettings() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.settings);
+  const stored = result[STORAGE_KEYS.settings];
+  if (!stored || stored.settingsVersion >= DEFAULT_SETTINGS.settingsVersion) return;
   
-  try {
-    const response = await chrome.tabs.sendMessage(tab.id, {
-      action: 'autofill',
-      claimPacket: packet,
-    });
-    return response;
-  } catch (error) {
-    console.error('[Claimi] Error sending autofill message:', error);
-    return { error: error.message };
+  const { tier3Enabled, ...rest } = stored;
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.settings]: { ...rest, settingsVersion: DEFAULT_SETTINGS.settingsVersion },
+  });
+}
+
+// Verbose logs; warnings and errors always go to the console
+function debugLog(...args) {
+  if (debugLogging) console.log(...args);
+}
+
+// Local-only mode and the LLM toggles are enforced here, where field labels
+// and answers would leave the browser
+async function backendCallAllowed(feature) {
+  const settings = await getSettings();
+  if (settings.localOnly) return false;
+  if (feature === 'triage') return settings.llmTriage;
+  if (feature === 'tier3') return settings.tier3Enabled;
+  return true;
+}
+
+// ============================================================================
+// PACKET VAULT - encryption key, retention and wipe
+// ============================================================================
+
+let vaultKey = null; // CryptoKey while unlocked; also kept in chrome.storage.session across worker restarts
+let vaultKeyLoading = null; // concurrent callers share one lookup, so only one vault gets created
+
+async function getVault() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.vault);
+  return result[STORAGE_KEYS.vault] || null;
+}
+
+async function cacheVaultKey(key) {
+  vaultKey = key;
+  if (key) {
+    await chrome.storage.session.set({ [STORAGE_KEYS.vaultKey]: await exportVaultKey(key) });
+  } else {
+    await chrome.storage.session.remove(STORAGE_KEYS.vaultKey);
   }
 }
 
+async function saveVault(keySource, key, salt = null) {
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.vault]: { keySource, salt, check: await createVaultCheck(key), createdAt: new Date().toISOString() },
+  });
+  await cacheVaultKey(key);
+}
+
+// The signed-in user's account key from the backend, or null
+async function fetchAccountKey() {
+  return (await requestAccountKey()).key;
+}
+
+// { key } or { key: null, failed } - failed is true when a signed-in user's
+// request failed (offline, 5xx, rate limit) rather than there being no account key
+async function requestAccountKey() {
+  if (!(await getAuthStatus()).signedIn) return { key: null, failed: false };
+  
+  try {
+    const response = await apiFetch(CONFIG.packetKeyEndpoint);
+    const result = await response.json();
+    
+    if (!response.ok) {
+      if (result.code === 'packet_key_unavailable') return { key: null, failed: false };
+      throw new Error(result.error || `API request failed: ${response.status}`);
+    }
+    
+    return { key: await importVaultKey(result.key), failed: false };
+  } catch (error) {
+    console.warn('[Claimi] Account packet key unavailable:', error.message);
+    return { key: null, failed: true };
+  }
+}
+
+/**
+ * The unlocked packet key, or null while locked. Without a vault, one is
+ * created under the account key when signed in, else under a session key; a
+ * signed-in user whose account key can't be fetched stays locked until it can.
+ * The account key is fetched again when needed; a passphrase vault waits for
+ * unlockVault. A session key that is gone (the browser restarted) can't come
+ * back, so its packets are dropped.
+ */
+async function getVaultKey() {
+  if (vaultKey) return vaultKey;
+  vaultKeyLoading ??= loadVaultKey().finally(() => { vaultKeyLoading = null; });
+  return vaultKeyLoading;
+}
+
+async function loadVaultKey() {
+  const cached = await chrome.storage.session.get(STORAGE_KEYS.vaultKey);
+  if (cached[STORAGE_KEYS.vaultKey]) {
+    vaultKey = await importVaultKey(cached[STORAGE_KEYS.vaultKey]);
+    return vaultKey;
+  }
+  
+  const vault = await getVault();
+  if (vault?.keySource === 'account') {
+    const key = await fetchAccountKey();
+    if (key && await verifyVaultKey(key, vault.check)) {
+      await cacheVaultKey(key);
+      return key;
+    }
+    return null;
+  }
+  if (vault?.keySource === 'passphrase') return null;
+  
+  if (vault?.keySource === 'session') {
+    const records = await getPacketRecords();
+    if (records.length > 0) debugLog(`[Claimi] Session key is gone - dropping ${records.length} packets`);
+    await setPacketRecords([]);
+    await chrome.storage.local.remove(STORAGE_KEYS.activePacket);
+  }
+  
+  // A signed-in user gets the account key. If fetching it failed, stay locked and
+  // retry on the next read - packets under a session key would be lost on restart.
+  const { key: accountKey, failed } = await requestAccountKey();
+  if (failed) return null;
+  const key = accountKey || await generateVaultKey();
+  await saveVault(accountKey ? 'account' : 'session', key);
+  debugLog(`[Claimi] Packet vault created with ${accountKey ? 'the account' : 'a session'} key`);
+  return key;
+}
+
+async function getVaultStatus() {
+  const key = await getVaultKey();
+  const [vault, records, settings, auth] = await Promise.all([getVault(), getPacketRecords(), getSettings(), getAuthStatus()]);
+  return {
+    keySource: vault?.keySource || null,
+    locked: !key,
+    packetCount: records.length,
+    signedIn: auth.signedIn,
+    retentionDays: settings.retentionDays,
+    purgeAfterSubmit: settings.purgeAfterSubmit,
+  };
+}
+
+async function unlockVault(passphrase) {
+  const vault = await getVault();
+  if (vault?.keySource !== 'passphrase') return { success: false, error: 'Packets are not protected by a passphrase' };
+  
+  const key = await deriveVaultKey(passphrase || '', vault.salt);
+  if (!(await verifyVaultKey(key, vault.check))) {
+    return { success: false, error: 'Wrong passphrase', code: 'wrong_passphrase' };
+  }
+  
+  await cacheVaultKey(key);
+  debugLog('[Claimi] Packet vault unlocked');
+  return { success: true };
+}
+
+// Forget the key until the passphrase is entered again. Only passphrase vaults
+// lock: the next read would silently refetch an account key or reuse a session key.
+async function lockVault() {
+  const vault = await getVault();
+  if (vault?.keySource !== 'passphrase') {
+    return { success: false, error: 'Only passphrase-protected packets can be locked', code: 'not_lockable' };
+  }
+  await cacheVaultKey(null);
+  return { success: true };
+}
+
+/**
+ * Re-encrypt every stored packet under a new key.
+ * keySource: 'passphrase' (needs passphrase) | 'account' (needs sign-in) | 'session'
+ */
+async function changeVaultKey(keySource, passphrase) {
+  const records = await getPacketRecords();
+  const currentKey = await getVaultKey();
+  if (!currentKey && records.length > 0) {
+    return { success: false, error: 'Unlock your packets first', code: 'vault_locked' };
+  }
+  
+  let key;
+  let salt = null;
+  if (keySource === 'passphrase') {
+    if (!passphrase || passphrase.length < 8) {
+      return { success: false, error: 'Use a passphrase of at least 8 characters' };
+    }
+    salt = randomVaultSalt();
+    key = await deriveVaultKey(passphrase, salt);
+  } else if (keySource === 'account') {
+    key = await fetchAccountKey();
+    if (!key) return { success: false, error: 'Sign in on the Claimi dashboard to use your account key' };
+  } else if (keySource === 'session') {
+    key = await generateVaultKey();
+  } else {
+    return { success: false, error: `Unknown key source: ${keySource}` };
+  }
+  
+  // Abort rather than drop packets the current key can't open
+  const opened = [];
+  for (const record of records) {
+    const packet = await openPacketRecord(currentKey, record);
+    if (!packet) {
+      return { success: false, error: 'Some packets could not be decrypted; the key was not changed', code: 'unreadable_packets' };
+    }
+    opened.push({ record, packet });
+  }
+  
+  const resealed = [];
+  for (const { record, packet } of opened) {
+    resealed.push(await sealPacketRecord(key, packet, record));
+  }
+  
+  await setPacketRecords(resealed);
+  await saveVault(keySource, key, salt);
+  debugLog(`[Claimi] ${resealed.length} packets re-encrypted with the ${keySource} key`);
+  return { success: true, keySource };
+}
+
+
+// Drop packets past the retention window, and submitted ones after their grace period
+async function purgeExpiredPackets() {
+  const settings = await getSettings();
+  const now = Date.now();
+  const maxAgeMs = settings.retentionDays > 0 ? settings.retentionDays * 24 * 60 * 60 * 1000 : Infinity;
+  
+  const records = await getPacketRecords();
+  const kept = records.filter(record => {
+    if (settings.purgeAfterSubmit && record.submittedAt && now - Date.parse(record.submittedAt) > SUBMITTED_PACKET_GRACE_MS) return false;
+    return !(now - Date.parse(record.receivedAt) > maxAgeMs);
+  });
+  if (kept.length === records.length) return { purged: 0 };
+  
+  await setPacketRecords(kept);
+  const result = await chrome.storage.local.get(STORAGE_KEYS.activePacket);
+  if (!kept.some(r => r.id === result[STORAGE_KEYS.activePacket])) {
+    await chrome.storage.local.remove(STORAGE_KEYS.activePacket);
+  }
+  
+  debugLog(`[Claimi] Retention purged ${records.length - kept.length} packets`);
+  return { purged: records.length - kept.length };
+}
+
+// Delete every packet, its key and the claim sessions; settings and sign-in stay
+async function wipeAllData() {
+  await chrome.storage.local.remove([STORAGE_KEYS.claimPackets, STORAGE_KEYS.activePacket, STORAGE_KEYS.vault]);
+  await chrome.storage.session.remove([STORAGE_KEYS.vaultKey, STORAGE_KEYS.claimSessions, STORAGE_KEYS.pendingSubmissions, STORAGE_KEYS.armedTabs, STORAGE_KEYS.tabPackets]);
+  vaultKey = null;
+  debugLog('[Claimi] All packet data wiped');
+  return { success: true };
+}
+
+// Packets stored in plaintext by earlier versions are encrypted on first start
+async function migratePlaintextPackets() {
+  const result = await chrome.storage.local.get([STORAGE_KEYS.claimPackets, STORAGE_KEYS.activePacket]);
+  const records = result[STORAGE_KEYS.claimPackets] || [];
+  const active = result[STORAGE_KEYS.activePacket];
+  const plaintext = records.filter(r => !r.sealed);
+  if (plaintext.length === 0 && (!active || typeof active === 'string')) return;
+  
+  const key = await getVaultKey();
+  if (!key) return;
+  
+  const migrated = records.filter(r => r.sealed);
+  const packets = typeof active === 'object' && active ? [...plaintext.filter(p => p.id !== active.id), active] : plaintext;
+  for (const packet of packets) {
+    migrated.push(await sealPacketRecord(key, { ...packet, id: packet.id || crypto.randomUUID() }));
+  }
+  await setPacketRecords(migrated);
+  if (typeof active === 'object') {
+    await chrome.storage.local.set({ [STORAGE_KEYS.activePacket]: active?.id ? active.id : null });
+  }
+  debugLog(`[Claimi] Encrypted ${packets.length} packets stored in plaintext`);
+}
+
+chrome.alarms.get(RETENTION_ALARM).then(alarm => {
+  if (!alarm) chrome.alarms.create(RETENTION_ALARM, { periodInMinutes: 60 });
+});
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === RETENTION_ALARM) purgeExpiredPackets();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  purgeExpiredPackets();
+});
+
+migratePlaintextPackets().catch(error => console.error('[Claimi] Packet migration error:', error));
+
+// ============================================================================
+// DASHBOARD HANDOFF - packets signed by the backend, bound to a nonce
+// ============================================================================
+//
+// Any script on a dashboard page can dispatch the bridge's events, so a packet
+// is stored only when the backend signed it for a nonce issued here:
+// 1. createHandoffChallenge - single-use nonce for the requesting tab
+// 2. the dashboard has the backend sign { nonce, userId, packet, expiresAt }
+// 3. receiveHandoff - verify signature, nonce, user and schema, then store
+// Every failure carries a code the dashboard can act on.
+
+let signingKeyCache = null; // { keyId, key } from the backend
+
+function handoffFailure(code, error) {
+  console.warn(`[Claimi] Packet handoff rejected (${code}): ${error}`);
+  return { success: false, code, error };
+}
+
+function isDashboardOrigin(origin) {
+  if (!origin) return false;
+  return DASHBOARD_ORIGINS.includes(origin) || /^https:\/\/[a-z0-9-]+\.claimi\.app$/.test(origin);
+}
+
+function senderOrigin(sender) {
+  try {
+    return sender?.origin || new URL(sender?.url || sender?.tab?.url).origin;
+  } catch {
+    return null;
+  }
+}
+
+async function getHandoffNonces() {
+  const result = await chrome.storage.session.get(STORAGE_KEYS.handoffNonces);
+  const nonces = result[STORAGE_KEYS.handoffNonces] || {};
+  // Drop expired nonces as we go
+  for (const [nonce, entry] of Object.entries(nonces)) {
+    if (entry.expiresAt < Date.now()) delete nonces[nonce];
+  }
+  return nonces;
+}
+
+async function createHandoffChallenge(sender) {
+  const origin = senderOrigin(sender);
+  if (!isDashboardOrigin(origin)) return handoffFailure('invalid_origin', `Packets are not accepted from ${origin}`);
+  
+  const nonce = Array.from(crypto.getRandomValues(new Uint8Array(24)), b => b.toString(16).padStart(2, '0')).join('');
+  const nonces = await getHandoffNonces();
+  nonces[nonce] = { origin, tabId: sender.tab?.id ?? null, expiresAt: Date.now() + HANDOFF_NONCE_TTL_MS };
+  await chrome.storage.session.set({ [STORAGE_KEYS.handoffNonces]: nonces });
+  
+  return {
+    success: true,
+    nonce,
+    protocolVersion: HANDOFF_PROTOCOL_VERSION,
+    supportedSchemaVersions: SUPPORTED_PACKET_SCHEMA_VERSIONS,
+  };
+}
+
+// A nonce is good once, for the tab and origin it was issued to
+async function consumeHandoffNonce(nonce, origin, tabId) {
+  const nonces = await getHandoffNonces();
+  const entry = nonces[nonce];
+  delete nonces[nonce];
+  await chrome.storage.session.set({ [STORAGE_KEYS.handoffNonces]: nonces });
+  return Boolean(entry && entry.origin === origin && entry.tabId === (tabId ?? null));
+}
+
+// The backend's handoff public key; refetched when a handoff names another key
+async function getSigningKey(keyId) {
+  if (signingKeyCache?.keyId === keyId) return signingKeyCache.key;
+  
+  const response = await fetch(await backendUrl(CONFIG.signingKeyEndpoint));
+  if (!response.ok) {
+    throw new Error(`API request failed: ${response.status}`);
+  }
+  
+  const result = await response.json();
+  if (result.keyId !== keyId) return null;
+  
+  const key = await crypto.subtle.importKey('spki', base64ToBytes(result.publicKey), { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+  signingKeyCache = { keyId, key };
+  return key;
+}
+
+/**
+ * Store a signed packet from the dashboard.
+ * handoff: { payload, signature, keyId } from POST /api/claim-packets/:id/handoff
+ * Returns { success: true, code: 'stored', packetId } or { success: false, code, error }
+ */
+async function receiveHandoff(handoff, sender) {
+  const origin = senderOrigin(sender);
+  if (!isDashboardOrigin(origin)) return handoffFailure('invalid_origin', `Packets are not accepted from ${origin}`);
+  if (typeof handoff?.payload !== 'string' || typeof handoff.signature !== 'string' || typeof handoff.keyId !== 'string' || !handoff.keyId) {
+    return handoffFailure('unsigned_packet', 'The packet is not signed by Claimi');
+  }
+  
+  let key;
+  try {
+    key = await getSigningKey(handoff.keyId);
+  } catch (error) {
+    return handoffFailure('signing_key_unavailable', `Could not load the signing key: ${error.message}`);
+  }
+  
+  // A signature that isn't base64 throws while decoding; it is just as bad
+  let verified = false;
+  try {
+    verified = Boolean(key) && await crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      key,
+      base64ToBytes(handoff.signature),
+      new TextEncoder().encode(handoff.payload)
+    );
+  } catch {
+    verified = false;
+  }
+  if (!verified) return handoffFailure('bad_signature', 'The packet signature does not verify');
+  
+  const signed = JSON.parse(handoff.payload);
+  if (signed.protocolVersion !== HANDOFF_PROTOCOL_VERSION) {
+    return handoffFailure('unsupported_protocol', `Handoff protocol ${signed.protocolVersion} is not supported - update the extension`);
+  }
+  if (!(await consumeHandoffNonce(signed.nonce, origin, sender.tab?.id))) {
+    return handoffFailure('unknown_nonce', 'The handoff was not requested by this page, or was already used');
+  }
+  if (Date.parse(signed.expiresAt) < Date.now()) {
+    return handoffFailure('expired', 'The signed packet expired - send it again');
+  }
+  
+  const auth = await getAuthStatus();
+  if (auth.user?.id && auth.user.id !== signed.userId) {
+    return handoffFailure('user_mismatch', 'The extension is signed in as a different user');
+  }
+  
+  const packet = signed.packet;
+  if (!SUPPORTED_PACKET_SCHEMA_VERSIONS.includes(packet?.schemaVersion)) {
+    return handoffFailure('unsupported_schema', `Packet schema ${packet?.schemaVersion} is not supported - update the extension`);
+  }
+  
+  debugLog('[Claimi] Received signed claim packet from dashboard');
+  const stored = await storeClaimPacket(packet, 'dashboard', sender.tab?.url || sender.url || 'unknown');
+  if (!stored.success) return handoffFailure(stored.code || 'invalid_packet', stored.error);
+  
+  return { success: true, code: 'stored', packetId: stored.packetId, settlementName: stored.settlementName };
+}
+
+// ============================================================================
+// AUTH - Supabase session handed over by the dashboard bridge
+// ============================================================================
+
+// Store (or clear, when session is null) a Supabase session the backend vouched for
+async function setAuthSession(session) {
+  if (!session) {
+    await chrome.storage.local.remove(STORAGE_KEYS.authSession);
+    // Packets under the account key stay locked until the user signs in again
+    if ((await getVault())?.keySource === 'account') await lockVault();
+    debugLog('[Claimi] Auth session cleared');
+    return { success: true, signedIn: false };
+  }
+  
+  if (!session.accessToken || !session.refreshToken) {
+    return { success: false, error: 'Invalid session: missing tokens' };
+  }
+  
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.authSession]: {
+      accessToken: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresAt: session.expiresAt || null,
+      user: session.user || null,
+    },
+  });
+  debugLog('[Claimi] Auth session stored for', session.user?.email || session.user?.id || 'user');
+  
+  // Packets under a session key survive a browser restart once they use the account key
+  if ((await getVault())?.keySource === 'session') {
+    const upgraded = await changeVaultKey('account');
+    if (!upgraded.success) console.warn('[Claimi] Packets keep their session key:', upgraded.error);
+  }
+  return { success: true, signedIn: true };
+}
+
+/**
+ * A session sent by the dashboard. Any script on the dashboard origin can send
+ * one, so it is stored only once the backend accepts its access token, and
+ * with the user the backend reports rather than the one the page claims.
+ */
+async function acceptDashboardSession(session) {
+  if (!session) return setAuthSession(null);
+  if (typeof session.accessToken !== 'string' || typeof session.refreshToken !== 'string') {
+    return { success: false, error: 'Invalid session: missing tokens' };
+  }
+  
+  let user = null;
+  try {
+    const response = await fetch(await backendUrl(CONFIG.whoamiEndpoint), {
+      headers: { Authorization: `Bearer ${session.accessToken}` },
+    });
+    if (!response.ok) {
+      return { success: false, code: 'invalid_session', error: `The backend rejected the session: ${response.status}` };
+    }
+    ({ user } = await response.json());
+  } catch (error) {
+    return { success: false, code: 'backend_unreachable', error: error.message };
+  }
+  if (!user?.id) return { success: false, code: 'invalid_session', error: 'The backend did not identify the session' };
+  
+  return setAuthSession({
+    accessToken: session.accessToken,
+    refreshToken: session.refreshToken,
+    expiresAt: session.expiresAt,
+    user: { id: user.id, email: user.email || null },
+  });
+}
+
+async function getAuthStatus() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.authSession);
+  const session = result[STORAGE_KEYS.authSession];
+  return {
+    signedIn: !!session,
+    user: session?.user || null,
+    expiresAt: session?.expiresAt || null,
+  };
+}
+
+// Exchange the stored refresh token for a new session via the backend
+async function refreshAuthSession(session) {
+  try {
+    const response = await fetch(await backendUrl(CONFIG.refreshEndpoint), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: session.refreshToken }),
+    });
+    
+    if (!response.ok) {
+      // Refresh token revoked or expired - the user must open the dashboard again
+      if (response.status === 401) await setAuthSession(null);
+      throw new Error(`Refresh failed: ${response.status}`);
+    }
+    
+    const refreshed = await response.json();
+    await setAuthSession(refreshed);
+    return refreshed.accessToken;
+  } catch (error) {
+    console.error('[Claimi] Token refresh error:', error);
+    return null;
+  }
+}
+
+// Get a valid access token, refreshing it if it is about to expire
+async function getAccessToken({ forceRefresh = false } = {}) {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.authSession);
+  const session = result[STORAGE_KEYS.authSession];
+  if (!session) return null;
+  
+  const expiresAtMs = session.expiresAt ? session.expiresAt * 1000 : 0;
+  if (forceRefresh || (expiresAtMs && expiresAtMs - Date.now() < TOKEN_REFRESH_MARGIN_MS)) {
+    return refreshAuthSession(session);
+  }
+  return session.accessToken;
+}
+
+// fetch() against the backend with the user's bearer token; retries once after a 401
+async function apiFetch(path, options = {}) {
+  const url = await backendUrl(path);
+  const send = (token) => fetch(url, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...options.headers,
+    },
+  });
+  
+  const token = await getAccessToken();
+  if (!token) {
+    throw new Error('Not signed in - open the Claimi dashboard to connect the extension');
+  }
+  
+  const response = await send(token);
+  if (response.status !== 401) return response;
+  
+  const refreshedToken = await getAccessToken({ forceRefresh: true });
+  return refreshedToken ? send(refreshedToken) : response;
+}
+
+// ============================================================================
+// CLAIM TRACKING - lifecycle reports to the backend
+// ============================================================================
+
+// Start tracking a claim for the packet's settlement; an existing claim is reused
+async function prepareClaim(packet) {
+  try {
+    const response = await apiFetch(CONFIG.claimsEndpoint, {
+      method: 'POST',
+      body: JSON.stringify({
+        settlementId: packet.id,
+        packetId: packet.id,
+        formUrl: packet.claimFormUrl || null,
+      }),
+    });
+    const result = await response.json();
+    
+    if (response.ok) return result.id;
+    if (response.status === 409 && result.code === 'duplicate_claim') return result.claimId || null;
+    throw new Error(result.error || `API request failed: ${response.status}`);
+  } catch (error) {
+    console.warn('[Claimi] Could not prepare claim:', error);
+    return null;
+  }
+}
+
+async function postClaimUpdate(claimId, segment, body) {
+  if (!claimId) {
+    return { success: false, error: 'Packet has no claim to report to' };
+  }
+  
+  try {
+    const response = await apiFetch(`${CONFIG.claimsEndpoint}/${encodeURIComponent(claimId)}/${segment}`, {
+      method: 'POST',
+      body: JSON.stringify(body),
+    });
+    const result = await response.json();
+    
+    if (!response.ok) {
+      console.warn(`[Claimi] Claim ${segment} rejected:`, result.error);
+      return { success: false, error: result.error, code: result.code };
+    }
+    
+    debugLog(`[Claimi] Claim ${claimId} is now ${result.status}`);
+    return { success: true, claim: result };
+  } catch (error) {
+    console.error(`[Claimi] Claim ${segment} error:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Content script finished filling the claim form
+async function reportFillResult(claimId, summary, formUrl) {
+  return postClaimUpdate(claimId, 'fill-report', { formUrl, fieldSummary: summary });
+}
+
+// The claim form was submitted ({ confirmationNumber, formUrl })
+async function reportClaimSubmission(claimId, submission = {}) {
+  return postClaimUpdate(claimId, 'submission', {
+    formUrl: submission.formUrl,
+    confirmationNumber: submission.confirmationNumber || null,
+  });
+}
+
+// ============================================================================
+// SUBMISSIONS - the user submitted the claim form
+// ============================================================================
+
+// Submits waiting for their confirmation page: tabId -> { packetId, claimId, snapshot, attemptedAt }
+async function getPendingSubmissions() {
+  const result = await chrome.storage.session.get(STORAGE_KEYS.pendingSubmissions);
+  return result[STORAGE_KEYS.pendingSubmissions] || {};
+}
+
+async function setPendingSubmissions(pending) {
+  await chrome.storage.session.set({ [STORAGE_KEYS.pendingSubmissions]: pending });
+}
+
+async function recordSubmissionAttempt(tabId, { packetId, claimId, snapshot } = {}) {
+  if (tabId == null || !packetId) return { success: false, error: 'No packet to record the submission for' };
+  
+  const pending = await getPendingSubmissions();
+  pending[tabId] = { packetId, claimId: claimId || null, snapshot: snapshot || null, attemptedAt: new Date().toISOString() };
+  await setPendingSubmissions(pending);
+  debugLog(`[Claimi] Submission attempt recorded for packet ${packetId}`);
+  return { success: true };
+}
+
+async function getPendingSubmission(tabId) {
+  if (tabId == null) return null;
+  const submission = (await getPendingSubmissions())[tabId];
+  if (!submission || Date.now() - Date.parse(submission.attemptedAt) > SUBMISSION_PENDING_TTL_MS) return null;
+  return submission;
+}
+
+async function clearPendingSubmission(tabId) {
+  const pending = await getPendingSubmissions();
+  if (!(tabId in pending)) return;
+  delete pending[tabId];
+  await setPendingSubmissions(pending);
+}
+
+/**
+ * The confirmation page showed up: store the submission with its packet, end
+ * the claim session and mark the claim submitted on the backend.
+ * confirmation: { confirmationNumber, confirmationText, confirmationUrl }
+ */
+async function completeSubmission(tabId, confirmation = {}) {
+  const pending = await getPendingSubmission(tabId);
+  if (!pending) return { success: false, error: 'No submission in progress' };
+  await clearPendingSubmission(tabId);
+  
+  const submission = {
+    submittedAt: pending.attemptedAt,
+    confirmedAt: new Date().toISOString(),
+    confirmationNumber: confirmation.confirmationNumber || null,
+    confirmationText: confirmation.confirmationText || null,
+    confirmationUrl: confirmation.confirmationUrl || null,
+    formUrl: pending.snapshot?.formUrl || null,
+    snapshot: pending.snapshot,
+    claimId: pending.claimId,
+  };
+  
+  const report = await reportClaimSubmission(pending.claimId, submission);
+  submission.reported = report.success;
+  
+  await updateStoredPacket(pending.packetId, () => ({ submission }));
+  await endClaimSession(tabId);
+  
+  return {
+    success: true,
+    submission: { confirmationNumber: submission.confirmationNumber, reported: submission.reported },
+  };
+}
+
+// ============================================================================
+// SAVED ANSWERS - modal answers kept with their packet
+// ============================================================================
+
+/**
+ * Store modal answers on the packet, keyed by question fingerprint, so the
+ * question isn't asked again on a later step, visit or retry. Packets built by
+ * the backend (they carry a userId) also push the answers to the user's
+ * settlement_responses row, so they come back with the next fetched packet.
+ * answers: [{ fingerprint, question, answer }]
+ */
+async function saveUserAnswers(packetId, answers = [], origin = null) {
+  if (!packetId || answers.length === 0) return { success: false, error: 'No answers to save' };
+  
+  const answeredAt = new Date().toISOString();
+  const saved = {};
+  for (const { fingerprint, question, answer } of answers) {
+    saved[fingerprint] = { question, answer, answeredAt, origin, source: 'modal' };
+  }
+  await updateStoredPacket(packetId, packet => ({ userAnswers: { ...packet.userAnswers, ...saved } }));
+  
+  const packet = await getPacket(packetId);
+  const synced = packet?.userId ? await syncUserAnswers(packetId, answers) : false;
+  return { success: true, synced };
+}
+
+async function syncUserAnswers(packetId, answers) {
+  if (!(await backendCallAllowed('answers'))) return false;
+  
+  try {
+    const response = await apiFetch(`${CONFIG.claimPacketsEndpoint}/${encodeURIComponent(packetId)}/answers`, {
+      method: 'POST',
+      body: JSON.stringify({ answers: answers.map(({ question, answer }) => ({ question, answer })) }),
+    });
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || `API request failed: ${response.status}`);
+    }
+    
+    debugLog(`[Claimi] Synced ${result.saved} answers for packet ${packetId}`);
+    return true;
+  } catch (error) {
+    console.warn('[Claimi] Answers saved locally only:', error.message);
+    return false;
+  }
+}
+
+// ============================================================================
+// LEARNED MAPPINGS - user corrections per claim form origin
+// ============================================================================
+
+// Returns [{ fingerprint, key, keySource, confidence, rejectedKeys }] (empty when unavailable)
+async function getLearnedMappings(origin) {
+  // The request names the claim site, so local-only mode skips it too
+  if (!(await backendCallAllowed('mappings'))) return [];
+  
+  const cached = learnedMappingsCache.get(origin);
+  if (cached && Date.now() - cached.fetchedAt < LEARNED_MAPPINGS_TTL_MS) {
+    return cached.mappings;
+  }
+  
+  try {
+    const response = await apiFetch(`${CONFIG.mappingsEndpoint}?origin=${encodeURIComponent(origin)}`);
+    if (!response.ok) {
+      throw new Error(`API request failed: ${response.status}`);
+    }
+    
+    const { mappings = [] } = await response.json();
+    learnedMappingsCache.set(origin, { mappings, fetchedAt: Date.now() });
+    debugLog(`[Claimi] Loaded ${mappings.length} learned mappings for ${origin}`);
+    return mappings;
+  } catch (error) {
+    console.warn('[Claimi] Learned mappings unavailable:', error.message);
+    return [];
+  }
+}
+
+// feedback: { origin, field: { type, name, id, label }, key, keySource, accepted, signal }
+async function sendFieldFeedback(feedback) {
+  if (!(await backendCallAllowed('feedback'))) {
+    return { success: false, error: 'Local-only mode is on', code: 'local_only' };
+  }
+  
+  try {
+    const response = await apiFetch(CONFIG.feedbackEndpoint, {
+      method: 'POST',
+      body: JSON.stringify(feedback),
+    });
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || `API request failed: ${response.status}`);
+    }
+    
+    learnedMappingsCache.delete(feedback.origin);
+    return { success: true };
+  } catch (error) {
+    console.warn('[Claimi] Feedback not recorded:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Tier 3: Ask the backend to rank packet keys for a single field
+// Returns { mappedKey, candidates: [{ key, confidence, rationale }], method } or null
+async function tier3MapField(fieldInfo, packetKeys, caseAnswerMeta) {
+  if (!(await backendCallAllowed('tier3'))) return null;
+  
+  try {
+    const response = await apiFetch(CONFIG.llmEndpoint, {
+      method: 'POST',
+      body: JSON.stringify({
+        field: fieldInfo,
+        availableKeys: packetKeys,
+        caseAnswerMeta,
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`API request failed: ${response.status}`);
+    }
+
+    const result = await response.json();
+    return {
+      mappedKey: result.mappedKey || null,
+      candidates: result.candidates || [],
+      method: result.method,
+    };
+  } catch (error) {
+    console.error('[Claimi] Tier 3 API error:', error);
+    return null;
+  }
+}
+
+// LLM Triage: Batch classify all fields before autofill
+// `form` ({ origin, path }) lets the backend cache results per form fingerprint
+async function triageFields(fields, availableUserDataKeys, availableCaseAnswerKeys, caseAnswerMeta, form = {}) {
+  // The content script falls back to its local tiers
+  if (!(await backendCallAllowed('triage'))) return { classifications: [], method: 'disabled' };
+  
+  try {
+    debugLog(`[Claimi] Triaging ${fields.length} fields via LLM`);
+    
+    const response = await apiFetch(CONFIG.triageEndpoint, {
+      method: 'POST',
+      body: JSON.stringify({
+        fields,
+        availableUserDataKeys,
+        availableCaseAnswerKeys,
+        caseAnswerMeta,
+        origin: form.origin,
+        formPath: form.path,
+      }),
+    });
+    
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`API request failed: ${response.status} - ${errorText}`);
+    }
+    
+    const result = await response.json();
+    debugLog(`[Claimi] Triage complete. Method: ${result.method}${result.cached ? ' (cached)' : ''}, Fields: ${result.classifications?.length}`);
+    return result;
+  } catch (error) {
+    console.error('[Claimi] Triage API error:', error);
+    // Return empty classifications on error - content script will use local fallback
+    return { classifications: [], method: 'error', error: error.message };
+  }
+}
+
+// Trigger autofill on the active tab
+async function triggerAutofillOnActiveTab(packet) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  
+  if (!tab?.id) {
+    return { error: 'No active tab found' };
+  }
+  
+  try {
+    return await autofillTab(tab.id, packet);
+  } catch (error) {
+    console.error('[Claimi] Error sending autofill message:', error);
+    return { error: error.message };
+  }
+}
+
+// ============================================================================
+// TAB AUTOFILL - claim forms embedded in iframes
+// ============================================================================
+
+// Settlement sites often embed the administrator's form in an iframe, so one run
+// covers every frame: collect fields, triage them together, fill each frame with
+// its own classifications and show one badge in the top frame.
+
+// One run per tab at a time; a second request gets the run in progress
+function autofillTab(tabId, packet) {
+  if (!tabAutofillRuns.has(tabId)) {
+    disarmTabAutofill(tabId);
+    tabAutofillRuns.set(tabId, runTabAutofill(tabId, packet).finally(() => tabAutofillRuns.delete(tabId)));
+  }
+  return tabAutofillRuns.get(tabId);
+}
+
+function scheduleTabAutofill(tabId, packet) {
+  if (tabId == null || !packet) return { scheduled: false };
+  
+  clearTimeout(scheduledTabAutofills.get(tabId));
+  scheduledTabAutofills.set(tabId, setTimeout(() => {
+    scheduledTabAutofills.delete(tabId);
+    autofillTab(tabId, packet).catch(error => console.error('[Claimi] Tab autofill error:', error));
+  }, TAB_AUTOFILL_DEBOUNCE_MS));
+  return { scheduled: true };
+}
+
+async function sendToFrame(tabId, frameId, message) {
+  if (tabId == null) return null;
+  return chrome.tabs.sendMessage(tabId, message, { frameId }).catch(() => null);
+}
+
+// Send a message to every frame of a tab: [{ frameId, url, response }].
+// Frames without the content script (extension pages, blocked about:blank) answer null.
+async function messageAllFrames(tabId, message) {
+  const frames = await chrome.webNavigation.getAllFrames({ tabId }) || [];
+  return Promise.all(frames.map(async frame => ({
+    frameId: frame.frameId,
+    url: frame.url,
+    response: await sendToFrame(tabId, frame.frameId, message),
+  })));
+}
+
+// The manifest runs the content script in top frames only. A subframe gets it,
+// and the packet, only when it is on the page's own origin or the packet's claim
+// form or settlement site origin - ads, chat widgets and analytics frames never do.
+const CONTENT_SCRIPT = chrome.runtime.getManifest().content_scripts[0];
+
+function urlOrigin(url) {
+  try {
+    const origin = new URL(url).origin;
+    return origin === 'null' ? null : origin;
+  } catch {
+    return null;
+  }
+}
+
+// about:blank and about:srcdoc frames share their parent's origin
+function frameOrigin(frame, framesById) {
+  let current = frame;
+  while (current && /^about:/.test(current.url)) current = framesById.get(current.parentFrameId);
+  return current ? urlOrigin(current.url) : null;
+}
+
+// The top frame plus the subframes the packet may be written into
+async function getPacketFrames(tabId, packet) {
+  const frames = await chrome.webNavigation.getAllFrames({ tabId }) || [];
+  const framesById = new Map(frames.map(frame => [frame.frameId, frame]));
+  const top = framesById.get(0);
+  const origins = new Set([
+    top && frameOrigin(top, framesById),
+    urlOrigin(packet?.claimFormUrl || packet?._meta?.claimFormUrl),
+    urlOrigin(packet?.settlementUrl || packet?.sourceUrl),
+  ].filter(Boolean));
+  return frames.filter(frame => frame.frameId === 0 || origins.has(frameOrigin(frame, framesById)));
+}
+
+// Inject the content script into subframes that don't run it yet
+async function injectContentScript(tabId, frameIds) {
+  const missing = [];
+  for (const frameId of frameIds) {
+    if (!(await sendToFrame(tabId, frameId, { action: 'getStatus' }))) missing.push(frameId);
+  }
+  if (missing.length === 0) return;
+  
+  try {
+    await chrome.scripting.insertCSS({ target: { tabId, frameIds: missing }, files: CONTENT_SCRIPT.css });
+    await chrome.scripting.executeScript({ target: { tabId, frameIds: missing }, files: CONTENT_SCRIPT.js });
+  } catch (error) {
+    console.warn('[Claimi] Could not inject into claim form frames:', error.message);
+  }
+}
+
+// messageAllFrames, limited to getPacketFrames
+async function messagePacketFrames(tabId, packet, message) {
+  const frames = await getPacketFrames(tabId, packet);
+  await injectContentScript(tabId, frames.filter(frame => frame.frameId !== 0).map(frame => frame.frameId));
+  return Promise.all(frames.map(async frame => ({
+    frameId: frame.frameId,
+    url: frame.url,
+    response: await sendToFrame(tabId, frame.frameId, message),
+  })));
+}
+
+// Triage field ids are only unique within a frame; frames are numbered in document order
+function frameFieldPrefix(frameIndex) {
+  return `frame${frameIndex}:`;
+}
+
+async function runTabAutofill(tabId, packet) {
+  const collected = (await messagePacketFrames(tabId, packet, { action: 'collectFields', claimPacket: packet }))
+    .filter(frame => frame.response);
+  const formFrames = collected.filter(frame => frame.response.fields?.length > 0);
+  
+  // The form is in the top frame only: it triages, shows its badge and reports on its own
+  if (formFrames.every(frame => frame.frameId === 0)) {
+    return chrome.tabs.sendMessage(tabId, { action: 'autofill', claimPacket: packet }, { frameId: 0 });
+  }
+  
+  debugLog(`[Claimi] Autofilling ${formFrames.length} frames of tab ${tabId}`);
+  
+  const top = collected.find(frame => frame.frameId === 0);
+  const request = (top || formFrames[0]).response;
+  const triage = await triageFields(
+    formFrames.flatMap((frame, index) => frame.response.fields.map(field => ({
+      ...field,
+      id: `${frameFieldPrefix(index)}${field.id}`,
+    }))),
+    request.availableUserDataKeys,
+    request.availableCaseAnswerKeys,
+    request.caseAnswerMeta,
+    request.form,
+  );
+  
+  // Frames fill one at a time - filling focuses fields, and frames would steal focus from each other
+  const runs = [];
+  for (const [index, frame] of formFrames.entries()) {
+    const prefix = frameFieldPrefix(index);
+    const classifications = (triage.classifications || [])
+      .filter(c => String(c.fieldId).startsWith(prefix))
+      .map(c => ({ ...c, fieldId: c.fieldId.slice(prefix.length) }));
+    
+    const result = await sendToFrame(tabId, frame.frameId, {
+      action: 'autofill',
+      claimPacket: packet,
+      coordination: { classifications, triageMethod: triage.method },
+    });
+    if (result?.error) console.warn(`[Claimi] Frame ${frame.frameId} autofill error:`, result.error);
+    runs.push({ frameId: frame.frameId, url: frame.url, result: result || {} });
+  }
+  
+  const summary = combineFillSummaries(runs.map(run => run.result.summary).filter(Boolean));
+  
+  await sendToFrame(tabId, 0, {
+    action: 'showCombinedStatus',
+    frames: runs.map(run => ({
+      frameId: run.frameId,
+      counts: {
+        filled: run.result.filled || 0,
+        lowConfidence: run.result.lowConfidence || 0,
+        userQuestions: run.result.userQuestions || 0,
+        fileUploads: run.result.fileUploads || 0,
+        pending: run.result.pending || 0,
+      },
+    })),
+  });
+  
+  if (packet.claimId) {
+    reportFillResult(packet.claimId, summary, top?.url || runs[0].url);
+  }
+  
+  return {
+    filled: summary.filled,
+    pending: summary.pending,
+    lowConfidence: summary.lowConfidence,
+    userQuestions: summary.userQuestions,
+    fileUploads: summary.fileUploads,
+    duplicates: runs.reduce((sum, run) => sum + (run.result.duplicates || 0), 0),
+    triageMethod: triage.method,
+    frames: runs.length,
+  };
+}
+
+// One fill report for the claim from every frame's summary
+function combineFillSummaries(summaries) {
+  const counts = ['filled', 'pending', 'lowConfidence', 'userQuestions', 'fileUploads'];
+  return summaries.reduce((combined, summary) => {
+    for (const count of counts) combined[count] += summary[count] || 0;
+    combined.fields.push(...(summary.fields || []));
+    return combined;
+  }, { filled: 0, pending: 0, lowConfidence: 0, userQuestions: 0, fileUploads: 0, fields: [] });
+}
+
+async function clearTab(tabId) {
+  if (tabId == null) return { success: false };
+  await messageAllFrames(tabId, { action: 'clear' });
+  return { success: true };
+}
+
+// Fields of every frame, for the popup's field list
+async function detectTabFields(tabId) {
+  const frames = await messageAllFrames(tabId, { action: 'detectFields' });
+  const fields = frames.flatMap(frame => frame.response?.fields || []);
+  return {
+    count: fields.length,
+    fields,
+    frames: frames.filter(frame => frame.response?.count > 0).length,
+  };
+}
+
+// ============================================================================
+// REVIEW PANEL - chrome.sidePanel listing every field before submitting
+// ============================================================================
+
+async function openReviewPanel(tabId) {
+  if (tabId == null) return { success: false, error: 'No tab' };
+  try {
+    await chrome.sidePanel.open({ tabId });
+    return { success: true };
+  } catch (error) {
+    console.warn('[Claimi] Could not open the review panel:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Every frame's review rows, tagged with their frame, plus the tab's claim session
+async function getReviewState(tabId) {
+  if (tabId == null) return { rows: [], session: null, packet: null };
+  
+  const frames = await messageAllFrames(tabId, { action: 'getReviewFields' });
+  const rows = frames.flatMap(frame => (frame.response?.rows || []).map(row => ({ ...row, frameId: frame.frameId })));
+  const resumed = await getClaimSessionForTab(tabId);
+  const packet = resumed?.packet || await getPacketForTab(tabId);
+  
+  return {
+    rows,
+    session: resumed?.session || null,
+    packet: packet ? { id: packet.id, settlementName: packet.settlementName || null } : null,
+  };
+}
+
+// ============================================================================
+// CLAIM SESSIONS - multi-step claim forms across page navigations
+// ============================================================================
+
+// A session follows one packet through one tab's claim wizard:
+// { key, tabId, packetId, settlementName, origin, startedAt, updatedAt,
+//   currentStep, totalSteps, steps: [{ signature, url, stepNumber, filled, ... }], answers }
+async function getClaimSessions() {
+  const result = await chrome.storage.session.get(STORAGE_KEYS.claimSessions);
+  return result[STORAGE_KEYS.claimSessions] || {};
+}
+
+async function setClaimSessions(sessions) {
+  await chrome.storage.session.set({ [STORAGE_KEYS.claimSessions]: sessions });
+}
+
+function claimSessionKey(tabId, packetId) {
+  return `${tabId}:${packetId}`;
+}
+
+// The tab's most recently used session
+function findTabSession(sessions, tabId) {
+  return Object.values(sessions)
+    .filter(session => session.tabId === tabId)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))[0] || null;
+}
+
+// Start (or continue) the session for this tab and packet
+async function startClaimSession(tabId, packet, origin) {
+  if (tabId == null || !packet) return null;
+  
+  const sessions = await getClaimSessions();
+  const packetId = packet.id || 'packet';
+  const key = claimSessionKey(tabId, packetId);
+  const now = new Date().toISOString();
+  
+  // One wizard per tab: starting another packet replaces the tab's other sessions
+  for (const [otherKey, session] of Object.entries(sessions)) {
+    if (session.tabId === tabId && otherKey !== key) delete sessions[otherKey];
+  }
+  
+  sessions[key] = sessions[key] || {
+    key,
+    tabId,
+    packetId,
+    settlementName: packet.settlementName || null,
+    origin,
+    startedAt: now,
+    currentStep: 0,
+    totalSteps: null,
+    steps: [],
+    answers: {},
+  };
+  sessions[key].updatedAt = now;
+  
+  await setClaimSessions(sessions);
+  return sessions[key];
+}
+
+// The tab's session with its packet, so a freshly loaded step can resume.
+// Without one: the packet the tab was armed with from the packet library,
+// or else a packet whose claim form the tab is on, to offer in the page.
+async function getClaimSessionForTab(tabId, tabUrl) {
+  if (tabId == null) return null;
+  const session = findTabSession(await getClaimSessions(), tabId);
+  if (!session) return await getArmedAutofill(tabId, tabUrl) || getSuggestedPacket(tabId, tabUrl);
+  
+  const packet = await getPacket(session.packetId);
+  return packet ? { session, packet } : null;
+}
+
+// Record (or update) the current step; steps are identified by their field signature
+async function recordSessionStep(tabId, step) {
+  const sessions = await getClaimSessions();
+  const session = findTabSession(sessions, tabId);
+  if (!session || !step) return null;
+  
+  const existing = session.steps.findIndex(s => s.signature === step.signature);
+  const recorded = {
+    ...step,
+    stepNumber: step.detectedStep || (existing >= 0 ? session.steps[existing].stepNumber : session.steps.length + 1),
+    recordedAt: new Date().toISOString(),
+  };
+  
+  if (existing >= 0) {
+    session.steps[existing] = recorded;
+  } else {
+    session.steps.push(recorded);
+  }
+  
+  session.currentStep = recorded.stepNumber;
+  session.totalSteps = step.detectedTotal || session.totalSteps;
+  session.updatedAt = recorded.recordedAt;
+  
+  await setClaimSessions(sessions);
+  return session;
+}
+
+// Answers from the "We need your input" modal, keyed by normalized question label
+async function saveSessionAnswers(tabId, answers) {
+  const sessions = await getClaimSessions();
+  const session = findTabSession(sessions, tabId);
+  if (!session) return null;
+  
+  session.answers = { ...session.answers, ...answers };
+  session.updatedAt = new Date().toISOString();
+  await setClaimSessions(sessions);
+  return session;
+}
+
+async function endClaimSession(tabId) {
+  const sessions = await getClaimSessions();
+  for (const [key, session] of Object.entries(sessions)) {
+    if (session.tabId === tabId) delete sessions[key];
+  }
+  await setClaimSessions(sessions);
+  return { success: true };
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  endClaimSession(tabId);
+  clearPendingSubmission(tabId);
+  disarmTabAutofill(tabId);
+  forgetTabPacket(tabId);
+});
+
+// SPA wizards change steps with pushState or a hash change - tell the tab's content script
+function notifyClaimStepChanged(details) {
+  getClaimSessions().then(sessions => {
+    if (!findTabSession(sessions, details.tabId)) return;
+    // A frame whose content script isn't ready yet resumes on load
+    sendToFrame(details.tabId, details.frameId, { action: 'claimStepChanged', url: details.url });
+  });
+}
+
+chrome.webNavigation.onHistoryStateUpdated.addListener(notifyClaimStepChanged);
+chrome.webNavigation.onReferenceFragmentUpdated.addListener(notifyClaimStepChanged);
+
+// A claim form frame that loaded its next step needs the content script again;
+// once injected it finds the session and asks for a tab-wide autofill
+chrome.webNavigation.onCompleted.addListener(async (details) => {
+  if (details.frameId === 0) return;
+  const session = findTabSession(await getClaimSessions(), details.tabId);
+  const packet = session && await getPacket(session.packetId);
+  if (!packet) return;
+  
+  const frames = await getPacketFrames(details.tabId, packet);
+  if (frames.some(frame => frame.frameId === details.frameId)) {
+    await injectContentScript(details.tabId, [details.frameId]);
+  }
+});
+
+// ============================================================================
+// CLAIM FORM DETECTION - packets matched to the page a tab is on
+// ============================================================================
+
+// Origin and path of a web URL, for matching pages against packet links
+function claimUrlParts(url) {
+  try {
+    const parsed = new URL(url);
+    if (!/^https?:$/.test(parsed.protocol)) return null;
+    return { origin: parsed.origin, path: parsed.pathname.replace(/\/+$/, '').toLowerCase() };
+  } catch {
+    return null;
+  }
+}
+
+// The stored packet whose claim form (or settlement site) the URL is on: same
+// origin, and a path at or under the packet link's. The longest link path
+// wins, then the newest packet.
+async function findPacketForUrl(url) {
+  const page = claimUrlParts(url);
+  if (!page) return null;
+  
+  let best = null;
+  for (const record of await getPacketRecords()) {
+    for (const link of [record.claimFormUrl, record.settlementUrl]) {
+      const target = claimUrlParts(link);
+      if (!target || target.origin !== page.origin) continue;
+      if (page.path !== target.path && !page.path.startsWith(`${target.path}/`)) continue;
+      
+      const better = !best || target.path.length > best.pathLength ||
+        (target.path.length === best.pathLength && (record.receivedAt || '') > (best.record.receivedAt || ''));
+      if (better) best = { record, pathLength: target.path.length };
+    }
+  }
+  return best?.record || null;
+}
+
+// { [tabId]: { packetId, settlementName, url, dismissed } }
+async function getTabPackets() {
+  const result = await chrome.storage.session.get(STORAGE_KEYS.tabPackets);
+  return result[STORAGE_KEYS.tabPackets] || {};
+}
+
+async function setTabPackets(tabPackets) {
+  await chrome.storage.session.set({ [STORAGE_KEYS.tabPackets]: tabPackets });
+}
+
+async function forgetTabPacket(tabId) {
+  const tabPackets = await getTabPackets();
+  if (!tabPackets[tabId]) return;
+  delete tabPackets[tabId];
+  await setTabPackets(tabPackets);
+}
+
+// Match the tab's new page against the stored packets; remember the match for
+// the tab and badge the toolbar icon. Nothing is filled here.
+async function detectClaimForm(tabId, url) {
+  const settings = await getSettings();
+  const record = settings.autoDetect ? await findPacketForUrl(url) : null;
+  const tabPackets = await getTabPackets();
+  const previous = tabPackets[tabId];
+  
+  if (record) {
+    tabPackets[tabId] = {
+      packetId: record.id,
+      settlementName: record.settlementName,
+      url,
+      // "Not now" holds while the tab stays on the same packet's pages
+      dismissed: previous?.packetId === record.id && previous.dismissed,
+    };
+  } else {
+    delete tabPackets[tabId];
+  }
+  await setTabPackets(tabPackets);
+  await updateActionBadge(tabId, settings.showBadge ? record : null);
+  return record;
+}
+
+async function updateActionBadge(tabId, record) {
+  try {
+    await chrome.action.setBadgeText({ tabId, text: record ? '✓' : '' });
+    await chrome.action.setTitle({
+      tabId,
+      title: record ? `Claimi can fill this claim for ${record.settlementName || 'a stored packet'}` : 'Claimi Autofill Agent',
+    });
+    if (record) await chrome.action.setBadgeBackgroundColor({ tabId, color: '#6366f1' });
+  } catch {
+    // The tab closed before the badge could be set
+  }
+}
+
+// The matched packet, for the in-page prompt, unless the user said "Not now"
+async function getSuggestedPacket(tabId, tabUrl) {
+  if (!(await getSettings()).autoDetect) return null;
+  
+  const record = await findPacketForUrl(tabUrl);
+  if (!record) return null;
+  const tabPacket = (await getTabPackets())[tabId];
+  if (tabPacket?.packetId === record.id && tabPacket.dismissed) return null;
+  
+  const packet = await getPacket(record.id);
+  return packet ? { session: null, packet, suggested: true } : null;
+}
+
+async function dismissPacketPrompt(tabId) {
+  const tabPackets = await getTabPackets();
+  if (tabPackets[tabId]) {
+    tabPackets[tabId].dismissed = true;
+    await setTabPackets(tabPackets);
+  }
+  return { success: true };
+}
+
+// The packet autofill uses on a tab: its claim session's, the one matched to
+// its page, or the active packet
+async function getPacketForTab(tabId) {
+  const session = findTabSession(await getClaimSessions(), tabId);
+  const packetId = session?.packetId || (await getTabPackets())[tabId]?.packetId;
+  const packet = packetId ? await getPacket(packetId) : null;
+  return packet || getActivePacket();
+}
+
+chrome.webNavigation.onCommitted.addListener((details) => {
+  if (details.frameId !== 0) return;
+  detectClaimForm(details.tabId, details.url)
+    .catch(error => console.warn('[Claimi] Claim form detection error:', error));
+});
+
+// An SPA that routes to its claim form gets no new page load - offer the packet in the page now
+chrome.webNavigation.onHistoryStateUpdated.addListener((details) => {
+  if (details.frameId !== 0) return;
+  detectClaimForm(details.tabId, details.url)
+    .then(async record => {
+      if (!record || findTabSession(await getClaimSessions(), details.tabId)) return;
+      sendToFrame(details.tabId, 0, { action: 'claimFormDetected' });
+    })
+    .catch(error => console.warn('[Claimi] Claim form detection error:', error));
+});
+
 // Handle context menu clicks
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   if (info.menuItemId === 'claimly-autofill') {
-    const packet = await getActivePacket();
+    const packet = tab?.id != null ? await getPacketForTab(tab.id) : await getActivePacket();
     if (packet && tab?.id) {
-      chrome.tabs.sendMessage(tab.id, {
-        action: 'autofill',
-        claimPacket: packet,
-      });
+      autofillTab(tab.id, packet).catch(error => console.error('[Claimi] Tab autofill error:', error));
     }
   }
 });
 
-console.log('[Claimi] Service worker loaded');
+debugLog('[Claimi] Service worker loaded');
@@ -14,8 +14,6 @@
  * 10. Confidence scoring and review UI
  */
 
-console.log('[Claimi] Advanced Autofill Agent loading...');
-
 // ============================================================================
 // GLOBAL STATE
 // ============================================================================
@@ -28,13 +26,53 @@ let userQuestionFields = [];  // Fields needing user input
 let fileUploadFields = [];    // File upload fields detected
 let caseAnswerFields = [];    // Fields that matched caseAnswers
 let statusBadge = null;
+let packetPrompt = null;          // "Claimi can fill this claim" offer on a known claim form
 let userQuestionModal = null;
 let documentRequestModal = null;
 let fuseIndex = null;
 let miniSearchIndex = null;
+let processedFieldElements = new WeakSet(); // Fields already handled by this autofill run
+let revealedFieldObserver = null;
+let learnedMappings = new Map(); // field fingerprint -> learned mapping for this origin
+let claimSession = null;          // multi-step session kept by the service worker
+let currentStepSignature = null;  // field signature of the step filled last
+let stepChangeTimer = null;
+let frameRun = false;             // this fill is one frame of a tab-wide run (badge lives in the top frame)
+let combinedStatus = null;        // top frame: per-frame counts of the tab-wide run
+let reviewFieldRefs = [];         // elements behind the review side panel's rows, by ref
+let lastSubmissionCaptureAt = 0;
+let confirmationObserver = null;
+
+const IS_TOP_FRAME = window === window.top;
+
+// claimly_settings (options page), as merged by the service worker. These
+// values hold until they arrive; each fill run waits for them.
+let settings = {
+  confidenceThreshold: 0.75, // Fields below this need review
+  llmTriage: true,           // LLM-first triage
+  tier3Enabled: true,
+  localOnly: false,
+  showBadge: true,
+  debugLogging: false,
+};
+const settingsLoaded = chrome.runtime.sendMessage({ action: 'getSettings' })
+  .then(loaded => { if (loaded) settings = loaded; })
+  .catch(() => {});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  const changed = area === 'local' && changes.claimly_settings?.newValue;
+  if (changed) settings = { ...settings, ...changed };
+});
+
+function debugLog(...args) {
+  if (settings.debugLogging) console.log(...args);
+}
 
-const CONFIDENCE_THRESHOLD = 0.75; // Fields below this need review
-const USE_LLM_TRIAGE = true; // Enable LLM-first triage
+// Local-only mode keeps field labels in the browser (the service worker enforces it too)
+function backendMatchingEnabled(feature) {
+  if (settings.localOnly) return false;
+  return feature === 'triage' ? settings.llmTriage : settings.tier3Enabled;
+}
 
 // ============================================================================
 // TEXT NORMALIZATION (Requirement #9)
@@ -207,26 +245,26 @@ const FIELD_SCHEMAS = {
     },
     validator: (value) => {
       const phoneStr = String(value);
-      console.log('[Claimi] Phone validator called with:', phoneStr);
+      debugLog('[Claimi] Phone validator called with:', phoneStr);
       
       // Check if libphonenumber is available and has the function
       if (typeof libphonenumber !== 'undefined' && typeof libphonenumber.isValidPhoneNumber === 'function') {
         try {
           const result = libphonenumber.isValidPhoneNumber(phoneStr, 'US');
-          console.log('[Claimi] libphonenumber result:', result);
+          debugLog('[Claimi] libphonenumber result:', result);
           return result;
         } catch (e) {
-          console.log('[Claimi] libphonenumber error:', e.message);
+          debugLog('[Claimi] libphonenumber error:', e.message);
           // Fall through to basic check
         }
       } else {
-        console.log('[Claimi] libphonenumber not available, using basic check');
+        debugLog('[Claimi] libphonenumber not available, using basic check');
       }
       
       // Fallback: basic digit check
       const digits = phoneStr.replace(/\D/g, '');
       const isValid = digits.length >= 7 && digits.length <= 15;
-      console.log('[Claimi] Basic check - digits:', digits.length, 'valid:', isValid);
+      debugLog('[Claimi] Basic check - digits:', digits.length, 'valid:', isValid);
       return isValid;
     },
   },
@@ -574,7 +612,7 @@ function initializeSearchIndices() {
       useExtendedSearch: true,
     });
     
-    console.log(`[Claimi] Fuse.js initialized with ${fuseItems.length} terms`);
+    debugLog(`[Claimi] Fuse.js initialized with ${fuseItems.length} terms`);
   }
   
   // MiniSearch for BM25 ranking on long text
@@ -600,7 +638,7 @@ function initializeSearchIndices() {
       }
     }
     
-    console.log(`[Claimi] MiniSearch initialized with ${docId} documents`);
+    debugLog(`[Claimi] MiniSearch initialized with ${docId} documents`);
   }
 }
 
@@ -664,26 +702,26 @@ function hasNegativeEvidence(fieldKey, semantics, labelText, descriptionText) {
   // Check negative keywords
   for (const keyword of neg.keywords || []) {
     if (fullText.includes(keyword.toLowerCase())) {
-      console.log(`[Claimi]     ⛔ Negative keyword: "${keyword}"`);
+      debugLog(`[Claimi]     ⛔ Negative keyword: "${keyword}"`);
       return true;
     }
   }
   
   // Check negative autocomplete
   if (neg.autocomplete?.includes(semantics.autocomplete)) {
-    console.log(`[Claimi]     ⛔ Negative autocomplete: "${semantics.autocomplete}"`);
+    debugLog(`[Claimi]     ⛔ Negative autocomplete: "${semantics.autocomplete}"`);
     return true;
   }
   
   // Check negative types
   if (neg.types?.includes(semantics.type)) {
-    console.log(`[Claimi]     ⛔ Negative type: "${semantics.type}"`);
+    debugLog(`[Claimi]     ⛔ Negative type: "${semantics.type}"`);
     return true;
   }
   
   // Check inputmode
   if (neg.inputmodes?.includes(semantics.inputmode)) {
-    console.log(`[Claimi]     ⛔ Negative inputmode: "${semantics.inputmode}"`);
+    debugLog(`[Claimi]     ⛔ Negative inputmode: "${semantics.inputmode}"`);
     return true;
   }
   
@@ -691,7 +729,7 @@ function hasNegativeEvidence(fieldKey, semantics, labelText, descriptionText) {
   if (fieldKey === 'phone' && neg.hasMinMax) {
     if (semantics.min !== null || semantics.max !== null) {
       if (parseFloat(semantics.max) < 100) { // Likely a count field
-        console.log(`[Claimi]     ⛔ Has min/max suggesting count field`);
+        debugLog(`[Claimi]     ⛔ Has min/max suggesting count field`);
         return true;
       }
     }
@@ -711,7 +749,7 @@ function matchFieldTiered(field) {
   const normalizedLabel = normalizeText(labelText);
   const fullContext = `${labelText} ${descriptionText}`;
   
-  console.log('[Claimi] 🔍 Field:', {
+  debugLog('[Claimi] 🔍 Field:', {
     id: semantics.id,
     name: semantics.name,
     type: semantics.type,
@@ -722,7 +760,7 @@ function matchFieldTiered(field) {
   
   // Skip question-like fields
   if (isQuestionField(fullContext)) {
-    console.log('[Claimi]   ⏭️ Skipped: question field');
+    debugLog('[Claimi]   ⏭️ Skipped: question field');
     return null;
   }
   
@@ -736,7 +774,7 @@ function matchFieldTiered(field) {
     if (schema.positiveSignals.autocomplete.includes(semantics.autocomplete)) {
       if (!hasNegativeEvidence(key, semantics, labelText, descriptionText)) {
         const score = 1.0;
-        console.log(`[Claimi]   ✅ T0: autocomplete="${semantics.autocomplete}" → ${key} (${score.toFixed(2)})`);
+        debugLog(`[Claimi]   ✅ T0: autocomplete="${semantics.autocomplete}" → ${key} (${score.toFixed(2)})`);
         return { key, tier: 0, confidence: score };
       }
     }
@@ -755,7 +793,7 @@ function matchFieldTiered(field) {
   }
   
   if (bestTier === 0 && bestScore >= 0.9) {
-    console.log(`[Claimi]   ✅ T0: type="${semantics.type}" → ${bestMatch} (${bestScore.toFixed(2)})`);
+    debugLog(`[Claimi]   ✅ T0: type="${semantics.type}" → ${bestMatch} (${bestScore.toFixed(2)})`);
     return { key: bestMatch, tier: 0, confidence: bestScore };
   }
   
@@ -778,7 +816,7 @@ function matchFieldTiered(field) {
   }
   
   if (bestTier === 1 && bestScore >= 0.8) {
-    console.log(`[Claimi]   ✅ T1: pattern match → ${bestMatch} (${bestScore.toFixed(2)})`);
+    debugLog(`[Claimi]   ✅ T1: pattern match → ${bestMatch} (${bestScore.toFixed(2)})`);
     return { key: bestMatch, tier: 1, confidence: bestScore };
   }
   
@@ -843,7 +881,7 @@ function matchFieldTiered(field) {
   // Special handling: if label contains "line 2" or "address 2", it's address.unit
   if (/line\s*2|address\s*2|addr\s*2/i.test(labelText)) {
     if (!hasNegativeEvidence('address.unit', semantics, labelText, descriptionText)) {
-      console.log(`[Claimi]   ✅ T1.5: "line 2/address 2" pattern → address.unit (0.95)`);
+      debugLog(`[Claimi]   ✅ T1.5: "line 2/address 2" pattern → address.unit (0.95)`);
       return { key: 'address.unit', tier: 1.5, confidence: 0.95 };
     }
   }
@@ -852,7 +890,7 @@ function matchFieldTiered(field) {
     const key = exactLabelMatches[labelLower];
     if (!hasNegativeEvidence(key, semantics, labelText, descriptionText)) {
       const score = 0.9;
-      console.log(`[Claimi]   ✅ T1.5: exact label "${labelLower}" → ${key} (${score.toFixed(2)})`);
+      debugLog(`[Claimi]   ✅ T1.5: exact label "${labelLower}" → ${key} (${score.toFixed(2)})`);
       return { key, tier: 1.5, confidence: score };
     }
   }
@@ -909,7 +947,7 @@ function matchFieldTiered(field) {
   }
   
   if (bestTier === 2 && bestScore >= 0.6) {
-    console.log(`[Claimi]   ✅ T2: fuzzy match → ${bestMatch} (${bestScore.toFixed(2)})`);
+    debugLog(`[Claimi]   ✅ T2: fuzzy match → ${bestMatch} (${bestScore.toFixed(2)})`);
     return { key: bestMatch, tier: 2, confidence: bestScore };
   }
   
@@ -939,11 +977,11 @@ function matchFieldTiered(field) {
   }
   
   if (bestTier === 3 && bestScore >= 0.5) {
-    console.log(`[Claimi]   ⚠️ T3: keyword fallback → ${bestMatch} (${bestScore.toFixed(2)})`);
+    debugLog(`[Claimi]   ⚠️ T3: keyword fallback → ${bestMatch} (${bestScore.toFixed(2)})`);
     return { key: bestMatch, tier: 3, confidence: bestScore };
   }
   
-  console.log('[Claimi]   ❌ No match');
+  debugLog('[Claimi]   ❌ No match');
   return null;
 }
 
@@ -977,56 +1015,59 @@ function isQuestionField(text) {
 // VALIDATION (Requirement #4)
 // ============================================================================
 
-function validateAndFill(field, value, fieldKey) {
+/**
+ * Validate a packet value against its schema and write it into the field
+ * (see value-writer.js). Returns false, or { confidence } - below 1 when a
+ * dropdown option was a table or fuzzy match rather than an exact one.
+ */
+async function validateAndFill(field, value, fieldKey) {
   const schema = FIELD_SCHEMAS[fieldKey];
   if (!schema) return false;
   
   // Run validator
   if (schema.validator && !schema.validator(value)) {
-    console.log(`[Claimi]   ⛔ Validation failed for ${fieldKey}`);
+    debugLog(`[Claimi]   ⛔ Validation failed for ${fieldKey}`);
     return false;
   }
   
+  // Month/day/year parts are filled together
+  if (schema.dataType === 'date') {
+    const dateGroup = getSplitDateGroup(field);
+    if (dateGroup) return fillSplitDate(dateGroup, value) || false;
+  }
+  
+  // Phone or ZIP split across boxes: the validator already saw the whole value
+  const segments = getSegmentGroup(field);
+  if (segments) return fillSegments(segments, value) || false;
+  
   const str = String(value);
+  let text = str;
+  let confidence = 1.0;
   
   try {
-    if (field.tagName === 'SELECT') {
-      const opts = Array.from(field.options);
-      const lower = str.toLowerCase();
-      const match = opts.find(o => 
-        o.value.toLowerCase() === lower || 
-        o.textContent.toLowerCase().trim() === lower
-      );
-      if (match) field.value = match.value;
-      else return false;
+    if (field.tagName === 'SELECT' || field.list) {
+      const options = getOptionElements(field);
+      const match = matchOption(options, str, OPTION_KINDS[fieldKey]);
+      if (match) {
+        text = options[match.index].value;
+        confidence = match.confidence;
+        debugLog(`[Claimi]   🔽 Option "${options[match.index].text}" for ${fieldKey} (${match.method}, ${match.confidence.toFixed(2)})`);
+      } else if (field.tagName === 'SELECT') {
+        return false;
+      } // a datalist only suggests: keep the packet value
+    } else if (getWidgetDriver(field)) {
+      const picked = await driveWidget(field, str, OPTION_KINDS[fieldKey]);
+      return picked ? { confidence: picked.confidence } : false;
     } else if (field.type === 'checkbox') {
-      field.checked = ['true', '1', 'yes'].includes(str.toLowerCase()) || value === true;
+      return writeChecked(field, ['true', '1', 'yes'].includes(str.toLowerCase()) || value === true) && { confidence };
     } else if (field.type === 'radio') {
       if (field.value.toLowerCase() !== str.toLowerCase()) return false;
-      field.checked = true;
-    } else if (field.type === 'date') {
-      try {
-        const d = new Date(str);
-        field.value = isNaN(d) ? str : d.toISOString().split('T')[0];
-      } catch { field.value = str; }
-    } else {
-      field.value = str;
+      return writeChecked(field, true) && { confidence };
+    } else if (field.type === 'date' || schema.dataType === 'date') {
+      text = formatDateForField(field, value);
     }
     
-    // Trigger events
-    const proto = {
-      'TEXTAREA': HTMLTextAreaElement.prototype,
-      'SELECT': HTMLSelectElement.prototype,
-    }[field.tagName] || HTMLInputElement.prototype;
-    
-    const setter = Object.getOwnPropertyDescriptor(proto, 'value')?.set;
-    if (setter) setter.call(field, field.value);
-    
-    ['focus', 'input', 'change', 'blur'].forEach(e => 
-      field.dispatchEvent(new Event(e, { bubbles: true }))
-    );
-    
-    return true;
+    return writeValue(field, text) ? { confidence } : false;
   } catch (err) {
     console.error('[Claimi]   ❌ Fill error:', err);
     return false;
@@ -1037,6 +1078,51 @@ function validateAndFill(field, value, fieldKey) {
 // UTILITY FUNCTIONS
 // ============================================================================
 
+// Fields answered by picking options rather than typing a value
+function isStructuredField(field) {
+  return isChoiceInput(field) || hasOptionList(field) || Boolean(getSplitDateGroup(field) || getSegmentGroup(field));
+}
+
+/**
+ * Fill a radio group, checkbox set, split date, segmented boxes or dropdown.
+ * Returns { field, confidence } or null when the value fits none of its options.
+ */
+async function fillStructuredField(field, value) {
+  if (isChoiceInput(field)) return fillChoiceGroup(field, value);
+  const dateGroup = getSplitDateGroup(field);
+  if (dateGroup) return fillSplitDate(dateGroup, value);
+  const segments = getSegmentGroup(field);
+  if (segments) return fillSegments(segments, value);
+  return fillOptionField(field, value);
+}
+
+/**
+ * Write a case answer (or any non-schema value) into a field.
+ * Radio buttons and checkboxes get the matching option checked instead.
+ * Returns false when nothing could be written.
+ */
+async function fillCaseAnswerValue(field, value) {
+  if (isStructuredField(field)) {
+    if (await fillStructuredField(field, value)) return true;
+    // A datalist only suggests; selects, listboxes and choices need one of their options
+    if (!field.list) return false;
+  }
+  
+  return writeValue(field, isDateInput(field) ? formatDateForField(field, value) : String(value));
+}
+
+// Undo a fill; for a choice group that means unchecking every option
+function clearFieldValue(field) {
+  if (isChoiceInput(field)) {
+    getChoiceGroup(field).options.forEach(option => writeChecked(option, false));
+    return;
+  }
+  
+  for (const part of getGroupMembers(field)) {
+    writeValue(part, '');
+  }
+}
+
 function getNestedValue(obj, path) {
   if (!obj || !path) return undefined;
   return path.split('.').reduce((o, k) => o?.[k], obj);
@@ -1065,6 +1151,7 @@ function getFormFields() {
     '[role="listbox"]',
     '[role="spinbutton"]',
     '[contenteditable="true"]',
+    'button[aria-haspopup="listbox"]', // Headless UI / Radix listbox buttons
     '[data-testid*="input"]',
     '[data-testid*="field"]',
     '.form-control',
@@ -1121,286 +1208,1459 @@ function getFormFields() {
  */
 function rescanFormFields() {
   const newFields = getFormFields();
-  console.log(`[Claimi] Rescan found ${newFields.length} fields`);
+  debugLog(`[Claimi] Rescan found ${newFields.length} fields`);
   return newFields;
 }
 
 // ============================================================================
-// LLM TRIAGE FUNCTIONS
+// OPTION LISTS - selects, datalists and ARIA listboxes (see option-matching.js)
 // ============================================================================
 
-/**
- * Extract all available keys from userData (flattened for nested objects)
- */
-function extractUserDataKeys(userData) {
-  const keys = [];
-  function traverse(obj, prefix = '') {
-    for (const [key, value] of Object.entries(obj || {})) {
-      const fullKey = prefix ? `${prefix}.${key}` : key;
-      if (value && typeof value === 'object' && !Array.isArray(value)) {
-        traverse(value, fullKey);
-      } else {
-        keys.push(fullKey);
-      }
-    }
-  }
-  traverse(userData);
-  return keys;
+// Field keys whose options come from a known table
+const OPTION_KINDS = {
+  'address.state': 'state',
+  'address.country': 'country',
+};
+
+// Native selects and datalists, or a custom dropdown a widget driver can open
+function hasOptionList(field) {
+  return field.tagName === 'SELECT' || Boolean(field.list) || Boolean(getWidgetDriver(field));
+}
+
+// [{ text, value }] of a select or datalist, for matchOption()
+function getOptionElements(field) {
+  const elements = field.tagName === 'SELECT' ? [...field.options] : [...(field.list?.querySelectorAll('option') || [])];
+  return elements.map(element => ({
+    text: (element.label || element.textContent || '').trim(),
+    value: element.getAttribute('value') ?? element.textContent.trim(),
+  }));
 }
 
 /**
- * Extract all available keys from caseAnswers
+ * Pick the option that fits a case answer or packet value.
+ * Returns { field, confidence } or null when no option fits.
  */
-function extractCaseAnswerKeys(caseAnswers) {
-  return Object.keys(caseAnswers || {});
+async function fillOptionField(field, value, kind = null) {
+  if (field.tagName !== 'SELECT' && !field.list) {
+    const picked = await driveWidget(field, value, kind);
+    return picked ? { field, confidence: picked.confidence } : null;
+  }
+  
+  const options = getOptionElements(field);
+  const match = matchOption(options, value, kind);
+  if (!match || !writeValue(field, options[match.index].value)) return null;
+  
+  debugLog(`[Claimi]   🔽 Option "${options[match.index].text}" (${match.method}, ${match.confidence.toFixed(2)})`);
+  return { field, confidence: match.confidence };
 }
 
+// ============================================================================
+// DATES - expected format detection and split month/day/year groups
+// ============================================================================
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+const DEFAULT_DATE_FORMAT = 'MM/DD/YYYY'; // US claim administrators
+
 /**
- * Call the backend triage API to classify all fields
+ * { year, month, day } from a packet value, without the UTC shift
+ * new Date('1990-05-15') causes west of Greenwich
  */
-async function triageFieldsViaLLM(fields, packet) {
-  const availableUserDataKeys = extractUserDataKeys(packet.userData);
-  const availableCaseAnswerKeys = extractCaseAnswerKeys(packet.caseAnswers);
-  const caseAnswerMeta = packet.caseAnswerMeta || {};
+function parseDateValue(value) {
+  const str = String(value ?? '').trim();
+  let match = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return validDateParts(+match[1], +match[2], +match[3]);
   
-  console.log('[Claimi] 🤖 Sending fields to LLM triage...');
-  console.log('[Claimi]    Fields:', fields.length);
-  console.log('[Claimi]    UserData keys:', availableUserDataKeys);
-  console.log('[Claimi]    CaseAnswer keys:', availableCaseAnswerKeys);
+  match = str.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{4})$/);
+  if (match) return validDateParts(+match[3], +match[1], +match[2]);
   
-  try {
-    const response = await chrome.runtime.sendMessage({
-      action: 'triageFields',
-      fields: fields.map(f => {
-        const { text: label } = computeAccessibleName(f.element);
-        const description = getDescriptionText(f.element);
-        return {
-          id: f.element.id || f.element.name || `field_${f.index}`,
-          label: label,
-          type: f.element.type || 'text',
-          required: f.element.required || f.element.getAttribute('aria-required') === 'true',
-          context: description,
-          placeholder: f.element.placeholder || '',
-        };
-      }),
-      availableUserDataKeys,
-      availableCaseAnswerKeys,
-      caseAnswerMeta,
-    });
-    
-    console.log('[Claimi] 🤖 Triage response:', response);
-    return response;
-  } catch (error) {
-    console.error('[Claimi] 🤖 Triage error:', error);
-    return { classifications: [], method: 'error', error: error.message };
-  }
+  const date = new Date(str);
+  return isNaN(date) ? null : validDateParts(date.getFullYear(), date.getMonth() + 1, date.getDate());
+}
+
+function validDateParts(year, month, day) {
+  return month >= 1 && month <= 12 && day >= 1 && day <= 31 ? { year, month, day } : null;
+}
+
+function formatDateParts({ year, month, day }, format) {
+  const pad = n => String(n).padStart(2, '0');
+  const tokens = {
+    YYYY: String(year),
+    YY: pad(year % 100),
+    MM: pad(month),
+    M: String(month),
+    DD: pad(day),
+    D: String(day),
+  };
+  return format.replace(/YYYY|YY|MM|M|DD|D/g, token => tokens[token]);
 }
 
 /**
- * Local fallback heuristics when LLM triage is unavailable
- * Uses STRICT whitelist for STANDARD_PROFILE
+ * A date format from a hint: "mm/dd/yyyy", "MM-DD-YY", "99/99/9999",
+ * "__/__/____" or an example like "01/31/2024". Null when it isn't one.
  */
-function classifyFieldLocally(field, label, context) {
-  const fullText = `${label} ${context}`.toLowerCase();
-  const labelLower = label.toLowerCase();
-  const type = (field.type || 'text').toLowerCase();
-  
-  // File upload - check first
-  if (type === 'file' || /upload|attach|document|proof|receipt/i.test(fullText)) {
-    return { category: 'FILE_UPLOAD', confidence: 0.9 };
+function parseDateFormatHint(hint) {
+  const text = String(hint || '').trim();
+  if (!text) return null;
+  
+  const tokens = text.match(/\b(mm|dd|yyyy|yy|m|d)([\/.\-\s]?)(mm|dd|yyyy|yy|m|d)(?:\2(mm|dd|yyyy|yy|m|d))?\b/i);
+  if (tokens) {
+    const parts = [tokens[1], tokens[3], tokens[4]].filter(Boolean).map(t => t.toUpperCase());
+    // "m" and "d" alone are too ambiguous without a year
+    if (parts.some(p => p.startsWith('Y')) && parts.some(p => p.startsWith('M'))) {
+      return parts.join(tokens[2]);
+    }
   }
   
-  // Money/price/amount fields - ALWAYS CASE_ANSWER (never standard profile)
-  const moneyPatterns = [
-    /price/i, /cost/i, /amount/i, /fee/i, /commission/i, /payment/i,
-    /sale price/i, /purchase price/i, /total paid/i, /\$/,
-  ];
-  if (moneyPatterns.some(p => p.test(fullText))) {
-    return { category: 'CASE_ANSWER', confidence: 0.9, promptForUser: `Enter the ${label} (e.g., $10,000)` };
+  // Input masks: 9, 0, # or _ stand for digits
+  const mask = text.match(/^([90#_]{2,4})([\/.\-])([90#_]{2})(?:\2([90#_]{2,4}))?$/);
+  if (mask) {
+    if (mask[1].length === 4) return `YYYY${mask[2]}MM${mask[2]}DD`;
+    return mask[4] ? `MM${mask[2]}DD${mask[2]}${'Y'.repeat(mask[4].length)}` : `MM${mask[2]}YY`;
   }
   
-  // Brokerage/agent/company - ALWAYS CASE_ANSWER
-  const businessPatterns = [
-    /brokerage/i, /broker/i, /agent/i, /realtor/i,
-    /company name/i, /business name/i, /firm name/i,
-  ];
-  if (businessPatterns.some(p => p.test(fullText))) {
-    return { category: 'CASE_ANSWER', confidence: 0.9, promptForUser: `Enter the ${label}` };
+  // An example date
+  const example = text.match(/^(?:e\.?g\.?,?\s*)?(\d{1,4})([\/.\-])(\d{1,2})\2(\d{2,4})$/i);
+  if (example) {
+    if (example[1].length === 4) return `YYYY${example[2]}MM${example[2]}DD`;
+    const year = 'Y'.repeat(example[4].length === 4 ? 4 : 2);
+    return Number(example[1]) > 12
+      ? `DD${example[2]}MM${example[2]}${year}`
+      : `MM${example[2]}DD${example[2]}${year}`;
   }
   
-  // Contextual data - qualifiers that indicate NOT standard profile
-  const contextualPatterns = [
-    /address of (?:home|property|house) sold/i,
-    /previous address/i,
-    /former address/i,
-    /employer'?s? (?:phone|address|name)/i,
-    /spouse'?s? (?:name|phone|email)/i,
-    /at (?:the )?time of/i,
-    /before the/i,
-    /prior to/i,
-    /maiden name/i,
-    /property address/i,
-    /sold property/i,
+  return null;
+}
+
+// A format from a regex pattern attribute, e.g. \d{2}/\d{2}/\d{4}
+function parseDatePatternHint(pattern) {
+  const match = String(pattern || '').match(/^\^?\\d\{(\d)\}(\\?[\/.\-])\\d\{(\d)\}\2\\d\{(\d)\}\$?$/);
+  if (!match) return null;
+  const separator = match[2].replace('\\', '');
+  return parseDateFormatHint([match[1], match[3], match[4]].map(n => '9'.repeat(Number(n))).join(separator));
+}
+
+// Hints the field itself carries, most explicit first
+function explicitDateFormat(field) {
+  if (field.type === 'date') return 'YYYY-MM-DD';
+  if (field.type === 'month') return 'YYYY-MM';
+  
+  const hints = [
+    field.getAttribute('data-date-format'),
+    field.getAttribute('data-format'),
+    field.getAttribute('data-mask'),
+    field.getAttribute('data-inputmask')?.match(/(?:mask|alias|inputFormat)\s*[:=]\s*['"]([^'"]+)/i)?.[1],
+    field.placeholder,
+    field.getAttribute('aria-placeholder'),
+    field.title,
   ];
-  
-  if (contextualPatterns.some(p => p.test(fullText))) {
-    return { category: 'CONTEXTUAL_DATA', confidence: 0.85 };
-  }
-  
-  // Yes/No questions - CASE_ANSWER
-  if (/did you|do you|have you|were you|are you|\?$|select (?:all|one)/i.test(fullText)) {
-    return { category: 'CASE_ANSWER', confidence: 0.8 };
+  for (const hint of hints) {
+    const format = parseDateFormatHint(hint);
+    if (format) return format;
   }
   
-  // Open-ended descriptions - USER_QUESTION
-  if (/describe|explain|additional comments|tell us about/i.test(fullText)) {
-    return { category: 'USER_QUESTION', confidence: 0.8, promptForUser: `Please ${label.toLowerCase()}. Be specific and provide details.` };
-  }
+  const fromPattern = parseDatePatternHint(field.pattern);
+  if (fromPattern) return fromPattern;
   
-  // Optional fields - SKIP
-  if (/optional|referral|how did you hear/i.test(fullText)) {
-    return { category: 'SKIP', confidence: 0.85 };
+  // "(MM/DD/YYYY)" in the label or help text
+  const text = `${computeAccessibleName(field).text} ${getDescriptionText(field)}`;
+  const inText = text.match(/\b(?:mm|dd|yyyy)[\/.\-\s]?(?:mm|dd|yy|yyyy)(?:[\/.\-\s]?(?:mm|dd|yy|yyyy))?\b/i);
+  return inText ? parseDateFormatHint(inText[0]) : null;
+}
+
+/**
+ * The format a date field expects: its own hints, then its maxlength,
+ * then the format of another date field in the same form
+ */
+function detectDateFormat(field) {
+  const explicit = explicitDateFormat(field);
+  if (explicit) return explicit;
+  
+  const maxLengthFormats = { 6: 'MMDDYY', 7: 'MM/YYYY', 8: 'MMDDYYYY', 10: 'MM/DD/YYYY' };
+  if (maxLengthFormats[field.maxLength]) return maxLengthFormats[field.maxLength];
+  
+  const neighbours = [...(field.form || document).querySelectorAll('input')]
+    .filter(other => other !== field && other.type !== 'date' && other.type !== 'hidden');
+  for (const other of neighbours) {
+    const format = explicitDateFormat(other);
+    if (format?.includes('D')) return format; // not a month/year expiry
   }
   
-  // STRICT WHITELIST for STANDARD_PROFILE
-  const standardProfilePatterns = [
-    { pattern: /^(first\s*name|given\s*name|fname)$/i, key: 'firstName' },
-    { pattern: /^(last\s*name|family\s*name|surname|lname)$/i, key: 'lastName' },
-    { pattern: /^(full\s*name|your\s*name|name|legal\s*name)$/i, key: 'fullName' },
-    { pattern: /^(email|e-mail|email\s*address)$/i, key: 'email' },
-    { pattern: /^(phone|phone\s*number|telephone|mobile|cell)$/i, key: 'phone' },
-    { pattern: /^(street\s*address|mailing\s*address|address|address\s*line\s*1)$/i, key: 'address.street' },
-    { pattern: /^(address\s*line\s*2|apt|apartment|unit|suite)$/i, key: 'address.unit' },
-    { pattern: /^(city|town)$/i, key: 'address.city' },
-    { pattern: /^(state|province|region)$/i, key: 'address.state' },
-    { pattern: /^(zip|zip\s*code|postal\s*code|postcode)$/i, key: 'address.zip' },
-    { pattern: /^(country)$/i, key: 'address.country' },
-    { pattern: /^(date\s*of\s*birth|birthday|dob|birth\s*date)$/i, key: 'dateOfBirth' },
-  ];
-  
-  for (const { pattern, key } of standardProfilePatterns) {
-    if (pattern.test(labelLower.trim())) {
-      return { category: 'STANDARD_PROFILE', suggestedKey: key, confidence: 0.85 };
-    }
+  return DEFAULT_DATE_FORMAT;
+}
+
+// A packet date rendered the way this field expects it (the value unchanged if it isn't a date)
+function formatDateForField(field, value) {
+  const parts = parseDateValue(value);
+  return parts ? formatDateParts(parts, detectDateFormat(field)) : String(value);
+}
+
+// Whether a free-text case answer field wants a date
+function isDateInput(field) {
+  return field.tagName === 'INPUT' && (['date', 'month'].includes(field.type) || Boolean(explicitDateFormat(field)));
+}
+
+/**
+ * 'month' | 'day' | 'year' when the field is one part of a split date
+ */
+function getDatePartRole(field) {
+  if (!['INPUT', 'SELECT'].includes(field.tagName) || isChoiceInput(field)) return null;
+  
+  const autocomplete = (field.autocomplete || '').toLowerCase();
+  const autocompleteRole = autocomplete.match(/\bbday-(month|day|year)\b/);
+  if (autocompleteRole) return autocompleteRole[1];
+  if (/cc-exp/.test(autocomplete)) return null;
+  
+  const hint = [field.name, field.id, field.placeholder, computeAccessibleName(field).text]
+    .map(text => String(text || '').toLowerCase());
+  const nameHint = `${hint[0]} ${hint[1]}`;
+  const shortHints = [hint[2].trim(), hint[3].trim()]; // placeholder, label
+  const isShort = pattern => shortHints.some(text => pattern.test(text));
+  
+  if (/(?:^|[^a-z])(?:month|mon|mm)(?:$|[^a-z])/.test(nameHint) || isShort(/^(?:month|mm|m)$/)) return 'month';
+  if (/(?:^|[^a-z])(?:day|dd)(?:$|[^a-z])/.test(nameHint) || isShort(/^(?:day|dd|d)$/)) return 'day';
+  if (/(?:^|[^a-z])(?:year|yr|yyyy|yy)(?:$|[^a-z])/.test(nameHint) || isShort(/^(?:year|yyyy|yy)$/)) return 'year';
+  
+  // A select is recognisable by its options
+  if (field.tagName === 'SELECT') {
+    const texts = [...field.options].map(o => o.textContent.trim().toLowerCase()).filter(t => t && !/select|--/.test(t));
+    const numbers = texts.map(Number).filter(Number.isInteger);
+    if (texts.length === 12 && (numbers.length === 12 || texts.every(t => MONTH_NAMES.some(m => m.startsWith(t.slice(0, 3)))))) return 'month';
+    if (texts.length >= 28 && texts.length <= 31 && numbers.length === texts.length && Math.max(...numbers) <= 31) return 'day';
+    if (texts.length >= 10 && numbers.length === texts.length && numbers.every(n => n >= 1900 && n <= 2100)) return 'year';
   }
   
-  // Default: If we can't confidently classify, treat as CASE_ANSWER (safer than STANDARD_PROFILE)
-  // This prevents hallucination of standard profile data into claim-specific fields
-  return { category: 'CASE_ANSWER', confidence: 0.5, promptForUser: `Please provide: ${label}` };
+  return null;
 }
 
 /**
- * Detect duplicate values filled in semantically different fields
- * Returns array of field records that have suspicious duplicates
+ * Month/day/year inputs or selects that together hold one date.
+ * Returns { parts: { month, day, year }, fields, label } or null.
  */
-function detectDuplicateValues(filledFields) {
-  const valueMap = new Map(); // value -> [field records]
-  const suspiciousDuplicates = [];
-  
-  for (const record of filledFields) {
-    const value = String(record.value).trim().toLowerCase();
-    
-    // Skip trivial values that are often legitimately duplicated
-    if (!value || value.length < 3 || /^(yes|no|true|false|n\/a|na|none)$/i.test(value)) {
-      continue;
-    }
+function getSplitDateGroup(field) {
+  if (!getDatePartRole(field)) return null;
+  
+  // Nearest container holding a month and a year part
+  let container = field.parentElement;
+  for (let depth = 0; container && depth < 4; container = container.parentElement, depth++) {
+    const fields = [...container.querySelectorAll('input, select')].filter(getDatePartRole);
+    if (fields.length > 3) return null;
     
-    if (!valueMap.has(value)) {
-      valueMap.set(value, []);
+    const parts = {};
+    for (const part of fields) {
+      const role = getDatePartRole(part);
+      if (parts[role]) return null; // two "month" fields: not one date
+      parts[role] = part;
     }
-    valueMap.get(value).push(record);
-  }
-  
-  // Check for duplicates
-  for (const [value, records] of valueMap) {
-    if (records.length >= 2) {
-      // Check if fields are semantically different
-      const labels = records.map(r => {
-        const { text } = computeAccessibleName(r.field);
-        return text.toLowerCase();
-      });
-      
-      // If the labels are different, this is suspicious
-      const uniqueLabels = new Set(labels);
-      if (uniqueLabels.size >= 2) {
-        console.log(`[Claimi] ⚠️ Duplicate value "${value}" in ${records.length} different fields:`, labels);
-        suspiciousDuplicates.push(...records);
-      }
+    if (parts.month && parts.year) {
+      const group = container.closest('fieldset, [role="group"]') || (container.matches('fieldset, [role="group"]') ? container : null);
+      return { parts, fields, label: getGroupLabel(fields, group) };
     }
   }
   
-  return suspiciousDuplicates;
+  return null;
 }
 
-/**
- * Show toast notification for duplicate detection
- */
-function showDuplicateWarningToast(count) {
-  const existingToast = document.querySelector('.claimly-toast');
-  existingToast?.remove();
-  
-  const toast = document.createElement('div');
-  toast.className = 'claimly-toast claimly-toast-warning';
-  toast.innerHTML = `
-    <span class="claimly-toast-icon">⚠️</span>
-    <span class="claimly-toast-message">
-      <strong>Review needed:</strong> Same value filled in ${count} different fields. Please verify.
-    </span>
-    <button class="claimly-toast-close">×</button>
-  `;
-  
-  document.body.appendChild(toast);
-  
-  toast.querySelector('.claimly-toast-close')?.addEventListener('click', () => toast.remove());
+function setDatePartValue(part, role, parts) {
+  const number = parts[role];
+  
+  if (part.tagName === 'SELECT') {
+    const monthName = role === 'month' ? MONTH_NAMES[number - 1] : null;
+    const option = [...part.options].find(o => {
+      const text = o.textContent.trim().toLowerCase();
+      const optionNumber = Number(o.value) || Number(text);
+      if (optionNumber === number || (role === 'year' && optionNumber === number % 100 && text.length === 2)) return true;
+      return Boolean(monthName) && text.length >= 3 && monthName.startsWith(text.slice(0, 3));
+    });
+    return Boolean(option) && writeValue(part, option.value);
+  }
   
-  // Auto-dismiss after 8 seconds
-  setTimeout(() => toast.remove(), 8000);
+  const short = part.maxLength === 2 || /^yy$/i.test(part.placeholder);
+  const padded = /^(?:m|d)$/i.test(part.placeholder) ? String(number) : String(number).padStart(2, '0');
+  const text = role === 'year' ? (short ? String(number % 100).padStart(2, '0') : String(number)) : padded;
+  return writeValue(part, text);
 }
 
 /**
- * Match a field against caseAnswers data
+ * Fill every part of a split date. Returns { field, confidence } or null.
  */
-function matchCaseAnswer(suggestedKey, caseAnswers) {
-  if (!suggestedKey || !caseAnswers) return null;
-  
-  // Direct key match
-  if (caseAnswers[suggestedKey] !== undefined) {
-    return { key: suggestedKey, value: caseAnswers[suggestedKey] };
-  }
-  
-  // Try case-insensitive match
-  const lowerKey = suggestedKey.toLowerCase();
-  for (const [key, value] of Object.entries(caseAnswers)) {
-    if (key.toLowerCase() === lowerKey) {
-      return { key, value };
+function fillSplitDate(group, value) {
+  const parts = parseDateValue(value);
+  if (!parts) return null;
+  
+  for (const [role, part] of Object.entries(group.parts)) {
+    if (!setDatePartValue(part, role, parts)) {
+      debugLog(`[Claimi]   ⚠️ Could not set the ${role} (${parts[role]}) of "${group.label}"`);
+      return null;
     }
   }
   
-  return null;
+  debugLog(`[Claimi]   📅 Split date "${group.label.substring(0, 40)}" → ${formatDateParts(parts, 'YYYY-MM-DD')}`);
+  return { field: group.fields[0], confidence: 1.0 };
 }
 
+// A date key for a split date group, from its label (e.g. "Date of Birth")
+function matchDateGroupKey(group) {
+  const label = normalizeText(group.label);
+  for (const [key, schema] of Object.entries(FIELD_SCHEMAS)) {
+    if (schema.dataType !== 'date') continue;
+    if (schema.positiveSignals.keywords.some(keyword => label.includes(normalizeText(keyword)))) {
+      return { key, tier: 1, confidence: 0.9 };
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// COMPOSITE FIELDS - segmented inputs and values composed from several keys
+// ============================================================================
+
+// maxlength runs that split one packet value across adjacent boxes
+const SEGMENT_PATTERNS = [
+  { lengths: [3, 3, 4], key: 'phone' },        // (909) 228-4332
+  { lengths: [3, 7], key: 'phone' },           // 909 2284332
+  { lengths: [5, 4], key: 'address.zip' },     // 94102-1234
+];
+
+const SEGMENT_INPUT_TYPES = ['text', 'tel', 'number', 'search'];
+
+function isSegmentCandidate(input) {
+  return input.tagName === 'INPUT' && SEGMENT_INPUT_TYPES.includes(input.type) &&
+    input.maxLength >= 1 && input.maxLength <= 7;
+}
+
+// Left-to-right on one line, as segment boxes are laid out
+function isSameRow(a, b) {
+  const ra = a.getBoundingClientRect();
+  const rb = b.getBoundingClientRect();
+  return Math.abs(ra.top - rb.top) < Math.max(ra.height, rb.height) / 2 && ra.left < rb.left;
+}
+
+/**
+ * Adjacent short inputs that together hold one value (phone in 3 boxes, ZIP+4).
+ * Returns { fields, key, label } or null.
+ */
+function getSegmentGroup(field) {
+  if (!isSegmentCandidate(field) || getDatePartRole(field)) return null;
+  
+  let container = field.parentElement;
+  for (let depth = 0; container && depth < 3; container = container.parentElement, depth++) {
+    const inputs = [...container.querySelectorAll('input, select, textarea')];
+    const index = inputs.indexOf(field);
+    
+    // The run of consecutive short boxes around this one
+    let first = index;
+    while (first > 0 && isSegmentCandidate(inputs[first - 1]) && isSameRow(inputs[first - 1], inputs[first])) first--;
+    let last = index;
+    while (last < inputs.length - 1 && isSegmentCandidate(inputs[last + 1]) && isSameRow(inputs[last], inputs[last + 1])) last++;
+    
+    const fields = inputs.slice(first, last + 1);
+    if (fields.length < 2) continue;
+    
+    const lengths = fields.map(f => f.maxLength).join(',');
+    const pattern = SEGMENT_PATTERNS.find(p => p.lengths.join(',') === lengths);
+    if (!pattern) return null;
+    
+    const group = container.closest('fieldset, [role="group"]');
+    return { fields, key: pattern.key, label: getGroupLabel(fields, group) };
+  }
+  
+  return null;
+}
+
+/**
+ * Split a packet value across the segments (digits only, in order).
+ * Returns { field, confidence } or null when the value doesn't have enough digits.
+ */
+function fillSegments(group, value) {
+  let digits = String(value ?? '').replace(/\D/g, '');
+  // +1 country code doesn't have a box
+  if (group.key === 'phone' && digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+  
+  const required = group.key === 'address.zip' ? group.fields[0].maxLength : group.fields.reduce((sum, f) => sum + f.maxLength, 0);
+  if (digits.length < required) return null;
+  
+  let offset = 0;
+  for (const segment of group.fields) {
+    const part = digits.slice(offset, offset + segment.maxLength);
+    offset += segment.maxLength;
+    if (!writeValue(segment, part)) return null;
+  }
+  
+  debugLog(`[Claimi]   🧩 Split ${group.key} across ${group.fields.length} boxes`);
+  return { field: group.fields[0], confidence: 1.0 };
+}
+
+// A single box for the whole mailing address: a textarea, an explicit label, or no separate city field
+function isWholeAddressField(field) {
+  if (field.tagName === 'TEXTAREA') return true;
+  
+  const { text } = computeAccessibleName(field);
+  if (/\b(?:full|complete|entire)\b.*\baddress\b/i.test(text)) return true;
+  if (/\bline\s*1\b|\bstreet\b/i.test(text) || /address-line1/.test(field.autocomplete)) return false;
+  
+  const root = field.form || document;
+  return !root.querySelector('[autocomplete~="address-level2"], input[name*="city" i], input[id*="city" i]');
+}
+
+function formatFullAddress(address, multiline) {
+  if (!address || typeof address !== 'object') return null;
+  const street = [address.street, address.unit].filter(Boolean).join(multiline ? ' ' : ', ');
+  const region = [address.state, address.zip].filter(Boolean).join(' ');
+  const locality = [address.city, region].filter(Boolean).join(', ');
+  const lines = [street, locality].filter(Boolean);
+  return lines.length ? lines.join(multiline ? '\n' : ', ') : null;
+}
+
+// Values a packet doesn't store directly but can be built from keys it has
+const COMPOSED_VALUES = {
+  fullName: data => [data.firstName, data.middleName, data.lastName].filter(Boolean).join(' ') || null,
+  firstName: data => data.fullName?.trim().split(/\s+/)[0] || null,
+  lastName: data => {
+    const parts = data.fullName?.trim().split(/\s+/) || [];
+    return parts.length > 1 ? parts[parts.length - 1] : null;
+  },
+};
+
+/**
+ * A userData value for `key`, composed when the packet lacks it
+ * (full name from first/last) or when the field wants a whole address
+ */
+function getProfileValue(userData, key, field = null) {
+  if (key === 'address.street' && field && isWholeAddressField(field)) {
+    const full = formatFullAddress(userData?.address, field.tagName === 'TEXTAREA');
+    if (full) return full;
+  }
+  
+  const value = getNestedValue(userData, key);
+  if (value != null && value !== '') return value;
+  return COMPOSED_VALUES[key] && userData ? COMPOSED_VALUES[key](userData) : value;
+}
+
+// ============================================================================
+// CHOICE GROUPS - radio groups and checkbox sets answered as one question
+// ============================================================================
+
+// Matched against normalized option text (lowercase, punctuation as spaces: "didn't" -> "didn t")
+const NEGATIVE_OPTION_PATTERN = /^(?:no|n|false|none|never|neither|not applicable|n a)\b|\b(?:did not|didn t|do not|don t|have not|haven t|has not|was not|wasn t|were not|weren t|am not|is not|isn t|are not|aren t|disagree|not)\b/;
+const AFFIRMATIVE_OPTION_PATTERN = /^(?:yes|y|true)\b|\b(?:i did|i do|i have|i was|i am|i agree|agree|i certify|i confirm|correct|confirm)\b/;
+
+function isChoiceInput(field) {
+  return field?.tagName === 'INPUT' && (field.type === 'radio' || field.type === 'checkbox');
+}
+
+/**
+ * The inputs that answer the same question as `field`: radios sharing a name,
+ * or checkboxes sharing a name or a fieldset/[role="group"].
+ * Returns { options, label, container }.
+ */
+function getChoiceGroup(field) {
+  const root = field.form || document;
+  const container = field.closest('fieldset, [role="radiogroup"], [role="group"]');
+  let options = [];
+  
+  if (field.name) {
+    options = [...root.querySelectorAll(`input[type="${field.type}"][name="${CSS.escape(field.name)}"]`)];
+  }
+  if (field.type === 'checkbox' && options.length <= 1 && container) {
+    options = [...container.querySelectorAll('input[type="checkbox"]')];
+  }
+  if (options.length === 0) options = [field];
+  
+  return { options, label: getGroupLabel(options, container), container };
+}
+
+// The question a group of fields asks: its legend or group label, else the text just above them
+function getGroupLabel(options, container) {
+  if (options.length === 1 && options[0].type === 'checkbox') {
+    // A lone checkbox states its own question ("I purchased the product")
+    return computeAccessibleName(options[0]).text;
+  }
+  
+  if (container) {
+    const legend = container.tagName === 'FIELDSET' ? container.querySelector('legend') : null;
+    const { text } = legend ? { text: legend.textContent.trim() } : computeAccessibleName(container);
+    if (text) return text;
+  }
+  
+  // Closest ancestor holding every option, then the text just before it
+  let ancestor = options[0].parentElement;
+  while (ancestor && !options.every(option => ancestor.contains(option))) {
+    ancestor = ancestor.parentElement;
+  }
+  for (let node = ancestor, depth = 0; node && depth < 3; node = node.parentElement, depth++) {
+    const prev = node.previousElementSibling;
+    const text = prev?.textContent?.trim();
+    if (text && text.length < 300 && !prev.querySelector('input, select, textarea')) {
+      return text;
+    }
+  }
+  
+  return computeAccessibleName(options[0]).text;
+}
+
+function getChoiceOptionText(option) {
+  return normalizeFingerprintPart(computeAccessibleName(option).text || option.value, 120);
+}
+
+// Every input that belongs to the same logical field (choice group, split date or segments)
+function getGroupMembers(field) {
+  if (isChoiceInput(field)) return getChoiceGroup(field).options;
+  return getSplitDateGroup(field)?.fields || getSegmentGroup(field)?.fields || [field];
+}
+
+/**
+ * Keep one field per choice group, split date or segment run, so the group is triaged and filled once
+ */
+function collapseFieldGroups(fields) {
+  const seen = new Set();
+  return fields.filter(field => {
+    const [first] = getGroupMembers(field);
+    if (seen.has(first)) return false;
+    seen.add(first);
+    return true;
+  });
+}
+
+// 'yes' | 'no' | null for a case answer value
+function answerPolarity(value) {
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  const text = normalizeFingerprintPart(value, 40);
+  if (/^(?:yes|y|true|1)$/.test(text)) return 'yes';
+  if (/^(?:no|n|false|0)$/.test(text)) return 'no';
+  return null;
+}
+
+// { polarity, confidence } for an option label ("Yes", "I did not purchase...")
+function optionPolarity(text) {
+  if (text === 'yes' || text === 'no') return { polarity: text, confidence: 1.0 };
+  // Negatives first: "i did not" also contains "i did"
+  if (NEGATIVE_OPTION_PATTERN.test(text)) return { polarity: 'no', confidence: 0.8 };
+  if (AFFIRMATIVE_OPTION_PATTERN.test(text)) return { polarity: 'yes', confidence: 0.8 };
+  return null;
+}
+
+// How well an option matches an enum answer (0-1)
+function scoreChoiceOption(option, value) {
+  const wanted = normalizeFingerprintPart(value, 120);
+  if (!wanted) return 0;
+  
+  const text = getChoiceOptionText(option);
+  const optionValue = normalizeFingerprintPart(option.value, 120);
+  if (text === wanted || optionValue === wanted) return 1.0;
+  if (text && (text.startsWith(wanted) || wanted.startsWith(text))) return 0.85;
+  if (text && (text.includes(wanted) || wanted.includes(text))) return 0.7;
+  
+  const wantedTokens = new Set(wanted.split(' '));
+  const textTokens = text.split(' ').filter(Boolean);
+  const overlap = textTokens.filter(token => wantedTokens.has(token)).length;
+  return overlap / Math.max(wantedTokens.size, textTokens.length, 1) * 0.7;
+}
+
+/**
+ * Pick the options a case answer selects.
+ * Returns { selected: [input], confidence } or null when no option fits.
+ */
+function matchChoiceOptions(options, value) {
+  const values = Array.isArray(value) ? value : [value];
+  
+  // A lone checkbox: checked means "yes"
+  if (options.length === 1 && options[0].type === 'checkbox' && values.length === 1) {
+    const polarity = answerPolarity(values[0]);
+    if (polarity) return { selected: polarity === 'yes' ? options : [], confidence: 0.9 };
+    const score = scoreChoiceOption(options[0], values[0]);
+    return score >= 0.7 ? { selected: options, confidence: score } : null;
+  }
+  
+  const selected = [];
+  let confidence = 1.0;
+  
+  for (const item of values) {
+    const polarity = answerPolarity(item);
+    let best = null;
+    
+    for (const option of options) {
+      let score = scoreChoiceOption(option, item);
+      const optionSide = polarity ? optionPolarity(getChoiceOptionText(option)) : null;
+      if (optionSide?.polarity === polarity) score = Math.max(score, optionSide.confidence);
+      
+      if (!best || score > best.score) {
+        best = { option, score, tied: false };
+      } else if (score === best.score) {
+        best.tied = true;
+      }
+    }
+    
+    if (!best || best.score < 0.4) return null;
+    if (!selected.includes(best.option)) selected.push(best.option);
+    // Two equally good options is a guess - send it to review
+    confidence = Math.min(confidence, best.tied ? Math.min(best.score, 0.6) : best.score);
+  }
+  
+  return { selected, confidence };
+}
+
+/**
+ * Answer a radio group or checkbox set with a boolean, enum or array case answer.
+ * Returns { field, confidence } (field = the first checked option) or null.
+ */
+function fillChoiceGroup(field, value) {
+  const { options, label } = getChoiceGroup(field);
+  const match = matchChoiceOptions(options, value);
+  if (!match) return null;
+  
+  for (const option of options) {
+    const checked = match.selected.includes(option);
+    // Radios uncheck themselves; a checkbox set is replaced by the answer
+    if ((checked || option.type === 'checkbox') && !writeChecked(option, checked)) return null;
+  }
+  
+  debugLog(`[Claimi]   ☑️ "${label.substring(0, 40)}" → ${match.selected.map(getChoiceOptionText).join(', ') || '(unchecked)'} (${match.confidence.toFixed(2)})`);
+  return { field: match.selected[0] || options[0], confidence: match.confidence };
+}
+
+// Question text for the field: the group's question for radios/checkboxes, split dates and segments
+function getQuestionLabel(field) {
+  if (isChoiceInput(field)) return getChoiceGroup(field).label;
+  return getSplitDateGroup(field)?.label || getSegmentGroup(field)?.label || computeAccessibleName(field).text;
+}
+
+// Option labels to offer in the question modal (null for free-text fields)
+function getQuestionOptions(field) {
+  if (!isChoiceInput(field)) return null;
+  const { options } = getChoiceGroup(field);
+  if (options.length === 1) return null; // a lone checkbox is a yes/no question
+  return options.map(option => computeAccessibleName(option).text || option.value);
+}
+
+// ============================================================================
+// LLM TRIAGE FUNCTIONS
+// ============================================================================
+
+/**
+ * Extract all available keys from userData (flattened for nested objects)
+ */
+function extractUserDataKeys(userData) {
+  const keys = [];
+  function traverse(obj, prefix = '') {
+    for (const [key, value] of Object.entries(obj || {})) {
+      const fullKey = prefix ? `${prefix}.${key}` : key;
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        traverse(value, fullKey);
+      } else {
+        keys.push(fullKey);
+      }
+    }
+  }
+  traverse(userData);
+  return keys;
+}
+
+/**
+ * Extract all available keys from caseAnswers
+ */
+function extractCaseAnswerKeys(caseAnswers) {
+  return Object.keys(caseAnswers || {});
+}
+
+/**
+ * Build the label/context description of a field that the backend endpoints expect
+ */
+function describeFieldForBackend(element, index) {
+  const description = {
+    id: element.id || element.name || `field_${index}`,
+    label: getQuestionLabel(element),
+    type: element.type || 'text',
+    required: element.required || element.getAttribute('aria-required') === 'true',
+    context: getDescriptionText(element),
+    placeholder: element.placeholder || '',
+  };
+  if (isChoiceInput(element)) {
+    description.options = getChoiceGroup(element).options.map(option => computeAccessibleName(option).text || option.value);
+  } else if (getSplitDateGroup(element)) {
+    description.type = 'date';
+  } else if (getSegmentGroup(element)?.key === 'phone') {
+    description.type = 'tel';
+  }
+  return description;
+}
+
+/**
+ * Everything the triage API needs about this frame's fields; the service worker
+ * merges these from every frame for a tab-wide run
+ */
+function buildTriageRequest(fields, packet) {
+  return {
+    fields: fields.map(f => describeFieldForBackend(f.element, f.index)),
+    availableUserDataKeys: extractUserDataKeys(packet.userData),
+    availableCaseAnswerKeys: extractCaseAnswerKeys(packet.caseAnswers),
+    caseAnswerMeta: packet.caseAnswerMeta || {},
+    form: { origin: location.origin, path: location.pathname },
+  };
+}
+
+/**
+ * Call the backend triage API to classify all fields
+ */
+async function triageFieldsViaLLM(fields, packet) {
+  const request = buildTriageRequest(fields, packet);
+  
+  debugLog('[Claimi] 🤖 Sending fields to LLM triage...');
+  debugLog('[Claimi]    Fields:', fields.length);
+  debugLog('[Claimi]    UserData keys:', request.availableUserDataKeys);
+  debugLog('[Claimi]    CaseAnswer keys:', request.availableCaseAnswerKeys);
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'triageFields', ...request });
+    
+    debugLog('[Claimi] 🤖 Triage response:', response);
+    return response;
+  } catch (error) {
+    console.error('[Claimi] 🤖 Triage error:', error);
+    return { classifications: [], method: 'error', error: error.message };
+  }
+}
+
+/**
+ * Tier 3: ask the backend to rank packet keys for a single unresolved field.
+ * Returns the best candidate that has a value in the packet
+ * ({ key, value, confidence, rationale, method }) or null.
+ */
+async function mapFieldViaTier3(element, index, packet, keySources = ['caseAnswers', 'userData']) {
+  if (!backendMatchingEnabled('tier3')) return null;
+  
+  const packetKeys = [];
+  if (keySources.includes('caseAnswers')) packetKeys.push(...extractCaseAnswerKeys(packet.caseAnswers));
+  if (keySources.includes('userData')) packetKeys.push(...extractUserDataKeys(packet.userData));
+  if (packetKeys.length === 0) return null;
+  
+  try {
+    const result = await chrome.runtime.sendMessage({
+      action: 'tier3MapField',
+      fieldInfo: describeFieldForBackend(element, index),
+      packetKeys,
+      caseAnswerMeta: packet.caseAnswerMeta || {},
+    });
+    
+    for (const candidate of result?.candidates || []) {
+      const value = keySources.includes('caseAnswers') && packet.caseAnswers?.[candidate.key] !== undefined
+        ? packet.caseAnswers[candidate.key]
+        : getProfileValue(packet.userData, candidate.key, element);
+      
+      if (value != null && value !== '') {
+        debugLog(`[Claimi]   🤖 T3: → ${candidate.key} (${candidate.confidence.toFixed(2)}) ${candidate.rationale || ''}`);
+        return { ...candidate, value, method: result.method };
+      }
+    }
+  } catch (error) {
+    console.error('[Claimi] 🤖 Tier 3 error:', error);
+  }
+  
+  return null;
+}
+
+/**
+ * Local fallback heuristics when LLM triage is unavailable
+ * Uses STRICT whitelist for STANDARD_PROFILE
+ */
+function classifyFieldLocally(field, label, context) {
+  const fullText = `${label} ${context}`.toLowerCase();
+  const labelLower = label.toLowerCase();
+  const type = (field.type || 'text').toLowerCase();
+  
+  // File upload - check first
+  if (type === 'file' || /upload|attach|document|proof|receipt/i.test(fullText)) {
+    return { category: 'FILE_UPLOAD', confidence: 0.9 };
+  }
+  
+  // Money/price/amount fields - ALWAYS CASE_ANSWER (never standard profile)
+  const moneyPatterns = [
+    /price/i, /cost/i, /amount/i, /fee/i, /commission/i, /payment/i,
+    /sale price/i, /purchase price/i, /total paid/i, /\$/,
+  ];
+  if (moneyPatterns.some(p => p.test(fullText))) {
+    return { category: 'CASE_ANSWER', confidence: 0.9, promptForUser: `Enter the ${label} (e.g., $10,000)` };
+  }
+  
+  // Brokerage/agent/company - ALWAYS CASE_ANSWER
+  const businessPatterns = [
+    /brokerage/i, /broker/i, /agent/i, /realtor/i,
+    /company name/i, /business name/i, /firm name/i,
+  ];
+  if (businessPatterns.some(p => p.test(fullText))) {
+    return { category: 'CASE_ANSWER', confidence: 0.9, promptForUser: `Enter the ${label}` };
+  }
+  
+  // Contextual data - qualifiers that indicate NOT standard profile
+  const contextualPatterns = [
+    /address of (?:home|property|house) sold/i,
+    /previous address/i,
+    /former address/i,
+    /employer'?s? (?:phone|address|name)/i,
+    /spouse'?s? (?:name|phone|email)/i,
+    /at (?:the )?time of/i,
+    /before the/i,
+    /prior to/i,
+    /maiden name/i,
+    /property address/i,
+    /sold property/i,
+  ];
+  
+  if (contextualPatterns.some(p => p.test(fullText))) {
+    return { category: 'CONTEXTUAL_DATA', confidence: 0.85 };
+  }
+  
+  // Yes/No questions - CASE_ANSWER
+  if (/did you|do you|have you|were you|are you|\?$|select (?:all|one)/i.test(fullText)) {
+    return { category: 'CASE_ANSWER', confidence: 0.8 };
+  }
+  
+  // Open-ended descriptions - USER_QUESTION
+  if (/describe|explain|additional comments|tell us about/i.test(fullText)) {
+    return { category: 'USER_QUESTION', confidence: 0.8, promptForUser: `Please ${label.toLowerCase()}. Be specific and provide details.` };
+  }
+  
+  // Optional fields - SKIP
+  if (/optional|referral|how did you hear/i.test(fullText)) {
+    return { category: 'SKIP', confidence: 0.85 };
+  }
+  
+  // STRICT WHITELIST for STANDARD_PROFILE
+  const standardProfilePatterns = [
+    { pattern: /^(first\s*name|given\s*name|fname)$/i, key: 'firstName' },
+    { pattern: /^(last\s*name|family\s*name|surname|lname)$/i, key: 'lastName' },
+    { pattern: /^(full\s*name|your\s*name|name|legal\s*name)$/i, key: 'fullName' },
+    { pattern: /^(email|e-mail|email\s*address)$/i, key: 'email' },
+    { pattern: /^(phone|phone\s*number|telephone|mobile|cell)$/i, key: 'phone' },
+    { pattern: /^(street\s*address|mailing\s*address|address|address\s*line\s*1)$/i, key: 'address.street' },
+    { pattern: /^(address\s*line\s*2|apt|apartment|unit|suite)$/i, key: 'address.unit' },
+    { pattern: /^(city|town)$/i, key: 'address.city' },
+    { pattern: /^(state|province|region)$/i, key: 'address.state' },
+    { pattern: /^(zip|zip\s*code|postal\s*code|postcode)$/i, key: 'address.zip' },
+    { pattern: /^(country)$/i, key: 'address.country' },
+    { pattern: /^(date\s*of\s*birth|birthday|dob|birth\s*date)$/i, key: 'dateOfBirth' },
+  ];
+  
+  for (const { pattern, key } of standardProfilePatterns) {
+    if (pattern.test(labelLower.trim())) {
+      return { category: 'STANDARD_PROFILE', suggestedKey: key, confidence: 0.85 };
+    }
+  }
+  
+  // Default: If we can't confidently classify, treat as CASE_ANSWER (safer than STANDARD_PROFILE)
+  // This prevents hallucination of standard profile data into claim-specific fields
+  return { category: 'CASE_ANSWER', confidence: 0.5, promptForUser: `Please provide: ${label}` };
+}
+
+/**
+ * Detect duplicate values filled in semantically different fields
+ * Returns array of field records that have suspicious duplicates
+ */
+function detectDuplicateValues(filledFields) {
+  const valueMap = new Map(); // value -> [field records]
+  const suspiciousDuplicates = [];
+  
+  for (const record of filledFields) {
+    const value = String(record.value).trim().toLowerCase();
+    
+    // Skip trivial values that are often legitimately duplicated
+    if (!value || value.length < 3 || /^(yes|no|true|false|n\/a|na|none)$/i.test(value)) {
+      continue;
+    }
+    
+    if (!valueMap.has(value)) {
+      valueMap.set(value, []);
+    }
+    valueMap.get(value).push(record);
+  }
+  
+  // Check for duplicates
+  for (const [value, records] of valueMap) {
+    if (records.length >= 2) {
+      // Check if fields are semantically different
+      const labels = records.map(r => {
+        const { text } = computeAccessibleName(r.field);
+        return text.toLowerCase();
+      });
+      
+      // If the labels are different, this is suspicious
+      const uniqueLabels = new Set(labels);
+      if (uniqueLabels.size >= 2) {
+        debugLog(`[Claimi] ⚠️ Duplicate value "${value}" in ${records.length} different fields:`, labels);
+        suspiciousDuplicates.push(...records);
+      }
+    }
+  }
+  
+  return suspiciousDuplicates;
+}
+
+/**
+ * Show toast notification for duplicate detection
+ */
+function showDuplicateWarningToast(count) {
+  const existingToast = document.querySelector('.claimly-toast');
+  existingToast?.remove();
+  
+  const toast = document.createElement('div');
+  toast.className = 'claimly-toast claimly-toast-warning';
+  toast.innerHTML = `
+    <span class="claimly-toast-icon">⚠️</span>
+    <span class="claimly-toast-message">
+      <strong>Review needed:</strong> Same value filled in ${count} different fields. Please verify.
+    </span>
+    <button class="claimly-toast-close">×</button>
+  `;
+  
+  document.body.appendChild(toast);
+  
+  toast.querySelector('.claimly-toast-close')?.addEventListener('click', () => toast.remove());
+  
+  // Auto-dismiss after 8 seconds
+  setTimeout(() => toast.remove(), 8000);
+}
+
+/**
+ * Match a field against caseAnswers data
+ */
+function matchCaseAnswer(suggestedKey, caseAnswers) {
+  if (!suggestedKey || !caseAnswers) return null;
+  
+  // Direct key match
+  if (caseAnswers[suggestedKey] !== undefined) {
+    return { key: suggestedKey, value: caseAnswers[suggestedKey] };
+  }
+  
+  // Try case-insensitive match
+  const lowerKey = suggestedKey.toLowerCase();
+  for (const [key, value] of Object.entries(caseAnswers)) {
+    if (key.toLowerCase() === lowerKey) {
+      return { key, value };
+    }
+  }
+  
+  return null;
+}
+
+// ============================================================================
+// LEARNED MAPPINGS (Tier L) - user corrections on this form's origin
+// ============================================================================
+
+function normalizeFingerprintPart(text, maxLength) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .slice(0, maxLength);
+}
+
+/**
+ * Field identity shared with the backend (lib/field-mappings.js): type | name or id | label
+ */
+function fieldFingerprint(field) {
+  const { type, name, id, label } = describeFieldForFeedback(field);
+  return [
+    normalizeFingerprintPart(type || 'text', 20),
+    normalizeFingerprintPart(name || id, 80),
+    normalizeFingerprintPart(label, 120),
+  ].join('|');
+}
+
+function describeFieldForFeedback(field) {
+  return {
+    type: field.type || 'text',
+    name: field.name || '',
+    id: field.id || '',
+    label: computeAccessibleName(field).text,
+  };
+}
+
+async function loadLearnedMappings() {
+  if (settings.localOnly) return new Map();
+  try {
+    const mappings = await chrome.runtime.sendMessage({
+      action: 'getLearnedMappings',
+      origin: location.origin,
+    });
+    debugLog(`[Claimi] 🧠 ${mappings?.length || 0} learned mappings for ${location.origin}`);
+    return new Map((mappings || []).map(m => [m.fingerprint, m]));
+  } catch (error) {
+    console.warn('[Claimi] Learned mappings unavailable:', error);
+    return new Map();
+  }
+}
+
+// Which part of the packet a key belongs to (null when the packet doesn't have it)
+function keySourceFor(key, packet) {
+  // Saved modal answers are this user's own questions, nothing to learn from
+  if (!key || isSavedAnswerKey(key)) return null;
+  if (packet?.caseAnswers && Object.prototype.hasOwnProperty.call(packet.caseAnswers, key)) return 'caseAnswers';
+  if (getNestedValue(packet?.userData, key) !== undefined) return 'userData';
+  return null;
+}
+
+/**
+ * Learned key for a field, if it clears the confidence threshold and this
+ * packet has a value for it. Returns { key, keySource, value, confidence } or null
+ */
+function matchLearnedMapping(field, packet) {
+  const learned = learnedMappings.get(fieldFingerprint(field));
+  if (!learned?.key || learned.confidence < settings.confidenceThreshold) return null;
+  
+  const value = learned.keySource === 'caseAnswers'
+    ? packet.caseAnswers?.[learned.key]
+    : getProfileValue(packet.userData, learned.key, field);
+  if (value == null || value === '') return null;
+  
+  return { key: learned.key, keySource: learned.keySource, value, confidence: learned.confidence };
+}
+
+// Users on this origin cleared this key from this field more often than they kept it
+function isRejectedKey(field, key) {
+  const learned = learnedMappings.get(fieldFingerprint(field));
+  return Boolean(key && learned?.rejectedKeys?.includes(key));
+}
+
+/**
+ * Fill a field from a learned mapping. Returns false when the value doesn't fit.
+ */
+async function fillFromLearnedMapping(field, learned) {
+  if (learned.keySource === 'userData' && FIELD_SCHEMAS[learned.key]) {
+    if (!(await validateAndFill(field, learned.value, learned.key))) return false;
+  } else if (!(await fillCaseAnswerValue(field, learned.value))) {
+    return false;
+  }
+  field.classList.add('claimly-filled');
+  
+  const record = {
+    field,
+    key: learned.key,
+    value: learned.value,
+    tier: 'L',
+    confidence: learned.confidence,
+    category: learned.keySource === 'caseAnswers' ? 'CASE_ANSWER' : 'STANDARD_PROFILE',
+    source: 'learned',
+  };
+  filledFields.push(record);
+  if (learned.keySource === 'caseAnswers') caseAnswerFields.push(record);
+  
+  debugLog(`[Claimi]   🧠 Learned: ${learned.key} (confidence: ${learned.confidence.toFixed(2)})`);
+  return true;
+}
+
+// Fire-and-forget: tell the backend whether the user kept the key chosen for a field
+function sendFieldFeedback(field, key, accepted, signal) {
+  const keySource = keySourceFor(key, claimPacket);
+  if (!keySource || settings.localOnly) return;
+  
+  chrome.runtime.sendMessage({
+    action: 'sendFieldFeedback',
+    feedback: {
+      origin: location.origin,
+      field: describeFieldForFeedback(field),
+      key,
+      keySource,
+      accepted,
+      signal,
+    },
+  }).catch(error => console.warn('[Claimi] Could not send feedback:', error));
+}
+
+/**
+ * The packet key whose value is what the user typed, when exactly one matches
+ */
+function findPacketKeyForAnswer(answer, packet) {
+  const normalized = String(answer).trim().toLowerCase();
+  const asBoolean = { yes: true, true: true, no: false, false: false }[normalized];
+  const matches = [];
+  
+  for (const [key, value] of Object.entries(packet?.caseAnswers || {})) {
+    if (typeof value === 'boolean' ? value === asBoolean : String(value).trim().toLowerCase() === normalized) {
+      matches.push(key);
+    }
+  }
+  for (const key of extractUserDataKeys(packet?.userData)) {
+    const value = getNestedValue(packet.userData, key);
+    if (value != null && String(value).trim().toLowerCase() === normalized) matches.push(key);
+  }
+  
+  // Booleans and short answers match many keys; only a unique match teaches anything
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// ============================================================================
+// CLAIM SESSION - multi-step claim wizards (Epiq, Kroll, Angeion, ...)
+// ============================================================================
+
+/**
+ * "Step 3 of 6" from the page: progress text, a step progressbar,
+ * or a step list with aria-current="step". Returns { current, total } or null.
+ */
+function detectWizardProgress() {
+  const text = (document.body?.innerText || '').slice(0, 20000);
+  const match = text.match(/\b(?:step|page|section)\s+(\d{1,2})\s*(?:of|\/)\s*(\d{1,2})\b/i);
+  if (match && Number(match[1]) <= Number(match[2])) {
+    return { current: Number(match[1]), total: Number(match[2]) };
+  }
+  
+  const bar = document.querySelector('[role="progressbar"][aria-valuenow][aria-valuemax]');
+  if (bar) {
+    const now = Number(bar.getAttribute('aria-valuenow'));
+    const max = Number(bar.getAttribute('aria-valuemax'));
+    // Percentages (0-100) aren't step counts
+    if (Number.isInteger(now) && max > 1 && max <= 20 && now >= 1 && now <= max) {
+      return { current: now, total: max };
+    }
+  }
+  
+  const currentStep = document.querySelector('[aria-current="step"]');
+  const items = currentStep?.closest('ol, ul') ? [...currentStep.closest('ol, ul').children] : [];
+  const index = items.findIndex(item => item === currentStep || item.contains(currentStep));
+  if (index >= 0 && items.length > 1) {
+    return { current: index + 1, total: items.length };
+  }
+  
+  return null;
+}
+
+// Identifies a wizard step by its path and field names, so SPA steps sharing a URL stay distinct
+function computeStepSignature(fields) {
+  const names = fields.map(f => f.name || f.id || f.type).sort().join(',');
+  return `${location.pathname}|${names}`.slice(0, 500);
+}
+
+// Same normalization as the backend's saved-answer fingerprints
+function questionFingerprint(label) {
+  return normalizeFingerprintPart(label, 120);
+}
+
+// An answer the user gave on an earlier step to the same question
+function sessionAnswerFor(label) {
+  const key = questionFingerprint(label);
+  return key && claimSession?.answers ? claimSession.answers[key] ?? null : null;
+}
+
+// An answer saved with the packet from an earlier visit to this claim
+function savedAnswerFor(label) {
+  const key = questionFingerprint(label);
+  return key ? claimPacket?.userAnswers?.[key]?.answer ?? null : null;
+}
+
+async function fillFromSessionAnswer(field, labelText, category) {
+  let value = sessionAnswerFor(labelText);
+  let source = 'session';
+  if (value == null || value === '') {
+    value = savedAnswerFor(labelText);
+    source = 'savedAnswer';
+  }
+  if (value == null || value === '') return false;
+  if (!(await fillCaseAnswerValue(field, value))) return false;
+  
+  field.classList.add('claimly-filled');
+  filledFields.push({
+    field,
+    key: labelText,
+    value,
+    confidence: 1.0,
+    category,
+    source
+  });
+  debugLog(source === 'session'
+    ? `[Claimi]   🔁 Filled from an earlier step's answer: "${labelText}"`
+    : `[Claimi]   💾 Filled from a saved answer: "${labelText}"`);
+  return true;
+}
+
+// ============================================================================
+// SAVED ANSWERS - modal answers kept with the packet
 // ============================================================================
-// MAIN AUTOFILL FUNCTION
-// ============================================================================
 
-async function autofillForm(packet) {
-  console.log('[Claimi] ══════════════════════════════════════════');
-  console.log('[Claimi] 🚀 Advanced Autofill Starting (LLM-First Mode)');
-  console.log('[Claimi] Data keys:', Object.keys(packet.userData || {}));
-  console.log('[Claimi] CaseAnswer keys:', Object.keys(packet.caseAnswers || {}));
+const SAVED_ANSWER_KEY_PREFIX = 'saved_';
+
+function savedAnswerKey(fingerprint) {
+  return SAVED_ANSWER_KEY_PREFIX + fingerprint.replace(/ /g, '_');
+}
+
+function isSavedAnswerKey(key) {
+  return String(key).startsWith(SAVED_ANSWER_KEY_PREFIX);
+}
+
+/**
+ * The packet with its saved modal answers offered as case answers, so triage
+ * can match them to differently worded fields. caseAnswerMeta carries the
+ * question each one answered.
+ */
+function withSavedAnswers(packet) {
+  const saved = Object.entries(packet?.userAnswers || {});
+  if (saved.length === 0) return packet;
+  
+  const caseAnswers = { ...packet.caseAnswers };
+  const caseAnswerMeta = { ...packet.caseAnswerMeta };
+  for (const [fingerprint, { question, answer }] of saved) {
+    if (answer == null || answer === '') continue;
+    const key = savedAnswerKey(fingerprint);
+    caseAnswers[key] = answer;
+    caseAnswerMeta[key] = `${question} (the user's own answer)`;
+  }
+  return { ...packet, caseAnswers, caseAnswerMeta };
+}
+
+// Keep modal answers with the packet (and on the backend, when signed in)
+async function saveUserAnswers(answers) {
+  if (!claimPacket?.id || answers.length === 0) return;
+  
+  const answeredAt = new Date().toISOString();
+  claimPacket.userAnswers = { ...claimPacket.userAnswers };
+  for (const { fingerprint, question, answer } of answers) {
+    claimPacket.userAnswers[fingerprint] = { question, answer, answeredAt, source: 'modal' };
+  }
+  
+  try {
+    const result = await chrome.runtime.sendMessage({
+      action: 'saveUserAnswers',
+      packetId: claimPacket.id,
+      answers,
+      origin: topFrameOrigin(),
+    });
+    debugLog(`[Claimi] Saved ${answers.length} answers with the packet${result?.synced ? ' and your account' : ''}`);
+  } catch (error) {
+    console.warn('[Claimi] Could not save answers:', error);
+  }
+}
+
+async function startClaimSession(packet) {
+  try {
+    return await chrome.runtime.sendMessage({
+      action: 'startClaimSession',
+      packet: { id: packet.id, settlementName: packet.settlementName },
+      origin: topFrameOrigin(),
+    });
+  } catch (error) {
+    console.warn('[Claimi] Claim session unavailable:', error);
+    return null;
+  }
+}
+
+async function recordSessionStep() {
+  const progress = detectWizardProgress();
+  try {
+    return await chrome.runtime.sendMessage({
+      action: 'recordSessionStep',
+      step: {
+        signature: currentStepSignature,
+        url: location.href,
+        title: document.title,
+        detectedStep: progress?.current || null,
+        detectedTotal: progress?.total || null,
+        filled: filledFields.length,
+        lowConfidence: lowConfidenceFields.length,
+        userQuestions: userQuestionFields.length,
+        fileUploads: fileUploadFields.length,
+        pending: pendingFields.length,
+      },
+    });
+  } catch (error) {
+    console.warn('[Claimi] Could not record claim step:', error);
+    return claimSession;
+  }
+}
+
+async function saveSessionAnswers(answers) {
+  if (!claimSession || Object.keys(answers).length === 0) return;
+  try {
+    claimSession = await chrome.runtime.sendMessage({ action: 'saveSessionAnswers', answers }) || claimSession;
+  } catch (error) {
+    console.warn('[Claimi] Could not save answers to the claim session:', error);
+  }
+}
+
+async function endClaimSession() {
+  await chrome.runtime.sendMessage({ action: 'endClaimSession' }).catch(() => {});
+  claimSession = null;
+  if (statusBadge) showStatusBadge();
+}
+
+// Sessions belong to the tab, so frames compare against the top-level page's origin
+function topFrameOrigin() {
+  if (IS_TOP_FRAME) return location.origin;
+  const ancestors = location.ancestorOrigins;
+  return ancestors?.length ? ancestors[ancestors.length - 1] : location.origin;
+}
+
+// Steps are filled by the service worker across every frame of the tab; frames
+// that find their fields at about the same time are batched into one run
+function requestTabAutofill(packet) {
+  chrome.runtime.sendMessage({ action: 'scheduleTabAutofill', packet })
+    .catch(error => console.warn('[Claimi] Could not request autofill:', error));
+}
+
+// Resolves true once the page shows form fields (wizard steps often render late)
+function waitForFormFields(timeoutMs = 5000) {
+  if (getFormFields().length > 0) return Promise.resolve(true);
+  
+  return new Promise(resolve => {
+    const observer = new MutationObserver(() => {
+      if (getFormFields().length > 0) {
+        observer.disconnect();
+        clearTimeout(timer);
+        resolve(true);
+      }
+    });
+    const timer = setTimeout(() => {
+      observer.disconnect();
+      resolve(false);
+    }, timeoutMs);
+    observer.observe(document.body, { childList: true, subtree: true });
+  });
+}
+
+/**
+ * A full navigation landed on the next step: continue the tab's session.
+ * A tab opened from the popup's packet library has no session yet but is
+ * armed with its packet: the claim form is filled once it renders. On a
+ * stored packet's claim form the top frame offers to fill it instead.
+ */
+async function resumeClaimSession() {
+  let resumed = null;
+  try {
+    resumed = await chrome.runtime.sendMessage({ action: 'getClaimSession' });
+  } catch {
+    return;
+  }
+  if (resumed?.armed) {
+    if (!(await waitForFormFields())) return;
+    debugLog(`[Claimi] 📂 Filling claim form opened for ${resumed.packet.settlementName || resumed.packet.id}`);
+    requestTabAutofill(resumed.packet);
+    return;
+  }
+  if (resumed?.suggested) {
+    if (IS_TOP_FRAME) showPacketPrompt(resumed.packet);
+    return;
+  }
+  if (!resumed?.session || resumed.session.origin !== topFrameOrigin()) return;
+  if (!(await waitForFormFields())) return;
+  
+  debugLog(`[Claimi] 🔁 Continuing claim session for ${resumed.session.settlementName || resumed.packet.id}`);
+  requestTabAutofill(resumed.packet);
+}
+
+/**
+ * An SPA route change (or a swapped-in form) may be the next step: fill it
+ * once its fields render, unless it is the step we just filled
+ */
+function handleClaimStepChanged() {
+  clearTimeout(stepChangeTimer);
+  stepChangeTimer = setTimeout(async () => {
+    if (!claimPacket) {
+      resumeClaimSession();
+      return;
+    }
+    if (!(await waitForFormFields())) return;
+    if (computeStepSignature(getFormFields()) === currentStepSignature) return;
+    
+    debugLog('[Claimi] 🔁 Claim form moved to a new step');
+    requestTabAutofill(claimPacket);
+  }, 600);
+}
+
+// Nothing is filled until the user accepts; "Not now" holds for the tab
+function showPacketPrompt(packet) {
+  removePacketPrompt();
+  
+  packetPrompt = document.createElement('div');
+  packetPrompt.className = 'claimly-badge claimly-packet-prompt';
+  packetPrompt.innerHTML = `
+    <div class="claimly-badge-header">
+      <div class="claimly-badge-logo">C</div>
+      <span>Claimi</span>
+    </div>
+    <div class="claimly-packet-prompt-text">
+      Claimi can fill this claim for <strong>${escapeHtml(packet.settlementName || 'your stored packet')}</strong>
+    </div>
+    <div class="claimly-badge-actions">
+      <button class="claimly-btn claimly-btn-secondary" id="claimly-prompt-dismiss">Not now</button>
+      <button class="claimly-btn claimly-btn-primary" id="claimly-prompt-fill">Fill Claim</button>
+    </div>
+  `;
+  document.body.appendChild(packetPrompt);
   
+  document.getElementById('claimly-prompt-dismiss')?.addEventListener('click', () => {
+    removePacketPrompt();
+    chrome.runtime.sendMessage({ action: 'dismissPacketPrompt' }).catch(() => {});
+  });
+  document.getElementById('claimly-prompt-fill')?.addEventListener('click', () => {
+    removePacketPrompt();
+    debugLog(`[Claimi] 📋 Filling claim for ${packet.settlementName || packet.id}`);
+    requestTabAutofill(packet);
+  });
+}
+
+function removePacketPrompt() {
+  packetPrompt?.remove();
+  packetPrompt = null;
+}
+
+function renderSessionProgress() {
+  const steps = claimSession?.steps || [];
+  if (steps.length === 0) return '';
+  
+  const stepText = claimSession.totalSteps
+    ? `Step ${claimSession.currentStep} of ${claimSession.totalSteps}`
+    : `Step ${claimSession.currentStep}`;
+  const totals = steps.reduce((sum, step) => ({
+    filled: sum.filled + (step.filled || 0),
+    questions: sum.questions + (step.userQuestions || 0),
+    uploads: sum.uploads + (step.fileUploads || 0),
+  }), { filled: 0, questions: 0, uploads: 0 });
+  
+  const summary = steps.length > 1
+    ? ` · ${steps.length} steps: ${totals.filled} filled` +
+      (totals.questions ? `, ${totals.questions} questions` : '') +
+      (totals.uploads ? `, ${totals.uploads} uploads` : '')
+    : '';
+  
+  return `<div class="claimly-badge-session"><strong>${stepText}</strong>${summary}</div>`;
+}
+
+// ============================================================================
+// MAIN AUTOFILL FUNCTION
+// ============================================================================
+
+/**
+ * Fill this frame's form. `coordination` ({ classifications, triageMethod }) is
+ * set when the service worker runs one triage for every frame of the tab; this
+ * frame then skips its own triage, badge and fill report.
+ */
+async function autofillForm(packet, coordination = null) {
+  await settingsLoaded;
+  debugLog('[Claimi] ══════════════════════════════════════════');
+  debugLog('[Claimi] 🚀 Advanced Autofill Starting (LLM-First Mode)');
+  debugLog('[Claimi] Data keys:', Object.keys(packet.userData || {}));
+  debugLog('[Claimi] CaseAnswer keys:', Object.keys(packet.caseAnswers || {}));
+  
+  packet = withSavedAnswers(packet);
   claimPacket = packet;
+  frameRun = Boolean(coordination);
+  combinedStatus = null;
   filledFields = [];
   pendingFields = [];
   lowConfidenceFields = [];
   userQuestionFields = [];
   fileUploadFields = [];
   caseAnswerFields = [];
+  processedFieldElements = new WeakSet();
+  stopWatchingRevealedFields();
+  statusBadge?.remove();
+  statusBadge = null;
+  removePacketPrompt();
+  claimSession = await startClaimSession(packet);
+  learnedMappings = await loadLearnedMappings();
   
   const rawFields = getFormFields();
-  const fields = rawFields.map((f, i) => ({ element: f, index: i }));
-  console.log(`[Claimi] Found ${fields.length} fields`);
-  console.log('[Claimi] ──────────────────────────────────────────');
+  currentStepSignature = computeStepSignature(rawFields);
+  const fields = collapseFieldGroups(rawFields).map((f, i) => ({ element: f, index: i }));
+  debugLog(`[Claimi] Found ${fields.length} fields`);
+  debugLog('[Claimi] ──────────────────────────────────────────');
   
   // ========================================================================
   // STEP 1: LLM TRIAGE - Classify all fields first
@@ -1408,11 +2668,15 @@ async function autofillForm(packet) {
   let classifications = [];
   let triageMethod = 'none';
   
-  if (USE_LLM_TRIAGE && fields.length > 0) {
+  if (coordination) {
+    classifications = coordination.classifications || [];
+    triageMethod = coordination.triageMethod || 'unknown';
+    debugLog(`[Claimi] 🤖 Triage method: ${triageMethod} (tab-wide)`);
+  } else if (backendMatchingEnabled('triage') && fields.length > 0) {
     const triageResult = await triageFieldsViaLLM(fields, packet);
     classifications = triageResult.classifications || [];
     triageMethod = triageResult.method || 'unknown';
-    console.log(`[Claimi] 🤖 Triage method: ${triageMethod}`);
+    debugLog(`[Claimi] 🤖 Triage method: ${triageMethod}`);
   }
   
   // Build a map of fieldId -> classification
@@ -1426,48 +2690,73 @@ async function autofillForm(packet) {
   // ========================================================================
   for (const { element: field, index } of fields) {
     const fieldId = field.id || field.name || `field_${index}`;
-    const { text: labelText } = computeAccessibleName(field);
+    const labelText = getQuestionLabel(field);
     const description = getDescriptionText(field);
+    getGroupMembers(field).forEach(member => processedFieldElements.add(member));
+    
+    // Tier L: a mapping learned from earlier corrections on this form wins over everything
+    const learned = matchLearnedMapping(field, packet);
+    if (learned && await fillFromLearnedMapping(field, learned)) {
+      continue;
+    }
     
     // Get classification from LLM or use local fallback
     let classification = classificationMap.get(fieldId);
     if (!classification) {
       classification = classifyFieldLocally(field, labelText, description);
       classification.fieldId = fieldId;
-      console.log(`[Claimi] 📝 Local fallback classification for "${labelText}":`, classification.category);
+      debugLog(`[Claimi] 📝 Local fallback classification for "${labelText}":`, classification.category);
     }
     
-    console.log(`[Claimi] 🔍 Field: "${labelText.substring(0, 40)}" → ${classification.category}`);
+    debugLog(`[Claimi] 🔍 Field: "${labelText.substring(0, 40)}" → ${classification.category} (${classification.source || 'local'})`);
     
     switch (classification.category) {
       case 'STANDARD_PROFILE': {
         // Run Tier 0-3 matching ONLY for standard profile fields
-        const match = matchFieldTiered(field);
+        const dateGroup = getSplitDateGroup(field);
+        const segments = dateGroup ? null : getSegmentGroup(field);
+        let match = dateGroup ? matchDateGroupKey(dateGroup)
+          : segments ? { key: segments.key, tier: 1, confidence: 0.9 }
+          : matchFieldTiered(field);
+        if (match && isRejectedKey(field, match.key)) {
+          debugLog(`[Claimi]   🧠 ${match.key} was rejected for this field before - skipping`);
+          match = null;
+        }
+        
+        // Nothing matched locally - ask the backend to map this one field
+        if (!match) {
+          const tier3 = await mapFieldViaTier3(field, index, packet, ['userData']);
+          if (tier3 && tier3.confidence >= settings.confidenceThreshold && FIELD_SCHEMAS[tier3.key] && !isRejectedKey(field, tier3.key)) {
+            match = { key: tier3.key, tier: 3, confidence: tier3.confidence };
+          }
+        }
         
         if (match) {
-          const value = getNestedValue(packet.userData, match.key);
+          const value = getProfileValue(packet.userData, match.key, field);
           
           if (value != null && value !== '') {
-            if (validateAndFill(field, value, match.key)) {
+            const filled = await validateAndFill(field, value, match.key);
+            if (filled) {
               field.classList.add('claimly-filled');
               
+              // A fuzzy dropdown option makes the whole match only as sure as the option
               const record = { 
                 field, 
                 key: match.key, 
                 value, 
                 tier: match.tier, 
-                confidence: match.confidence,
+                confidence: Math.min(match.confidence, filled.confidence),
                 category: 'STANDARD_PROFILE'
               };
               
               filledFields.push(record);
               
-              if (match.confidence < CONFIDENCE_THRESHOLD) {
+              if (record.confidence < settings.confidenceThreshold) {
                 lowConfidenceFields.push(record);
                 field.classList.add('claimly-low-confidence');
               }
               
-              console.log(`[Claimi]   ✅ Filled: ${match.key} (confidence: ${match.confidence.toFixed(2)})`);
+              debugLog(`[Claimi]   ✅ Filled: ${match.key} (confidence: ${record.confidence.toFixed(2)})`);
             } else {
               pendingFields.push({ field, key: match.key, reason: 'validation_failed' });
               field.classList.add('claimly-needs-attention');
@@ -1486,29 +2775,64 @@ async function autofillForm(packet) {
       case 'CASE_ANSWER':
       case 'CONTEXTUAL_DATA': {
         // Try to match against caseAnswers
-        const caseMatch = matchCaseAnswer(classification.suggestedKey, packet.caseAnswers);
+        let caseMatch = matchCaseAnswer(classification.suggestedKey, packet.caseAnswers);
+        if (caseMatch && isRejectedKey(field, caseMatch.key)) {
+          caseMatch = null;
+        }
+        let source = caseMatch && isSavedAnswerKey(caseMatch.key) ? 'savedAnswer' : 'caseAnswers';
+        let confidence = classification.confidence || 0.8;
+        
+        // Triage left this field without a usable key - try Tier 3 mapping
+        if (!caseMatch || caseMatch.value == null || caseMatch.value === '') {
+          const tier3 = await mapFieldViaTier3(field, index, packet, ['caseAnswers']);
+          if (tier3 && tier3.confidence >= settings.confidenceThreshold && !isRejectedKey(field, tier3.key)) {
+            caseMatch = { key: tier3.key, value: tier3.value };
+            source = 'tier3';
+            confidence = tier3.confidence;
+          }
+        }
+        
+        // Radio groups, checkbox sets, split dates and dropdowns need an option that fits the answer
+        let choice = null;
+        if (caseMatch && caseMatch.value != null && caseMatch.value !== '' && isStructuredField(field)) {
+          choice = await fillStructuredField(field, caseMatch.value);
+          if (!choice && !field.list) {
+            debugLog(`[Claimi]   ⚠️ No option of "${labelText}" fits ${caseMatch.key}`);
+            caseMatch = null;
+          }
+        }
+        
+        // Other fields must keep the value written to them
+        if (caseMatch && caseMatch.value != null && caseMatch.value !== '' && !choice &&
+            !(await fillCaseAnswerValue(field, caseMatch.value))) {
+          debugLog(`[Claimi]   ⚠️ "${labelText}" did not keep ${caseMatch.key}`);
+          caseMatch = null;
+        }
         
         if (caseMatch && caseMatch.value != null && caseMatch.value !== '') {
-          // Fill from caseAnswers
+          // Filled from caseAnswers
           const value = caseMatch.value;
-          field.value = String(value);
-          field.dispatchEvent(new Event('input', { bubbles: true }));
-          field.dispatchEvent(new Event('change', { bubbles: true }));
-          field.classList.add('claimly-filled');
+          const target = choice?.field || field;
+          target.classList.add('claimly-filled');
           
           const record = {
-            field,
+            field: target,
             key: caseMatch.key,
             value,
-            confidence: classification.confidence || 0.8,
+            confidence: choice ? Math.min(confidence, choice.confidence) : confidence,
             category: classification.category,
-            source: 'caseAnswers'
+            source
           };
           
           filledFields.push(record);
           caseAnswerFields.push(record);
-          console.log(`[Claimi]   ✅ Filled from caseAnswers: ${caseMatch.key}`);
-        } else {
+          
+          if (choice && record.confidence < settings.confidenceThreshold) {
+            lowConfidenceFields.push(record);
+            target.classList.add('claimly-low-confidence');
+          }
+          debugLog(`[Claimi]   ✅ Filled from caseAnswers: ${caseMatch.key} (${source})`);
+        } else if (!(await fillFromSessionAnswer(field, labelText, classification.category))) {
           // No match - queue for user input
           userQuestionFields.push({
             field,
@@ -1517,10 +2841,11 @@ async function autofillForm(packet) {
             category: classification.category,
             promptForUser: classification.promptForUser || labelText,
             suggestedKey: classification.suggestedKey,
+            options: getQuestionOptions(field),
             required: field.required || field.getAttribute('aria-required') === 'true',
           });
           field.classList.add('claimly-needs-attention');
-          console.log(`[Claimi]   ❓ Queued for user input: "${labelText}"`);
+          debugLog(`[Claimi]   ❓ Queued for user input: "${labelText}"`);
         }
         break;
       }
@@ -1533,32 +2858,35 @@ async function autofillForm(packet) {
           required: field.required || field.getAttribute('aria-required') === 'true',
         });
         field.classList.add('claimly-needs-attention');
-        console.log(`[Claimi]   📄 File upload detected: "${labelText}"`);
+        debugLog(`[Claimi]   📄 File upload detected: "${labelText}"`);
         break;
       }
       
       case 'USER_QUESTION': {
+        if (await fillFromSessionAnswer(field, labelText, 'USER_ANSWER')) break;
+        
         userQuestionFields.push({
           field,
           fieldId,
           label: labelText,
           category: 'USER_QUESTION',
           promptForUser: classification.promptForUser || labelText,
+          options: getQuestionOptions(field),
           required: field.required || field.getAttribute('aria-required') === 'true',
         });
         field.classList.add('claimly-needs-attention');
-        console.log(`[Claimi]   ❓ User question: "${labelText}"`);
+        debugLog(`[Claimi]   ❓ User question: "${labelText}"`);
         break;
       }
       
       case 'SKIP':
       default: {
-        console.log(`[Claimi]   ⏭️ Skipped: "${labelText}" (optional/info)`);
+        debugLog(`[Claimi]   ⏭️ Skipped: "${labelText}" (optional/info)`);
         break;
       }
     }
     
-    console.log('[Claimi] ──────────────────────────────────────────');
+    debugLog('[Claimi] ──────────────────────────────────────────');
   }
   
   // ========================================================================
@@ -1566,7 +2894,7 @@ async function autofillForm(packet) {
   // ========================================================================
   const duplicates = detectDuplicateValues(filledFields);
   if (duplicates.length > 0) {
-    console.log(`[Claimi] ⚠️ Found ${duplicates.length} fields with suspicious duplicate values`);
+    debugLog(`[Claimi] ⚠️ Found ${duplicates.length} fields with suspicious duplicate values`);
     
     // Mark duplicate fields for review
     for (const record of duplicates) {
@@ -1594,16 +2922,24 @@ async function autofillForm(packet) {
   // ========================================================================
   // STEP 5: Summary and UI
   // ========================================================================
-  console.log('[Claimi] ══════════════════════════════════════════');
-  console.log(`[Claimi] ✅ Autofill Complete!`);
-  console.log(`[Claimi]    Filled: ${filledFields.length}`);
-  console.log(`[Claimi]    From caseAnswers: ${caseAnswerFields.length}`);
-  console.log(`[Claimi]    Uncertain/Duplicates: ${lowConfidenceFields.length}`);
-  console.log(`[Claimi]    User questions: ${userQuestionFields.length}`);
-  console.log(`[Claimi]    File uploads: ${fileUploadFields.length}`);
-  console.log(`[Claimi]    Skipped: ${pendingFields.length}`);
-  
-  showStatusBadge();
+  debugLog('[Claimi] ══════════════════════════════════════════');
+  debugLog(`[Claimi] ✅ Autofill Complete!`);
+  debugLog(`[Claimi]    Filled: ${filledFields.length}`);
+  debugLog(`[Claimi]    From caseAnswers: ${caseAnswerFields.length}`);
+  debugLog(`[Claimi]    Uncertain/Duplicates: ${lowConfidenceFields.length}`);
+  debugLog(`[Claimi]    User questions: ${userQuestionFields.length}`);
+  debugLog(`[Claimi]    File uploads: ${fileUploadFields.length}`);
+  debugLog(`[Claimi]    Skipped: ${pendingFields.length}`);
+  
+  // In a tab-wide run only frames with fields are steps; the service worker shows the badge and reports
+  if (!frameRun || rawFields.length > 0) {
+    claimSession = await recordSessionStep();
+  }
+  if (!frameRun) {
+    showStatusBadge();
+    reportFillResult(packet);
+  }
+  watchForRevealedFields(packet);
   
   // Show modals if needed
   if (fileUploadFields.length > 0) {
@@ -1621,19 +2957,426 @@ async function autofillForm(packet) {
     fileUploads: fileUploadFields.length,
     duplicates: duplicates.length,
     triageMethod,
+    ...(frameRun ? { summary: buildFillSummary() } : {}),
+  };
+}
+
+// ============================================================================
+// CLAIM TRACKING - report fill results for the packet's claim
+// ============================================================================
+
+/**
+ * Per-field summary of the current autofill run (no values - keys and sources only)
+ */
+function buildFillSummary() {
+  const fieldIdFor = (field) => field?.id || field?.name || null;
+  
+  return {
+    filled: filledFields.length,
+    pending: pendingFields.length,
+    lowConfidence: lowConfidenceFields.length,
+    userQuestions: userQuestionFields.length,
+    fileUploads: fileUploadFields.length,
+    fields: filledFields.map(record => ({
+      fieldId: fieldIdFor(record.field),
+      key: record.key,
+      category: record.category,
+      source: record.source || (record.tier != null ? `tier${record.tier}` : null),
+      confidence: record.confidence,
+    })),
+  };
+}
+
+// Fire-and-forget: the service worker posts the summary to the packet's claim
+function reportFillResult(packet) {
+  if (!packet?.claimId) return;
+  
+  chrome.runtime.sendMessage({
+    action: 'reportFillResult',
+    claimId: packet.claimId,
+    formUrl: location.href,
+    summary: buildFillSummary(),
+  }).catch(error => console.warn('[Claimi] Could not report fill result:', error));
+}
+
+// ============================================================================
+// SUBMISSION DETECTION - the user submitted the claim form
+// ============================================================================
+
+// Final-submit labels ("Submit", "Submit Claim", "File my claim"); wizard steps say Next/Continue
+const SUBMIT_BUTTON_PATTERN = /^(?:submit|file|finish|complete|sign and submit)(?: (?:my|your|the|this))?(?: claim(?: form)?| form| now)?$/i;
+const STEP_BUTTON_PATTERN = /\b(?:next|continue|save|back|previous)\b/i;
+const CONFIRMATION_TEXT_PATTERN = /thank you for (?:your (?:claim|submission)|submitting|filing)|(?:claim|form|submission) (?:has been|was|is) (?:successfully )?(?:submitted|received|filed)|successfully submitted/i;
+const CONFIRMATION_URL_PATTERN = /confirm|thank-?you|success|submitted|complete/i;
+const CONFIRMATION_NUMBER_PATTERN = /\b(?:confirmation|claim|reference|submission|tracking)\s*(?:number|no\.?|#|id|code)\s*(?:is|:)?\s*#?\s*([A-Z0-9][A-Z0-9-]{3,39})\b/i;
+const SUBMISSION_CAPTURE_COOLDOWN_MS = 2000; // a click on a submit button is followed by its submit event
+const CONFIRMATION_WAIT_MS = 15000;
+
+function getButtonText(button) {
+  const text = button.tagName === 'INPUT' ? button.value : button.textContent || button.getAttribute('aria-label');
+  return String(text || '').replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// A submit that ends the claim rather than moving the wizard to its next step
+function isFinalSubmit(submitter) {
+  const text = submitter ? getButtonText(submitter) : '';
+  if (SUBMIT_BUTTON_PATTERN.test(text)) return true;
+  if (STEP_BUTTON_PATTERN.test(text)) return false;
+  const progress = detectWizardProgress();
+  return !progress || progress.current === progress.total;
+}
+
+/**
+ * What the user submitted: every field of the form with its label, the value
+ * the page holds and, for filled fields, the packet key and source behind it
+ */
+function buildSubmissionSnapshot(form, trigger) {
+  const fields = collapseFieldGroups(getFormFields())
+    .filter(field => !form || field.form === form || form.contains(field))
+    .filter(field => field.type !== 'password')
+    .slice(0, 300)
+    .map(field => {
+      const members = getGroupMembers(field);
+      const record = filledFields.find(r => members.includes(r.field));
+      return {
+        label: getQuestionLabel(field),
+        name: field.name || field.id || null,
+        type: field.type || field.tagName.toLowerCase(),
+        value: readFieldValue(field),
+        key: record?.key || null,
+        source: record?.source || (record?.tier != null ? `tier${record.tier}` : null),
+      };
+    });
+  
+  return { trigger, formUrl: location.href, title: document.title, capturedAt: new Date().toISOString(), fields };
+}
+
+// Hand the snapshot to the service worker before the page navigates away
+function captureSubmission(form, trigger) {
+  if (!claimPacket || Date.now() - lastSubmissionCaptureAt < SUBMISSION_CAPTURE_COOLDOWN_MS) return;
+  lastSubmissionCaptureAt = Date.now();
+  
+  debugLog(`[Claimi] 📨 Claim form submitted (${trigger})`);
+  chrome.runtime.sendMessage({
+    action: 'recordSubmissionAttempt',
+    packetId: claimPacket.id,
+    claimId: claimPacket.claimId || null,
+    snapshot: buildSubmissionSnapshot(form, trigger),
+  }).catch(error => console.warn('[Claimi] Could not record the submission:', error));
+  
+  // SPA forms show their confirmation without navigating
+  watchForConfirmation();
+}
+
+function isClaimiElement(element) {
+  return Boolean(element.closest('.claimly-badge, .claimly-modal-overlay, .claimly-confidence-tooltip, .claimly-toast'));
+}
+
+function handleSubmitEvent(event) {
+  if (!claimPacket || !(event.target instanceof HTMLFormElement) || isClaimiElement(event.target)) return;
+  if (isFinalSubmit(event.submitter)) captureSubmission(event.target, 'submit');
+}
+
+// Script-driven forms submit from a button click without a submit event
+function handleSubmitClick(event) {
+  if (!claimPacket) return;
+  const button = event.target.closest?.('button, input[type="submit"], input[type="button"], [role="button"]');
+  if (!button || isClaimiElement(button)) return;
+  if (SUBMIT_BUTTON_PATTERN.test(getButtonText(button))) {
+    captureSubmission(button.form || button.closest('form'), 'button');
+  }
+}
+
+// The passage that confirms the claim: headings, paragraphs and alerts that say so
+function getConfirmationText() {
+  const passages = [...document.querySelectorAll('h1, h2, h3, p, [role="alert"], [role="status"]')]
+    .filter(element => !isClaimiElement(element))
+    .map(element => element.innerText.trim())
+    .filter(text => CONFIRMATION_TEXT_PATTERN.test(text) || CONFIRMATION_NUMBER_PATTERN.test(text));
+  return [...new Set(passages)].join('\n').slice(0, 1000) || null;
+}
+
+/**
+ * { confirmationNumber, confirmationText, confirmationUrl } when the page reads
+ * like a claim confirmation, else null
+ */
+function detectConfirmation() {
+  const text = (document.body?.innerText || '').slice(0, 50000);
+  const numberMatch = text.match(CONFIRMATION_NUMBER_PATTERN);
+  // Claim numbers carry digits; "Claim ID: required" is a form label
+  const confirmationNumber = numberMatch && /\d/.test(numberMatch[1]) ? numberMatch[1] : null;
+  
+  const confirmed = CONFIRMATION_TEXT_PATTERN.test(text) ||
+    (confirmationNumber && CONFIRMATION_URL_PATTERN.test(location.pathname));
+  if (!confirmed) return null;
+  
+  return { confirmationNumber, confirmationText: getConfirmationText(), confirmationUrl: location.href };
+}
+
+// Check now and as the page changes, until a confirmation shows up or the wait runs out
+function watchForConfirmation(timeoutMs = CONFIRMATION_WAIT_MS) {
+  confirmationObserver?.disconnect();
+  
+  let checkTimer = null;
+  const stop = () => {
+    confirmationObserver?.disconnect();
+    confirmationObserver = null;
+    clearTimeout(checkTimer);
+    clearTimeout(timeoutTimer);
   };
+  const check = () => {
+    const confirmation = detectConfirmation();
+    if (!confirmation) return;
+    stop();
+    completeSubmission(confirmation);
+  };
+  const timeoutTimer = setTimeout(stop, timeoutMs);
+  
+  confirmationObserver = new MutationObserver(() => {
+    clearTimeout(checkTimer);
+    checkTimer = setTimeout(check, 500);
+  });
+  confirmationObserver.observe(document.body, { childList: true, subtree: true, characterData: true });
+  check();
+}
+
+// The first frame to see the confirmation completes the tab's pending submission
+async function completeSubmission(confirmation) {
+  const result = await chrome.runtime.sendMessage({ action: 'completeSubmission', confirmation }).catch(() => null);
+  if (!result?.success) return;
+  
+  debugLog(`[Claimi] 🎉 Claim submitted${confirmation.confirmationNumber ? ` - confirmation ${confirmation.confirmationNumber}` : ''}`);
+  claimSession = null;
+  stopWatchingRevealedFields();
+  showSubmissionToast(result.submission);
+}
+
+// A confirmation page loaded after a submit (full navigation, or a reloaded frame)
+async function checkPendingSubmission() {
+  const pending = await chrome.runtime.sendMessage({ action: 'getPendingSubmission' }).catch(() => null);
+  if (pending) watchForConfirmation();
+  return Boolean(pending);
+}
+
+function showSubmissionToast(submission) {
+  document.querySelector('.claimly-toast')?.remove();
+  
+  const toast = document.createElement('div');
+  toast.className = 'claimly-toast claimly-toast-success';
+  toast.innerHTML = `
+    <span class="claimly-toast-icon">🎉</span>
+    <span class="claimly-toast-message">
+      <strong>Claim submitted.</strong>
+      ${submission.confirmationNumber ? `Confirmation ${escapeHtml(submission.confirmationNumber)} saved` : 'Saved'}
+      ${submission.reported ? 'and sent to your Claimi dashboard.' : 'with your claim packet.'}
+    </span>
+    <button class="claimly-toast-close">×</button>
+  `;
+  
+  document.body.appendChild(toast);
+  toast.querySelector('.claimly-toast-close')?.addEventListener('click', () => toast.remove());
+  setTimeout(() => toast.remove(), 12000);
+}
+
+// ============================================================================
+// REVEALED FIELDS - fields that appear after a conditional answer
+// ============================================================================
+
+/**
+ * Watch the page for fields revealed after the initial autofill run
+ * (e.g. "If yes, enter the amount") and map each one with Tier 3
+ */
+function watchForRevealedFields(packet) {
+  stopWatchingRevealedFields();
+  
+  let debounceTimer = null;
+  let scanning = false;
+  
+  revealedFieldObserver = new MutationObserver(() => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(async () => {
+      if (scanning) return;
+      scanning = true;
+      try {
+        await handleRevealedFields(packet);
+      } finally {
+        scanning = false;
+      }
+    }, 400);
+  });
+  
+  revealedFieldObserver.observe(document.body, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['style', 'class', 'hidden'],
+  });
+}
+
+function stopWatchingRevealedFields() {
+  revealedFieldObserver?.disconnect();
+  revealedFieldObserver = null;
+}
+
+async function handleRevealedFields(packet) {
+  // Every field from the last run is gone: the wizard swapped in its next step without navigating
+  const handled = [...filledFields, ...userQuestionFields];
+  if (claimSession && handled.length > 0 && handled.every(record => !record.field.isConnected)) {
+    handleClaimStepChanged();
+    return;
+  }
+  
+  const newFields = collapseFieldGroups(rescanFormFields().filter(f =>
+    !processedFieldElements.has(f) &&
+    !f.closest('.claimly-modal-overlay, .claimly-badge, .claimly-confidence-tooltip')
+  ));
+  if (newFields.length === 0) return;
+  
+  debugLog(`[Claimi] 👀 ${newFields.length} newly revealed field(s)`);
+  
+  for (const [offset, field] of newFields.entries()) {
+    const members = getGroupMembers(field);
+    members.forEach(member => processedFieldElements.add(member));
+    if (isChoiceInput(field) && members.some(option => option.checked)) continue;
+    if (field.type === 'file' || (!isChoiceInput(field) && field.value)) continue;
+    
+    const learned = matchLearnedMapping(field, packet);
+    if (learned && await fillFromLearnedMapping(field, learned)) continue;
+    
+    const labelText = getQuestionLabel(field);
+    const tier3 = await mapFieldViaTier3(field, `revealed_${offset}`, packet);
+    
+    if (tier3 && tier3.confidence >= settings.confidenceThreshold) {
+      if (FIELD_SCHEMAS[tier3.key]) {
+        if (!(await validateAndFill(field, tier3.value, tier3.key))) continue;
+      } else if (!(await fillCaseAnswerValue(field, tier3.value))) {
+        continue;
+      }
+      field.classList.add('claimly-filled');
+      filledFields.push({
+        field,
+        key: tier3.key,
+        value: tier3.value,
+        tier: 3,
+        confidence: tier3.confidence,
+        category: 'REVEALED',
+        source: 'tier3'
+      });
+    } else if (field.required || field.getAttribute('aria-required') === 'true') {
+      userQuestionFields.push({
+        field,
+        fieldId: field.id || field.name || `revealed_${offset}`,
+        label: labelText,
+        category: 'USER_QUESTION',
+        promptForUser: labelText,
+        options: getQuestionOptions(field),
+        required: true,
+      });
+      field.classList.add('claimly-needs-attention');
+    }
+  }
+  
+  if (statusBadge || frameRun) showStatusBadge();
 }
 
 // ============================================================================
 // UI (Requirement #10)
 // ============================================================================
 
+// Counts the status badge shows for this frame
+function getStatusCounts() {
+  return {
+    filled: filledFields.length,
+    lowConfidence: lowConfidenceFields.length,
+    userQuestions: userQuestionFields.length,
+    fileUploads: fileUploadFields.length,
+    pending: pendingFields.length,
+  };
+}
+
 function showStatusBadge() {
+  notifyReviewPanel();
+  
+  // Part of a tab-wide run: the top frame's combined badge shows these counts
+  if (frameRun) {
+    chrome.runtime.sendMessage({ action: 'frameStatusChanged', counts: getStatusCounts() })
+      .catch(error => console.warn('[Claimi] Could not update the combined badge:', error));
+    return;
+  }
+  if (combinedStatus) {
+    renderStatusBadge(sumFrameCounts(combinedStatus.frames), combinedStatus.frames);
+    return;
+  }
+  renderStatusBadge(getStatusCounts());
+}
+
+// Top frame of a tab-wide run: one badge for every frame's fields
+async function showCombinedStatus(frames) {
+  combinedStatus = { frames };
+  const resumed = await chrome.runtime.sendMessage({ action: 'getClaimSession' }).catch(() => null);
+  claimSession = resumed?.session || null;
+  renderStatusBadge(sumFrameCounts(frames), frames);
+}
+
+function updateFrameStatus(frameId, counts) {
+  if (!combinedStatus) return;
+  const frame = combinedStatus.frames.find(f => f.frameId === frameId);
+  if (frame) frame.counts = counts;
+  else combinedStatus.frames.push({ frameId, counts });
+  if (statusBadge) renderStatusBadge(sumFrameCounts(combinedStatus.frames), combinedStatus.frames);
+}
+
+function sumFrameCounts(frames) {
+  return frames.reduce((sum, { counts }) => {
+    for (const key of Object.keys(sum)) sum[key] += counts?.[key] || 0;
+    return sum;
+  }, { filled: 0, lowConfidence: 0, userQuestions: 0, fileUploads: 0, pending: 0 });
+}
+
+// Badge buttons that act on fields, and the count that says a frame has such fields
+const BADGE_COMMANDS = {
+  reviewUncertain: 'lowConfidence',
+  answerQuestions: 'userQuestions',
+  showUploads: 'fileUploads',
+};
+
+function runBadgeCommand(command) {
+  if (command === 'reviewUncertain') {
+    lowConfidenceFields[0]?.field?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    lowConfidenceFields[0]?.field?.focus();
+    showFieldConfidence(lowConfidenceFields[0]);
+  } else if (command === 'answerQuestions') {
+    showUserQuestionModal();
+  } else if (command === 'showUploads') {
+    showDocumentRequestModal();
+  }
+}
+
+// Run a badge command here, or in the first frame of a tab-wide run that has matching fields
+function dispatchBadgeCommand(command, frames) {
+  if (!frames) {
+    runBadgeCommand(command);
+    return;
+  }
+  const target = frames.find(frame => frame.counts?.[BADGE_COMMANDS[command]] > 0);
+  if (target) {
+    chrome.runtime.sendMessage({ action: 'relayToFrame', frameId: target.frameId, command }).catch(() => {});
+  }
+}
+
+/**
+ * Render the status badge. `frames` ([{ frameId, counts }]) is set for the
+ * combined badge of a tab-wide run; its buttons then act in the frame holding the fields.
+ */
+function renderStatusBadge(counts, frames = null) {
   statusBadge?.remove();
+  statusBadge = null;
+  if (!settings.showBadge) return;
   
-  const hasLowConfidence = lowConfidenceFields.length > 0;
-  const hasUserQuestions = userQuestionFields.length > 0;
-  const hasFileUploads = fileUploadFields.length > 0;
+  const hasLowConfidence = counts.lowConfidence > 0;
+  const hasUserQuestions = counts.userQuestions > 0;
+  const hasFileUploads = counts.fileUploads > 0;
+  const frameCount = frames ? frames.filter(frame => frame.counts).length : 0;
   
   statusBadge = document.createElement('div');
   statusBadge.className = 'claimly-badge';
@@ -1643,18 +3386,22 @@ function showStatusBadge() {
       <div class="claimly-badge-logo">C</div>
       <span>Claimi</span>
     </div>
+    ${renderSessionProgress()}
+    ${frameCount > 1 ? `<div class="claimly-badge-frames">Across ${frameCount} embedded forms</div>` : ''}
     <div class="claimly-badge-stats">
-      <span class="claimly-stat claimly-stat-filled">✅ ${filledFields.length} filled</span>
-      ${hasLowConfidence ? `<span class="claimly-stat claimly-stat-warning">⚠️ ${lowConfidenceFields.length} uncertain</span>` : ''}
-      ${hasUserQuestions ? `<span class="claimly-stat claimly-stat-pending">❓ ${userQuestionFields.length} questions</span>` : ''}
-      ${hasFileUploads ? `<span class="claimly-stat claimly-stat-pending">📄 ${fileUploadFields.length} uploads</span>` : ''}
-      ${pendingFields.length > 0 ? `<span class="claimly-stat claimly-stat-pending">⏸️ ${pendingFields.length} pending</span>` : ''}
+      <span class="claimly-stat claimly-stat-filled">✅ ${counts.filled} filled</span>
+      ${hasLowConfidence ? `<span class="claimly-stat claimly-stat-warning">⚠️ ${counts.lowConfidence} uncertain</span>` : ''}
+      ${hasUserQuestions ? `<span class="claimly-stat claimly-stat-pending">❓ ${counts.userQuestions} questions</span>` : ''}
+      ${hasFileUploads ? `<span class="claimly-stat claimly-stat-pending">📄 ${counts.fileUploads} uploads</span>` : ''}
+      ${counts.pending > 0 ? `<span class="claimly-stat claimly-stat-pending">⏸️ ${counts.pending} pending</span>` : ''}
     </div>
     <div class="claimly-badge-actions">
       <button class="claimly-btn claimly-btn-secondary" id="claimly-clear">Clear</button>
+      <button class="claimly-btn claimly-btn-secondary" id="claimly-open-review">Review All</button>
       ${hasLowConfidence ? `<button class="claimly-btn claimly-btn-warning" id="claimly-review-uncertain">Review Uncertain</button>` : ''}
       ${hasUserQuestions ? `<button class="claimly-btn claimly-btn-primary" id="claimly-answer-questions">Answer Questions</button>` : ''}
       ${hasFileUploads ? `<button class="claimly-btn claimly-btn-secondary" id="claimly-show-uploads">View Uploads</button>` : ''}
+      ${claimSession ? `<button class="claimly-btn claimly-btn-secondary" id="claimly-end-session">End Session</button>` : ''}
     </div>
   `;
   
@@ -1664,22 +3411,23 @@ function showStatusBadge() {
     statusBadge?.remove(); 
     statusBadge = null; 
   });
-  document.getElementById('claimly-clear')?.addEventListener('click', clearAutofill);
-  document.getElementById('claimly-review')?.addEventListener('click', () => {
-    pendingFields[0]?.field?.scrollIntoView({ behavior: 'smooth', block: 'center' });
-    pendingFields[0]?.field?.focus();
+  document.getElementById('claimly-clear')?.addEventListener('click', () => {
+    if (frames) chrome.runtime.sendMessage({ action: 'clearTab' }).catch(() => {});
+    else clearAutofill();
+  });
+  document.getElementById('claimly-open-review')?.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'openReviewPanel' }).catch(() => {});
   });
   document.getElementById('claimly-review-uncertain')?.addEventListener('click', () => {
-    lowConfidenceFields[0]?.field?.scrollIntoView({ behavior: 'smooth', block: 'center' });
-    lowConfidenceFields[0]?.field?.focus();
-    showFieldConfidence(lowConfidenceFields[0]);
+    dispatchBadgeCommand('reviewUncertain', frames);
   });
   document.getElementById('claimly-answer-questions')?.addEventListener('click', () => {
-    showUserQuestionModal();
+    dispatchBadgeCommand('answerQuestions', frames);
   });
   document.getElementById('claimly-show-uploads')?.addEventListener('click', () => {
-    showDocumentRequestModal();
+    dispatchBadgeCommand('showUploads', frames);
   });
+  document.getElementById('claimly-end-session')?.addEventListener('click', endClaimSession);
 }
 
 function showFieldConfidence(record) {
@@ -1696,7 +3444,7 @@ function showFieldConfidence(record) {
       <div>Field: <strong>${record.key}</strong></div>
       <div>Value: <strong>${String(record.value).substring(0, 30)}</strong></div>
       <div>Confidence: <strong>${(record.confidence * 100).toFixed(0)}%</strong></div>
-      <div>Tier: <strong>${record.tier}</strong></div>
+      ${record.tier != null ? `<div>Tier: <strong>${record.tier}</strong></div>` : ''}
     </div>
     <div class="claimly-tooltip-actions">
       <button class="claimly-btn claimly-btn-sm" id="claimly-accept">Accept</button>
@@ -1713,24 +3461,27 @@ function showFieldConfidence(record) {
   document.body.appendChild(tooltip);
   
   document.getElementById('claimly-accept')?.addEventListener('click', () => {
+    sendFieldFeedback(record.field, record.key, true, 'accept');
     record.field.classList.remove('claimly-low-confidence');
     tooltip.remove();
     const idx = lowConfidenceFields.indexOf(record);
     if (idx > -1) lowConfidenceFields.splice(idx, 1);
+    notifyReviewPanel();
     if (lowConfidenceFields.length > 0) {
       showFieldConfidence(lowConfidenceFields[0]);
     }
   });
   
   document.getElementById('claimly-reject')?.addEventListener('click', () => {
-    record.field.value = '';
+    sendFieldFeedback(record.field, record.key, false, 'clear');
+    clearFieldValue(record.field);
     record.field.classList.remove('claimly-filled', 'claimly-low-confidence');
-    record.field.dispatchEvent(new Event('input', { bubbles: true }));
     tooltip.remove();
     const idx = lowConfidenceFields.indexOf(record);
     if (idx > -1) lowConfidenceFields.splice(idx, 1);
     const filledIdx = filledFields.indexOf(record);
     if (filledIdx > -1) filledFields.splice(filledIdx, 1);
+    notifyReviewPanel();
     if (lowConfidenceFields.length > 0) {
       showFieldConfidence(lowConfidenceFields[0]);
     }
@@ -1738,11 +3489,12 @@ function showFieldConfidence(record) {
 }
 
 function clearAutofill() {
+  stopWatchingRevealedFields();
+  
   // Remove all highlight classes from filled fields
   filledFields.forEach(({ field }) => {
-    field.value = '';
+    clearFieldValue(field);
     field.classList.remove('claimly-filled', 'claimly-low-confidence', 'claimly-duplicate-warning');
-    field.dispatchEvent(new Event('input', { bubbles: true }));
   });
   
   // Remove highlight classes from other fields
@@ -1756,6 +3508,8 @@ function clearAutofill() {
   });
   
   // Reset state
+  frameRun = false;
+  combinedStatus = null;
   filledFields = [];
   pendingFields = [];
   lowConfidenceFields = [];
@@ -1772,6 +3526,8 @@ function clearAutofill() {
   documentRequestModal = null;
   statusBadge?.remove();
   statusBadge = null;
+  removePacketPrompt();
+  notifyReviewPanel();
 }
 
 // ============================================================================
@@ -1906,6 +3662,18 @@ function getInputGuidance(question) {
 function renderQuestionInput(question, index, inputInfo) {
   const fieldType = question.field?.type || 'text';
   
+  // Radio groups and checkbox sets - offer the form's own options
+  if (question.options?.length) {
+    return `
+      <div class="claimly-radio-group">
+        ${question.options.map(option => `
+        <label class="claimly-radio-option">
+          <input type="radio" name="claimly-q-${index}" value="${escapeHtml(option)}"> ${escapeHtml(option)}
+        </label>`).join('')}
+      </div>
+    `;
+  }
+  
   // Yes/No questions - render radio buttons
   if (inputInfo.type === 'yesno') {
     return `
@@ -1939,10 +3707,13 @@ function renderQuestionInput(question, index, inputInfo) {
   return `<input type="text" class="claimly-input" id="claimly-q-${index}" placeholder="${escapeHtml(inputInfo.placeholder || 'Enter your answer')}">`;
 }
 
-function submitUserAnswers() {
+async function submitUserAnswers() {
   const answeredCount = { filled: 0, skipped: 0 };
+  const sessionAnswers = {};
+  const savedAnswers = [];
+  const answered = new Set();
   
-  userQuestionFields.forEach((q, i) => {
+  for (const [i, q] of userQuestionFields.entries()) {
     let value = null;
     
     // Check for radio buttons
@@ -1957,11 +3728,9 @@ function submitUserAnswers() {
       }
     }
     
-    if (value) {
-      // Fill the actual form field
-      q.field.value = value;
-      q.field.dispatchEvent(new Event('input', { bubbles: true }));
-      q.field.dispatchEvent(new Event('change', { bubbles: true }));
+    // Fill the actual form field; a field that won't keep the answer stays queued
+    if (value && await fillCaseAnswerValue(q.field, value)) {
+      answered.add(q);
       q.field.classList.remove('claimly-needs-attention');
       q.field.classList.add('claimly-filled');
       
@@ -1974,24 +3743,37 @@ function submitUserAnswers() {
         source: 'userModal'
       });
       
+      const answerKey = questionFingerprint(q.label);
+      if (answerKey) {
+        sessionAnswers[answerKey] = value;
+        savedAnswers.push({ fingerprint: answerKey, question: q.label, answer: value });
+      }
+      
+      // An answer that matches a packet value teaches which key this field wants
+      const learnedKey = findPacketKeyForAnswer(value, claimPacket);
+      if (learnedKey) {
+        sendFieldFeedback(q.field, learnedKey, true, 'user_answer');
+      }
+      
       answeredCount.filled++;
     } else {
       answeredCount.skipped++;
     }
-  });
+  }
   
-  console.log(`[Claimi] User answers submitted: ${answeredCount.filled} filled, ${answeredCount.skipped} skipped`);
+  debugLog(`[Claimi] User answers submitted: ${answeredCount.filled} filled, ${answeredCount.skipped} skipped`);
   
   // Clear user question fields that were answered
-  userQuestionFields = userQuestionFields.filter((q, i) => {
-    const radioSelected = document.querySelector(`input[name="claimly-q-${i}"]:checked`);
-    const input = document.getElementById(`claimly-q-${i}`);
-    return !radioSelected && (!input || !input.value.trim());
-  });
+  userQuestionFields = userQuestionFields.filter(q => !answered.has(q));
   
   userQuestionModal?.remove();
   userQuestionModal = null;
   
+  // Later steps that ask the same question reuse these answers
+  await saveSessionAnswers(sessionAnswers);
+  await saveUserAnswers(savedAnswers);
+  if (claimSession) claimSession = await recordSessionStep();
+  
   // Update status badge
   showStatusBadge();
 }
@@ -2057,15 +3839,200 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+// ============================================================================
+// REVIEW PANEL - every field of the run, for the side panel's pre-submit review
+// ============================================================================
+
+// Side panel group for a filled record
+function reviewGroupFor(record) {
+  if (record.category === 'STANDARD_PROFILE') return 'profile';
+  if (record.category === 'USER_ANSWER' || record.category === 'USER_QUESTION') return 'userQuestion';
+  if (record.category === 'REVEALED') return FIELD_SCHEMAS[record.key] ? 'profile' : 'caseAnswer';
+  return 'caseAnswer';
+}
+
+// What the page shows for a field right now (checked option labels for a choice group)
+function readFieldValue(field) {
+  if (isChoiceInput(field)) {
+    return getChoiceGroup(field).options.filter(option => option.checked).map(getChoiceOptionText).join(', ');
+  }
+  if (field.type === 'file') {
+    return [...(field.files || [])].map(file => file.name).join(', ');
+  }
+  if (field.tagName === 'SELECT') {
+    return field.value ? field.selectedOptions[0]?.textContent.trim() || field.value : '';
+  }
+  if (!('value' in field) || field.tagName === 'BUTTON') {
+    return field.textContent.trim();
+  }
+  const separator = getSplitDateGroup(field) ? '/' : ' ';
+  return getGroupMembers(field).map(member => member.value.trim()).filter(Boolean).join(separator);
+}
+
+// Options the side panel offers when editing (null for free text)
+function getReviewOptions(field) {
+  if (isChoiceInput(field)) return getQuestionOptions(field) || ['Yes', 'No'];
+  if (field.tagName === 'SELECT') {
+    return getOptionElements(field).filter(option => option.value && !isPlaceholderOption(option)).map(option => option.text);
+  }
+  return null;
+}
+
+/**
+ * Rows for the side panel: [{ ref, group, label, value, key, source, tier,
+ * confidence, uncertain, required, editable, options, reason }].
+ * `ref` addresses the field in later setReviewFieldValue/focusReviewField calls.
+ */
+function buildReviewFields() {
+  reviewFieldRefs = [];
+  const rows = [];
+  
+  const add = (field, group, details) => {
+    if (!field?.isConnected || reviewFieldRefs.includes(field)) return;
+    rows.push({
+      ref: reviewFieldRefs.push(field) - 1,
+      group,
+      label: getQuestionLabel(field) || details.key || 'Unnamed field',
+      value: readFieldValue(field),
+      required: field.required || field.getAttribute('aria-required') === 'true',
+      editable: field.type !== 'file',
+      options: getReviewOptions(field),
+      key: null,
+      source: null,
+      tier: null,
+      confidence: null,
+      uncertain: false,
+      ...details,
+    });
+  };
+  
+  for (const record of filledFields) {
+    add(record.field, reviewGroupFor(record), {
+      key: record.key,
+      source: record.source || null,
+      tier: record.tier ?? null,
+      confidence: record.confidence,
+      uncertain: lowConfidenceFields.includes(record),
+    });
+  }
+  userQuestionFields.forEach(question => add(question.field, 'userQuestion', { key: question.fieldId }));
+  fileUploadFields.forEach(upload => add(upload.field, 'upload', { key: upload.fieldId }));
+  pendingFields.forEach(pending => add(pending.field, 'skipped', { key: pending.key, reason: pending.reason }));
+  
+  return rows;
+}
+
+// The side panel's list is stale - it refetches (fire-and-forget; the panel may be closed)
+function notifyReviewPanel() {
+  chrome.runtime.sendMessage({ action: 'reviewStateChanged' }).catch(() => {});
+}
+
+function focusReviewField(ref) {
+  const field = reviewFieldRefs[ref];
+  if (!field?.isConnected) return { success: false, error: 'Field is no longer on the page' };
+  
+  field.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  field.focus({ preventScroll: true });
+  field.classList.add('claimly-review-flash');
+  setTimeout(() => field.classList.remove('claimly-review-flash'), 1500);
+  return { success: true };
+}
+
+/**
+ * A value edited in the side panel: write it, and treat the field as answered
+ * by the user - out of the question, skipped and uncertain lists.
+ * An empty value clears the field.
+ */
+async function setReviewFieldValue(ref, value) {
+  const field = reviewFieldRefs[ref];
+  if (!field?.isConnected) return { success: false, error: 'Field is no longer on the page' };
+  
+  const text = String(value ?? '').trim();
+  const record = filledFields.find(r => r.field === field);
+  
+  if (!text) {
+    clearFieldValue(field);
+  } else if (!(await fillCaseAnswerValue(field, text))) {
+    return { success: false, error: 'The field did not keep this value' };
+  }
+  
+  userQuestionFields = userQuestionFields.filter(q => q.field !== field);
+  pendingFields = pendingFields.filter(p => p.field !== field);
+  lowConfidenceFields = lowConfidenceFields.filter(r => r.field !== field);
+  filledFields = filledFields.filter(r => r.field !== field);
+  field.classList.remove('claimly-needs-attention', 'claimly-skipped', 'claimly-low-confidence', 'claimly-duplicate-warning');
+  
+  if (text) {
+    field.classList.add('claimly-filled');
+    filledFields.push({
+      field,
+      key: record?.key || field.id || field.name || getQuestionLabel(field),
+      value: text,
+      confidence: 1.0,
+      category: record?.category || 'USER_ANSWER',
+      source: 'reviewPanel',
+    });
+    
+    // A correction to a packet value teaches which key this field wants
+    const learnedKey = claimPacket ? findPacketKeyForAnswer(text, claimPacket) : null;
+    if (learnedKey) sendFieldFeedback(field, learnedKey, true, 'user_answer');
+  } else {
+    field.classList.remove('claimly-filled');
+    if (record?.key) sendFieldFeedback(field, record.key, false, 'clear');
+    if (field.required || field.getAttribute('aria-required') === 'true') {
+      pendingFields.push({ field, key: record?.key || null, reason: 'cleared_in_review' });
+      field.classList.add('claimly-needs-attention');
+    }
+  }
+  
+  showStatusBadge();
+  return { success: true };
+}
+
+// Keep an uncertain match as it is (the tooltip's Accept)
+function acceptReviewField(ref) {
+  const field = reviewFieldRefs[ref];
+  const record = lowConfidenceFields.find(r => r.field === field);
+  if (!record) return { success: false, error: 'Field is not uncertain' };
+  
+  sendFieldFeedback(record.field, record.key, true, 'accept');
+  record.field.classList.remove('claimly-low-confidence', 'claimly-duplicate-warning');
+  record.field.classList.add('claimly-filled');
+  lowConfidenceFields = lowConfidenceFields.filter(r => r !== record);
+  showStatusBadge();
+  return { success: true };
+}
+
+// The form's submit (or next-step) button, for the checklist's "Go to submit"
+function focusSubmitButton() {
+  const form = filledFields.find(record => record.field.form)?.field.form;
+  const scope = form || document;
+  const isOurs = element => element.closest('.claimly-badge, .claimly-modal-overlay, .claimly-confidence-tooltip');
+  const button = [...scope.querySelectorAll('button[type="submit"], input[type="submit"]')].find(b => !isOurs(b)) ||
+    [...scope.querySelectorAll('button, [role="button"]')].find(b => !isOurs(b) && /\b(submit|continue|next)\b/i.test(b.textContent));
+  if (!button) return { success: false, error: 'No submit button found' };
+  
+  button.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  button.focus({ preventScroll: true });
+  button.classList.add('claimly-review-flash');
+  setTimeout(() => button.classList.remove('claimly-review-flash'), 1500);
+  return { success: true };
+}
+
 // ============================================================================
 // MESSAGE HANDLER
 // ============================================================================
 
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  console.log('[Claimi] Message:', msg.action);
+  debugLog('[Claimi] Message:', msg.action);
+  
+  if (msg.action === 'collectFields') {
+    const fields = collapseFieldGroups(getFormFields()).map((f, i) => ({ element: f, index: i }));
+    sendResponse(buildTriageRequest(fields, withSavedAnswers(msg.claimPacket)));
+  }
   
   if (msg.action === 'autofill') {
-    autofillForm(msg.claimPacket)
+    autofillForm(msg.claimPacket, msg.coordination || null)
       .then(sendResponse)
       .catch(e => {
         console.error('[Claimi] Error:', e);
@@ -2074,6 +4041,47 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return true;
   }
   
+  if (msg.action === 'showCombinedStatus' && IS_TOP_FRAME) {
+    showCombinedStatus(msg.frames);
+    sendResponse({ success: true });
+  }
+  
+  if (msg.action === 'updateFrameStatus' && IS_TOP_FRAME) {
+    updateFrameStatus(msg.frameId, msg.counts);
+    sendResponse({ success: true });
+  }
+  
+  if (msg.action === 'getReviewFields') {
+    sendResponse({ rows: buildReviewFields(), url: location.href });
+  }
+  
+  if (msg.action === 'reviewFieldCommand') {
+    const commands = {
+      focus: () => focusReviewField(msg.ref),
+      setValue: () => setReviewFieldValue(msg.ref, msg.value),
+      accept: () => acceptReviewField(msg.ref),
+      focusSubmit: () => focusSubmitButton(),
+    };
+    Promise.resolve(commands[msg.command]?.() || { success: false, error: `Unknown command: ${msg.command}` })
+      .then(sendResponse);
+    return true;
+  }
+  
+  if (msg.action === 'frameCommand') {
+    runBadgeCommand(msg.command);
+    sendResponse({ success: true });
+  }
+  
+  if (msg.action === 'claimStepChanged') {
+    handleClaimStepChanged();
+    sendResponse({ success: true });
+  }
+  
+  if (msg.action === 'claimFormDetected' && IS_TOP_FRAME) {
+    resumeClaimSession();
+    sendResponse({ success: true });
+  }
+  
   if (msg.action === 'clear') {
     clearAutofill();
     sendResponse({ success: true });
@@ -2113,4 +4121,11 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 // ============================================================================
 
 initializeSearchIndices();
-console.log('[Claimi] ✅ Advanced Autofill Agent ready!');
+document.addEventListener('submit', handleSubmitEvent, true);
+document.addEventListener('click', handleSubmitClick, true);
+
+// A page that follows a submit is checked for its confirmation; otherwise it may be the next step
+checkPendingSubmission().then(pending => {
+  if (!pending) resumeClaimSession();
+});
+debugLog('[Claimi] ✅ Advanced Autofill Agent ready!');
@@ -2,46 +2,75 @@
  * Claimi Dashboard Bridge - Content Script
  * 
  * This script runs on the Claimi dashboard (localhost:3000 and claimi.app)
- * and listens for claim packet data from the web app, forwarding it to
- * the extension's service worker.
+ * and relays the web app's requests to the extension's service worker.
+ *
+ * Packet handoff is request/response: every request event carries a
+ * requestId that its reply echoes, along with the extension and protocol
+ * versions. Packets must be signed by the backend for a nonce the service
+ * worker issued; see the DASHBOARD HANDOFF section of service-worker.js.
  */
 
 (function() {
   'use strict';
 
+  // Keep in sync with HANDOFF_PROTOCOL_VERSION in service-worker.js
+  const HANDOFF_PROTOCOL_VERSION = 1;
+  const extensionVersion = chrome.runtime.getManifest().version;
+
   console.log('[Claimi Bridge] Dashboard bridge loaded');
 
-  // Listen for custom event from the dashboard
+  function reply(type, requestId, result) {
+    window.dispatchEvent(new CustomEvent(type, {
+      detail: { ...result, requestId, extensionVersion, protocolVersion: HANDOFF_PROTOCOL_VERSION }
+    }));
+  }
+
+  async function askServiceWorker(message) {
+    try {
+      return await chrome.runtime.sendMessage(message) || { success: false, code: 'no_response', error: 'The extension did not answer' };
+    } catch (error) {
+      return { success: false, code: 'extension_error', error: error.message };
+    }
+  }
+
+  // Step 1: the dashboard asks for a nonce to have its packet signed for
+  window.addEventListener('claimi-handoff-hello', async (event) => {
+    const requestId = event.detail?.requestId;
+    const response = await askServiceWorker({ action: 'createHandoffChallenge' });
+    reply('claimi-handoff-challenge', requestId, response);
+  });
+
+  // Step 2: the signed packet; the ack carries the service worker's verdict
   window.addEventListener('claimi-claim-packet', async (event) => {
-    console.log('[Claimi Bridge] Received claim packet from dashboard');
-    
-    const packet = event.detail;
-    
-    if (!packet || !packet.userData) {
-      console.error('[Claimi Bridge] Invalid packet received:', packet);
-      return;
+    const { requestId, handoff } = event.detail || {};
+    console.log('[Claimi Bridge] Received claim packet handoff from dashboard');
+
+    const response = await askServiceWorker({ action: 'receiveHandoff', handoff });
+    if (response.success) {
+      console.log('[Claimi Bridge] Packet stored:', response.packetId);
+    } else {
+      console.error(`[Claimi Bridge] Packet rejected (${response.code}):`, response.error);
     }
+    reply('claimi-packet-stored', requestId, response);
+  });
+
+  // Listen for the dashboard's Supabase session (sent on sign-in, token refresh and sign-out);
+  // the service worker checks it with the backend before storing it
+  window.addEventListener('claimi-auth-session', async (event) => {
+    const session = event.detail?.session || null;
 
     try {
-      // Send the packet to the service worker
       const response = await chrome.runtime.sendMessage({
-        action: 'setClaimPacket',
-        packet: packet
+        action: 'setAuthSession',
+        session
       });
-
-      console.log('[Claimi Bridge] Packet stored successfully:', response);
-
-      // Dispatch success event back to the dashboard
-      window.dispatchEvent(new CustomEvent('claimi-packet-stored', {
-        detail: { success: true, packetId: packet.id }
-      }));
+      if (response?.success) {
+        console.log('[Claimi Bridge] Auth session forwarded:', response.signedIn ? 'signed in' : 'signed out');
+      } else {
+        console.warn(`[Claimi Bridge] Auth session rejected (${response?.code || 'unknown'}):`, response?.error);
+      }
     } catch (error) {
-      console.error('[Claimi Bridge] Error storing packet:', error);
-      
-      // Dispatch error event back to the dashboard
-      window.dispatchEvent(new CustomEvent('claimi-packet-stored', {
-        detail: { success: false, error: error.message }
-      }));
+      console.error('[Claimi Bridge] Error forwarding auth session:', error);
     }
   });
 
@@ -49,13 +78,13 @@
   window.addEventListener('claimi-check-extension', () => {
     console.log('[Claimi Bridge] Extension check requested');
     window.dispatchEvent(new CustomEvent('claimi-extension-ready', {
-      detail: { installed: true, version: chrome.runtime.getManifest().version }
+      detail: { installed: true, version: extensionVersion, protocolVersion: HANDOFF_PROTOCOL_VERSION }
     }));
   });
 
   // Announce that the bridge is ready
   window.dispatchEvent(new CustomEvent('claimi-bridge-ready', {
-    detail: { version: chrome.runtime.getManifest().version }
+    detail: { version: extensionVersion, protocolVersion: HANDOFF_PROTOCOL_VERSION }
   }));
 
   console.log('[Claimi Bridge] Ready and listening for claim packets');
@@ -0,0 +1,312 @@
+/**
+ * Claimi Option Matching - Content Script
+ *
+ * Picks the option of a <select>, datalist or ARIA listbox that best fits a
+ * packet value. Packets store whatever the user typed ("CA", "United States"),
+ * while claim forms list "California", "USA" or "United States of America", so
+ * states and countries are canonicalized through the tables below before
+ * falling back to Fuse.js fuzzy scoring over the option labels.
+ *
+ * Loaded before content.js, which calls matchOption().
+ */
+
+// [code, name] - states, DC, territories and military "states"
+const US_STATES = [
+  ['AL', 'Alabama'], ['AK', 'Alaska'], ['AZ', 'Arizona'], ['AR', 'Arkansas'],
+  ['CA', 'California'], ['CO', 'Colorado'], ['CT', 'Connecticut'], ['DE', 'Delaware'],
+  ['DC', 'District of Columbia'], ['FL', 'Florida'], ['GA', 'Georgia'], ['HI', 'Hawaii'],
+  ['ID', 'Idaho'], ['IL', 'Illinois'], ['IN', 'Indiana'], ['IA', 'Iowa'],
+  ['KS', 'Kansas'], ['KY', 'Kentucky'], ['LA', 'Louisiana'], ['ME', 'Maine'],
+  ['MD', 'Maryland'], ['MA', 'Massachusetts'], ['MI', 'Michigan'], ['MN', 'Minnesota'],
+  ['MS', 'Mississippi'], ['MO', 'Missouri'], ['MT', 'Montana'], ['NE', 'Nebraska'],
+  ['NV', 'Nevada'], ['NH', 'New Hampshire'], ['NJ', 'New Jersey'], ['NM', 'New Mexico'],
+  ['NY', 'New York'], ['NC', 'North Carolina'], ['ND', 'North Dakota'], ['OH', 'Ohio'],
+  ['OK', 'Oklahoma'], ['OR', 'Oregon'], ['PA', 'Pennsylvania'], ['RI', 'Rhode Island'],
+  ['SC', 'South Carolina'], ['SD', 'South Dakota'], ['TN', 'Tennessee'], ['TX', 'Texas'],
+  ['UT', 'Utah'], ['VT', 'Vermont'], ['VA', 'Virginia'], ['WA', 'Washington'],
+  ['WV', 'West Virginia'], ['WI', 'Wisconsin'], ['WY', 'Wyoming'],
+  ['AS', 'American Samoa'], ['GU', 'Guam'], ['MP', 'Northern Mariana Islands'],
+  ['PR', 'Puerto Rico'], ['VI', 'U.S. Virgin Islands'], ['UM', 'U.S. Minor Outlying Islands'],
+  ['AA', 'Armed Forces Americas'], ['AE', 'Armed Forces Europe'], ['AP', 'Armed Forces Pacific'],
+];
+
+// Spellings forms use besides the name and code
+const US_STATE_ALIASES = {
+  DC: ['Washington DC', 'Washington D.C.', 'D.C.'],
+  VI: ['Virgin Islands', 'US Virgin Islands', 'United States Virgin Islands'],
+  MP: ['Northern Marianas', 'Commonwealth of the Northern Mariana Islands'],
+  PR: ['Commonwealth of Puerto Rico'],
+};
+
+// [alpha-2, alpha-3, ISO 3166-1 short name]
+const COUNTRIES = [
+  ['AF', 'AFG', 'Afghanistan'], ['AX', 'ALA', 'Åland Islands'], ['AL', 'ALB', 'Albania'],
+  ['DZ', 'DZA', 'Algeria'], ['AS', 'ASM', 'American Samoa'], ['AD', 'AND', 'Andorra'],
+  ['AO', 'AGO', 'Angola'], ['AI', 'AIA', 'Anguilla'], ['AQ', 'ATA', 'Antarctica'],
+  ['AG', 'ATG', 'Antigua and Barbuda'], ['AR', 'ARG', 'Argentina'], ['AM', 'ARM', 'Armenia'],
+  ['AW', 'ABW', 'Aruba'], ['AU', 'AUS', 'Australia'], ['AT', 'AUT', 'Austria'],
+  ['AZ', 'AZE', 'Azerbaijan'], ['BS', 'BHS', 'Bahamas'], ['BH', 'BHR', 'Bahrain'],
+  ['BD', 'BGD', 'Bangladesh'], ['BB', 'BRB', 'Barbados'], ['BY', 'BLR', 'Belarus'],
+  ['BE', 'BEL', 'Belgium'], ['BZ', 'BLZ', 'Belize'], ['BJ', 'BEN', 'Benin'],
+  ['BM', 'BMU', 'Bermuda'], ['BT', 'BTN', 'Bhutan'], ['BO', 'BOL', 'Bolivia'],
+  ['BQ', 'BES', 'Bonaire, Sint Eustatius and Saba'], ['BA', 'BIH', 'Bosnia and Herzegovina'],
+  ['BW', 'BWA', 'Botswana'], ['BV', 'BVT', 'Bouvet Island'], ['BR', 'BRA', 'Brazil'],
+  ['IO', 'IOT', 'British Indian Ocean Territory'], ['BN', 'BRN', 'Brunei Darussalam'],
+  ['BG', 'BGR', 'Bulgaria'], ['BF', 'BFA', 'Burkina Faso'], ['BI', 'BDI', 'Burundi'],
+  ['CV', 'CPV', 'Cabo Verde'], ['KH', 'KHM', 'Cambodia'], ['CM', 'CMR', 'Cameroon'],
+  ['CA', 'CAN', 'Canada'], ['KY', 'CYM', 'Cayman Islands'], ['CF', 'CAF', 'Central African Republic'],
+  ['TD', 'TCD', 'Chad'], ['CL', 'CHL', 'Chile'], ['CN', 'CHN', 'China'],
+  ['CX', 'CXR', 'Christmas Island'], ['CC', 'CCK', 'Cocos (Keeling) Islands'], ['CO', 'COL', 'Colombia'],
+  ['KM', 'COM', 'Comoros'], ['CG', 'COG', 'Congo'], ['CD', 'COD', 'Democratic Republic of the Congo'],
+  ['CK', 'COK', 'Cook Islands'], ['CR', 'CRI', 'Costa Rica'], ['CI', 'CIV', "Côte d'Ivoire"],
+  ['HR', 'HRV', 'Croatia'], ['CU', 'CUB', 'Cuba'], ['CW', 'CUW', 'Curaçao'],
+  ['CY', 'CYP', 'Cyprus'], ['CZ', 'CZE', 'Czechia'], ['DK', 'DNK', 'Denmark'],
+  ['DJ', 'DJI', 'Djibouti'], ['DM', 'DMA', 'Dominica'], ['DO', 'DOM', 'Dominican Republic'],
+  ['EC', 'ECU', 'Ecuador'], ['EG', 'EGY', 'Egypt'], ['SV', 'SLV', 'El Salvador'],
+  ['GQ', 'GNQ', 'Equatorial Guinea'], ['ER', 'ERI', 'Eritrea'], ['EE', 'EST', 'Estonia'],
+  ['SZ', 'SWZ', 'Eswatini'], ['ET', 'ETH', 'Ethiopia'], ['FK', 'FLK', 'Falkland Islands'],
+  ['FO', 'FRO', 'Faroe Islands'], ['FJ', 'FJI', 'Fiji'], ['FI', 'FIN', 'Finland'],
+  ['FR', 'FRA', 'France'], ['GF', 'GUF', 'French Guiana'], ['PF', 'PYF', 'French Polynesia'],
+  ['TF', 'ATF', 'French Southern Territories'], ['GA', 'GAB', 'Gabon'], ['GM', 'GMB', 'Gambia'],
+  ['GE', 'GEO', 'Georgia'], ['DE', 'DEU', 'Germany'], ['GH', 'GHA', 'Ghana'],
+  ['GI', 'GIB', 'Gibraltar'], ['GR', 'GRC', 'Greece'], ['GL', 'GRL', 'Greenland'],
+  ['GD', 'GRD', 'Grenada'], ['GP', 'GLP', 'Guadeloupe'], ['GU', 'GUM', 'Guam'],
+  ['GT', 'GTM', 'Guatemala'], ['GG', 'GGY', 'Guernsey'], ['GN', 'GIN', 'Guinea'],
+  ['GW', 'GNB', 'Guinea-Bissau'], ['GY', 'GUY', 'Guyana'], ['HT', 'HTI', 'Haiti'],
+  ['HM', 'HMD', 'Heard Island and McDonald Islands'], ['VA', 'VAT', 'Holy See'], ['HN', 'HND', 'Honduras'],
+  ['HK', 'HKG', 'Hong Kong'], ['HU', 'HUN', 'Hungary'], ['IS', 'ISL', 'Iceland'],
+  ['IN', 'IND', 'India'], ['ID', 'IDN', 'Indonesia'], ['IR', 'IRN', 'Iran'],
+  ['IQ', 'IRQ', 'Iraq'], ['IE', 'IRL', 'Ireland'], ['IM', 'IMN', 'Isle of Man'],
+  ['IL', 'ISR', 'Israel'], ['IT', 'ITA', 'Italy'], ['JM', 'JAM', 'Jamaica'],
+  ['JP', 'JPN', 'Japan'], ['JE', 'JEY', 'Jersey'], ['JO', 'JOR', 'Jordan'],
+  ['KZ', 'KAZ', 'Kazakhstan'], ['KE', 'KEN', 'Kenya'], ['KI', 'KIR', 'Kiribati'],
+  ['KP', 'PRK', 'North Korea'], ['KR', 'KOR', 'South Korea'], ['KW', 'KWT', 'Kuwait'],
+  ['KG', 'KGZ', 'Kyrgyzstan'], ['LA', 'LAO', 'Laos'], ['LV', 'LVA', 'Latvia'],
+  ['LB', 'LBN', 'Lebanon'], ['LS', 'LSO', 'Lesotho'], ['LR', 'LBR', 'Liberia'],
+  ['LY', 'LBY', 'Libya'], ['LI', 'LIE', 'Liechtenstein'], ['LT', 'LTU', 'Lithuania'],
+  ['LU', 'LUX', 'Luxembourg'], ['MO', 'MAC', 'Macao'], ['MG', 'MDG', 'Madagascar'],
+  ['MW', 'MWI', 'Malawi'], ['MY', 'MYS', 'Malaysia'], ['MV', 'MDV', 'Maldives'],
+  ['ML', 'MLI', 'Mali'], ['MT', 'MLT', 'Malta'], ['MH', 'MHL', 'Marshall Islands'],
+  ['MQ', 'MTQ', 'Martinique'], ['MR', 'MRT', 'Mauritania'], ['MU', 'MUS', 'Mauritius'],
+  ['YT', 'MYT', 'Mayotte'], ['MX', 'MEX', 'Mexico'], ['FM', 'FSM', 'Micronesia'],
+  ['MD', 'MDA', 'Moldova'], ['MC', 'MCO', 'Monaco'], ['MN', 'MNG', 'Mongolia'],
+  ['ME', 'MNE', 'Montenegro'], ['MS', 'MSR', 'Montserrat'], ['MA', 'MAR', 'Morocco'],
+  ['MZ', 'MOZ', 'Mozambique'], ['MM', 'MMR', 'Myanmar'], ['NA', 'NAM', 'Namibia'],
+  ['NR', 'NRU', 'Nauru'], ['NP', 'NPL', 'Nepal'], ['NL', 'NLD', 'Netherlands'],
+  ['NC', 'NCL', 'New Caledonia'], ['NZ', 'NZL', 'New Zealand'], ['NI', 'NIC', 'Nicaragua'],
+  ['NE', 'NER', 'Niger'], ['NG', 'NGA', 'Nigeria'], ['NU', 'NIU', 'Niue'],
+  ['NF', 'NFK', 'Norfolk Island'], ['MK', 'MKD', 'North Macedonia'], ['MP', 'MNP', 'Northern Mariana Islands'],
+  ['NO', 'NOR', 'Norway'], ['OM', 'OMN', 'Oman'], ['PK', 'PAK', 'Pakistan'],
+  ['PW', 'PLW', 'Palau'], ['PS', 'PSE', 'Palestine'], ['PA', 'PAN', 'Panama'],
+  ['PG', 'PNG', 'Papua New Guinea'], ['PY', 'PRY', 'Paraguay'], ['PE', 'PER', 'Peru'],
+  ['PH', 'PHL', 'Philippines'], ['PN', 'PCN', 'Pitcairn'], ['PL', 'POL', 'Poland'],
+  ['PT', 'PRT', 'Portugal'], ['PR', 'PRI', 'Puerto Rico'], ['QA', 'QAT', 'Qatar'],
+  ['RE', 'REU', 'Réunion'], ['RO', 'ROU', 'Romania'], ['RU', 'RUS', 'Russia'],
+  ['RW', 'RWA', 'Rwanda'], ['BL', 'BLM', 'Saint Barthélemy'], ['SH', 'SHN', 'Saint Helena, Ascension and Tristan da Cunha'],
+  ['KN', 'KNA', 'Saint Kitts and Nevis'], ['LC', 'LCA', 'Saint Lucia'], ['MF', 'MAF', 'Saint Martin (French part)'],
+  ['PM', 'SPM', 'Saint Pierre and Miquelon'], ['VC', 'VCT', 'Saint Vincent and the Grenadines'], ['WS', 'WSM', 'Samoa'],
+  ['SM', 'SMR', 'San Marino'], ['ST', 'STP', 'Sao Tome and Principe'], ['SA', 'SAU', 'Saudi Arabia'],
+  ['SN', 'SEN', 'Senegal'], ['RS', 'SRB', 'Serbia'], ['SC', 'SYC', 'Seychelles'],
+  ['SL', 'SLE', 'Sierra Leone'], ['SG', 'SGP', 'Singapore'], ['SX', 'SXM', 'Sint Maarten (Dutch part)'],
+  ['SK', 'SVK', 'Slovakia'], ['SI', 'SVN', 'Slovenia'], ['SB', 'SLB', 'Solomon Islands'],
+  ['SO', 'SOM', 'Somalia'], ['ZA', 'ZAF', 'South Africa'], ['GS', 'SGS', 'South Georgia and the South Sandwich Islands'],
+  ['SS', 'SSD', 'South Sudan'], ['ES', 'ESP', 'Spain'], ['LK', 'LKA', 'Sri Lanka'],
+  ['SD', 'SDN', 'Sudan'], ['SR', 'SUR', 'Suriname'], ['SJ', 'SJM', 'Svalbard and Jan Mayen'],
+  ['SE', 'SWE', 'Sweden'], ['CH', 'CHE', 'Switzerland'], ['SY', 'SYR', 'Syria'],
+  ['TW', 'TWN', 'Taiwan'], ['TJ', 'TJK', 'Tajikistan'], ['TZ', 'TZA', 'Tanzania'],
+  ['TH', 'THA', 'Thailand'], ['TL', 'TLS', 'Timor-Leste'], ['TG', 'TGO', 'Togo'],
+  ['TK', 'TKL', 'Tokelau'], ['TO', 'TON', 'Tonga'], ['TT', 'TTO', 'Trinidad and Tobago'],
+  ['TN', 'TUN', 'Tunisia'], ['TR', 'TUR', 'Türkiye'], ['TM', 'TKM', 'Turkmenistan'],
+  ['TC', 'TCA', 'Turks and Caicos Islands'], ['TV', 'TUV', 'Tuvalu'], ['UG', 'UGA', 'Uganda'],
+  ['UA', 'UKR', 'Ukraine'], ['AE', 'ARE', 'United Arab Emirates'], ['GB', 'GBR', 'United Kingdom'],
+  ['US', 'USA', 'United States'], ['UM', 'UMI', 'United States Minor Outlying Islands'], ['UY', 'URY', 'Uruguay'],
+  ['UZ', 'UZB', 'Uzbekistan'], ['VU', 'VUT', 'Vanuatu'], ['VE', 'VEN', 'Venezuela'],
+  ['VN', 'VNM', 'Vietnam'], ['VG', 'VGB', 'British Virgin Islands'], ['VI', 'VIR', 'U.S. Virgin Islands'],
+  ['WF', 'WLF', 'Wallis and Futuna'], ['EH', 'ESH', 'Western Sahara'], ['YE', 'YEM', 'Yemen'],
+  ['ZM', 'ZMB', 'Zambia'], ['ZW', 'ZWE', 'Zimbabwe'],
+];
+
+// Official long forms and everyday names, keyed by alpha-2
+const COUNTRY_ALIASES = {
+  US: ['United States of America', 'U.S.', 'U.S.A.', 'America'],
+  GB: ['UK', 'U.K.', 'Great Britain', 'Britain', 'United Kingdom of Great Britain and Northern Ireland', 'England'],
+  AE: ['UAE'],
+  BO: ['Bolivia (Plurinational State of)'],
+  BN: ['Brunei'],
+  CV: ['Cape Verde'],
+  CD: ['Congo (Democratic Republic)', 'DR Congo', 'DRC', 'Congo-Kinshasa'],
+  CG: ['Republic of the Congo', 'Congo-Brazzaville'],
+  CI: ['Ivory Coast', 'Cote dIvoire'],
+  CZ: ['Czech Republic'],
+  SZ: ['Swaziland'],
+  FK: ['Falkland Islands (Malvinas)'],
+  FM: ['Micronesia (Federated States of)'],
+  VA: ['Vatican City', 'Vatican'],
+  IR: ['Iran (Islamic Republic of)'],
+  KP: ["Korea (Democratic People's Republic of)", 'Korea, North'],
+  KR: ['Korea, Republic of', 'Korea, South', 'Korea'],
+  LA: ["Lao People's Democratic Republic"],
+  MD: ['Moldova, Republic of'],
+  MK: ['Macedonia'],
+  MM: ['Burma'],
+  NL: ['Holland', 'The Netherlands'],
+  PS: ['Palestine, State of'],
+  RU: ['Russian Federation'],
+  SY: ['Syrian Arab Republic'],
+  TW: ['Taiwan, Province of China'],
+  TZ: ['Tanzania, United Republic of'],
+  TR: ['Turkey'],
+  VE: ['Venezuela (Bolivarian Republic of)'],
+  VN: ['Viet Nam'],
+  VG: ['Virgin Islands (British)'],
+  VI: ['Virgin Islands (U.S.)'],
+};
+
+const PLACEHOLDER_OPTION_PATTERN = /^(?:-+.*-+|(?:please\s+)?(?:select|choose|pick)\b.*|none selected|\.{3})$/i;
+
+function normalizeOptionText(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Curaçao -> Curacao
+    .toLowerCase()
+    .replace(/[.']/g, '')            // U.S.A. -> usa, d'Ivoire -> divoire
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// normalized spelling -> canonical code, for each table
+function buildLookup(entries) {
+  const lookup = new Map();
+  for (const { code, spellings } of entries) {
+    for (const spelling of spellings) {
+      const key = normalizeOptionText(spelling);
+      if (key && !lookup.has(key)) lookup.set(key, code);
+    }
+  }
+  return lookup;
+}
+
+const STATE_LOOKUP = buildLookup(US_STATES.map(([code, name]) => ({
+  code,
+  spellings: [code, name, ...(US_STATE_ALIASES[code] || [])],
+})));
+
+const COUNTRY_LOOKUP = buildLookup(COUNTRIES.map(([alpha2, alpha3, name]) => ({
+  code: alpha2,
+  spellings: [alpha2, alpha3, name, ...(COUNTRY_ALIASES[alpha2] || [])],
+})));
+
+const OPTION_TABLES = {
+  state: STATE_LOOKUP,
+  country: COUNTRY_LOOKUP,
+};
+
+/**
+ * "-- Select --", "Choose one", or an empty first option
+ */
+function isPlaceholderOption(option) {
+  const text = String(option.text ?? '').trim();
+  if (!text) return true;
+  return option.value === '' && PLACEHOLDER_OPTION_PATTERN.test(text);
+}
+
+// Canonical code for an option or value in a table ("CA - California" -> CA)
+function canonicalCode(text, lookup) {
+  const normalized = normalizeOptionText(text);
+  if (lookup.has(normalized)) return lookup.get(normalized);
+
+  // "CA - California", "California (CA)": every part must agree
+  const parts = String(text ?? '').split(/\s*[-–(),|]\s*/).map(normalizeOptionText).filter(Boolean);
+  if (parts.length < 2) return null;
+  const codes = new Set(parts.map(part => lookup.get(part)));
+  return codes.size === 1 && !codes.has(undefined) ? [...codes][0] : null;
+}
+
+/**
+ * Which table the options come from, when the field key doesn't say:
+ * most options must resolve to a state (or country) code
+ */
+function detectOptionKind(options) {
+  const candidates = options.filter(option => !isPlaceholderOption(option));
+  if (candidates.length < 10) return null;
+
+  for (const [kind, lookup] of Object.entries(OPTION_TABLES)) {
+    const resolved = candidates.filter(option => canonicalCode(option.text, lookup) || canonicalCode(option.value, lookup));
+    if (resolved.length / candidates.length >= 0.8) return kind;
+  }
+  return null;
+}
+
+function fuzzyOptionScore(options, value) {
+  if (typeof Fuse === 'undefined') return null;
+
+  const fuse = new Fuse(options.map((option, index) => ({ index, text: normalizeOptionText(option.text) })), {
+    keys: ['text'],
+    includeScore: true,
+    threshold: 0.4,
+    ignoreLocation: true,
+  });
+  const [best] = fuse.search(normalizeOptionText(value));
+  return best ? { index: best.item.index, score: 1 - best.score } : null;
+}
+
+// Fallback when Fuse.js isn't loaded: share of tokens in common
+function tokenOptionScore(options, value) {
+  const wanted = new Set(normalizeOptionText(value).split(' ').filter(Boolean));
+  let best = null;
+
+  options.forEach((option, index) => {
+    const tokens = normalizeOptionText(option.text).split(' ').filter(Boolean);
+    const overlap = tokens.filter(token => wanted.has(token)).length;
+    const score = overlap / Math.max(wanted.size, tokens.length, 1);
+    if (!best || score > best.score) best = { index, score };
+  });
+
+  return best;
+}
+
+/**
+ * Pick the option that fits `value`.
+ *
+ * options: [{ text, value }] in page order
+ * kind:    'state' | 'country' | null (detected from the options when null)
+ *
+ * Returns { index, confidence, method } or null. Exact matches score 1.0,
+ * table matches (CA <-> California) 0.95, fuzzy matches at most 0.8 so they
+ * land in the review queue unless the label is nearly identical.
+ */
+function matchOption(options, value, kind = null) {
+  if (value == null || value === '') return null;
+
+  const candidates = options
+    .map((option, index) => ({ ...option, index }))
+    .filter(option => !isPlaceholderOption(option));
+  if (candidates.length === 0) return null;
+
+  // 1. Exact value or label
+  const wanted = normalizeOptionText(value);
+  const exact = candidates.find(option =>
+    normalizeOptionText(option.value) === wanted || normalizeOptionText(option.text) === wanted
+  );
+  if (exact) return { index: exact.index, confidence: 1.0, method: 'exact' };
+
+  // 2. Same state/country under another spelling
+  const lookup = OPTION_TABLES[kind || detectOptionKind(candidates)];
+  const wantedCode = lookup ? canonicalCode(value, lookup) : null;
+  if (wantedCode) {
+    const sameCode = candidates.find(option =>
+      canonicalCode(option.value, lookup) === wantedCode || canonicalCode(option.text, lookup) === wantedCode
+    );
+    if (sameCode) return { index: sameCode.index, confidence: 0.95, method: 'table' };
+  }
+
+  // 3. Fuzzy label match
+  const fuzzy = fuzzyOptionScore(candidates, value) || tokenOptionScore(candidates, value);
+  if (!fuzzy || fuzzy.score < 0.5) return null;
+
+  return {
+    index: candidates[fuzzy.index].index,
+    confidence: Number((fuzzy.score * 0.8).toFixed(2)),
+    method: 'fuzzy',
+  };
+}
@@ -0,0 +1,308 @@
+/**
+ * Claimi Value Writer - Content Script
+ *
+ * Writes values the way a user would, so framework-controlled inputs keep them:
+ * - the native prototype setter (React/Vue track the instance property and
+ *   would otherwise treat the write as their own and revert it)
+ * - focus, per-character keyboard and input events, change and blur
+ * - drivers that open custom dropdowns (react-select, MUI Autocomplete,
+ *   Headless UI, plain ARIA comboboxes) and click the matching option
+ *
+ * Every write is read back; callers treat a mismatch as "not filled".
+ *
+ * Loaded after option-matching.js and before content.js, whose debugLog it
+ * calls at fill time. Logs never include the values being written.
+ */
+
+const WIDGET_OPEN_TIMEOUT_MS = 1500;
+
+// ============================================================================
+// NATIVE WRITES
+// ============================================================================
+
+function getValueSetter(element) {
+  const proto = element instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype
+    : element instanceof HTMLSelectElement ? HTMLSelectElement.prototype
+    : HTMLInputElement.prototype;
+  return Object.getOwnPropertyDescriptor(proto, 'value').set;
+}
+
+function setNativeValue(element, value) {
+  getValueSetter(element).call(element, value);
+}
+
+function dispatchKey(element, type, key) {
+  element.dispatchEvent(new KeyboardEvent(type, { key, bubbles: true, cancelable: true, composed: true }));
+}
+
+function dispatchMouse(element, type) {
+  const EventType = type.startsWith('pointer') && typeof PointerEvent !== 'undefined' ? PointerEvent : MouseEvent;
+  element.dispatchEvent(new EventType(type, { bubbles: true, cancelable: true, composed: true, button: 0 }));
+}
+
+// The full pointer sequence; some widgets act on mousedown, others on click
+function clickElement(element) {
+  element.scrollIntoView?.({ block: 'nearest' });
+  ['pointerdown', 'mousedown', 'pointerup', 'mouseup'].forEach(type => dispatchMouse(element, type));
+  element.click();
+}
+
+function focusElement(element) {
+  element.focus({ preventScroll: true });
+  element.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+}
+
+function blurElement(element) {
+  element.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+  element.blur();
+}
+
+/**
+ * Whether a read-back value is the one written. Input masks may reformat
+ * ("9092284332" -> "(909) 228-4332"), so letters and digits are compared too.
+ */
+function valuesMatch(actual, expected) {
+  const a = String(actual ?? '').trim();
+  const b = String(expected ?? '').trim();
+  if (a === b) return true;
+  const alnum = text => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return alnum(a) !== '' && alnum(a) === alnum(b);
+}
+
+// Type character by character, as masked inputs expect
+function typeText(field, text) {
+  setNativeValue(field, '');
+  field.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'deleteContentBackward' }));
+
+  for (const char of text) {
+    dispatchKey(field, 'keydown', char);
+    dispatchKey(field, 'keypress', char);
+    setNativeValue(field, field.value + char);
+    field.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: char }));
+    dispatchKey(field, 'keyup', char);
+  }
+}
+
+function writeContentEditable(element, text) {
+  focusElement(element);
+  const selection = window.getSelection();
+  const range = document.createRange();
+  range.selectNodeContents(element);
+  selection.removeAllRanges();
+  selection.addRange(range);
+
+  // execCommand fires beforeinput/input, which rich-text editors listen to
+  const inserted = text ? document.execCommand('insertText', false, text) : document.execCommand('delete');
+  if (!inserted || !valuesMatch(element.textContent, text)) {
+    element.textContent = text;
+    element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+  }
+  blurElement(element);
+  return valuesMatch(element.textContent, text);
+}
+
+/**
+ * Write a value into a native input, textarea, select or contenteditable.
+ * Returns true when reading it back gives the same value.
+ */
+function writeValue(field, value) {
+  const text = String(value ?? '');
+
+  if (field.isContentEditable && !('value' in field)) {
+    return writeContentEditable(field, text);
+  }
+
+  focusElement(field);
+
+  if (field.tagName === 'SELECT') {
+    setNativeValue(field, text);
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+  } else if (!text || field.type === 'date' || field.type === 'month' || text.length > 200) {
+    // Date pickers ignore keystrokes; long text would be thousands of events
+    setNativeValue(field, text);
+    field.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+  } else {
+    typeText(field, text);
+    // A mask or handler that swallowed keystrokes: fall back to one write
+    if (!valuesMatch(field.value, text)) {
+      setNativeValue(field, text);
+      field.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+    }
+  }
+
+  field.dispatchEvent(new Event('change', { bubbles: true }));
+  blurElement(field);
+
+  const written = valuesMatch(field.value, text);
+  if (!written) {
+    console.warn('[Claimi]   ⚠️ Read-back mismatch: the field kept a different value');
+  }
+  return written;
+}
+
+/**
+ * Check or uncheck a radio/checkbox with a real click so framework handlers run,
+ * falling back to the native setter for inputs that ignore clicks.
+ */
+function writeChecked(input, checked) {
+  if (input.checked === checked) return true;
+
+  clickElement(input);
+  if (input.checked !== checked) {
+    Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'checked').set.call(input, checked);
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+  return input.checked === checked;
+}
+
+// ============================================================================
+// WIDGET DRIVERS - custom dropdowns built from divs
+// ============================================================================
+
+function isVisible(element) {
+  const rect = element.getBoundingClientRect();
+  return rect.width > 0 && rect.height > 0 && getComputedStyle(element).visibility !== 'hidden';
+}
+
+// Resolves with the first non-empty result of `find`, or [] after the timeout
+function waitForElements(find, timeoutMs = WIDGET_OPEN_TIMEOUT_MS) {
+  const found = find();
+  if (found.length > 0) return Promise.resolve(found);
+
+  return new Promise(resolve => {
+    const finish = result => {
+      observer.disconnect();
+      clearTimeout(timer);
+      resolve(result);
+    };
+    const observer = new MutationObserver(() => {
+      const result = find();
+      if (result.length > 0) finish(result);
+    });
+    const timer = setTimeout(() => finish(find()), timeoutMs);
+    observer.observe(document.body, { childList: true, subtree: true, attributes: true, attributeFilter: ['aria-expanded', 'class', 'style'] });
+  });
+}
+
+function nextFrame() {
+  return new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+}
+
+// Options of the listbox a combobox/button points at, else any visible listbox
+function findListboxOptions(field) {
+  const ids = `${field.getAttribute('aria-controls') || ''} ${field.getAttribute('aria-owns') || ''}`.trim();
+  for (const id of ids.split(/\s+/).filter(Boolean)) {
+    const options = document.getElementById(id)?.querySelectorAll('[role="option"]');
+    if (options?.length) return [...options].filter(isVisible);
+  }
+  const listbox = [...document.querySelectorAll('[role="listbox"]')].find(isVisible);
+  return listbox ? [...listbox.querySelectorAll('[role="option"]')].filter(isVisible) : [];
+}
+
+const WIDGET_DRIVERS = [
+  {
+    name: 'react-select',
+    matches: field => /^react-select-\d+-input$/.test(field.id) || Boolean(field.closest('[class*="-control"]')?.querySelector('[class*="ValueContainer"], [class*="-ValueContainer"], [class*="__value-container"]')),
+    control: field => field.closest('[class*="-control"]') || field,
+    open(field) {
+      focusElement(field);
+      dispatchMouse(this.control(field), 'mousedown');
+      dispatchKey(field, 'keydown', 'ArrowDown');
+    },
+    options: () => [...document.querySelectorAll('[id^="react-select-"][id*="-option-"], [class*="-menu"] [class*="-option"], [class*="__menu"] [class*="__option"]')].filter(isVisible),
+    selectedText(field) {
+      const control = this.control(field);
+      const values = control.querySelectorAll('[class*="singleValue"], [class*="__single-value"], [class*="multiValue"] [class*="Label"], [class*="__multi-value__label"]');
+      return [...values].map(el => el.textContent.trim()).join(', ');
+    },
+  },
+  {
+    name: 'mui-autocomplete',
+    matches: field => field.classList?.contains('MuiAutocomplete-input') || Boolean(field.closest('.MuiAutocomplete-root')),
+    open(field) {
+      focusElement(field);
+      clickElement(field);
+      dispatchKey(field, 'keydown', 'ArrowDown');
+    },
+    options: field => {
+      const options = findListboxOptions(field);
+      return options.length ? options : [...document.querySelectorAll('.MuiAutocomplete-popper [role="option"], .MuiAutocomplete-option')].filter(isVisible);
+    },
+    selectedText: field => {
+      const chips = field.closest('.MuiAutocomplete-root')?.querySelectorAll('.MuiChip-label');
+      return chips?.length ? [...chips].map(chip => chip.textContent.trim()).join(', ') : field.value;
+    },
+  },
+  {
+    name: 'headless-ui-listbox',
+    matches: field => field.tagName === 'BUTTON' && field.getAttribute('aria-haspopup') === 'listbox',
+    open: field => clickElement(field),
+    options: field => findListboxOptions(field),
+    selectedText: field => field.textContent.trim(),
+  },
+  {
+    name: 'aria-combobox',
+    matches: field => field.getAttribute('role') === 'combobox',
+    open(field) {
+      focusElement(field);
+      clickElement(field);
+      if (field.getAttribute('aria-expanded') !== 'true') dispatchKey(field, 'keydown', 'ArrowDown');
+    },
+    options: field => findListboxOptions(field),
+    selectedText: field => ('value' in field && field.value) || field.textContent.trim(),
+  },
+];
+
+function getWidgetDriver(field) {
+  return WIDGET_DRIVERS.find(driver => driver.matches(field)) || null;
+}
+
+function describeOptions(elements) {
+  return elements.map(element => ({
+    text: element.textContent.trim(),
+    value: element.getAttribute('data-value') ?? element.textContent.trim(),
+  }));
+}
+
+/**
+ * Pick `value` in a custom dropdown: open it, match an option (typing the
+ * value to filter long or async lists if the first look finds nothing),
+ * click it and read the selection back.
+ * Returns { confidence, text } or null.
+ */
+async function driveWidget(field, value, kind = null) {
+  const driver = getWidgetDriver(field);
+  if (!driver) return null;
+
+  driver.open(field);
+  let options = await waitForElements(() => driver.options(field));
+  let match = options.length ? matchOption(describeOptions(options), value, kind) : null;
+
+  if (!match && 'value' in field && field.tagName === 'INPUT') {
+    typeText(field, String(value));
+    await nextFrame();
+    options = await waitForElements(() => driver.options(field));
+    match = options.length ? matchOption(describeOptions(options), value, kind) : null;
+  }
+
+  if (!match) {
+    dispatchKey(field, 'keydown', 'Escape');
+    debugLog(`[Claimi]   ⚠️ ${driver.name}: no option fits the value`);
+    return null;
+  }
+
+  const option = options[match.index];
+  const text = option.textContent.trim();
+  clickElement(option);
+  await nextFrame();
+
+  const selected = driver.selectedText(field);
+  if (!valuesMatch(selected, text) && !String(selected).includes(text)) {
+    console.warn(`[Claimi]   ⚠️ ${driver.name}: the widget shows a different option than the one picked`);
+    return null;
+  }
+
+  debugLog(`[Claimi]   🎛️ ${driver.name}: option ${match.index} (${match.method}, ${match.confidence.toFixed(2)})`);
+  return { confidence: match.confidence, text };
+}
@@ -0,0 +1,99 @@
+/**
+ * Claimi Autofill Agent - Options Page
+ *
+ * Edits claimly_settings through the service worker, which validates each
+ * change and applies it; content scripts pick changes up on the next fill.
+ */
+
+// DOM Elements
+const elements = {
+  saveStatus: document.getElementById('save-status'),
+  backendUrl: document.getElementById('backend-url'),
+  backendUrlSave: document.getElementById('backend-url-save'),
+  backendUrlError: document.getElementById('backend-url-error'),
+  localOnly: document.getElementById('local-only'),
+  llmTriage: document.getElementById('llm-triage'),
+  tier3Enabled: document.getElementById('tier3-enabled'),
+  confidenceThreshold: document.getElementById('confidence-threshold'),
+  confidenceValue: document.getElementById('confidence-value'),
+  autoDetect: document.getElementById('auto-detect'),
+  showBadge: document.getElementById('show-badge'),
+  debugLogging: document.getElementById('debug-logging'),
+};
+
+// Checkbox element -> setting name
+const TOGGLES = {
+  localOnly: 'localOnly',
+  llmTriage: 'llmTriage',
+  tier3Enabled: 'tier3Enabled',
+  autoDetect: 'autoDetect',
+  showBadge: 'showBadge',
+  debugLogging: 'debugLogging',
+};
+
+let saveStatusTimer = null;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const settings = await chrome.runtime.sendMessage({ action: 'getSettings' });
+  renderSettings(settings);
+
+  for (const [element, name] of Object.entries(TOGGLES)) {
+    elements[element].addEventListener('change', () => saveSettings({ [name]: elements[element].checked }));
+  }
+  elements.confidenceThreshold.addEventListener('input', renderConfidenceValue);
+  elements.confidenceThreshold.addEventListener('change', () => {
+    saveSettings({ confidenceThreshold: Number(elements.confidenceThreshold.value) });
+  });
+  elements.backendUrlSave.addEventListener('click', saveBackendUrl);
+  elements.backendUrl.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') saveBackendUrl();
+  });
+});
+
+function renderSettings(settings) {
+  elements.backendUrl.value = settings.backendUrl;
+  for (const [element, name] of Object.entries(TOGGLES)) {
+    elements[element].checked = settings[name];
+  }
+  elements.confidenceThreshold.value = String(settings.confidenceThreshold);
+  renderConfidenceValue();
+  renderLocalOnly(settings.localOnly);
+}
+
+function renderConfidenceValue() {
+  elements.confidenceValue.textContent = `${Math.round(Number(elements.confidenceThreshold.value) * 100)}%`;
+}
+
+// Local-only mode overrides both backend matching toggles
+function renderLocalOnly(localOnly) {
+  for (const input of document.querySelectorAll('input[data-llm]')) {
+    input.disabled = localOnly;
+    input.closest('.setting-toggle').classList.toggle('disabled', localOnly);
+  }
+}
+
+// Resolves { settings } once saved, or { error } when the service worker rejected the change
+async function saveSettings(changes) {
+  const result = await chrome.runtime.sendMessage({ action: 'updateSettings', settings: changes });
+  if (!result?.success) {
+    showSaveStatus('');
+    return { error: result?.error || 'Could not save settings' };
+  }
+
+  renderLocalOnly(result.settings.localOnly);
+  showSaveStatus('Saved');
+  return { settings: result.settings };
+}
+
+async function saveBackendUrl() {
+  const saved = await saveSettings({ backendUrl: elements.backendUrl.value });
+  if (saved.settings) elements.backendUrl.value = saved.settings.backendUrl;
+  elements.backendUrlError.textContent = saved.error || '';
+  elements.backendUrlError.hidden = !saved.error;
+}
+
+function showSaveStatus(text) {
+  elements.saveStatus.textContent = text;
+  clearTimeout(saveStatusTimer);
+  if (text) saveStatusTimer = setTimeout(() => { elements.saveStatus.textContent = ''; }, 2000);
+}
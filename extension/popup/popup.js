@@ -21,6 +21,7 @@ const elements = {
   autofillBtn: document.getElementById('autofill-btn'),
   detectBtn: document.getElementById('detect-btn'),
   clearBtn: document.getElementById('clear-btn'),
+  reviewBtn: document.getElementById('review-btn'),
   loadSampleBtn: document.getElementById('load-sample'),
   clearPacketBtn: document.getElementById('clear-packet'),
   fieldsSection: document.getElementById('fields-section'),
@@ -30,27 +31,50 @@ const elements = {
   packetInput: document.getElementById('packet-input'),
   cancelLoadBtn: document.getElementById('cancel-load'),
   confirmLoadBtn: document.getElementById('confirm-load'),
+  vaultIcon: document.getElementById('vault-icon'),
+  vaultText: document.getElementById('vault-text'),
+  vaultLockBtn: document.getElementById('vault-lock-btn'),
+  vaultPassphrase: document.getElementById('vault-passphrase'),
+  vaultPassphraseBtn: document.getElementById('vault-passphrase-btn'),
+  vaultError: document.getElementById('vault-error'),
+  retentionDays: document.getElementById('retention-days'),
+  purgeAfterSubmit: document.getElementById('purge-after-submit'),
+  wipeBtn: document.getElementById('wipe-btn'),
+  settingsLink: document.getElementById('settings-link'),
+  libraryCount: document.getElementById('library-count'),
+  librarySearch: document.getElementById('library-search'),
+  libraryList: document.getElementById('library-list'),
+};
+
+const KEY_SOURCE_LABELS = {
+  passphrase: 'your passphrase',
+  account: 'your Claimi account key',
+  session: 'a key that is gone when the browser closes',
+};
+
+const CLAIM_STATUS_LABELS = {
+  prepared: 'Prepared',
+  filled: 'Filled',
+  submitted: 'Submitted',
+  confirmed: 'Confirmed',
+  paid: 'Paid',
 };
 
 // State
 let activePacket = null;
 let detectedFields = [];
+let vaultStatus = null;
+let libraryPackets = [];
+let inspectedPacket = null; // { id, fields } of the library packet shown expanded
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
   console.log('[Claimi Popup] Initializing...');
   
-  // Load active packet from storage
-  try {
-    const response = await chrome.runtime.sendMessage({ action: 'getActivePacket' });
-    console.log('[Claimi Popup] Got active packet:', response);
-    if (response) {
-      activePacket = response;
-      updatePacketUI();
-    }
-  } catch (error) {
-    console.error('[Claimi Popup] Error loading packet:', error);
-  }
+  // Load the packet for this tab from storage (decrypted by the service worker)
+  await loadActivePacket();
+  await loadVaultStatus();
+  loadLibrary();
   
   // Detect fields on current page
   detectFields();
@@ -59,6 +83,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   if (elements.autofillBtn) elements.autofillBtn.addEventListener('click', runAutofill);
   if (elements.detectBtn) elements.detectBtn.addEventListener('click', detectFields);
   if (elements.clearBtn) elements.clearBtn.addEventListener('click', clearForm);
+  if (elements.reviewBtn) elements.reviewBtn.addEventListener('click', openReviewPanel);
   if (elements.loadSampleBtn) {
     elements.loadSampleBtn.addEventListener('click', (e) => {
       e.preventDefault();
@@ -70,10 +95,34 @@ document.addEventListener('DOMContentLoaded', async () => {
   if (elements.clearPacketBtn) elements.clearPacketBtn.addEventListener('click', clearPacket);
   if (elements.cancelLoadBtn) elements.cancelLoadBtn.addEventListener('click', hideLoadSection);
   if (elements.confirmLoadBtn) elements.confirmLoadBtn.addEventListener('click', loadCustomPacket);
+  elements.vaultPassphraseBtn.addEventListener('click', submitPassphrase);
+  elements.vaultLockBtn.addEventListener('click', lockVault);
+  elements.retentionDays.addEventListener('change', () => updateRetention({ retentionDays: Number(elements.retentionDays.value) }));
+  elements.purgeAfterSubmit.addEventListener('change', () => updateRetention({ purgeAfterSubmit: elements.purgeAfterSubmit.checked }));
+  elements.wipeBtn.addEventListener('click', wipeAllData);
+  elements.settingsLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+  elements.librarySearch.addEventListener('input', renderLibrary);
+  elements.libraryList.addEventListener('click', handleLibraryAction);
   
   console.log('[Claimi Popup] Initialized');
 });
 
+// The current tab's packet: its claim session's, the one matched to its claim form, or the active one
+async function loadActivePacket() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.runtime.sendMessage({ action: 'getActivePacket', tabId: tab?.id });
+    console.log('[Claimi Popup] Got active packet:', response ? response.id : null);
+    activePacket = response || null;
+    updatePacketUI();
+  } catch (error) {
+    console.error('[Claimi Popup] Error loading packet:', error);
+  }
+}
+
 // Update status display
 function updateStatus(icon, title, subtitle, type = '') {
   elements.statusIcon.textContent = icon;
@@ -103,13 +152,20 @@ function updatePacketUI() {
     
     // Show metadata if available
     if (elements.packetMeta) {
-      if (activePacket._meta?.source === 'dashboard') {
+      if (['dashboard', 'backend'].includes(activePacket._meta?.source)) {
         const receivedAt = activePacket._meta?.receivedAt ? 
           formatTimeAgo(new Date(activePacket._meta.receivedAt)) : 
           'unknown time';
         
         // Build metadata HTML
-        let metaHtml = `<span class="packet-meta-source">✓ From dashboard ${receivedAt}</span>`;
+        const sourceLabel = activePacket._meta.source === 'backend' ? 'Claimi' : 'dashboard';
+        let metaHtml = `<span class="packet-meta-source">✓ From ${sourceLabel} ${receivedAt}</span>`;
+        
+        const submission = activePacket.submission;
+        if (submission) {
+          const confirmation = submission.confirmationNumber ? ` · #${submission.confirmationNumber}` : '';
+          metaHtml += `<span class="packet-meta-source">🎉 Submitted ${formatTimeAgo(new Date(submission.submittedAt))}${confirmation}</span>`;
+        }
         
         // Add claim form URL link if available
         const claimFormUrl = activePacket.claimFormUrl || activePacket._meta?.claimFormUrl;
@@ -119,6 +175,10 @@ function updatePacketUI() {
         
         elements.packetMeta.innerHTML = metaHtml;
         elements.packetMeta.style.display = 'flex';
+        elements.packetMeta.querySelector('.packet-meta-link')?.addEventListener('click', (e) => {
+          e.preventDefault();
+          openClaimForm(activePacket.id);
+        });
       } else {
         elements.packetMeta.style.display = 'none';
       }
@@ -151,7 +211,7 @@ function formatTimeAgo(date) {
   return date.toLocaleDateString();
 }
 
-// Flatten nested object for counting
+// Flatten nested object for counting and inspecting
 function flattenObject(obj, prefix = '') {
   return Object.keys(obj).reduce((acc, k) => {
     const pre = prefix.length ? prefix + '.' : '';
@@ -164,6 +224,14 @@ function flattenObject(obj, prefix = '') {
   }, {});
 }
 
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 // Detect form fields on current page
 async function detectFields() {
   updateStatus('🔍', 'Detecting forms...', 'Scanning page');
@@ -176,7 +244,8 @@ async function detectFields() {
       return;
     }
     
-    const response = await chrome.tabs.sendMessage(tab.id, { action: 'detectFields' });
+    // Counts fields in embedded claim form iframes too
+    const response = await chrome.runtime.sendMessage({ action: 'detectTabFields', tabId: tab.id });
     
     if (response && response.fields) {
       detectedFields = response.fields;
@@ -198,13 +267,13 @@ async function detectFields() {
   }
 }
 
-// Render detected fields list
+// Render detected fields list - labels come from the page (and its frames), so escape them
 function renderFieldsList(fields) {
   elements.fieldsList.innerHTML = fields.slice(0, 10).map(field => `
     <div class="field-item">
       <div>
-        <span class="field-name">${field.label || field.name || field.id || 'Unnamed'}</span>
-        <span class="field-type">${field.type || 'text'}</span>
+        <span class="field-name">${escapeHtml(field.label || field.name || field.id || 'Unnamed')}</span>
+        <span class="field-type">${escapeHtml(field.type || 'text')}</span>
       </div>
       <span class="field-status">${field.required ? '⚠️' : '✓'}</span>
     </div>
@@ -265,6 +334,18 @@ async function clearForm() {
   }
 }
 
+// Open the pre-submit review side panel for the current tab
+async function openReviewPanel() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    await chrome.sidePanel.open({ tabId: tab.id });
+    window.close();
+  } catch (error) {
+    console.error('Review panel error:', error);
+    updateStatus('❌', 'Could not open review', error.message, 'error');
+  }
+}
+
 // Show instructions for loading a packet from dashboard
 function showDashboardInstructions() {
   console.log('[Claimi Popup] Showing dashboard instructions');
@@ -284,11 +365,256 @@ function showDashboardInstructions() {
   alert(message);
 }
 
+// ============================================================================
+// PACKET LIBRARY - every stored packet
+// ============================================================================
+
+async function loadLibrary() {
+  try {
+    libraryPackets = await chrome.runtime.sendMessage({ action: 'listPackets' }) || [];
+  } catch (error) {
+    console.error('[Claimi Popup] Error loading packet library:', error);
+    libraryPackets = [];
+  }
+  renderLibrary();
+}
+
+function renderLibrary() {
+  const query = elements.librarySearch.value.trim().toLowerCase();
+  const packets = libraryPackets.filter(packet => !query ||
+    (packet.settlementName || '').toLowerCase().includes(query) ||
+    (packet.claimFormUrl || '').toLowerCase().includes(query));
+  
+  elements.libraryCount.textContent = libraryPackets.length;
+  if (packets.length === 0) {
+    const message = libraryPackets.length ? 'No packets match your search' : 'No stored packets yet';
+    elements.libraryList.innerHTML = `<div class="library-empty">${message}</div>`;
+    return;
+  }
+  elements.libraryList.innerHTML = packets.map(renderLibraryItem).join('');
+}
+
+function renderLibraryItem(packet) {
+  const name = escapeHtml(packet.settlementName || 'Unnamed Packet');
+  const status = packet.claimStatus || '';
+  const received = packet.receivedAt ? formatTimeAgo(new Date(packet.receivedAt)) : 'at an unknown time';
+  const inspected = inspectedPacket?.id === packet.id;
+  const canOpen = packet.claimFormUrl?.startsWith('http');
+  
+  return `
+    <div class="library-item${packet.active ? ' active' : ''}" data-packet-id="${escapeHtml(packet.id)}">
+      <div class="library-header">
+        <span class="library-name" title="${name}">${name}</span>
+        <span class="library-status ${status}">${CLAIM_STATUS_LABELS[status] || 'Not submitted'}</span>
+      </div>
+      <div class="library-meta">${formatDeadline(packet.deadline)} · Received ${received}</div>
+      <div class="library-actions">
+        <button class="btn btn-sm btn-secondary" data-action="activate"${packet.active ? ' disabled' : ''}>${packet.active ? 'Active' : 'Use'}</button>
+        <button class="btn btn-sm btn-secondary" data-action="inspect">${inspected ? 'Hide' : 'Inspect'}</button>
+        ${canOpen ? '<button class="btn btn-sm btn-secondary" data-action="open">Open Claim Form</button>' : ''}
+        <button class="btn btn-sm btn-danger" data-action="delete">Delete</button>
+      </div>
+      ${inspected ? renderInspectedFields() : ''}
+    </div>
+  `;
+}
+
+// Settlement deadlines are dates ("2025-03-31"), due at the end of that day
+function formatDeadline(deadline) {
+  if (!deadline) return 'No deadline';
+  
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(deadline) ? new Date(`${deadline}T23:59:59`) : new Date(deadline);
+  if (Number.isNaN(date.getTime())) return `Due ${escapeHtml(deadline)}`;
+  if (date < new Date()) return `<span class="overdue">Deadline passed ${date.toLocaleDateString()}</span>`;
+  return `Due ${date.toLocaleDateString()}`;
+}
+
+function renderInspectedFields() {
+  const entries = Object.entries(inspectedPacket.fields);
+  if (entries.length === 0) return '<div class="library-fields library-empty">No fields</div>';
+  
+  return `<div class="library-fields">${entries.map(([key, value]) => `
+    <div class="library-field">
+      <span class="library-field-key">${escapeHtml(key)}</span>
+      <span class="library-field-value">${escapeHtml(Array.isArray(value) ? value.join(', ') : value ?? '—')}</span>
+    </div>
+  `).join('')}</div>`;
+}
+
+async function handleLibraryAction(event) {
+  const button = event.target.closest('button[data-action]');
+  const packetId = button?.closest('.library-item')?.dataset.packetId;
+  if (!packetId) return;
+  
+  switch (button.dataset.action) {
+    case 'activate':
+      await activateLibraryPacket(packetId);
+      break;
+    case 'inspect':
+      await inspectLibraryPacket(packetId);
+      break;
+    case 'open':
+      await openClaimForm(packetId);
+      break;
+    case 'delete':
+      await deleteLibraryPacket(packetId);
+      break;
+  }
+}
+
+async function activateLibraryPacket(packetId) {
+  const result = await chrome.runtime.sendMessage({ action: 'activatePacket', packetId });
+  if (!result?.success) {
+    updateStatus('🔒', 'Packet unavailable', result?.error || 'Could not open the packet', 'warning');
+    return;
+  }
+  
+  activePacket = result.packet;
+  updatePacketUI();
+  await loadLibrary();
+}
+
+// Show the packet's profile fields and case answers, flattened to dotted keys
+async function inspectLibraryPacket(packetId) {
+  if (inspectedPacket?.id === packetId) {
+    inspectedPacket = null;
+    renderLibrary();
+    return;
+  }
+  
+  const result = await chrome.runtime.sendMessage({ action: 'getPacket', packetId });
+  if (!result?.success) {
+    updateStatus('🔒', 'Packet unavailable', result?.error || 'Could not open the packet', 'warning');
+    return;
+  }
+  
+  const { userData = {}, caseAnswers = {} } = result.packet;
+  inspectedPacket = { id: packetId, fields: flattenObject({ userData, caseAnswers }) };
+  renderLibrary();
+}
+
+// The service worker opens the form in a new tab and fills it once it loads
+async function openClaimForm(packetId) {
+  const result = await chrome.runtime.sendMessage({ action: 'openClaimForm', packetId });
+  if (!result?.success) {
+    updateStatus('⚠️', 'Could not open claim form', result?.error || 'Unknown error', 'warning');
+    return;
+  }
+  window.close();
+}
+
+async function deleteLibraryPacket(packetId) {
+  const packet = libraryPackets.find(p => p.id === packetId);
+  if (!confirm(`Delete the claim packet for ${packet?.settlementName || 'this settlement'} from this browser?`)) return;
+  
+  await chrome.runtime.sendMessage({ action: 'deletePacket', packetId });
+  if (inspectedPacket?.id === packetId) inspectedPacket = null;
+  if (activePacket?.id === packetId) {
+    activePacket = null;
+    updatePacketUI();
+  }
+  await loadLibrary();
+  await loadVaultStatus();
+}
+
+// ============================================================================
+// PRIVACY - packet encryption, retention and wipe
+// ============================================================================
+
+async function loadVaultStatus() {
+  try {
+    vaultStatus = await chrome.runtime.sendMessage({ action: 'getVaultStatus' });
+    renderVaultStatus();
+  } catch (error) {
+    console.error('[Claimi Popup] Error loading vault status:', error);
+  }
+}
+
+function renderVaultStatus() {
+  if (!vaultStatus) return;
+  const { keySource, locked, packetCount } = vaultStatus;
+  const count = `${packetCount} packet${packetCount === 1 ? '' : 's'}`;
+  const unlocking = locked && keySource === 'passphrase';
+  
+  elements.vaultIcon.textContent = locked ? '🔒' : '🛡️';
+  if (unlocking) {
+    elements.vaultText.textContent = `${count} locked - enter your passphrase`;
+  } else if (locked) {
+    elements.vaultText.textContent = `${count} locked - sign in on the Claimi dashboard`;
+  } else {
+    elements.vaultText.textContent = `${count} encrypted with ${KEY_SOURCE_LABELS[keySource] || 'a session key'}`;
+  }
+  
+  elements.vaultPassphrase.placeholder = unlocking ? 'Passphrase' : keySource === 'passphrase' ? 'New passphrase' : 'Protect with a passphrase';
+  elements.vaultPassphraseBtn.textContent = unlocking ? 'Unlock' : keySource === 'passphrase' ? 'Change' : 'Set';
+  elements.vaultPassphraseBtn.disabled = locked && !unlocking;
+  elements.vaultLockBtn.hidden = locked || keySource !== 'passphrase';
+  elements.retentionDays.value = String(vaultStatus.retentionDays);
+  elements.purgeAfterSubmit.checked = vaultStatus.purgeAfterSubmit;
+}
+
+function showVaultError(message) {
+  elements.vaultError.textContent = message;
+  elements.vaultError.hidden = !message;
+}
+
+// Unlock a passphrase vault, or set a new passphrase (re-encrypts every packet)
+async function submitPassphrase() {
+  const passphrase = elements.vaultPassphrase.value;
+  const unlocking = vaultStatus?.locked && vaultStatus.keySource === 'passphrase';
+  
+  elements.vaultPassphraseBtn.disabled = true;
+  const result = await chrome.runtime.sendMessage(unlocking
+    ? { action: 'unlockVault', passphrase }
+    : { action: 'changeVaultKey', keySource: 'passphrase', passphrase });
+  elements.vaultPassphraseBtn.disabled = false;
+  
+  if (!result?.success) {
+    showVaultError(result?.error || 'Could not update the passphrase');
+    return;
+  }
+  
+  elements.vaultPassphrase.value = '';
+  showVaultError('');
+  await loadVaultStatus();
+  if (unlocking) await loadActivePacket();
+}
+
+async function lockVault() {
+  await chrome.runtime.sendMessage({ action: 'lockVault' });
+  activePacket = null;
+  inspectedPacket = null;
+  updatePacketUI();
+  renderLibrary();
+  await loadVaultStatus();
+}
+
+async function updateRetention(changes) {
+  await chrome.runtime.sendMessage({ action: 'updateSettings', settings: changes });
+  // Tighter retention may have purged the active packet
+  await loadActivePacket();
+  await loadVaultStatus();
+  await loadLibrary();
+}
+
+async function wipeAllData() {
+  if (!confirm('Delete every stored claim packet, saved answer and encryption key from this browser?')) return;
+  
+  await chrome.runtime.sendMessage({ action: 'wipeAllData' });
+  activePacket = null;
+  inspectedPacket = null;
+  updatePacketUI();
+  await loadVaultStatus();
+  await loadLibrary();
+  updateStatus('🧹', 'All data wiped', 'Packets, answers and keys deleted', 'info');
+}
+
 // Clear current packet
 async function clearPacket() {
   activePacket = null;
   await chrome.runtime.sendMessage({ action: 'setActivePacket', packet: null });
   updatePacketUI();
+  loadLibrary();
 }
 
 // Show load section for custom packet
@@ -319,15 +645,23 @@ async function loadCustomPacket() {
       return;
     }
     
-    activePacket = {
+    const customPacket = {
       id: packet.id || crypto.randomUUID(),
       settlementName: packet.settlementName || 'Custom Packet',
       userData: packet.userData,
       caseAnswers: packet.caseAnswers || {},
     };
     
-    await chrome.runtime.sendMessage({ action: 'setActivePacket', packet: activePacket });
+    const result = await chrome.runtime.sendMessage({ action: 'setActivePacket', packet: customPacket });
+    if (!result?.success) {
+      alert(result?.error || 'Could not store the packet');
+      return;
+    }
+    
+    activePacket = customPacket;
     updatePacketUI();
+    loadVaultStatus();
+    loadLibrary();
     hideLoadSection();
     updateStatus('📋', 'Custom packet loaded', 'Ready to autofill', 'success');
   } catch (error) {
@@ -0,0 +1,315 @@
+/**
+ * Claimi Autofill Agent - Review Side Panel
+ *
+ * Pre-submit review of the active tab's claim form: every field the autofill
+ * run touched (across embedded frames), grouped by category with its value,
+ * source and confidence. Values are edited in place, clicking a row scrolls
+ * the page to the field, and the checklist keeps "Go to Submit" disabled
+ * until required fields are filled and uncertain matches are resolved.
+ */
+
+const GROUPS = [
+  { id: 'profile', title: 'Profile' },
+  { id: 'caseAnswer', title: 'Case Answers' },
+  { id: 'userQuestion', title: 'Your Answers' },
+  { id: 'upload', title: 'Uploads' },
+  { id: 'skipped', title: 'Skipped' },
+];
+
+const SKIP_REASONS = {
+  no_value: 'Not in your claim packet',
+  validation_failed: 'Packet value did not fit this field',
+  no_tier_match: 'Could not tell what this field wants',
+  cleared_in_review: 'Cleared during review',
+};
+
+// DOM Elements
+const elements = {
+  sessionText: document.getElementById('session-text'),
+  refreshBtn: document.getElementById('refresh-btn'),
+  checklist: document.getElementById('checklist'),
+  submitBtn: document.getElementById('submit-btn'),
+  emptySection: document.getElementById('empty-section'),
+  groups: document.getElementById('groups'),
+};
+
+// State
+let currentTabId = null;
+let rows = [];
+let editingRow = null; // row being edited - refreshes wait until it is saved or cancelled
+let refreshTimer = null;
+let confidenceThreshold = 0.75; // claimly_settings.confidenceThreshold, as the content script flags matches
+
+// Initialize
+document.addEventListener('DOMContentLoaded', async () => {
+  console.log('[Claimi Review] Initializing...');
+
+  elements.refreshBtn.addEventListener('click', () => refresh());
+  elements.submitBtn.addEventListener('click', goToSubmit);
+  elements.groups.addEventListener('click', handleGroupClick);
+  elements.checklist.addEventListener('click', handleChecklistClick);
+
+  const settings = await chrome.runtime.sendMessage({ action: 'getSettings' }).catch(() => null);
+  if (settings) confidenceThreshold = settings.confidenceThreshold;
+
+  await refresh();
+});
+
+// Threshold changed on the options page
+chrome.storage.onChanged.addListener((changes, area) => {
+  const threshold = area === 'local' && changes.claimly_settings?.newValue?.confidenceThreshold;
+  if (threshold != null && threshold !== confidenceThreshold) {
+    confidenceThreshold = threshold;
+    scheduleRefresh();
+  }
+});
+
+// The panel follows the active tab
+chrome.tabs.onActivated.addListener(() => {
+  editingRow = null;
+  refresh();
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (tabId === currentTabId && changeInfo.status === 'complete') scheduleRefresh();
+});
+
+// The content script changed its fields (autofill, answers, accept/clear)
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (message.action === 'reviewStateChanged' && sender.tab?.id === currentTabId) {
+    scheduleRefresh();
+  }
+});
+
+function scheduleRefresh() {
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(refresh, 300);
+}
+
+async function refresh() {
+  if (editingRow) return;
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    currentTabId = tab?.id ?? null;
+
+    const state = await chrome.runtime.sendMessage({ action: 'getReviewState', tabId: currentTabId });
+    rows = state?.rows || [];
+    renderSession(state);
+    renderChecklist();
+    renderGroups();
+  } catch (error) {
+    console.error('[Claimi Review] Refresh error:', error);
+  }
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+// Also escapes quotes: values land in attributes (the editor's input value)
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderSession(state) {
+  const session = state?.session;
+  const name = state?.packet?.settlementName || session?.settlementName;
+
+  if (session?.currentStep) {
+    const step = session.totalSteps ? `Step ${session.currentStep} of ${session.totalSteps}` : `Step ${session.currentStep}`;
+    elements.sessionText.textContent = name ? `${name} · ${step}` : step;
+  } else {
+    elements.sessionText.textContent = name || 'No claim session';
+  }
+}
+
+/**
+ * Checklist items: each holds the rows still blocking it
+ */
+function buildChecklist() {
+  return [
+    {
+      label: 'Required fields filled',
+      blocking: rows.filter(row => row.required && !row.value && row.group !== 'upload'),
+    },
+    {
+      label: 'Uncertain matches resolved',
+      blocking: rows.filter(row => row.uncertain),
+    },
+    {
+      label: 'Required documents attached',
+      blocking: rows.filter(row => row.group === 'upload' && row.required && !row.value),
+    },
+  ];
+}
+
+function renderChecklist() {
+  const items = buildChecklist();
+  const ready = rows.length > 0 && items.every(item => item.blocking.length === 0);
+
+  elements.checklist.innerHTML = items.map((item, index) => {
+    const done = item.blocking.length === 0;
+    return `
+      <li class="checklist-item ${done ? 'done' : 'blocked'}" data-item="${index}">
+        <span class="checklist-icon">${done ? '✓' : '✗'}</span>
+        <span class="checklist-label">${item.label}</span>
+        ${done ? '' : `<span class="checklist-count">${item.blocking.length} left</span>`}
+      </li>
+    `;
+  }).join('');
+
+  elements.submitBtn.disabled = !ready;
+  elements.submitBtn.textContent = ready ? 'Go to Submit Button' : 'Not Ready to Submit';
+}
+
+function describeSource(row) {
+  if (row.source === 'userModal' || row.source === 'reviewPanel') return 'You';
+  if (row.source === 'session') return 'Earlier step';
+  if (row.source === 'savedAnswer') return 'Saved answer';
+  if (row.source === 'learned') return 'Learned';
+  if (row.source === 'tier3') return 'Tier 3 · LLM';
+  if (row.source === 'caseAnswers') return 'LLM triage';
+  if (row.tier != null) return `Tier ${row.tier}`;
+  return null;
+}
+
+function renderRow(row, index) {
+  const source = describeSource(row);
+  const confidence = row.confidence != null ? Math.round(row.confidence * 100) : null;
+  const note = row.group === 'skipped' ? SKIP_REASONS[row.reason] : null;
+
+  return `
+    <div class="field-row ${row.uncertain ? 'uncertain' : ''}" data-index="${index}">
+      <div class="field-row-main">
+        <span class="field-label">${escapeHtml(row.label)}${row.required ? '<span class="required">*</span>' : ''}</span>
+        <span class="field-value ${row.value ? '' : 'empty'}">${row.value ? escapeHtml(row.value) : 'Empty'}</span>
+        <div class="field-meta">
+          ${source ? `<span class="chip">${source}</span>` : ''}
+          ${confidence != null ? `<span class="chip ${row.confidence < confidenceThreshold ? 'chip-warning' : 'chip-success'}">${confidence}%</span>` : ''}
+          ${note ? `<span class="field-note">${note}</span>` : ''}
+        </div>
+      </div>
+      <div class="field-row-actions">
+        ${row.uncertain ? '<button class="btn btn-sm btn-warning" data-action="accept">Accept</button>' : ''}
+        ${row.editable ? '<button class="btn btn-sm btn-secondary" data-action="edit">Edit</button>' : ''}
+      </div>
+    </div>
+  `;
+}
+
+function renderGroups() {
+  elements.emptySection.style.display = rows.length === 0 ? 'block' : 'none';
+
+  elements.groups.innerHTML = GROUPS.map(group => {
+    const groupRows = rows.map((row, index) => ({ row, index })).filter(({ row }) => row.group === group.id);
+    if (groupRows.length === 0) return '';
+    return `
+      <section class="section">
+        <h2 class="section-title">${group.title} <span class="badge">${groupRows.length}</span></h2>
+        <div class="field-list">${groupRows.map(({ row, index }) => renderRow(row, index)).join('')}</div>
+      </section>
+    `;
+  }).join('');
+}
+
+// Inline editor: a dropdown for choice groups and selects, else a text box
+function showEditor(rowElement, row) {
+  editingRow = row;
+  const editor = document.createElement('div');
+  editor.className = 'field-editor';
+  editor.innerHTML = `
+    ${row.options
+      ? `<select class="input">
+          <option value="">(clear)</option>
+          ${row.options.map(option => `<option ${option === row.value ? 'selected' : ''}>${escapeHtml(option)}</option>`).join('')}
+        </select>`
+      : `<input class="input" type="text" value="${escapeHtml(row.value)}">`}
+    <div class="btn-group">
+      <button class="btn btn-sm btn-secondary" data-action="cancel">Cancel</button>
+      <button class="btn btn-sm btn-primary" data-action="save">Save</button>
+    </div>
+    <span class="field-error" hidden></span>
+  `;
+  rowElement.querySelector('.field-row-actions').style.display = 'none';
+  rowElement.appendChild(editor);
+  editor.querySelector('.input').focus();
+}
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+function sendFieldCommand(row, command, value) {
+  return chrome.runtime.sendMessage({
+    action: 'reviewFieldCommand',
+    tabId: currentTabId,
+    frameId: row.frameId,
+    ref: row.ref,
+    command,
+    value,
+  });
+}
+
+async function handleGroupClick(event) {
+  const rowElement = event.target.closest('.field-row');
+  if (!rowElement) return;
+  const row = rows[Number(rowElement.dataset.index)];
+  const action = event.target.closest('[data-action]')?.dataset.action;
+
+  if (action === 'edit') {
+    if (!editingRow) showEditor(rowElement, row);
+    return;
+  }
+
+  if (action === 'cancel') {
+    editingRow = null;
+    renderGroups();
+    return;
+  }
+
+  if (action === 'save') {
+    const value = rowElement.querySelector('.field-editor .input').value;
+    const result = await sendFieldCommand(row, 'setValue', value);
+    if (!result?.success) {
+      const error = rowElement.querySelector('.field-error');
+      error.textContent = result?.error || 'Could not update the field';
+      error.hidden = false;
+      return;
+    }
+    editingRow = null;
+    await refresh();
+    return;
+  }
+
+  if (action === 'accept') {
+    await sendFieldCommand(row, 'accept');
+    await refresh();
+    return;
+  }
+
+  // Clicks inside the editor shouldn't scroll the page
+  if (event.target.closest('.field-editor')) return;
+  await sendFieldCommand(row, 'focus');
+}
+
+async function handleChecklistClick(event) {
+  const item = event.target.closest('.checklist-item.blocked');
+  if (!item) return;
+  const [row] = buildChecklist()[Number(item.dataset.item)].blocking;
+  if (row) await sendFieldCommand(row, 'focus');
+}
+
+// Scroll to the submit button of the frame holding most of the filled fields
+async function goToSubmit() {
+  const filledByFrame = new Map();
+  for (const row of rows.filter(r => r.value)) {
+    filledByFrame.set(row.frameId, (filledByFrame.get(row.frameId) || 0) + 1);
+  }
+  const [frameId = 0] = [...filledByFrame.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+  await sendFieldCommand({ frameId, ref: null }, 'focusSubmit');
+}
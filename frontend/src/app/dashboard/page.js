@@ -1,14 +1,31 @@
 "use client";
 
-import { useEffect, useState, useRef } from "react";
+import { useEffect, useState } from "react";
 import { useRouter } from "next/navigation";
 
 import { supabase } from "@/lib/supabase";
+import { apiFetch } from "@/lib/api";
+import { sendPacketToExtension } from "@/lib/extension-bridge";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 
+// Milestones the user records themselves once the extension has reported submission
+const NEXT_CLAIM_MILESTONE = { submitted: "confirmed", confirmed: "paid" };
+const PAST_CLAIM_STATUSES = ["confirmed", "paid"];
+
+// What to tell the user when the extension rejects a packet handoff (by ack code)
+const HANDOFF_ERROR_MESSAGES = {
+  timeout:
+    "No response from extension. Make sure the Claimi extension is installed and enabled, then refresh this page.",
+  unsupported_schema: "Your Claimi extension is out of date. Update it, then try again.",
+  unsupported_protocol: "Your Claimi extension is out of date. Update it, then try again.",
+  vault_locked: "Your claim packets are locked. Open the Claimi extension, enter your passphrase, then try again.",
+  user_mismatch: "The extension is signed in as a different user. Refresh this page, then try again.",
+  expired: "The request took too long. Please try again.",
+};
+
 export default function DashboardPage() {
   const router = useRouter();
   const [status, setStatus] = useState("loading");
@@ -28,7 +45,12 @@ export default function DashboardPage() {
   const [extensionStatus, setExtensionStatus] = useState("checking"); // checking, installed, not_installed
   const [applyStatus, setApplyStatus] = useState("idle"); // idle, sending, success, error
   const [applyError, setApplyError] = useState("");
-  const applyTimeoutRef = useRef(null);
+  const [claims, setClaims] = useState([]);
+  const [claimsStatus, setClaimsStatus] = useState("loading");
+  const [claimsError, setClaimsError] = useState("");
+  const [claimsView, setClaimsView] = useState("current"); // current, past
+  const [eligibility, setEligibility] = useState(null);
+  const [eligibilityError, setEligibilityError] = useState("");
 
   // Check if Claimi extension is installed
   useEffect(() => {
@@ -37,25 +59,9 @@ export default function DashboardPage() {
       setExtensionStatus("installed");
     };
 
-    const handlePacketStored = (event) => {
-      console.log("[Dashboard] Packet stored result:", event.detail);
-      // Clear the timeout since we got a response
-      if (applyTimeoutRef.current) {
-        clearTimeout(applyTimeoutRef.current);
-        applyTimeoutRef.current = null;
-      }
-      if (event.detail?.success) {
-        setApplyStatus("success");
-      } else {
-        setApplyStatus("error");
-        setApplyError(event.detail?.error || "Failed to send to extension");
-      }
-    };
-
     // Listen for extension events
     window.addEventListener("claimi-bridge-ready", handleExtensionReady);
     window.addEventListener("claimi-extension-ready", handleExtensionReady);
-    window.addEventListener("claimi-packet-stored", handlePacketStored);
 
     // Check if extension is already loaded
     window.dispatchEvent(new CustomEvent("claimi-check-extension"));
@@ -70,10 +76,40 @@ export default function DashboardPage() {
     return () => {
       window.removeEventListener("claimi-bridge-ready", handleExtensionReady);
       window.removeEventListener("claimi-extension-ready", handleExtensionReady);
-      window.removeEventListener("claimi-packet-stored", handlePacketStored);
       clearTimeout(timeout);
     };
   }, [extensionStatus]);
+
+  // Share the Supabase session with the extension so it can call the backend
+  useEffect(() => {
+    if (extensionStatus !== "installed") {
+      return;
+    }
+
+    const sendSession = (session) => {
+      window.dispatchEvent(
+        new CustomEvent("claimi-auth-session", {
+          detail: {
+            session: session
+              ? {
+                  accessToken: session.access_token,
+                  refreshToken: session.refresh_token,
+                  expiresAt: session.expires_at,
+                  user: { id: session.user.id, email: session.user.email },
+                }
+              : null,
+          },
+        })
+      );
+    };
+
+    supabase.auth.getSession().then(({ data }) => sendSession(data.session));
+    const {
+      data: { subscription },
+    } = supabase.auth.onAuthStateChange((_event, session) => sendSession(session));
+
+    return () => subscription.unsubscribe();
+  }, [extensionStatus]);
   const [userId, setUserId] = useState("");
   const [submitStatus, setSubmitStatus] = useState("idle");
   const [submitError, setSubmitError] = useState("");
@@ -160,6 +196,15 @@ export default function DashboardPage() {
         setSettlementsStatus("ready");
       }
 
+      try {
+        const { claims: claimsData } = await apiFetch("/api/claims");
+        setClaims(claimsData || []);
+        setClaimsStatus("ready");
+      } catch (claimsLoadError) {
+        setClaimsError(claimsLoadError.message || "Unable to load your claims.");
+        setClaimsStatus("error");
+      }
+
       setProfile(profileData);
       setProfileForm({
         legal_first_name: profileData?.legal_first_name || "",
@@ -188,6 +233,45 @@ export default function DashboardPage() {
     setHasSubmitted(false);
   }, [selectedSettlement?.id]);
 
+  // Re-evaluate eligibility on the backend as answers change
+  useEffect(() => {
+    if (!selectedSettlement) {
+      return;
+    }
+    const key = String(
+      selectedSettlement.id || selectedSettlement.settlement_id || "settlement"
+    );
+    const answers = Object.entries(responses)
+      .filter(([responseKey]) => responseKey.startsWith(`${key}-`))
+      .map(([responseKey, answer]) => ({ key: responseKey, answer }));
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await apiFetch(
+          `/api/eligibility/${encodeURIComponent(key)}`,
+          { method: "POST", body: JSON.stringify({ answers }) }
+        );
+        if (!cancelled) {
+          setEligibility(result);
+          setEligibilityError("");
+        }
+      } catch (evaluationError) {
+        if (!cancelled) {
+          setEligibility(null);
+          setEligibilityError(
+            evaluationError.message || "Unable to check eligibility."
+          );
+        }
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [selectedSettlement, responses]);
+
   if (status === "loading") {
     return (
       <div className="flex min-h-screen items-center justify-center text-sm text-slate-500">
@@ -210,6 +294,11 @@ export default function DashboardPage() {
     return full || profile?.email || userEmail || "there";
   })();
 
+  const visibleClaims = claims.filter(
+    (claim) =>
+      PAST_CLAIM_STATUSES.includes(claim.status) === (claimsView === "past")
+  );
+
   const infoRows = [
     {
       label: "Legal name",
@@ -375,87 +464,83 @@ export default function DashboardPage() {
     setApplyStatus("sending");
     setApplyError("");
 
-    // Get claim form URL
-    const formUrl =
-      typeof selectedSettlement?.claim_form_url === "string"
-        ? selectedSettlement.claim_form_url.trim()
-        : "";
-
-    // Build the claim packet with all user and settlement data
-    const claimPacket = {
-      id: selectedSettlement.id || selectedSettlement.settlement_id,
-      settlementName: selectedSettlement.settlement_title || "Unknown Settlement",
-      settlementId: selectedSettlement.settlement_id,
-      claimFormUrl: formUrl,
-      sourceUrl: selectedSettlement.source_url || "",
-      userId: userId,
-      userData: {
-        firstName: profile.legal_first_name || "",
-        lastName: profile.legal_last_name || "",
-        fullName: [profile.legal_first_name, profile.legal_last_name]
-          .filter(Boolean)
-          .join(" "),
-        email: profile.email || userEmail || "",
-        phone: profile.phone_number || "",
-        address: {
-          street: profile.street_address || "",
-          city: profile.city || "",
-          state: profile.state || "",
-          zip: profile.zip_code || "",
-          country: profile.country || "",
-        },
-      },
-      caseAnswers: {},
-      caseAnswerMeta: {},
-      // Include structured answer items (same format as settlement_responses)
-      answerItems: [],
-    };
-
-    // Use buildAnswerItems to get structured answers (matches settlement_responses format)
+    // Fetch the canonical claim packet built by the backend
     const settlementKey =
       selectedSettlement.id || selectedSettlement.settlement_id || "settlement";
-    const answerItems = buildAnswerItems();
-    claimPacket.answerItems = answerItems;
-
-    // Also build caseAnswers/caseAnswerMeta for backward compatibility with autofill
-    // Note: For eligibility questions, "yes" is the correct/qualifying answer
-    answerItems.forEach((item) => {
-      if (item.answer) {
-        // Convert the key to a cleaner format for caseAnswers
-        const cleanKey = item.key.replace(`${settlementKey}-`, "").replace(/-/g, "_");
-        // Store as boolean (true = yes, false = no)
-        claimPacket.caseAnswers[cleanKey] = item.answer === "yes";
-        claimPacket.caseAnswerMeta[cleanKey] = item.question;
-      }
-    });
-
-    console.log("[Dashboard] Sending claim packet to extension:", claimPacket);
-
-    // Clear any existing timeout
-    if (applyTimeoutRef.current) {
-      clearTimeout(applyTimeoutRef.current);
+    let claimPacket;
+    try {
+      claimPacket = await apiFetch(
+        `/api/claim-packets/${encodeURIComponent(settlementKey)}`
+      );
+    } catch (packetError) {
+      setApplyError(`Unable to build claim packet: ${packetError.message}`);
+      setApplyStatus("error");
+      return;
     }
 
-    // Dispatch custom event to the extension
-    window.dispatchEvent(
-      new CustomEvent("claimi-claim-packet", {
-        detail: claimPacket,
-      })
+    // Track the claim so the extension can report fill and submission results
+    // (a claim already prepared for this settlement is reused)
+    const existingClaim = claims.find(
+      (claim) => claim.settlement_id === String(settlementKey)
     );
+    let claimId = existingClaim?.id || null;
+    if (!claimId) {
+      try {
+        const claim = await apiFetch("/api/claims", {
+          method: "POST",
+          body: JSON.stringify({
+            settlementId: settlementKey,
+            packetId: claimPacket.id,
+            formUrl: claimPacket.claimFormUrl || null,
+          }),
+        });
+        claimId = claim.id;
+        setClaims((prev) => [claim, ...prev]);
+      } catch (claimError) {
+        console.warn("[Dashboard] Unable to start claim tracking:", claimError);
+      }
+    }
 
-    // Set a timeout in case extension doesn't respond
-    // Use a ref and setApplyStatus callback to avoid stale closure issue
-    applyTimeoutRef.current = setTimeout(() => {
-      setApplyStatus((currentStatus) => {
-        if (currentStatus === "sending") {
-          setApplyError(
-            "No response from extension. Make sure the Claimi extension is installed and enabled, then refresh this page."
-          );
-          return "error";
-        }
-        return currentStatus;
+    // Signed handoff: the extension only stores packets the backend signed for it
+    try {
+      const ack = await sendPacketToExtension({
+        settlementId: settlementKey,
+        claimId,
+        schemaVersion: claimPacket.schemaVersion,
       });
-    }, 5000);
+      console.log(`[Dashboard] Packet stored by extension ${ack.extensionVersion}:`, ack.packetId);
+      setApplyStatus("success");
+    } catch (handoffError) {
+      console.warn("[Dashboard] Packet handoff failed:", handoffError.code, handoffError.message);
+      setApplyError(
+        HANDOFF_ERROR_MESSAGES[handoffError.code] ||
+          handoffError.message ||
+          "Failed to send claim packet to extension"
+      );
+      setApplyStatus("error");
+    }
+  };
+
+  const showClaims = (view) => {
+    setClaimsView(view);
+    document
+      .getElementById("claims")
+      ?.scrollIntoView({ behavior: "smooth", block: "start" });
+  };
+
+  // Record a milestone the extension can't see (confirmed, paid)
+  const handleClaimStatus = async (claimId, nextStatus) => {
+    try {
+      const updated = await apiFetch(
+        `/api/claims/${encodeURIComponent(claimId)}/status`,
+        { method: "POST", body: JSON.stringify({ status: nextStatus }) }
+      );
+      setClaims((prev) =>
+        prev.map((claim) => (claim.id === updated.id ? updated : claim))
+      );
+    } catch (statusError) {
+      setClaimsError(statusError.message);
+    }
   };
 
   const formatDate = (value) => {
@@ -581,11 +666,6 @@ export default function DashboardPage() {
       : "";
   const canLinkClaimFormUrl = /^https?:\/\//i.test(claimFormUrl);
 
-  const normalizedAnswer = (value) =>
-    value === null || value === undefined
-      ? ""
-      : String(value).trim().toLowerCase();
-
   const onboardingQuestions = Array.isArray(parsedOnboardingQuestions)
     ? parsedOnboardingQuestions
     : [];
@@ -636,65 +716,52 @@ export default function DashboardPage() {
     return items;
   };
 
-  const eligibilityStatus = (() => {
-    let answeredCount = 0;
-    let totalRequired = 0;
-    const hasDisqualifying = onboardingQuestions.some((question, index) => {
-      const key = `${settlementKey}-question-${question?.id ?? index}`;
-      const answer = responses[key];
-      totalRequired += 1;
-      if (answer) {
-        answeredCount += 1;
-      }
-      const disqualifying = normalizedAnswer(question?.disqualifying_answer);
-      return (
-        answer &&
-        disqualifying &&
-        normalizedAnswer(answer) === disqualifying
-      );
-    });
-    const evaluateRequirements = (items, keyPrefix, isRequired) => {
-      if (!Array.isArray(items)) {
-        return false;
-      }
-      return items.some((item, index) => {
-        const required = isRequired(item);
-        if (required) {
-          totalRequired += 1;
-        }
-        const key = `${keyPrefix}-${item?.id ?? index}`;
-        const answer = responses[key];
-        if (required && answer) {
-          answeredCount += 1;
-        }
-        return required && answer === "no";
-      });
-    };
-
-    const generalDisqualifying = evaluateRequirements(
-      parsedGeneralRequirements,
-      `${settlementKey}-general`,
-      () => true
-    );
-    const specificDisqualifying = evaluateRequirements(
-      parsedSpecificRequirements,
-      `${settlementKey}-specific`,
-      (item) => !item?.is_optional
-    );
-    const proofDisqualifying = evaluateRequirements(
-      parsedProofChecklist,
-      `${settlementKey}-proof`,
-      (item) => item?.is_required !== false
-    );
+  // Evaluated by the backend; stale results from another settlement don't count
+  const currentEligibility =
+    eligibility && String(eligibility.settlementId) === String(settlementKey)
+      ? eligibility
+      : null;
+  const eligibilityStatus = currentEligibility?.label || "Not enough info";
+  const unmetRequirements = (currentEligibility?.results || []).filter(
+    (result) => result.required && result.verdict !== "qualifies"
+  );
 
-    if (hasDisqualifying || generalDisqualifying || specificDisqualifying || proofDisqualifying) {
-      return "Does not qualify";
-    }
-    if (totalRequired > 0 && answeredCount === totalRequired) {
-      return "Qualifies";
+  const renderUnmetRequirements = () => {
+    if (unmetRequirements.length === 0) {
+      return null;
     }
-    return "Not enough info";
-  })();
+    return (
+      <ul className="mt-3 space-y-2 text-left">
+        {unmetRequirements.map((result) => (
+          <li
+            key={result.id}
+            className="rounded-lg border border-white/10 bg-white/5 p-3"
+          >
+            <p className="text-sm text-white">{result.requirement}</p>
+            <p className="mt-1 text-xs text-white/60">{result.reason}</p>
+            {result.citation?.quote && (
+              <p className="mt-2 text-xs italic text-white/50">
+                &ldquo;{result.citation.quote}&rdquo;
+                {result.citation.sourceUrl && (
+                  <>
+                    {" "}
+                    <a
+                      href={result.citation.sourceUrl}
+                      target="_blank"
+                      rel="noreferrer"
+                      className="not-italic underline decoration-white/30 underline-offset-2 hover:decoration-white"
+                    >
+                      {result.citation.section || "Source"}
+                    </a>
+                  </>
+                )}
+              </p>
+            )}
+          </li>
+        ))}
+      </ul>
+    );
+  };
 
   const handleSubmitAnswers = async () => {
     if (!selectedSettlement || !userId) {
@@ -703,6 +770,17 @@ export default function DashboardPage() {
     setSubmitStatus("loading");
     setSubmitError("");
     const answerItems = buildAnswerItems();
+    // Answers saved from the extension's question modal live in the same row;
+    // keep them so resubmitting here doesn't wipe them.
+    const { data: existingResponse } = await supabase
+      .from("settlement_responses")
+      .select("answers")
+      .eq("user_id", userId)
+      .eq("settlement_key", String(settlementKey))
+      .maybeSingle();
+    const extensionAnswers = (existingResponse?.answers || []).filter(
+      (item) => item?.section === "extension"
+    );
     const payload = {
       user_id: userId,
       settlement_key: String(settlementKey),
@@ -712,7 +790,7 @@ export default function DashboardPage() {
       settlement_external_id: selectedSettlement?.settlement_id
         ? String(selectedSettlement.settlement_id)
         : null,
-      answers: answerItems,
+      answers: [...answerItems, ...extensionAnswers],
       eligibility_status: eligibilityStatus,
     };
     const { error: submitError } = await supabase
@@ -745,8 +823,12 @@ export default function DashboardPage() {
               </p>
             </div>
             <div className="flex flex-wrap gap-3">
-              <Button>Current claims</Button>
-              <Button variant="outline">View past claims</Button>
+              <Button onClick={() => showClaims("current")}>
+                Current claims
+              </Button>
+              <Button variant="outline" onClick={() => showClaims("past")}>
+                View past claims
+              </Button>
               <Button
                 variant="ghost"
                 onClick={handleSignOut}
@@ -965,6 +1047,88 @@ export default function DashboardPage() {
             </Card>
           </div>
 
+          <section id="claims" className="mt-10 scroll-mt-6">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <div>
+                <h2 className="text-lg font-semibold text-white">
+                  {claimsView === "past" ? "Past claims" : "Current claims"}
+                </h2>
+                <p className="text-sm text-[#9CA3AF]">
+                  {claimsView === "past"
+                    ? "Claims the administrator has confirmed or paid."
+                    : "Claims you have prepared, filled or submitted."}
+                </p>
+              </div>
+              <div className="text-xs text-white/50">
+                {visibleClaims.length} of {claims.length}
+              </div>
+            </div>
+
+            {claimsStatus === "loading" && (
+              <div className="mt-6 text-sm text-[#9CA3AF]">
+                Loading claims...
+              </div>
+            )}
+            {claimsError && (
+              <div className="mt-6 text-sm text-red-300">{claimsError}</div>
+            )}
+            {claimsStatus === "ready" && visibleClaims.length === 0 && (
+              <div className="mt-6 text-sm text-[#9CA3AF]">
+                {claimsView === "past"
+                  ? "No confirmed or paid claims yet."
+                  : "No claims in progress. Open a settlement and prepare it for autofill to start one."}
+              </div>
+            )}
+            {visibleClaims.length > 0 && (
+              <div className="mt-6 grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+                {visibleClaims.map((claim) => (
+                  <Card
+                    key={claim.id}
+                    className="border-white/10 bg-[#0E1424]"
+                  >
+                    <CardContent className="space-y-3 p-5 text-sm">
+                      <div className="flex items-center justify-between gap-2 text-xs text-white/70">
+                        <span className="rounded-full border border-white/10 bg-white/5 px-2 py-1 text-[11px] uppercase tracking-wide">
+                          {claim.status}
+                        </span>
+                        <span>Updated {formatDate(claim.updated_at)}</span>
+                      </div>
+                      <p className="font-semibold text-white">
+                        {claim.settlement_name || "Untitled settlement"}
+                      </p>
+                      {claim.confirmation_number && (
+                        <p className="text-xs text-[#9CA3AF]">
+                          Confirmation #{claim.confirmation_number}
+                        </p>
+                      )}
+                      {claim.fill_summary && (
+                        <p className="text-xs text-[#9CA3AF]">
+                          {claim.fill_summary.filled} fields filled
+                          {claim.fill_summary.userQuestions > 0 &&
+                            `, ${claim.fill_summary.userQuestions} answered by you`}
+                        </p>
+                      )}
+                      {NEXT_CLAIM_MILESTONE[claim.status] && (
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() =>
+                            handleClaimStatus(
+                              claim.id,
+                              NEXT_CLAIM_MILESTONE[claim.status]
+                            )
+                          }
+                        >
+                          Mark {NEXT_CLAIM_MILESTONE[claim.status]}
+                        </Button>
+                      )}
+                    </CardContent>
+                  </Card>
+                ))}
+              </div>
+            )}
+          </section>
+
           <section className="mt-10">
             <div className="flex flex-wrap items-center justify-between gap-3">
               <div>
@@ -1341,6 +1505,7 @@ export default function DashboardPage() {
                     Based on your answers, you may not be eligible for this
                     settlement. Remember: answering "Yes" to eligibility questions typically indicates you qualify.
                   </p>
+                  {renderUnmetRequirements()}
                 </div>
               )}
 
@@ -1353,6 +1518,12 @@ export default function DashboardPage() {
                     Please answer all eligibility questions above to check if you
                     qualify. For most settlement claims, answering "Yes" indicates you meet the requirement.
                   </p>
+                  {eligibilityError && (
+                    <p className="mt-2 text-sm text-red-300">
+                      {eligibilityError}
+                    </p>
+                  )}
+                  {renderUnmetRequirements()}
                 </div>
               )}
             </div>
@@ -0,0 +1,25 @@
+import { supabase } from "@/lib/supabase";
+
+const apiUrl = process.env.NEXT_PUBLIC_API_URL || "http://localhost:5171";
+
+// Call the Claimi backend with the signed-in user's Supabase access token
+export async function apiFetch(path, options = {}) {
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+
+  const response = await fetch(`${apiUrl}${path}`, {
+    ...options,
+    headers: {
+      "Content-Type": "application/json",
+      ...(session ? { Authorization: `Bearer ${session.access_token}` } : {}),
+      ...options.headers,
+    },
+  });
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(body?.error || `Request failed with status ${response.status}`);
+  }
+  return body;
+}
@@ -0,0 +1,64 @@
+import { apiFetch } from "@/lib/api";
+
+// How long to wait for the extension's dashboard bridge to answer a request
+const BRIDGE_TIMEOUT_MS = 5000;
+
+function bridgeError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Dispatch a request event and resolve with the reply carrying the same requestId
+function requestExtension(requestEvent, responseEvent, detail = {}) {
+  const requestId = crypto.randomUUID();
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timer);
+      window.removeEventListener(responseEvent, handleResponse);
+    };
+    const handleResponse = (event) => {
+      if (event.detail?.requestId !== requestId) return;
+      cleanup();
+      resolve(event.detail);
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(bridgeError("No response from extension", "timeout"));
+    }, BRIDGE_TIMEOUT_MS);
+
+    window.addEventListener(responseEvent, handleResponse);
+    window.dispatchEvent(new CustomEvent(requestEvent, { detail: { ...detail, requestId } }));
+  });
+}
+
+/**
+ * Hand a claim packet to the extension: get a nonce from the extension, have
+ * the backend sign the packet for it, then send it and wait for the ack.
+ * Resolves with the ack ({ packetId, extensionVersion, ... }); rejects with an
+ * Error whose `code` is the extension's failure code (or "timeout").
+ */
+export async function sendPacketToExtension({ settlementId, claimId, schemaVersion }) {
+  const challenge = await requestExtension("claimi-handoff-hello", "claimi-handoff-challenge");
+  if (!challenge.success) {
+    throw bridgeError(challenge.error, challenge.code);
+  }
+  if (!challenge.supportedSchemaVersions?.includes(schemaVersion)) {
+    throw bridgeError(`Extension ${challenge.extensionVersion} can't read packet schema ${schemaVersion}`, "unsupported_schema");
+  }
+
+  const handoff = await apiFetch(
+    `/api/claim-packets/${encodeURIComponent(settlementId)}/handoff`,
+    {
+      method: "POST",
+      body: JSON.stringify({ nonce: challenge.nonce, claimId }),
+    }
+  );
+
+  const ack = await requestExtension("claimi-claim-packet", "claimi-packet-stored", { handoff });
+  if (!ack.success) {
+    throw bridgeError(ack.error, ack.code);
+  }
+  return ack;
+}